@@ -0,0 +1,133 @@
+/**
+ * Mock LLM Server
+ *
+ * Local stand-in for the Head Architect's LLM backend so model refinement
+ * can be exercised offline. Implements the streaming subset of both APIs
+ * supported by src/main/llmProvider.js:
+ * - POST /v1/messages          (Anthropic Messages API)
+ * - POST /v1/chat/completions  (OpenAI-compatible)
+ *
+ * The reply is the draft specification found between <draft> tags in the
+ * prompt, with a short note appended, streamed back a few words at a time.
+ *
+ * Usage: npm run mock:llm   (PORT defaults to 8787, set MOCK_LLM_PORT to change)
+ */
+
+const http = require('http');
+
+const PORT = Number(process.env.MOCK_LLM_PORT) || 8787;
+const CHUNK_DELAY = 15; // ms between streamed chunks
+
+function buildReply(prompt) {
+  const match = /<draft>\n?([\s\S]*?)\n?<\/draft>/.exec(prompt || '');
+  const draft = match ? match[1] : 'No draft specification was provided.';
+  return `${draft}\n\n*Refined by mock LLM server*\n`;
+}
+
+function chunkText(text) {
+  return text.match(/\S+\s*|\s+/g) || [];
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(body || '{}'));
+      } catch (error) {
+        reject(error);
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+async function streamEvents(res, events) {
+  res.writeHead(200, {
+    'content-type': 'text/event-stream',
+    'cache-control': 'no-cache',
+    connection: 'keep-alive',
+  });
+
+  for (const { event, data } of events) {
+    if (event) {
+      res.write(`event: ${event}\n`);
+    }
+    res.write(`data: ${typeof data === 'string' ? data : JSON.stringify(data)}\n\n`);
+    await new Promise((resolve) => setTimeout(resolve, CHUNK_DELAY));
+  }
+
+  res.end();
+}
+
+function anthropicEvents(body) {
+  const prompt = (body.messages || []).map((m) => m.content).join('\n');
+  const chunks = chunkText(buildReply(prompt));
+
+  return [
+    {
+      event: 'message_start',
+      data: {
+        type: 'message_start',
+        message: { id: 'msg_mock', model: body.model, role: 'assistant' },
+      },
+    },
+    {
+      event: 'content_block_start',
+      data: { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } },
+    },
+    ...chunks.map((text) => ({
+      event: 'content_block_delta',
+      data: { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text } },
+    })),
+    { event: 'content_block_stop', data: { type: 'content_block_stop', index: 0 } },
+    { event: 'message_stop', data: { type: 'message_stop' } },
+  ];
+}
+
+function openAiEvents(body) {
+  const prompt = (body.messages || [])
+    .filter((m) => m.role === 'user')
+    .map((m) => m.content)
+    .join('\n');
+  const chunks = chunkText(buildReply(prompt));
+
+  return [
+    ...chunks.map((content) => ({
+      data: { id: 'chatcmpl-mock', model: body.model, choices: [{ index: 0, delta: { content } }] },
+    })),
+    { data: '[DONE]' },
+  ];
+}
+
+const server = http.createServer(async (req, res) => {
+  if (req.method !== 'POST') {
+    res.writeHead(404).end();
+    return;
+  }
+
+  try {
+    const body = await readJsonBody(req);
+
+    if (req.url === '/v1/messages') {
+      await streamEvents(res, anthropicEvents(body));
+    } else if (req.url === '/v1/chat/completions') {
+      await streamEvents(res, openAiEvents(body));
+    } else {
+      res.writeHead(404, { 'content-type': 'application/json' });
+      res.end(JSON.stringify({ error: { message: `Unknown endpoint ${req.url}` } }));
+    }
+  } catch (error) {
+    res.writeHead(400, { 'content-type': 'application/json' });
+    res.end(JSON.stringify({ error: { message: error.message } }));
+  }
+});
+
+server.listen(PORT, '127.0.0.1', () => {
+  console.log(`Mock LLM server listening on http://localhost:${PORT}`);
+  console.log(`  Anthropic:         http://localhost:${PORT}/v1/messages`);
+  console.log(`  OpenAI-compatible: http://localhost:${PORT}/v1/chat/completions`);
+});
@@ -0,0 +1,156 @@
+/**
+ * Agent Document
+ *
+ * After its frontmatter, a saved agent file is a single document:
+ *
+ *   # Subagent: <name>
+ *
+ *   **Generated**: <timestamp>      (left out in reproducible mode)
+ *   **Version**: <version>
+ *   **Type**: <type>
+ *
+ *   ---
+ *
+ *   <body>
+ *
+ *   ---
+ *
+ *   *Generated by Claude Subagent Generator v1.0.0*
+ *
+ * The architect only produces the body. The header and footer are written
+ * here, once, when the agent is saved. Earlier versions also put a header and
+ * footer in the body, so those files have them twice; unwrapNestedDocument
+ * removes the inner copy.
+ *
+ * This is the only place the layout is parsed: the renderer gets the header
+ * and body of saved agents from loadGeneratedAgents, and model output is
+ * passed through stripNestedDocument before it is returned over IPC.
+ */
+
+const GENERATOR_FOOTER = '*Generated by Claude Subagent Generator v1.0.0*';
+
+const HEADER_PATTERN =
+  /^\s*# Subagent: (.*)\n\n(?:\*\*Generated\*\*: (.*)\n)?\*\*Version\*\*: (.*)\n\*\*Type\*\*: (.*)\n\n---\n\n/;
+const FOOTER_PATTERN = /\n*---\n\n\*Generated by Claude Subagent Generator v[\d.]+\*\n*$/;
+
+// Header and footer the architect used to add to the body: with a Complexity
+// line and a Head Architect footer line, or neither for the fallback preview
+const NESTED_HEADER_PATTERN =
+  /^\s*# Subagent: .*\n\n(?:\*\*Generated\*\*: .*\n)?\*\*Version\*\*: .*\n\*\*Type\*\*: .*\n(?:\*\*Complexity\*\*: .*\n)?\n(?:---\n\n)?/;
+const NESTED_FOOTER_PATTERN =
+  /\n*(?:---\n\n)?\*Generated by Claude Subagent Generator v[\d.]+\*(?:\n\*Head Architect: .*\*)?\s*$/;
+
+const FRONTMATTER_PATTERN = /^---\n[\s\S]*?\n---\n/;
+
+/**
+ * Write the header, body and footer of an agent file (without frontmatter)
+ *
+ * @param {Object} header - { name, type, version, generated }; generated may be null
+ * @param {string} body - Agent specification written by the architect or the user
+ * @returns {string} Document text ending in a newline
+ */
+function serializeAgentDocument(header, body) {
+  const generatedLine = header.generated ? `**Generated**: ${header.generated}\n` : '';
+
+  return `# Subagent: ${header.name || 'Unnamed Agent'}
+
+${generatedLine}**Version**: ${header.version}
+**Type**: ${header.type || 'custom'}
+
+---
+
+${body.trim()}
+
+---
+
+${GENERATOR_FOOTER}
+`;
+}
+
+/**
+ * Remove headers and footers repeated inside the body
+ *
+ * @param {string} body - Body of an agent document
+ * @returns {{body: string, nested: number}} Cleaned body and how many copies were removed
+ */
+function stripNestedDocument(body) {
+  let stripped = body.replace(/\r\n/g, '\n');
+  let nested = 0;
+  while (NESTED_HEADER_PATTERN.test(stripped)) {
+    stripped = stripped.replace(NESTED_HEADER_PATTERN, '').replace(NESTED_FOOTER_PATTERN, '');
+    nested++;
+  }
+  return { body: stripped, nested };
+}
+
+/**
+ * Split a document into its header and body
+ *
+ * @param {string} text - Agent file contents after the frontmatter
+ * @returns {{header: Object|null, body: string, nested: number}} header is null
+ *   for files not written by the generator, whose whole text is the body;
+ *   nested counts the header copies removed from the body
+ */
+function parseAgentDocument(text) {
+  const normalized = text.replace(/\r\n/g, '\n');
+  const header = HEADER_PATTERN.exec(normalized);
+  if (!header) {
+    return { header: null, body: normalized, nested: 0 };
+  }
+
+  return {
+    header: {
+      name: header[1].trim(),
+      generated: header[2] ? header[2].trim() : null,
+      version: header[3].trim(),
+      type: header[4].trim(),
+    },
+    ...stripNestedDocument(normalized.slice(header[0].length).replace(FOOTER_PATTERN, '')),
+  };
+}
+
+/**
+ * Read the header and body of a complete agent file
+ *
+ * @param {string} content - Agent file contents, frontmatter included
+ * @returns {{header: Object|null, body: string}} See parseAgentDocument
+ */
+function splitAgentFile(content) {
+  const normalized = content.replace(/\r\n/g, '\n');
+  const frontmatter = FRONTMATTER_PATTERN.exec(normalized);
+  const { header, body } = parseAgentDocument(
+    normalized.slice(frontmatter ? frontmatter[0].length : 0)
+  );
+  return { header, body };
+}
+
+/**
+ * Rewrite a file that has the header and footer twice so it has them once
+ *
+ * The outer header (with the saved version) is kept and the frontmatter is
+ * left as it was. Files with CRLF line endings keep them.
+ *
+ * @param {string} content - Complete agent file contents
+ * @returns {string|null} Cleaned contents, or null when the file has no nested document
+ */
+function unwrapNestedDocument(content) {
+  const normalized = content.replace(/\r\n/g, '\n');
+  const frontmatter = FRONTMATTER_PATTERN.exec(normalized);
+  const prefix = frontmatter ? frontmatter[0] : '';
+  const { header, body, nested } = parseAgentDocument(normalized.slice(prefix.length));
+
+  if (nested === 0) {
+    return null;
+  }
+
+  const cleaned = `${prefix}${serializeAgentDocument(header, body)}`;
+  return content.includes('\r\n') ? cleaned.replace(/\n/g, '\r\n') : cleaned;
+}
+
+module.exports = {
+  serializeAgentDocument,
+  parseAgentDocument,
+  stripNestedDocument,
+  splitAgentFile,
+  unwrapNestedDocument,
+};
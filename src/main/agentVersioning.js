@@ -0,0 +1,107 @@
+/**
+ * Agent Versioning Helpers
+ *
+ * Saved agents carry a semantic version in their `**Version**:` header line.
+ * When an agent is saved over an existing file the version is bumped
+ * according to what changed:
+ *
+ * - major: `tools` changed (the subagent can do different things)
+ * - minor: description, model or type changed
+ * - patch: only the specification text changed
+ */
+
+const INITIAL_VERSION = '1.0.0';
+
+const VERSION_LINE_PATTERN = /^\*\*Version\*\*: *(\d+)\.(\d+)\.(\d+) *$/m;
+
+// Header lines that change on every save and don't count as a change; the
+// Generated line is dropped with its line break, as reproducible files leave it out
+const VOLATILE_LINE_PATTERNS = [/^\*\*Generated\*\*: .*(?:\r?\n)?/gm, VERSION_LINE_PATTERN];
+
+/**
+ * Version recorded in an agent file, or null when it has none
+ *
+ * @param {string} content - Agent file contents
+ * @returns {string|null} e.g. "1.2.0"
+ */
+function readVersion(content) {
+  const match = VERSION_LINE_PATTERN.exec(content);
+  return match ? `${match[1]}.${match[2]}.${match[3]}` : null;
+}
+
+/**
+ * Increment one part of a semantic version, resetting the lower parts
+ *
+ * @param {string|null} version - Current version (INITIAL_VERSION if missing)
+ * @param {'major'|'minor'|'patch'} level - Part to increment
+ * @returns {string} Bumped version
+ */
+function bumpVersion(version, level) {
+  const [major, minor, patch] = (version || INITIAL_VERSION).split('.').map(Number);
+
+  switch (level) {
+    case 'major':
+      return `${major + 1}.0.0`;
+    case 'minor':
+      return `${major}.${minor + 1}.0`;
+    default:
+      return `${major}.${minor}.${patch + 1}`;
+  }
+}
+
+const FRONTMATTER_PATTERN = /^---\r?\n([\s\S]*?)\r?\n---/;
+const TYPE_LINE_PATTERN = /^\*\*Type\*\*:(.*)$/m;
+
+/**
+ * Raw frontmatter value (empty when absent), so any change is detected
+ */
+function readFrontmatterField(content, key) {
+  const frontmatter = FRONTMATTER_PATTERN.exec(content);
+  const match = frontmatter && new RegExp(`^${key}:(.*)$`, 'm').exec(frontmatter[1]);
+  return match ? match[1].trim() : '';
+}
+
+function readType(content) {
+  const match = TYPE_LINE_PATTERN.exec(content);
+  return match ? match[1].trim() : '';
+}
+
+function normalize(content) {
+  return VOLATILE_LINE_PATTERNS.reduce((text, pattern) => text.replace(pattern, ''), content)
+    .replace(/\r\n/g, '\n')
+    .trim();
+}
+
+/**
+ * Compare an existing agent file with the file about to replace it
+ *
+ * @param {string} previous - Current file contents
+ * @param {string} next - New file contents
+ * @returns {'major'|'minor'|'patch'|null} Change level, or null when only timestamps differ
+ */
+function detectChangeLevel(previous, next) {
+  if (normalize(previous) === normalize(next)) {
+    return null;
+  }
+
+  if (readFrontmatterField(previous, 'tools') !== readFrontmatterField(next, 'tools')) {
+    return 'major';
+  }
+
+  const minorChange =
+    ['description', 'model'].some(
+      (key) => readFrontmatterField(previous, key) !== readFrontmatterField(next, key)
+    ) || readType(previous) !== readType(next);
+  if (minorChange) {
+    return 'minor';
+  }
+
+  return 'patch';
+}
+
+module.exports = {
+  INITIAL_VERSION,
+  readVersion,
+  bumpVersion,
+  detectChangeLevel,
+};
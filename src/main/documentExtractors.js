@@ -0,0 +1,393 @@
+/**
+ * Document Extractors
+ *
+ * Text extraction for the context documents uploaded on the Documents page.
+ * Every extractor returns the shape pdf-parse gives PDFs:
+ *
+ *   { text, pages, info }
+ *
+ * `info.format` names the extractor. Formats without pages (Markdown, text,
+ * HTML, source code) report one page per CHARS_PER_PAGE characters so page
+ * totals stay comparable with PDFs.
+ *
+ * Everything runs offline in plain JavaScript: DOCX files are ZIP archives,
+ * read here with zlib rather than an Office library. extractDocument is called
+ * from pdfWorker.js, so none of this work runs on the main process.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const zlib = require('zlib');
+
+const CHARS_PER_PAGE = 3000;
+
+// Upper bound on the XML inflated from a DOCX, so a small archive can't expand without limit
+const MAX_INFLATED_SIZE = 50 * 1024 * 1024;
+
+const ZIP64_UNSUPPORTED = 'Invalid DOCX file: ZIP64 archives are not supported';
+
+/**
+ * Source code extensions and the language reported in `info.language`
+ */
+const SOURCE_LANGUAGES = {
+  '.js': 'JavaScript',
+  '.jsx': 'JavaScript',
+  '.mjs': 'JavaScript',
+  '.cjs': 'JavaScript',
+  '.ts': 'TypeScript',
+  '.tsx': 'TypeScript',
+  '.py': 'Python',
+  '.go': 'Go',
+  '.rs': 'Rust',
+  '.java': 'Java',
+  '.kt': 'Kotlin',
+  '.rb': 'Ruby',
+  '.php': 'PHP',
+  '.cs': 'C#',
+  '.c': 'C',
+  '.h': 'C',
+  '.cpp': 'C++',
+  '.hpp': 'C++',
+  '.swift': 'Swift',
+  '.sh': 'Shell',
+  '.sql': 'SQL',
+  '.css': 'CSS',
+  '.json': 'JSON',
+  '.yaml': 'YAML',
+  '.yml': 'YAML',
+  '.toml': 'TOML',
+};
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00a0' };
+
+/**
+ * Decode the XML entities, the HTML ones common in exports, and numeric references
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[\da-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+    if (name[0] === '#') {
+      const code =
+        name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : Number(name.slice(1));
+      return code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+    }
+    return XML_ENTITIES[name.toLowerCase()] ?? entity;
+  });
+}
+
+/**
+ * Trim every line and collapse runs of blank lines
+ */
+function tidyText(text) {
+  return text
+    .split('\n')
+    .map((line) => line.replace(/[ \t\u00a0]+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+function estimatePages(text) {
+  return Math.max(1, Math.ceil(text.length / CHARS_PER_PAGE));
+}
+
+/**
+ * UTF-8 text without a byte order mark; files with NUL bytes are binary, not text
+ */
+function decodeText(buffer) {
+  if (buffer.includes(0)) {
+    throw new Error('Invalid document: the file is binary, not text');
+  }
+  return buffer
+    .toString('utf-8')
+    .replace(/^\uFEFF/, '')
+    .replace(/\r\n?/g, '\n');
+}
+
+/**
+ * Entries of a ZIP archive by name, read from its central directory
+ *
+ * @param {Buffer} buffer - Archive contents
+ * @returns {Map<string, {method: number, compressedSize: number, localOffset: number}>}
+ */
+function readZipDirectory(buffer) {
+  // The end of central directory record is in the last 22 bytes plus an optional comment
+  let end = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      end = i;
+      break;
+    }
+  }
+  if (end < 0) {
+    throw new Error('Invalid DOCX file: not a ZIP archive');
+  }
+
+  const entries = new Map();
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+
+  // ZIP64 archives set these fields to all ones and keep the real values in a
+  // ZIP64 end record, announced by a locator just before the end record
+  const zip64Locator = end >= 20 && buffer.readUInt32LE(end - 20) === 0x07064b50;
+  if (zip64Locator || count === 0xffff || offset === 0xffffffff) {
+    throw new Error(ZIP64_UNSUPPORTED);
+  }
+
+  for (let i = 0; i < count; i++) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== 0x02014b50) {
+      throw new Error('Invalid DOCX file: damaged ZIP directory');
+    }
+
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const name = buffer.toString('utf-8', offset + 46, offset + 46 + nameLength);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    if (compressedSize === 0xffffffff || localOffset === 0xffffffff) {
+      throw new Error(ZIP64_UNSUPPORTED);
+    }
+    entries.set(name, { method: buffer.readUInt16LE(offset + 10), compressedSize, localOffset });
+
+    offset += 46 + nameLength + buffer.readUInt16LE(offset + 30) + buffer.readUInt16LE(offset + 32);
+  }
+
+  return entries;
+}
+
+/**
+ * Contents of one ZIP entry as text, or null when the archive doesn't have it
+ */
+function readZipText(buffer, entries, name) {
+  const entry = entries.get(name);
+  if (!entry) {
+    return null;
+  }
+
+  const { localOffset, compressedSize, method } = entry;
+  if (localOffset + 30 > buffer.length || buffer.readUInt32LE(localOffset) !== 0x04034b50) {
+    throw new Error('Invalid DOCX file: damaged ZIP entry');
+  }
+
+  // The local header repeats the name and has its own extra field length
+  const start =
+    localOffset +
+    30 +
+    buffer.readUInt16LE(localOffset + 26) +
+    buffer.readUInt16LE(localOffset + 28);
+  if (start + compressedSize > buffer.length) {
+    throw new Error('Invalid DOCX file: truncated ZIP entry');
+  }
+  const data = buffer.subarray(start, start + compressedSize);
+
+  if (method === 0) {
+    return data.toString('utf-8');
+  }
+  if (method === 8) {
+    return zlib.inflateRawSync(data, { maxOutputLength: MAX_INFLATED_SIZE }).toString('utf-8');
+  }
+  throw new Error('Invalid DOCX file: unsupported ZIP compression');
+}
+
+/**
+ * Paragraph text of a WordprocessingML document (word/document.xml)
+ *
+ * Only `w:t` runs are text. Line breaks inside a paragraph are kept; tabs
+ * end up as a single space once tidyText collapses whitespace, and tab stop
+ * definitions (`w:tabs`) are not mistaken for tabs.
+ */
+function extractWordprocessingText(xml) {
+  const TOKEN = /<(\/?)w:(p|t|tabs|tab|br|cr)(?=[\s/>])[^>]*>|<[^>]*>|([^<]+)/g;
+  const paragraphs = [];
+  let current = '';
+  let inText = false;
+  let inTabStops = false;
+
+  for (const [tag, closing, name, text] of xml.matchAll(TOKEN)) {
+    const opening = !closing && !tag.endsWith('/>');
+
+    if (text !== undefined) {
+      current += inText ? decodeEntities(text) : '';
+    } else if (name === 't') {
+      inText = opening;
+    } else if (name === 'tabs') {
+      inTabStops = opening;
+    } else if (name === 'tab' && !closing && !inTabStops) {
+      current += '\t';
+    } else if ((name === 'br' || name === 'cr') && !closing) {
+      current += '\n';
+    } else if (name === 'p' && !opening) {
+      paragraphs.push(current);
+      current = '';
+    }
+  }
+
+  return tidyText(paragraphs.join('\n'));
+}
+
+/**
+ * Text of an XML element in a DOCX property part, e.g. dc:title in docProps/core.xml
+ */
+function readProperty(xml, element) {
+  const match = xml && new RegExp(`<${element}[^>]*>([^<]*)</${element}>`).exec(xml);
+  return match ? decodeEntities(match[1]).trim() : '';
+}
+
+/**
+ * Text of one PDF page, joined into lines the way pdf-parse's default page renderer does
+ */
+async function renderPdfPage(pageData) {
+  const { items } = await pageData.getTextContent({
+    normalizeWhitespace: false,
+    disableCombineTextItems: false,
+  });
+
+  let lastY;
+  let text = '';
+  for (const item of items) {
+    text += lastY === item.transform[5] || !lastY ? item.str : `\n${item.str}`;
+    lastY = item.transform[5];
+  }
+  return text;
+}
+
+/**
+ * @param {Buffer} buffer - PDF contents
+ * @param {Function} [onPage] - Called with (page, pages) after each page is read
+ */
+async function extractPdf(buffer, onPage = null) {
+  const pdfParse = require('pdf-parse');
+  const options = onPage && {
+    pagerender: async (pageData) => {
+      const text = await renderPdfPage(pageData);
+      // pdf-parse doesn't pass the page count; the page's transport knows it
+      onPage(pageData.pageNumber, pageData.transport.numPages);
+      return text;
+    },
+  };
+  const pdfData = await pdfParse(buffer, options || undefined);
+
+  return {
+    text: pdfData.text,
+    pages: pdfData.numpages,
+    info: { ...pdfData.info, format: 'pdf' },
+  };
+}
+
+function extractDocx(buffer) {
+  const entries = readZipDirectory(buffer);
+  const documentXml = readZipText(buffer, entries, 'word/document.xml');
+  if (documentXml === null) {
+    throw new Error('Invalid DOCX file: no word/document.xml');
+  }
+
+  const text = extractWordprocessingText(documentXml);
+  const core = readZipText(buffer, entries, 'docProps/core.xml');
+  const pages = Number(readProperty(readZipText(buffer, entries, 'docProps/app.xml'), 'Pages'));
+  const info = { format: 'docx' };
+  const title = readProperty(core, 'dc:title');
+  const author = readProperty(core, 'dc:creator');
+  if (title) {
+    info.Title = title;
+  }
+  if (author) {
+    info.Author = author;
+  }
+
+  return { text, pages: pages > 0 ? pages : estimatePages(text), info };
+}
+
+/**
+ * Readable text of an HTML page, e.g. a Confluence export
+ *
+ * Headings become Markdown headings and list items bullets, so the
+ * document analysis sees the same structure as in a Markdown spec.
+ */
+function extractHtml(buffer) {
+  const html = decodeText(buffer);
+  const title = /<title[^>]*>([\s\S]*?)<\/title>/i.exec(html);
+
+  const text = html
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(script|style|head|noscript|template)\b[\s\S]*?<\/\1\s*>/gi, '')
+    .replace(/<h([1-6])\b[^>]*>/gi, (tag, level) => `\n\n${'#'.repeat(Number(level))} `)
+    .replace(/<li\b[^>]*>/gi, '\n- ')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/t[dh]\s*>/gi, '\t')
+    .replace(
+      /<\/?(p|div|h[1-6]|ul|ol|table|tr|section|article|header|footer|blockquote|pre)\b[^>]*>/gi,
+      '\n\n'
+    )
+    .replace(/<[^>]*>/g, '');
+
+  const tidy = tidyText(decodeEntities(text));
+  const info = { format: 'html' };
+  if (title && tidyText(decodeEntities(title[1]))) {
+    info.Title = tidyText(decodeEntities(title[1]));
+  }
+
+  return { text: tidy, pages: estimatePages(tidy), info };
+}
+
+function textExtractor(format) {
+  return (buffer) => {
+    const text = decodeText(buffer);
+    return { text, pages: estimatePages(text), info: { format } };
+  };
+}
+
+function extractSource(buffer, extension) {
+  const text = decodeText(buffer);
+  return {
+    text,
+    pages: estimatePages(text),
+    info: { format: 'source', language: SOURCE_LANGUAGES[extension] },
+  };
+}
+
+const EXTRACTORS = {
+  '.pdf': (buffer, extension, onPage) => extractPdf(buffer, onPage),
+  '.docx': extractDocx,
+  '.html': extractHtml,
+  '.htm': extractHtml,
+  '.md': textExtractor('markdown'),
+  '.markdown': textExtractor('markdown'),
+  '.txt': textExtractor('text'),
+  ...Object.fromEntries(
+    Object.keys(SOURCE_LANGUAGES).map((extension) => [extension, extractSource])
+  ),
+};
+
+const SUPPORTED_EXTENSIONS = Object.keys(EXTRACTORS);
+
+function isSupportedDocument(filePath) {
+  return Object.hasOwn(EXTRACTORS, path.extname(filePath).toLowerCase());
+}
+
+function isPdf(filePath) {
+  return path.extname(filePath).toLowerCase() === '.pdf';
+}
+
+/**
+ * Extract the text of a document, picking the extractor by file extension
+ *
+ * @param {string} filePath - Absolute path of a file with a SUPPORTED_EXTENSIONS extension
+ * @param {Function} [onPage] - Called with (page, pages) after each PDF page is read
+ * @returns {Promise<{text: string, pages: number, info: Object}>}
+ */
+async function extractDocument(filePath, onPage = null) {
+  const extension = path.extname(filePath).toLowerCase();
+  if (!Object.hasOwn(EXTRACTORS, extension)) {
+    throw new Error(`Unsupported document type: ${extension || 'no extension'}`);
+  }
+
+  const buffer = await fs.readFile(filePath);
+  return EXTRACTORS[extension](buffer, extension, onPage);
+}
+
+module.exports = {
+  SOURCE_LANGUAGES,
+  SUPPORTED_EXTENSIONS,
+  isSupportedDocument,
+  isPdf,
+  extractPdf,
+  extractDocument,
+};
@@ -1,6 +1,95 @@
 const fs = require('fs').promises;
+const { statSync } = require('fs');
+const os = require('os');
 const path = require('path');
 const Store = require('electron-store');
+const { safeStorage } = require('electron');
+const { serializeFrontmatter, parseFrontmatter } = require('./frontmatter');
+const {
+  INITIAL_VERSION,
+  readVersion,
+  bumpVersion,
+  detectChangeLevel,
+} = require('./agentVersioning');
+const { serializeAgentDocument, splitAgentFile, unwrapNestedDocument } = require('./agentDocument');
+const { SUPPORTED_EXTENSIONS } = require('./documentExtractors');
+
+const DEFAULT_SETTINGS = {
+  theme: 'dark',
+  autoSave: true,
+  consultAgents: true,
+  saveTarget: 'generated',
+  templateId: 'builtin/subagent-prompt',
+  projectRoot: null,
+  recentProjects: [],
+  llm: {
+    enabled: false,
+    provider: 'openai',
+    baseUrl: '',
+    model: '',
+  },
+  // Byte-identical output for identical inputs: no wall-clock timestamps
+  reproducible: {
+    enabled: false,
+    sourceDate: '',
+  },
+};
+
+// Where saveAgent can write: see getSaveDirectory
+const SAVE_TARGETS = ['generated', 'project', 'user'];
+const MAX_RECENT_PROJECTS = 8;
+
+// Form data saved next to each generated agent (see getSidecarPath)
+const SIDECAR_EXTENSION = '.agent.json';
+const SIDECAR_FORMAT_VERSION = 1;
+
+// Project category schema for the template form, first match wins
+const CATEGORY_SCHEMA_FILES = [
+  'template-categories.json',
+  'template-categories.yaml',
+  'template-categories.yml',
+];
+
+// Previous versions of overwritten agents, inside each save directory
+const HISTORY_DIR = '.history';
+
+// How saveAgent resolves an existing file with the same name
+const CONFLICT_STRATEGIES = ['overwrite', 'rename'];
+
+// Formats exportAgent writes, matching EXPORT_FORMATS in src/renderer/services/agentAst.js
+const EXPORT_FORMATS = {
+  'claude-code': { extension: 'md', filterName: 'Claude Code agent' },
+  markdown: { extension: 'md', filterName: 'Markdown document' },
+  json: { extension: 'json', filterName: 'JSON' },
+};
+
+// Dropped files and folders (see expandDroppedPaths): which files are
+// documents, and how far into folders to look for them
+const DOCUMENT_EXTENSIONS = SUPPORTED_EXTENSIONS;
+const MAX_DROP_DEPTH = 5;
+const MAX_DROPPED_DOCUMENTS = 100;
+const SKIPPED_DROP_DIRS = new Set(['node_modules']);
+
+/**
+ * Prompt template library
+ * - builtin/subagent-prompt: SUBAGENT_PROMPT_TEMPLATE.md in the app directory
+ * - builtin/<slug>:          templates/<slug>.md shipped with the app (read-only)
+ * - project/<slug>:          <project>/.claude/templates/<slug>.md (editable)
+ */
+const DEFAULT_TEMPLATE_ID = 'builtin/subagent-prompt';
+const TEMPLATE_ID_PATTERN = /^(builtin|project)\/([a-z0-9]+(?:-[a-z0-9]+)*)$/;
+const MAX_TEMPLATE_SIZE = 256 * 1024;
+
+/**
+ * Placeholder list from template frontmatter: "CORE_FUNCTION, [DOMAIN]" → ['[CORE_FUNCTION]', '[DOMAIN]']
+ */
+function parsePlaceholderList(value) {
+  return value
+    .split(',')
+    .map((token) => token.trim().replace(/^\[|\]$/g, ''))
+    .filter((token) => /^[A-Z0-9_]+$/.test(token))
+    .map((token) => `[${token}]`);
+}
 
 class FileManager {
   /**
@@ -23,11 +112,16 @@ class FileManager {
      * Falls back to process.cwd() if app object not provided
      * TODO: Remove fallback in production and require app object
      */
-    this.projectRoot = app ? app.getAppPath() : process.cwd();
+    this.appRoot = app ? app.getAppPath() : process.cwd();
 
-    this.generatedAgentsDir = path.join(this.projectRoot, '.claude', 'generated-agents');
-    this.existingAgentsDir = path.join(this.projectRoot, '.claude', 'agents');
-    this.templatePath = path.join(this.projectRoot, 'SUBAGENT_PROMPT_TEMPLATE.md');
+    // The prompt template ships with the app; agents live in the selected project
+    this.templatePath = path.join(this.appRoot, 'SUBAGENT_PROMPT_TEMPLATE.md');
+    this.builtinTemplatesDir = path.join(this.appRoot, 'templates');
+    this.userAgentsDir = path.join(os.homedir(), '.claude', 'agents');
+
+    // Re-open the last selected project if it still exists, otherwise use the app directory
+    const { projectRoot } = this.loadSettings();
+    this.setProjectRoot(projectRoot && this.isDirectory(projectRoot) ? projectRoot : this.appRoot);
 
     // Maximum file size for PDF processing (10MB)
     // Prevents DoS attacks via large file uploads
@@ -37,6 +131,98 @@ class FileManager {
     this.ensureDirectories();
   }
 
+  /**
+   * SECURITY: Re-base every project path on a new root
+   *
+   * All path confinement checks (resolveGeneratedAgentPath,
+   * resolveExistingAgentPath, saveAgent) compare against these directories,
+   * so they follow the selected project automatically.
+   *
+   * @param {string} root - Absolute path of the project directory
+   */
+  setProjectRoot(root) {
+    this.projectRoot = path.resolve(root);
+    this.generatedAgentsDir = path.join(this.projectRoot, '.claude', 'generated-agents');
+    this.existingAgentsDir = path.join(this.projectRoot, '.claude', 'agents');
+    this.projectTemplatesDir = path.join(this.projectRoot, '.claude', 'templates');
+  }
+
+  isDirectory(dirPath) {
+    try {
+      return statSync(dirPath).isDirectory();
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Switch to a project directory and remember it in the recent projects list
+   *
+   * @param {string|null} root - Project directory, or null to go back to the app directory
+   * @returns {Object} Project info (see getProjectInfo)
+   */
+  async openProject(root) {
+    const settings = this.loadSettings();
+
+    if (root === null) {
+      this.setProjectRoot(this.appRoot);
+      this.saveSettings({ projectRoot: null });
+      return this.getProjectInfo();
+    }
+
+    const resolvedRoot = path.resolve(root);
+    if (!this.isDirectory(resolvedRoot)) {
+      // Drop projects that were moved or deleted from the recent list
+      this.saveSettings({
+        recentProjects: settings.recentProjects.filter((p) => p !== resolvedRoot),
+      });
+      throw new Error('Project directory not found');
+    }
+
+    this.setProjectRoot(resolvedRoot);
+    await this.ensureDirectories();
+    this.saveSettings({
+      projectRoot: resolvedRoot,
+      recentProjects: [
+        resolvedRoot,
+        ...settings.recentProjects.filter((p) => p !== resolvedRoot),
+      ].slice(0, MAX_RECENT_PROJECTS),
+    });
+
+    return this.getProjectInfo();
+  }
+
+  getProjectInfo() {
+    return {
+      projectRoot: this.projectRoot,
+      projectName: path.basename(this.projectRoot),
+      isDefault: this.projectRoot === path.resolve(this.appRoot),
+      recentProjects: this.loadSettings().recentProjects,
+      saveTargets: Object.fromEntries(
+        SAVE_TARGETS.map((target) => [target, this.getSaveDirectory(target)])
+      ),
+    };
+  }
+
+  /**
+   * Directory for a save target
+   * - generated: <project>/.claude/generated-agents (default, shown in History)
+   * - project:   <project>/.claude/agents (loaded by Claude Code for this repo)
+   * - user:      ~/.claude/agents (loaded by Claude Code in every repo)
+   */
+  getSaveDirectory(target) {
+    switch (target) {
+      case 'generated':
+        return this.generatedAgentsDir;
+      case 'project':
+        return this.existingAgentsDir;
+      case 'user':
+        return this.userAgentsDir;
+      default:
+        throw new Error('Invalid save target');
+    }
+  }
+
   async ensureDirectories() {
     try {
       await fs.mkdir(this.generatedAgentsDir, { recursive: true });
@@ -45,45 +231,388 @@ class FileManager {
     }
   }
 
+  /**
+   * Save an agent to one of the SAVE_TARGETS
+   *
+   * If a file with the same name exists and no `onConflict` strategy is
+   * given, nothing is written and `{ conflict }` describes the existing file
+   * so the user can choose:
+   * - overwrite: the old file is archived to `.history/` and the version bumped
+   * - rename:    the agent is saved as the first free `<name>-N`
+   *
+   * @param {Object} agentData - name, content, metadata, formData, target, onConflict
+   * @returns {Promise<Object>} Saved file details, or `{ conflict }`
+   */
   async saveAgent(agentData) {
-    const { name, content, metadata } = agentData;
+    const { content, metadata, target = 'generated', onConflict } = agentData;
+    const slug = this.slugify(agentData.name);
+    const targetDir = path.resolve(this.getSaveDirectory(target));
+    const filePath = this.resolveSavePath(targetDir, `${slug}.md`);
 
-    // Create safe filename
-    const safeFileName = `${name
-      .toLowerCase()
-      .replace(/[^a-z0-9]+/g, '-')
-      .replace(/^-|-$/g, '')}.md`;
+    await fs.mkdir(targetDir, { recursive: true });
+
+    const existing = await this.readFileIfExists(filePath);
+    if (existing !== null && onConflict === 'rename') {
+      return this.saveAgentAs(agentData, await this.findAvailableName(targetDir, slug));
+    }
+
+    let version = INITIAL_VERSION;
+    let archivedPath = null;
+    // Create full agent markdown with metadata (frontmatter name must match the file)
+    let fullContent = this.formatAgentFile(content, { ...metadata, name: slug }, version);
+
+    if (existing !== null) {
+      const changeLevel = detectChangeLevel(existing, fullContent);
+      const existingVersion = readVersion(existing);
+      const nextVersion = changeLevel ? bumpVersion(existingVersion, changeLevel) : existingVersion;
 
-    const filePath = path.join(this.generatedAgentsDir, safeFileName);
+      if (onConflict !== 'overwrite') {
+        return {
+          conflict: {
+            fileName: `${slug}.md`,
+            filePath,
+            target,
+            differs: changeLevel !== null,
+            changeLevel,
+            existingVersion,
+            nextVersion: nextVersion || INITIAL_VERSION,
+          },
+        };
+      }
 
-    // Create full agent markdown with metadata
-    const fullContent = this.formatAgentFile(content, metadata);
+      version = nextVersion || INITIAL_VERSION;
+      fullContent = this.formatAgentFile(content, { ...metadata, name: slug }, version);
+      if (changeLevel) {
+        archivedPath = await this.archiveVersion(targetDir, slug, existing, existingVersion);
+      }
+    }
 
     await fs.writeFile(filePath, fullContent, 'utf-8');
+    await this.saveFormData(agentData, slug, target);
 
     return {
       filePath,
-      fileName: safeFileName,
+      fileName: `${slug}.md`,
+      target,
+      version,
+      archivedPath,
       timestamp: new Date().toISOString(),
     };
   }
 
-  formatAgentFile(content, metadata) {
-    const timestamp = new Date().toISOString();
-    return `# Subagent: ${metadata.name || 'Unnamed Agent'}
+  /**
+   * Save under a new name chosen after a conflict; 'wx' never overwrites
+   */
+  async saveAgentAs(agentData, name) {
+    const { content, metadata, target = 'generated' } = agentData;
+    const targetDir = path.resolve(this.getSaveDirectory(target));
+    const filePath = this.resolveSavePath(targetDir, `${name}.md`);
+    const fullContent = this.formatAgentFile(content, { ...metadata, name }, INITIAL_VERSION);
 
-**Generated**: ${timestamp}
-**Version**: 1.0.0
-**Type**: ${metadata.type || 'custom'}
+    await fs.writeFile(filePath, fullContent, { encoding: 'utf-8', flag: 'wx' });
+    await this.saveFormData(agentData, name, target);
 
----
+    return {
+      filePath,
+      fileName: `${name}.md`,
+      target,
+      version: INITIAL_VERSION,
+      archivedPath: null,
+      timestamp: new Date().toISOString(),
+    };
+  }
+
+  // Create safe filename
+  slugify(name) {
+    return name
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-|-$/g, '');
+  }
+
+  /**
+   * SECURITY: The file must land directly inside the target directory
+   */
+  resolveSavePath(targetDir, fileName) {
+    const filePath = path.join(targetDir, fileName);
+    if (path.dirname(path.resolve(filePath)) !== targetDir) {
+      throw new Error('Invalid agent path');
+    }
+    return filePath;
+  }
 
-${content}
+  async readFileIfExists(filePath) {
+    try {
+      return await fs.readFile(filePath, 'utf-8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
 
----
+  /**
+   * First "<slug>-N" (N ≥ 2) without an agent file in targetDir
+   */
+  async findAvailableName(targetDir, slug) {
+    for (let suffix = 2; suffix <= 100; suffix++) {
+      const name = `${slug}-${suffix}`;
+      if ((await this.readFileIfExists(path.join(targetDir, `${name}.md`))) === null) {
+        return name;
+      }
+    }
 
-*Generated by Claude Subagent Generator v1.0.0*
-`;
+    throw new Error('Too many agents with this name');
+  }
+
+  /**
+   * Copy the file being overwritten to `.history/<slug>-v<version>-<timestamp>.md`
+   *
+   * `.history` sits inside the save directory; loadGeneratedAgents only lists
+   * top-level files, so archived versions don't show up in History.
+   */
+  async archiveVersion(targetDir, slug, content, version) {
+    const historyDir = path.join(targetDir, HISTORY_DIR);
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const archivePath = path.join(historyDir, `${slug}-v${version || '0.0.0'}-${stamp}.md`);
+
+    await fs.mkdir(historyDir, { recursive: true });
+    await fs.writeFile(archivePath, content, { encoding: 'utf-8', flag: 'wx' });
+
+    return archivePath;
+  }
+
+  /**
+   * Keep the form data next to the agent so it can be re-opened for editing,
+   * with a unified diff of any manual edits made to the generated text and
+   * the SHA-256 of that generated text.
+   * Only in generated-agents: Claude Code's own agent directories stay clean.
+   */
+  async saveFormData(agentData, name, target) {
+    if (!agentData.formData || target !== 'generated') {
+      return;
+    }
+
+    const { metadata } = agentData;
+    await this.writeSidecar(`${name}.md`, {
+      name,
+      type: metadata?.type || '',
+      description: metadata?.description || '',
+      tools: metadata?.tools || [],
+      model: metadata?.model || '',
+      templateData: agentData.formData.templateData,
+      ...(agentData.formData.manualEdits && { manualEdits: agentData.formData.manualEdits }),
+      ...(agentData.formData.contentHash && { contentHash: agentData.formData.contentHash }),
+    });
+  }
+
+  /**
+   * Path of the JSON sidecar holding an agent's form data
+   *
+   * `api-validator.md` → `api-validator.agent.json`, in the same directory.
+   * Sidecars are not `.md` files, so Claude Code and loadGeneratedAgents
+   * ignore them.
+   */
+  getSidecarPath(fileName) {
+    return path.join(this.generatedAgentsDir, fileName.replace(/\.md$/, SIDECAR_EXTENSION));
+  }
+
+  async writeSidecar(fileName, formData) {
+    const sidecar = { formatVersion: SIDECAR_FORMAT_VERSION, ...formData };
+    await fs.writeFile(this.getSidecarPath(fileName), JSON.stringify(sidecar, null, 2), 'utf-8');
+  }
+
+  /**
+   * Read an agent's sidecar; null when missing, unreadable or from a newer format
+   */
+  async readSidecar(fileName) {
+    try {
+      const sidecar = JSON.parse(await fs.readFile(this.getSidecarPath(fileName), 'utf-8'));
+      return sidecar && sidecar.formatVersion <= SIDECAR_FORMAT_VERSION ? sidecar : null;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Error reading agent form data:', error);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Wrap generated content in a Claude Code-compatible agent file
+   *
+   * The YAML frontmatter must come first: Claude Code ignores agent files
+   * that don't start with a `name`/`description` block.
+   *
+   * @param {string} content - Agent body, without header or footer (see agentDocument)
+   * @param {Object} metadata - name, type, description, tools, model
+   * @param {string} [version] - Semantic version recorded in the header
+   * @returns {string} Complete agent file contents
+   */
+  formatAgentFile(content, metadata, version = INITIAL_VERSION) {
+    const frontmatter = serializeFrontmatter({
+      name: metadata.name,
+      description:
+        metadata.description || `Specialized ${metadata.type || 'custom'} subagent`,
+      tools: metadata.tools,
+      model: metadata.model,
+    });
+
+    const document = serializeAgentDocument(
+      {
+        name: metadata.name,
+        type: metadata.type,
+        version,
+        generated: this.getBuildTimestamp(),
+      },
+      content
+    );
+
+    return `${frontmatter}\n${document}`;
+  }
+
+  /**
+   * Write an agent to a file chosen in the export dialog
+   *
+   * Claude Code exports are wrapped like a saved agent (frontmatter, header
+   * and footer); Markdown and JSON exports are written as the renderer
+   * serialized them.
+   *
+   * @param {string} filePath - Path returned by the save dialog
+   * @param {Object} exportData - format, name, content, metadata
+   * @returns {Promise<{filePath: string, fileName: string}>}
+   */
+  async exportAgent(filePath, { format, name, content, metadata }) {
+    const fullContent =
+      format === 'claude-code'
+        ? this.formatAgentFile(content, { ...metadata, name: this.slugify(name) })
+        : content;
+
+    await fs.writeFile(filePath, fullContent, 'utf-8');
+    return { filePath, fileName: path.basename(filePath) };
+  }
+
+  /**
+   * Remove the second header and footer from files saved by earlier versions
+   *
+   * Those versions wrapped a body that already had a header and footer, so
+   * every saved file had them twice. Only files with a nested header are
+   * rewritten; the version and frontmatter are kept.
+   *
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun] - Only list the files that would change
+   * @returns {Promise<Array<{target: string, fileName: string}>>} Files cleaned (or to clean)
+   */
+  async migrateAgentFiles({ dryRun = false } = {}) {
+    const migrated = [];
+    const seen = new Set();
+
+    for (const target of SAVE_TARGETS) {
+      const dir = path.resolve(this.getSaveDirectory(target));
+      // The project may be the home directory, making two targets the same folder
+      if (seen.has(dir)) {
+        continue;
+      }
+      seen.add(dir);
+
+      let files;
+      try {
+        files = (await fs.readdir(dir)).filter((file) => file.endsWith('.md'));
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          continue;
+        }
+        throw error;
+      }
+
+      for (const fileName of files) {
+        const filePath = path.join(dir, fileName);
+        const cleaned = unwrapNestedDocument(await fs.readFile(filePath, 'utf-8'));
+        if (cleaned === null) {
+          continue;
+        }
+
+        if (!dryRun) {
+          await fs.writeFile(filePath, cleaned, 'utf-8');
+        }
+        migrated.push({ target, fileName });
+      }
+    }
+
+    return migrated;
+  }
+
+  /**
+   * Turn dropped files and folders into the documents to upload
+   *
+   * Folders are searched for documents, skipping hidden folders and
+   * node_modules. Dropped files that aren't documents are reported back so
+   * the user can see why they were not added.
+   *
+   * @param {string[]} paths - Absolute paths of the dropped files and folders
+   * @returns {Promise<{documents: Array<{name: string, path: string}>, skipped: string[]}>}
+   *   documents in the order dropped (folder contents sorted by name); skipped file names
+   */
+  async expandDroppedPaths(paths) {
+    const documents = [];
+    const skipped = [];
+    const isDocument = (name) => DOCUMENT_EXTENSIONS.includes(path.extname(name).toLowerCase());
+
+    const walk = async (dir, depth) => {
+      const entries = (await fs.readdir(dir, { withFileTypes: true })).sort((a, b) =>
+        a.name.localeCompare(b.name)
+      );
+
+      for (const entry of entries) {
+        if (documents.length >= MAX_DROPPED_DOCUMENTS) {
+          return;
+        }
+
+        const entryPath = path.join(dir, entry.name);
+        if (entry.isFile() && isDocument(entry.name)) {
+          documents.push({ name: entry.name, path: entryPath });
+        } else if (
+          entry.isDirectory() &&
+          depth < MAX_DROP_DEPTH &&
+          !entry.name.startsWith('.') &&
+          !SKIPPED_DROP_DIRS.has(entry.name)
+        ) {
+          await walk(entryPath, depth + 1);
+        }
+      }
+    };
+
+    for (const droppedPath of paths) {
+      const stats = await fs.stat(droppedPath);
+      const name = path.basename(droppedPath);
+
+      if (stats.isDirectory()) {
+        await walk(droppedPath, 1);
+      } else if (stats.isFile() && isDocument(name)) {
+        documents.push({ name, path: droppedPath });
+      } else {
+        skipped.push(name);
+      }
+    }
+
+    return { documents: documents.slice(0, MAX_DROPPED_DOCUMENTS), skipped };
+  }
+
+  /**
+   * Timestamp for the agent file header
+   *
+   * In reproducible mode saving the same agent twice must produce the same
+   * file, so the configured source date is used, or no timestamp at all.
+   *
+   * @returns {string|null} ISO timestamp, or null to leave the line out
+   */
+  getBuildTimestamp() {
+    const { reproducible } = this.loadSettings();
+    if (!reproducible.enabled) {
+      return new Date().toISOString();
+    }
+
+    return reproducible.sourceDate ? new Date(reproducible.sourceDate).toISOString() : null;
   }
 
   async loadGeneratedAgents() {
@@ -101,6 +630,8 @@ ${content}
             name: file.replace('.md', ''),
             fileName: file,
             content,
+            document: splitAgentFile(content),
+            formData: await this.readSidecar(file),
             created: stats.birthtime,
             modified: stats.mtime,
           };
@@ -114,6 +645,78 @@ ${content}
     }
   }
 
+  /**
+   * SECURITY: Resolve a generated agent file name to a path inside generatedAgentsDir
+   *
+   * Only slug-style `.md` names (as produced by saveAgent) are accepted, and the
+   * resolved path must stay inside the generated agents directory. Used by
+   * every operation that takes a file name from the renderer.
+   *
+   * @param {string} fileName - File name such as "api-validator.md"
+   * @returns {string} Absolute path to the agent file
+   */
+  resolveGeneratedAgentPath(fileName) {
+    if (typeof fileName !== 'string' || !/^[a-z0-9]+(?:-[a-z0-9]+)*\.md$/.test(fileName)) {
+      throw new Error('Invalid agent file name');
+    }
+
+    const resolvedBaseDir = path.resolve(this.generatedAgentsDir);
+    const resolvedPath = path.resolve(resolvedBaseDir, fileName);
+
+    if (path.dirname(resolvedPath) !== resolvedBaseDir) {
+      console.error('Path traversal attempt detected:', fileName);
+      throw new Error('Invalid agent path');
+    }
+
+    return resolvedPath;
+  }
+
+  async deleteGeneratedAgent(fileName) {
+    const filePath = this.resolveGeneratedAgentPath(fileName);
+    await fs.unlink(filePath);
+    await fs.rm(this.getSidecarPath(fileName), { force: true });
+
+    return { fileName };
+  }
+
+  /**
+   * Copy a generated agent under the first free "<name>-copy[-N]" name
+   *
+   * The frontmatter name and title (and the sidecar name) are updated so
+   * Claude Code sees the copy as a separate subagent.
+   */
+  async duplicateGeneratedAgent(fileName) {
+    const sourcePath = this.resolveGeneratedAgentPath(fileName);
+    const content = await fs.readFile(sourcePath, 'utf-8');
+    const baseName = fileName.replace(/\.md$/, '');
+
+    for (let attempt = 1; attempt <= 100; attempt++) {
+      const name = attempt === 1 ? `${baseName}-copy` : `${baseName}-copy-${attempt}`;
+      const targetPath = this.resolveGeneratedAgentPath(`${name}.md`);
+      const copy = content
+        .replace(/^(---\r?\n[\s\S]*?^name:)[^\r\n]*/m, `$1 ${name}`)
+        .replace(/^# Subagent: .*$/m, `# Subagent: ${name}`);
+
+      try {
+        // 'wx' fails if the file exists, so an existing copy is never overwritten
+        await fs.writeFile(targetPath, copy, { encoding: 'utf-8', flag: 'wx' });
+
+        const formData = await this.readSidecar(fileName);
+        if (formData) {
+          await this.writeSidecar(`${name}.md`, { ...formData, name });
+        }
+
+        return { fileName: `${name}.md`, name };
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+      }
+    }
+
+    throw new Error('Too many copies of this agent');
+  }
+
   async loadExistingAgents() {
     try {
       const files = await fs.readdir(this.existingAgentsDir);
@@ -143,13 +746,13 @@ ${content}
   /**
    * SECURITY FIX: Added input sanitization to prevent path traversal
    *
-   * Consult with an existing agent by loading its full content.
+   * Resolve an agent type to its file in the existing agents directory.
+   * Shared by consultAgent and loadExistingAgent.
    *
    * @param {string} agentType - Agent filename without extension
-   * @param {string} query - Context/question for the consultation
-   * @returns {Promise<Object>} Agent content and availability status
+   * @returns {{safeAgentType: string, agentPath: string|null, error: string|null}}
    */
-  async consultAgent(agentType, query) {
+  resolveExistingAgentPath(agentType) {
     /**
      * CRITICAL SECURITY FIX: Sanitize agentType to prevent path traversal
      *
@@ -176,13 +779,7 @@ ${content}
 
     // Reject invalid agent types (empty after sanitization)
     if (!safeAgentType) {
-      return {
-        agentType,
-        content: null,
-        query,
-        available: false,
-        error: 'Invalid agent type',
-      };
+      return { safeAgentType, agentPath: null, error: 'Invalid agent type' };
     }
 
     // Construct path with sanitized filename
@@ -198,12 +795,29 @@ ${content}
 
     if (!resolvedPath.startsWith(resolvedBaseDir)) {
       console.error('Path traversal attempt detected:', agentType);
+      return { safeAgentType, agentPath: null, error: 'Invalid agent path' };
+    }
+
+    return { safeAgentType, agentPath, error: null };
+  }
+
+  /**
+   * Consult with an existing agent by loading its full content.
+   *
+   * @param {string} agentType - Agent filename without extension
+   * @param {string} query - Context/question for the consultation
+   * @returns {Promise<Object>} Agent content and availability status
+   */
+  async consultAgent(agentType, query) {
+    const { safeAgentType, agentPath, error: pathError } = this.resolveExistingAgentPath(agentType);
+
+    if (pathError) {
       return {
         agentType,
         content: null,
         query,
         available: false,
-        error: 'Invalid agent path',
+        error: pathError,
       };
     }
 
@@ -229,27 +843,305 @@ ${content}
     }
   }
 
-  async loadTemplate() {
+  /**
+   * Load the full content of an existing agent, e.g. to fork it into the form
+   *
+   * @param {string} agentType - Agent filename without extension
+   * @returns {Promise<{name: string, fileName: string, content: string}>}
+   */
+  async loadExistingAgent(agentType) {
+    const { safeAgentType, agentPath, error } = this.resolveExistingAgentPath(agentType);
+
+    if (error) {
+      throw new Error(error);
+    }
+
     try {
-      const template = await fs.readFile(this.templatePath, 'utf-8');
-      return template;
+      const content = await fs.readFile(agentPath, 'utf-8');
+      return { name: safeAgentType, fileName: `${safeAgentType}.md`, content };
+    } catch (readError) {
+      // Don't leak file system details in error message
+      throw new Error('Agent not found');
+    }
+  }
+
+  /**
+   * SECURITY: Map a template id to its file
+   *
+   * Ids are checked against TEMPLATE_ID_PATTERN, so the slug can't contain
+   * path separators and the file always sits directly in a template directory.
+   *
+   * @param {string} templateId - "builtin/<slug>" or "project/<slug>"
+   * @returns {{source: string, filePath: string}}
+   */
+  resolveTemplatePath(templateId) {
+    const match = TEMPLATE_ID_PATTERN.exec(templateId || '');
+    if (!match) {
+      throw new Error('Invalid template id');
+    }
+
+    const [, source, slug] = match;
+    if (templateId === DEFAULT_TEMPLATE_ID) {
+      return { source, filePath: this.templatePath };
+    }
+
+    const dir = source === 'builtin' ? this.builtinTemplatesDir : this.projectTemplatesDir;
+    return { source, filePath: path.join(dir, `${slug}.md`) };
+  }
+
+  /**
+   * Split a template file into its metadata and the template text
+   *
+   * Metadata comes from an optional frontmatter block (name, description,
+   * placeholders). `placeholders` is null when the template doesn't declare
+   * them; TemplateProcessor then checks the tokens it finds in the text.
+   */
+  parseTemplateFile(templateId, source, content) {
+    if (content.length > MAX_TEMPLATE_SIZE) {
+      throw new Error('Template too large (max 256KB)');
+    }
+
+    const { attributes, body } = parseFrontmatter(content);
+    const isDefault = templateId === DEFAULT_TEMPLATE_ID;
+
+    return {
+      id: templateId,
+      source,
+      name: attributes.name || (isDefault ? 'Subagent Prompt Template' : templateId.split('/')[1]),
+      description:
+        attributes.description || (isDefault ? 'The bundled SUBAGENT_PROMPT_TEMPLATE.md' : ''),
+      placeholders: attributes.placeholders ? parsePlaceholderList(attributes.placeholders) : null,
+      readOnly: source === 'builtin',
+      // saveTemplate leaves a blank line after the frontmatter
+      content: body.replace(/^\n+/, ''),
+    };
+  }
+
+  /**
+   * Templates in the built-in or project template directory, sorted by file name
+   */
+  async readTemplateDir(source) {
+    const dir = source === 'builtin' ? this.builtinTemplatesDir : this.projectTemplatesDir;
+
+    let files;
+    try {
+      files = await fs.readdir(dir);
     } catch (error) {
-      console.error('Error loading template:', error);
-      return '';
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const templates = [];
+    for (const file of files.filter((f) => f.endsWith('.md')).sort()) {
+      const templateId = `${source}/${file.slice(0, -3)}`;
+      if (!TEMPLATE_ID_PATTERN.test(templateId) || templateId === DEFAULT_TEMPLATE_ID) {
+        continue;
+      }
+
+      try {
+        const content = await fs.readFile(path.join(dir, file), 'utf-8');
+        templates.push(this.parseTemplateFile(templateId, source, content));
+      } catch (error) {
+        console.error(`Error reading template ${file}:`, error);
+      }
     }
+
+    return templates;
   }
 
-  loadSettings() {
-    return this.store.get('settings', {
-      theme: 'dark',
-      autoSave: true,
-      consultAgents: true,
+  /**
+   * List the template library: the default template, then built-in and project templates
+   *
+   * @returns {Promise<Object[]>} Template metadata without the template text
+   */
+  async listTemplates() {
+    const templates = [];
+
+    const defaultContent = await this.readFileIfExists(this.templatePath);
+    if (defaultContent !== null) {
+      templates.push(this.parseTemplateFile(DEFAULT_TEMPLATE_ID, 'builtin', defaultContent));
+    }
+
+    templates.push(...(await this.readTemplateDir('builtin')));
+    templates.push(...(await this.readTemplateDir('project')));
+
+    return templates.map(({ content, ...info }) => info);
+  }
+
+  /**
+   * Load a template from the library
+   *
+   * @param {string} templateId - Template id (default: the bundled template)
+   * @returns {Promise<Object>} Template metadata and `content` (frontmatter removed)
+   */
+  async loadTemplate(templateId = DEFAULT_TEMPLATE_ID) {
+    const { source, filePath } = this.resolveTemplatePath(templateId);
+    const content = await this.readFileIfExists(filePath);
+
+    if (content === null) {
+      throw new Error('Template not found');
+    }
+
+    return this.parseTemplateFile(templateId, source, content);
+  }
+
+  /**
+   * Save a template to the project's `.claude/templates/`
+   *
+   * The file name is derived from the template name; saving under an
+   * existing name replaces that template.
+   *
+   * @param {Object} template - name, description, placeholders, content
+   * @returns {Promise<Object>} Saved template metadata
+   */
+  async saveTemplate(template) {
+    const slug = this.slugify(template.name);
+    if (!slug) {
+      throw new Error('Template name must contain letters or numbers');
+    }
+
+    const templateId = `project/${slug}`;
+    const { filePath } = this.resolveTemplatePath(templateId);
+    const frontmatter = serializeFrontmatter({
+      name: template.name.trim(),
+      description: template.description,
+      placeholders: (template.placeholders || []).map((token) => token.replace(/^\[|\]$/g, '')),
     });
+
+    await fs.mkdir(this.projectTemplatesDir, { recursive: true });
+    await fs.writeFile(filePath, `${frontmatter}\n${template.content}`, 'utf-8');
+
+    const { content, ...info } = await this.loadTemplate(templateId);
+    return info;
+  }
+
+  /**
+   * Delete a project template; built-in templates are read-only
+   *
+   * @param {string} templateId - "project/<slug>"
+   */
+  async deleteTemplate(templateId) {
+    const { source, filePath } = this.resolveTemplatePath(templateId);
+    if (source !== 'project') {
+      throw new Error('Built-in templates cannot be deleted');
+    }
+
+    try {
+      await fs.unlink(filePath);
+    } catch (error) {
+      throw new Error('Template not found');
+    }
+
+    return { templateId };
+  }
+
+  /**
+   * Read the project's category schema from <project>/.claude/
+   *
+   * Parsing and validation happen in the renderer (categorySchema.js).
+   *
+   * @returns {Promise<{fileName: string, filePath: string, content: string}|null>} null when none exists
+   */
+  async loadCategorySchema() {
+    const claudeDir = path.join(this.projectRoot, '.claude');
+
+    for (const fileName of CATEGORY_SCHEMA_FILES) {
+      const filePath = path.join(claudeDir, fileName);
+      const content = await this.readFileIfExists(filePath);
+      if (content !== null) {
+        if (content.length > 256 * 1024) {
+          throw new Error('Category schema too large (max 256KB)');
+        }
+        return { fileName, filePath, content };
+      }
+    }
+
+    return null;
   }
 
+  loadSettings() {
+    const stored = this.store.get('settings', {});
+    return {
+      ...DEFAULT_SETTINGS,
+      ...stored,
+      llm: { ...DEFAULT_SETTINGS.llm, ...stored.llm },
+      reproducible: { ...DEFAULT_SETTINGS.reproducible, ...stored.reproducible },
+    };
+  }
+
+  /**
+   * Merge partial settings into the stored settings
+   *
+   * Callers such as the theme toggle only send the keys they changed,
+   * so replacing the whole object would wipe everything else.
+   */
   saveSettings(settings) {
-    this.store.set('settings', settings);
+    const current = this.loadSettings();
+    this.store.set('settings', {
+      ...current,
+      ...settings,
+      llm: { ...current.llm, ...settings.llm },
+      reproducible: { ...current.reproducible, ...settings.reproducible },
+    });
+  }
+
+  /**
+   * SECURITY: Store an LLM provider API key
+   *
+   * Keys are kept outside `settings` so load-settings never returns them to
+   * the renderer, and are encrypted with the OS keychain (safeStorage) when
+   * it is available. An empty key removes the stored one.
+   *
+   * @param {string} provider - Provider id (e.g. 'anthropic')
+   * @param {string} apiKey - API key to store
+   */
+  saveApiKey(provider, apiKey) {
+    if (!apiKey) {
+      this.store.delete(`apiKeys.${provider}`);
+      return;
+    }
+
+    const encrypted = Boolean(safeStorage && safeStorage.isEncryptionAvailable());
+    this.store.set(`apiKeys.${provider}`, {
+      encrypted,
+      value: encrypted ? safeStorage.encryptString(apiKey).toString('base64') : apiKey,
+    });
+  }
+
+  /**
+   * Read a stored API key (main process only)
+   *
+   * @param {string} provider - Provider id
+   * @returns {string} API key, or '' when none is stored
+   */
+  getApiKey(provider) {
+    const entry = this.store.get(`apiKeys.${provider}`);
+    if (!entry) {
+      return '';
+    }
+
+    try {
+      return entry.encrypted
+        ? safeStorage.decryptString(Buffer.from(entry.value, 'base64'))
+        : entry.value;
+    } catch (error) {
+      console.error('Error decrypting API key:', error);
+      return '';
+    }
+  }
+
+  hasApiKey(provider) {
+    return Boolean(this.store.get(`apiKeys.${provider}`));
   }
 }
 
+FileManager.SAVE_TARGETS = SAVE_TARGETS;
+FileManager.CONFLICT_STRATEGIES = CONFLICT_STRATEGIES;
+FileManager.EXPORT_FORMATS = EXPORT_FORMATS;
+FileManager.DOCUMENT_EXTENSIONS = DOCUMENT_EXTENSIONS;
+FileManager.DEFAULT_TEMPLATE_ID = DEFAULT_TEMPLATE_ID;
+FileManager.TEMPLATE_ID_PATTERN = TEMPLATE_ID_PATTERN;
+
 module.exports = FileManager;
@@ -0,0 +1,172 @@
+/**
+ * YAML Frontmatter Helpers
+ *
+ * Claude Code only loads a subagent when the file starts with a YAML
+ * frontmatter block declaring `name` and `description` (plus optional
+ * `tools` and `model`). These helpers produce that block with values
+ * escaped so user-provided text can never break out of its field.
+ */
+
+/**
+ * Claude Code subagent names: lowercase letters, digits and single hyphens
+ * e.g. "api-response-validator"; the name field in
+ * src/renderer/components/AgentMetadataForm.jsx checks the same pattern
+ */
+const AGENT_NAME_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+/**
+ * Model aliases accepted in the `model` frontmatter field
+ */
+const AGENT_MODELS = ['inherit', 'sonnet', 'opus', 'haiku'];
+
+/**
+ * Tool names as they appear in the `tools` field (built-ins and mcp__server__tool)
+ */
+const TOOL_NAME_PATTERN = /^[A-Za-z][A-Za-z0-9_-]*$/;
+
+/**
+ * Plain scalars that a YAML 1.1 or 1.2 parser would not read as strings
+ */
+const YAML_NON_STRING_PATTERNS = [
+  // Booleans and nulls
+  /^(?:y|n|yes|no|true|false|on|off|null|~)$/i,
+  // Integers: decimal, hex (0x1F), octal (0o17, 017), binary (0b101), sexagesimal (1:30)
+  /^[-+]?(?:[\d_]+|0x[\da-f_]+|0o[0-7_]+|0b[01_]+|[1-9][\d_]*(?::[0-5]?\d)+)$/i,
+  // Floats: 1.5, .5, 1e3, sexagesimal (1:30.5), infinity and not-a-number
+  /^[-+]?(?:(?:[\d_]+(?:\.[\d_]*)?|\.[\d_]+)(?:e[-+]?\d+)?|[\d_]+(?::[0-5]?\d)+\.[\d_]*|\.inf)$/i,
+  /^\.nan$/i,
+  // Dates and timestamps: 2024-01-01, 2024-01-01T10:00:00Z, 2024-1-1 10:00:00.5 +02:00
+  /^\d{4}-\d\d?-\d\d?(?:(?:t|[ \t]+)\d\d?:\d\d:\d\d(?:\.\d*)?(?:[ \t]*(?:z|[-+]\d\d?(?::\d\d)?))?)?$/i,
+];
+
+/**
+ * Escape a value for use as a YAML scalar
+ *
+ * Values that are safe as plain scalars are returned unchanged; anything
+ * containing indicators (`:`, `#`, quotes, leading symbols) or line breaks,
+ * and anything YAML would read as a boolean, null, number or date, is
+ * emitted as a double-quoted string with escapes.
+ *
+ * @param {*} value - Value to escape (coerced to string)
+ * @returns {string} YAML-safe scalar
+ */
+function escapeYamlValue(value) {
+  const text = String(value ?? '');
+
+  const isPlainSafe =
+    text !== '' &&
+    text === text.trim() &&
+    !YAML_NON_STRING_PATTERNS.some((pattern) => pattern.test(text)) &&
+    !/^[-?:,[\]{}#&*!|>'"%@`]/.test(text) &&
+    // eslint-disable-next-line no-control-regex
+    !/:(\s|$)|\s#|[\0-\x1f\x7f"\\]/.test(text);
+
+  if (isPlainSafe) {
+    return text;
+  }
+
+  const escaped = text
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n')
+    .replace(/\r/g, '\\r')
+    .replace(/\t/g, '\\t')
+    // eslint-disable-next-line no-control-regex
+    .replace(/[\0-\x1f\x7f]/g, (char) => `\\x${char.charCodeAt(0).toString(16).padStart(2, '0')}`);
+
+  return `"${escaped}"`;
+}
+
+/**
+ * Serialize a flat object into a frontmatter block
+ *
+ * Keys with empty values (undefined, null, '' or []) are omitted.
+ * Arrays are written as comma-separated strings, matching the
+ * `tools: Read, Grep, Glob` convention used by Claude Code.
+ *
+ * @param {Object} fields - Ordered map of frontmatter keys to values
+ * @returns {string} Frontmatter including the opening and closing `---`
+ */
+function serializeFrontmatter(fields) {
+  const lines = ['---'];
+
+  Object.entries(fields).forEach(([key, value]) => {
+    if (value === undefined || value === null || value === '') {
+      return;
+    }
+
+    if (Array.isArray(value)) {
+      if (value.length === 0) {
+        return;
+      }
+      lines.push(`${key}: ${escapeYamlValue(value.join(', '))}`);
+      return;
+    }
+
+    lines.push(`${key}: ${escapeYamlValue(value)}`);
+  });
+
+  lines.push('---');
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Reverse escapeYamlValue for a single scalar
+ *
+ * @param {string} raw - Scalar as written after `key:`
+ * @returns {string} Unquoted value
+ */
+function unescapeYamlValue(raw) {
+  const text = raw.trim();
+
+  const doubleQuoted = /^"((?:[^"\\]|\\.)*)"$/.exec(text);
+  if (doubleQuoted) {
+    const escapes = { n: '\n', r: '\r', t: '\t' };
+    return doubleQuoted[1].replace(/\\(x[0-9a-fA-F]{2}|.)/g, (match, code) => {
+      if (code.length === 3) {
+        return String.fromCharCode(parseInt(code.slice(1), 16));
+      }
+      return escapes[code] || code;
+    });
+  }
+
+  const singleQuoted = /^'(.*)'$/.exec(text);
+  return singleQuoted ? singleQuoted[1].replace(/''/g, "'") : text;
+}
+
+/**
+ * Read a flat frontmatter block, as written by serializeFrontmatter
+ *
+ * Only `key: value` lines are read; anything else in the block is ignored.
+ * Text without frontmatter is returned whole as the body.
+ *
+ * @param {string} content - File contents
+ * @returns {{attributes: Object, body: string}}
+ */
+function parseFrontmatter(content) {
+  const text = String(content || '').replace(/\r\n/g, '\n');
+  const match = /^---\n([\s\S]*?)\n---(?:\n|$)/.exec(text);
+
+  if (!match) {
+    return { attributes: {}, body: text };
+  }
+
+  const attributes = {};
+  match[1].split('\n').forEach((line) => {
+    const pair = /^([A-Za-z_][\w-]*):\s*(.*)$/.exec(line);
+    if (pair) {
+      attributes[pair[1]] = unescapeYamlValue(pair[2]);
+    }
+  });
+
+  return { attributes, body: text.slice(match[0].length) };
+}
+
+module.exports = {
+  AGENT_NAME_PATTERN,
+  AGENT_MODELS,
+  TOOL_NAME_PATTERN,
+  escapeYamlValue,
+  serializeFrontmatter,
+  parseFrontmatter,
+};
@@ -1,5 +1,11 @@
-const { app } = require('electron');
+const { app, shell, dialog, BrowserWindow } = require('electron');
 const FileManager = require('./fileManager');
+const { AGENT_NAME_PATTERN, AGENT_MODELS, TOOL_NAME_PATTERN } = require('./frontmatter');
+const { LlmClient, PROVIDERS } = require('./llmProvider');
+const { stripNestedDocument } = require('./agentDocument');
+const { scanProject } = require('./projectScanner');
+const { SUPPORTED_EXTENSIONS, isSupportedDocument } = require('./documentExtractors');
+const PdfWorkerPool = require('./pdfWorkerPool');
 const fs = require('fs').promises;
 const path = require('path');
 
@@ -11,6 +17,11 @@ const path = require('path');
  */
 const fileManager = new FileManager(app);
 
+/**
+ * PDFs are parsed in worker threads so a large file can't freeze the window
+ */
+const pdfWorkerPool = new PdfWorkerPool();
+
 /**
  * SECURITY: Rate Limiting Implementation
  *
@@ -27,12 +38,32 @@ const RATE_LIMITS = {
   'save-agent': 10,           // 10 saves per minute (reasonable for normal use)
   'load-agents': 20,          // 20 loads per minute
   'get-existing-agents': 20,  // 20 loads per minute
+  'load-existing-agent': 20,  // 20 loads per minute
   'process-pdf': 5,           // 5 PDF uploads per minute (resource intensive)
+  'process-document': 20,     // 20 uploads per minute (a dropped folder holds several)
+  'cancel-document': 60,      // 60 per minute (lightweight)
+  'expand-dropped-paths': 20, // 20 drops per minute (reads folder listings)
   'load-settings': 30,        // 30 per minute (lightweight)
   'save-settings': 20,        // 20 per minute
   'load-template': 10,        // 10 per minute
+  'list-templates': 30,       // 30 per minute (lightweight)
+  'save-template': 10,        // 10 saves per minute
+  'delete-template': 20,      // 20 deletions per minute
+  'load-category-schema': 20, // 20 per minute
   'consult-agent': 30,        // 30 consultations per minute
   'get-app-version': 60,      // 60 per minute (very lightweight)
+  'llm-complete': 10,         // 10 completions per minute (network + cost)
+  'save-llm-api-key': 10,     // 10 per minute
+  'get-llm-status': 30,       // 30 per minute (lightweight)
+  'delete-agent': 20,         // 20 deletions per minute
+  'duplicate-agent': 10,      // 10 copies per minute
+  'open-agent-in-editor': 10, // 10 per minute (launches external programs)
+  'migrate-agent-files': 5,   // 5 per minute (rewrites saved agent files)
+  'export-agent': 10,         // 10 per minute (opens a native dialog)
+  'select-project-root': 10,  // 10 per minute (opens a native dialog)
+  'set-project-root': 10,     // 10 per minute
+  'get-project-info': 30,     // 30 per minute (lightweight)
+  'scan-project-folder': 5,   // 5 per minute (walks a whole codebase)
 };
 
 /**
@@ -66,6 +97,10 @@ function isRateLimited(channel) {
   return false;
 }
 
+// reproducible.sourceDate: a date, or a date and time with an explicit offset
+const SOURCE_DATE_PATTERN =
+  /^\d{4}-\d{2}-\d{2}(?:T\d{2}:\d{2}(?::\d{2}(?:\.\d{1,3})?)?(?:Z|[+-]\d{2}:\d{2}))?$/;
+
 /**
  * SECURITY: Input Validation Helpers
  *
@@ -89,6 +124,13 @@ const validators = {
       throw new Error('Invalid agent data: name too long (max 200 characters)');
     }
 
+    // Claude Code identifies subagents by lowercase-hyphen names
+    if (!AGENT_NAME_PATTERN.test(agentData.name)) {
+      throw new Error(
+        'Invalid agent data: name must use lowercase letters, numbers and hyphens (e.g. "api-validator")'
+      );
+    }
+
     if (!agentData.content || typeof agentData.content !== 'string') {
       throw new Error('Invalid agent data: content is required and must be a string');
     }
@@ -101,6 +143,130 @@ const validators = {
       throw new Error('Invalid agent data: metadata must be an object');
     }
 
+    if (agentData.metadata) {
+      this.validateAgentMetadata(agentData.metadata);
+    }
+
+    this.validateSaveOptions(agentData);
+
+    return true;
+  },
+
+  /**
+   * Validate the optional save target, conflict strategy and form data of a save request
+   */
+  validateSaveOptions(agentData) {
+    if (agentData.target !== undefined && !FileManager.SAVE_TARGETS.includes(agentData.target)) {
+      throw new Error(
+        `Invalid agent data: target must be one of ${FileManager.SAVE_TARGETS.join(', ')}`
+      );
+    }
+
+    if (
+      agentData.onConflict !== undefined &&
+      !FileManager.CONFLICT_STRATEGIES.includes(agentData.onConflict)
+    ) {
+      throw new Error(
+        `Invalid agent data: onConflict must be one of ${FileManager.CONFLICT_STRATEGIES.join(', ')}`
+      );
+    }
+
+    if (agentData.formData !== undefined) {
+      this.validateFormData(agentData.formData);
+    }
+
+    return true;
+  },
+
+  /**
+   * Validate the form data saved alongside an agent
+   *
+   * templateData maps category ids to lists of field values; manualEdits is
+   * an optional unified diff of edits made to the generated text, and
+   * contentHash the optional SHA-256 (hex) of that generated text.
+   */
+  validateFormData(formData) {
+    if (!formData || typeof formData !== 'object' || Array.isArray(formData)) {
+      throw new Error('Invalid agent data: formData must be an object');
+    }
+
+    const { templateData } = formData;
+    if (!templateData || typeof templateData !== 'object' || Array.isArray(templateData)) {
+      throw new Error('Invalid agent data: formData.templateData must be an object');
+    }
+
+    if (
+      formData.manualEdits !== undefined &&
+      (typeof formData.manualEdits !== 'string' || formData.manualEdits.length > 2000000)
+    ) {
+      throw new Error('Invalid agent data: formData.manualEdits must be a string (max 2MB)');
+    }
+
+    if (
+      formData.contentHash !== undefined &&
+      (typeof formData.contentHash !== 'string' || !/^[0-9a-f]{64}$/.test(formData.contentHash))
+    ) {
+      throw new Error('Invalid agent data: formData.contentHash must be a SHA-256 hex digest');
+    }
+
+    const categories = Object.entries(templateData);
+    if (categories.length > 50) {
+      throw new Error('Invalid agent data: too many template categories (max 50)');
+    }
+
+    categories.forEach(([category, fields]) => {
+      if (!/^[A-Za-z][A-Za-z0-9]{0,99}$/.test(category)) {
+        throw new Error('Invalid agent data: template category ids must be alphanumeric');
+      }
+
+      if (!Array.isArray(fields) || fields.length > 200) {
+        throw new Error(`Invalid agent data: ${category} must be an array (max 200 fields)`);
+      }
+
+      if (fields.some((field) => typeof field !== 'string' || field.length > 10000)) {
+        throw new Error(
+          `Invalid agent data: ${category} fields must be strings (max 10,000 characters)`
+        );
+      }
+    });
+
+    return true;
+  },
+
+  /**
+   * Validate the Claude Code frontmatter fields (description, tools, model)
+   */
+  validateAgentMetadata(metadata) {
+    const { description, tools, model } = metadata;
+
+    if (description !== undefined) {
+      if (typeof description !== 'string') {
+        throw new Error('Invalid agent data: description must be a string');
+      }
+
+      if (description.length > 1000) {
+        throw new Error('Invalid agent data: description too long (max 1000 characters)');
+      }
+    }
+
+    if (tools !== undefined) {
+      if (!Array.isArray(tools) || tools.length > 50) {
+        throw new Error('Invalid agent data: tools must be an array (max 50 entries)');
+      }
+
+      tools.forEach((tool) => {
+        if (typeof tool !== 'string' || !TOOL_NAME_PATTERN.test(tool)) {
+          throw new Error(
+            'Invalid agent data: tool names may only contain letters, numbers, hyphens and underscores'
+          );
+        }
+      });
+    }
+
+    if (model !== undefined && model !== '' && !AGENT_MODELS.includes(model)) {
+      throw new Error(`Invalid agent data: model must be one of ${AGENT_MODELS.join(', ')}`);
+    }
+
     return true;
   },
 
@@ -124,6 +290,198 @@ const validators = {
       }
     });
 
+    if (settings.saveTarget !== undefined && !FileManager.SAVE_TARGETS.includes(settings.saveTarget)) {
+      throw new Error(
+        `Invalid settings: saveTarget must be one of ${FileManager.SAVE_TARGETS.join(', ')}`
+      );
+    }
+
+    if (settings.templateId !== undefined) {
+      this.validateTemplateId(settings.templateId);
+    }
+
+    // SECURITY: The project root decides where files are read and written, so it
+    // can only change through the folder picker (select-project-root/set-project-root)
+    if ('projectRoot' in settings || 'recentProjects' in settings) {
+      throw new Error('Invalid settings: use the project picker to change projects');
+    }
+
+    if (settings.llm !== undefined) {
+      this.validateLlmSettings(settings.llm);
+    }
+
+    if (settings.reproducible !== undefined) {
+      this.validateReproducibleSettings(settings.reproducible);
+    }
+
+    return true;
+  },
+
+  /**
+   * Validate a template library id ("builtin/<slug>" or "project/<slug>")
+   */
+  validateTemplateId(templateId) {
+    if (typeof templateId !== 'string' || !FileManager.TEMPLATE_ID_PATTERN.test(templateId)) {
+      throw new Error('Invalid template id');
+    }
+
+    return true;
+  },
+
+  /**
+   * Validate a template saved to the project library
+   */
+  validateTemplate(template) {
+    if (!template || typeof template !== 'object') {
+      throw new Error('Invalid template: must be an object');
+    }
+
+    const { name, description, placeholders, content } = template;
+
+    if (typeof name !== 'string' || !name.trim() || name.length > 100) {
+      throw new Error('Invalid template: name is required (max 100 characters)');
+    }
+
+    if (
+      description !== undefined &&
+      (typeof description !== 'string' || description.length > 1000)
+    ) {
+      throw new Error('Invalid template: description must be a string (max 1000 characters)');
+    }
+
+    if (placeholders !== undefined) {
+      this.validateTemplatePlaceholders(placeholders);
+    }
+
+    if (!content || typeof content !== 'string') {
+      throw new Error('Invalid template: content is required and must be a string');
+    }
+
+    if (content.length > 256 * 1024) {
+      throw new Error('Invalid template: content too large (max 256KB)');
+    }
+
+    return true;
+  },
+
+  /**
+   * Validate the placeholder list declared by a template
+   */
+  validateTemplatePlaceholders(placeholders) {
+    if (!Array.isArray(placeholders) || placeholders.length > 100) {
+      throw new Error('Invalid template: placeholders must be an array (max 100 entries)');
+    }
+
+    const isToken = (token) => typeof token === 'string' && /^\[[A-Z0-9_]+\]$/.test(token);
+    if (!placeholders.every(isToken)) {
+      throw new Error('Invalid template: placeholders must look like [UPPER_CASE]');
+    }
+
+    return true;
+  },
+
+  /**
+   * Validate LLM backend settings
+   *
+   * SECURITY: baseUrl must be http(s) so the main process can't be pointed at
+   * file:// or other schemes. API keys are rejected here; they go through
+   * save-llm-api-key instead.
+   */
+  validateLlmSettings(llm) {
+    if (!llm || typeof llm !== 'object') {
+      throw new Error('Invalid settings: llm must be an object');
+    }
+
+    if (llm.enabled !== undefined && typeof llm.enabled !== 'boolean') {
+      throw new Error('Invalid settings: llm.enabled must be a boolean');
+    }
+
+    if (llm.provider !== undefined && !Object.keys(PROVIDERS).includes(llm.provider)) {
+      throw new Error(
+        `Invalid settings: llm.provider must be one of ${Object.keys(PROVIDERS).join(', ')}`
+      );
+    }
+
+    if (llm.baseUrl) {
+      let url;
+      try {
+        url = new URL(llm.baseUrl);
+      } catch (error) {
+        throw new Error('Invalid settings: llm.baseUrl must be a valid URL');
+      }
+
+      if (!['http:', 'https:'].includes(url.protocol)) {
+        throw new Error('Invalid settings: llm.baseUrl must use http or https');
+      }
+    }
+
+    if (llm.model !== undefined && (typeof llm.model !== 'string' || llm.model.length > 200)) {
+      throw new Error('Invalid settings: llm.model must be a string (max 200 characters)');
+    }
+
+    if ('apiKey' in llm) {
+      throw new Error('Invalid settings: API keys must be saved separately');
+    }
+
+    return true;
+  },
+
+  /**
+   * Validate the reproducible output settings
+   *
+   * sourceDate replaces the current time in generated files. A time needs an
+   * explicit offset, otherwise the output would depend on the machine's time zone.
+   */
+  validateReproducibleSettings(reproducible) {
+    if (!reproducible || typeof reproducible !== 'object') {
+      throw new Error('Invalid settings: reproducible must be an object');
+    }
+
+    if (reproducible.enabled !== undefined && typeof reproducible.enabled !== 'boolean') {
+      throw new Error('Invalid settings: reproducible.enabled must be a boolean');
+    }
+
+    const { sourceDate } = reproducible;
+    if (
+      sourceDate !== undefined &&
+      sourceDate !== '' &&
+      (typeof sourceDate !== 'string' ||
+        !SOURCE_DATE_PATTERN.test(sourceDate) ||
+        Number.isNaN(Date.parse(sourceDate)))
+    ) {
+      throw new Error(
+        'Invalid settings: reproducible.sourceDate must be a date such as 2024-01-31 or 2024-01-31T12:00:00Z'
+      );
+    }
+
+    return true;
+  },
+
+  /**
+   * Validate an LLM completion request
+   */
+  validateLlmRequest(request) {
+    if (!request || typeof request !== 'object') {
+      throw new Error('Invalid LLM request: must be an object');
+    }
+
+    const { requestId } = request;
+    if (!requestId || typeof requestId !== 'string' || requestId.length > 100) {
+      throw new Error('Invalid LLM request: requestId is required');
+    }
+
+    if (!request.prompt || typeof request.prompt !== 'string') {
+      throw new Error('Invalid LLM request: prompt is required and must be a string');
+    }
+
+    if (request.system !== undefined && typeof request.system !== 'string') {
+      throw new Error('Invalid LLM request: system must be a string');
+    }
+
+    if (request.prompt.length + (request.system || '').length > 500000) {
+      throw new Error('Invalid LLM request: prompt too large (max 500,000 characters)');
+    }
+
     return true;
   },
 
@@ -164,6 +522,106 @@ const validators = {
     }
   },
 
+  /**
+   * Validate a context document path: a supported type, then the checks of validatePdfPath
+   */
+  validateDocumentPath(filePath) {
+    if (typeof filePath === 'string' && !isSupportedDocument(filePath)) {
+      throw new Error(
+        `Unsupported document type: supported types are ${SUPPORTED_EXTENSIONS.join(', ')}`
+      );
+    }
+
+    return this.validatePdfPath(filePath);
+  },
+
+  /**
+   * Validate the id the renderer gives a document to follow its progress and cancel it
+   */
+  validateRequestId(requestId) {
+    if (!requestId || typeof requestId !== 'string' || requestId.length > 100) {
+      throw new Error('Invalid request id: must be a non-empty string (max 100 characters)');
+    }
+
+    return true;
+  },
+
+  /**
+   * Validate the paths of files and folders dropped on the upload area
+   */
+  validateDroppedPaths(paths) {
+    if (!Array.isArray(paths) || paths.length === 0 || paths.length > 100) {
+      throw new Error('Invalid drop: expected 1 to 100 paths');
+    }
+
+    paths.forEach((droppedPath) => {
+      if (typeof droppedPath !== 'string' || !path.isAbsolute(droppedPath)) {
+        throw new Error('Invalid drop: paths must be absolute strings');
+      }
+    });
+
+    return true;
+  },
+
+  /**
+   * Validate a generated agent file name
+   *
+   * SECURITY: FileManager.resolveGeneratedAgentPath performs the path
+   * confinement check; this rejects obviously malformed input early.
+   */
+  validateAgentFileName(fileName) {
+    if (!fileName || typeof fileName !== 'string') {
+      throw new Error('Invalid file name: must be a non-empty string');
+    }
+
+    if (fileName.length > 210) {
+      throw new Error('Invalid file name: too long (max 210 characters)');
+    }
+
+    if (!fileName.endsWith('.md') || /[/\\]/.test(fileName)) {
+      throw new Error('Invalid file name: must be a Markdown file name without directories');
+    }
+
+    return true;
+  },
+
+  /**
+   * Validate an export-agent request: a known format plus the fields of a save
+   */
+  validateExportData(exportData) {
+    if (!exportData || typeof exportData !== 'object') {
+      throw new Error('Invalid export: must be an object');
+    }
+
+    if (!Object.hasOwn(FileManager.EXPORT_FORMATS, exportData.format)) {
+      throw new Error(
+        `Invalid export: format must be one of ${Object.keys(FileManager.EXPORT_FORMATS).join(', ')}`
+      );
+    }
+
+    const { name, content, metadata } = exportData;
+    return this.validateAgentData({ name, content, metadata });
+  },
+
+  /**
+   * Validate migrate-agent-files options
+   */
+  validateMigrationOptions(options) {
+    if (options === undefined) {
+      return true;
+    }
+
+    if (!options || typeof options !== 'object' || Array.isArray(options)) {
+      throw new Error('Invalid migration options: must be an object');
+    }
+
+    if (options.dryRun !== undefined && typeof options.dryRun !== 'boolean') {
+      throw new Error('Invalid migration options: dryRun must be a boolean');
+    }
+
+    return true;
+  },
+
   /**
    * Validate agent type string
    */
@@ -227,6 +685,29 @@ function setupIpcHandlers(ipcMain, _mainWindow) {
     }
   });
 
+  /**
+   * HANDLER: expand-dropped-paths
+   * SECURITY: Rate limited, input validated, error sanitized; only file names
+   * and paths of documents are returned, never file contents
+   */
+  ipcMain.handle('expand-dropped-paths', async (event, paths) => {
+    try {
+      // Rate limit check
+      if (isRateLimited('expand-dropped-paths')) {
+        return { success: false, error: 'Rate limit exceeded. Please try again later.' };
+      }
+
+      // Input validation
+      validators.validateDroppedPaths(paths);
+
+      const result = await fileManager.expandDroppedPaths(paths);
+      return { success: true, ...result };
+    } catch (error) {
+      console.error('Error expanding dropped paths:', error);
+      return { success: false, error: sanitizeErrorMessage(error) };
+    }
+  });
+
   /**
    * HANDLER: load-agents
    * SECURITY: Rate limited, error sanitized
@@ -265,6 +746,28 @@ function setupIpcHandlers(ipcMain, _mainWindow) {
     }
   });
 
+  /**
+   * HANDLER: load-existing-agent
+   * SECURITY: Rate limited, input validated, path confined to .claude/agents, error sanitized
+   */
+  ipcMain.handle('load-existing-agent', async (event, agentType) => {
+    try {
+      // Rate limit check
+      if (isRateLimited('load-existing-agent')) {
+        return { success: false, error: 'Rate limit exceeded. Please try again later.' };
+      }
+
+      // Input validation
+      validators.validateAgentType(agentType);
+
+      const agent = await fileManager.loadExistingAgent(agentType);
+      return { success: true, agent };
+    } catch (error) {
+      console.error('Error loading existing agent:', error);
+      return { success: false, error: sanitizeErrorMessage(error) };
+    }
+  });
+
   /**
    * HANDLER: process-pdf
    * SECURITY: Rate limited, path validated, file size checked, error sanitized
@@ -279,23 +782,75 @@ function setupIpcHandlers(ipcMain, _mainWindow) {
       // Input validation (includes file size check)
       await validators.validatePdfPath(filePath);
 
-      const pdfParse = require('pdf-parse');
+      const { text, pages, info } = await pdfWorkerPool.parse(filePath);
 
-      const dataBuffer = await fs.readFile(filePath);
-      const pdfData = await pdfParse(dataBuffer);
-
-      return {
-        success: true,
-        text: pdfData.text,
-        pages: pdfData.numpages,
-        info: pdfData.info,
-      };
+      return { success: true, text, pages, info };
     } catch (error) {
       console.error('Error processing PDF:', error);
       return { success: false, error: sanitizeErrorMessage(error) };
     }
   });
 
+  /**
+   * HANDLER: process-document
+   * SECURITY: Rate limited, path and type validated, file size checked, error sanitized
+   *
+   * Every format is extracted in the worker pool, off the main process. With a
+   * requestId, PDF progress is sent to the requesting window as `document-progress`
+   * events ({ requestId, page, pages }) and the job can be stopped with cancel-document.
+   */
+  ipcMain.handle('process-document', async (event, filePath, requestId) => {
+    try {
+      // Rate limit check
+      if (isRateLimited('process-document')) {
+        return { success: false, error: 'Rate limit exceeded. Please try again later.' };
+      }
+
+      // Input validation (includes type and file size checks)
+      await validators.validateDocumentPath(filePath);
+      if (requestId !== undefined) {
+        validators.validateRequestId(requestId);
+      }
+
+      const document = await pdfWorkerPool.parse(filePath, {
+        jobId: requestId,
+        onProgress: ({ page, pages }) => {
+          if (requestId && !event.sender.isDestroyed()) {
+            event.sender.send('document-progress', { requestId, page, pages });
+          }
+        },
+      });
+      return { success: true, ...document };
+    } catch (error) {
+      if (error.code === PdfWorkerPool.PDF_JOB_CANCELED) {
+        return { success: false, canceled: true, error: error.message };
+      }
+      console.error('Error processing document:', error);
+      return { success: false, error: sanitizeErrorMessage(error) };
+    }
+  });
+
+  /**
+   * HANDLER: cancel-document
+   * SECURITY: Rate limited, input validated; only stops work started by process-document
+   */
+  ipcMain.handle('cancel-document', (event, requestId) => {
+    try {
+      // Rate limit check
+      if (isRateLimited('cancel-document')) {
+        return { success: false, error: 'Rate limit exceeded. Please try again later.' };
+      }
+
+      // Input validation
+      validators.validateRequestId(requestId);
+
+      return { success: true, canceled: pdfWorkerPool.cancel(requestId) };
+    } catch (error) {
+      console.error('Error canceling document:', error);
+      return { success: false, error: sanitizeErrorMessage(error) };
+    }
+  });
+
   /**
    * HANDLER: load-settings
    * SECURITY: Rate limited, error sanitized
@@ -341,21 +896,107 @@ function setupIpcHandlers(ipcMain, _mainWindow) {
    * HANDLER: load-template
    * SECURITY: Rate limited, error sanitized
    */
-  ipcMain.handle('load-template', async () => {
+  ipcMain.handle('load-template', async (event, templateId = FileManager.DEFAULT_TEMPLATE_ID) => {
     try {
       // Rate limit check
       if (isRateLimited('load-template')) {
         return { success: false, error: 'Rate limit exceeded. Please try again later.' };
       }
 
-      const template = await fileManager.loadTemplate();
-      return { success: true, template };
+      // Input validation
+      validators.validateTemplateId(templateId);
+
+      // `template` stays the template text for older callers; metadata goes in `info`
+      const { content, ...info } = await fileManager.loadTemplate(templateId);
+      return { success: true, template: content, info };
     } catch (error) {
       console.error('Error loading template:', error);
       return { success: false, error: sanitizeErrorMessage(error) };
     }
   });
 
+  /**
+   * HANDLER: list-templates
+   * SECURITY: Rate limited, error sanitized; only lists the template directories
+   */
+  ipcMain.handle('list-templates', async () => {
+    try {
+      // Rate limit check
+      if (isRateLimited('list-templates')) {
+        return { success: false, error: 'Rate limit exceeded. Please try again later.' };
+      }
+
+      const templates = await fileManager.listTemplates();
+      return { success: true, templates };
+    } catch (error) {
+      console.error('Error listing templates:', error);
+      return { success: false, error: sanitizeErrorMessage(error) };
+    }
+  });
+
+  /**
+   * HANDLER: save-template
+   * SECURITY: Rate limited, input validated, writes only to <project>/.claude/templates
+   */
+  ipcMain.handle('save-template', async (event, template) => {
+    try {
+      // Rate limit check
+      if (isRateLimited('save-template')) {
+        return { success: false, error: 'Rate limit exceeded. Please try again later.' };
+      }
+
+      // Input validation
+      validators.validateTemplate(template);
+
+      const info = await fileManager.saveTemplate(template);
+      return { success: true, template: info };
+    } catch (error) {
+      console.error('Error saving template:', error);
+      return { success: false, error: sanitizeErrorMessage(error) };
+    }
+  });
+
+  /**
+   * HANDLER: delete-template
+   * SECURITY: Rate limited, id validated; built-in templates are refused
+   */
+  ipcMain.handle('delete-template', async (event, templateId) => {
+    try {
+      // Rate limit check
+      if (isRateLimited('delete-template')) {
+        return { success: false, error: 'Rate limit exceeded. Please try again later.' };
+      }
+
+      // Input validation
+      validators.validateTemplateId(templateId);
+
+      const result = await fileManager.deleteTemplate(templateId);
+      return { success: true, ...result };
+    } catch (error) {
+      console.error('Error deleting template:', error);
+      return { success: false, error: sanitizeErrorMessage(error) };
+    }
+  });
+
+  /**
+   * HANDLER: load-category-schema
+   * SECURITY: Rate limited, error sanitized; reads a fixed file name in the project
+   */
+  ipcMain.handle('load-category-schema', async () => {
+    try {
+      // Rate limit check
+      if (isRateLimited('load-category-schema')) {
+        return { success: false, error: 'Rate limit exceeded. Please try again later.' };
+      }
+
+      const schema = await fileManager.loadCategorySchema();
+      return { success: true, schema };
+    } catch (error) {
+      console.error('Error loading category schema:', error);
+      return { success: false, error: sanitizeErrorMessage(error) };
+    }
+  });
+
   /**
    * HANDLER: get-app-version
    * SECURITY: Rate limited (lightweight operation)
@@ -403,6 +1044,338 @@ function setupIpcHandlers(ipcMain, _mainWindow) {
       return { success: false, error: sanitizeErrorMessage(error) };
     }
   });
+
+  /**
+   * HANDLER: llm-complete
+   * SECURITY: Rate limited, input validated, API key never leaves main process
+   *
+   * Streams text deltas to the requesting window as `llm-token` events
+   * ({ requestId, token }) and resolves with the full text.
+   */
+  ipcMain.handle('llm-complete', async (event, request) => {
+    try {
+      // Rate limit check
+      if (isRateLimited('llm-complete')) {
+        return { success: false, error: 'Rate limit exceeded. Please try again later.' };
+      }
+
+      // Input validation
+      validators.validateLlmRequest(request);
+
+      const { llm } = fileManager.loadSettings();
+      if (!llm.enabled) {
+        throw new Error('LLM backend is disabled in settings');
+      }
+
+      const client = new LlmClient({ ...llm, apiKey: fileManager.getApiKey(llm.provider) });
+      const text = await client.complete({
+        system: request.system,
+        prompt: request.prompt,
+        onToken: (token) => {
+          if (!event.sender.isDestroyed()) {
+            event.sender.send('llm-token', { requestId: request.requestId, token });
+          }
+        },
+      });
+
+      // Models sometimes copy the file header and footer from an old agent into the body
+      return { success: true, text: stripNestedDocument(text).body };
+    } catch (error) {
+      console.error('Error running LLM completion:', error);
+      return { success: false, error: sanitizeErrorMessage(error) };
+    }
+  });
+
+  /**
+   * HANDLER: save-llm-api-key
+   * SECURITY: Rate limited, input validated; an empty key deletes the stored key
+   */
+  ipcMain.handle('save-llm-api-key', (event, provider, apiKey) => {
+    try {
+      // Rate limit check
+      if (isRateLimited('save-llm-api-key')) {
+        return { success: false, error: 'Rate limit exceeded. Please try again later.' };
+      }
+
+      // Input validation
+      if (!Object.keys(PROVIDERS).includes(provider)) {
+        throw new Error('Invalid provider');
+      }
+
+      if (typeof apiKey !== 'string' || apiKey.length > 500 || /\s/.test(apiKey)) {
+        throw new Error('Invalid API key format');
+      }
+
+      fileManager.saveApiKey(provider, apiKey);
+      return { success: true, hasApiKey: Boolean(apiKey) };
+    } catch (error) {
+      console.error('Error saving API key:', error);
+      return { success: false, error: sanitizeErrorMessage(error) };
+    }
+  });
+
+  /**
+   * HANDLER: get-llm-status
+   * SECURITY: Rate limited; reports whether keys exist, never the keys themselves
+   */
+  ipcMain.handle('get-llm-status', () => {
+    try {
+      // Rate limit check
+      if (isRateLimited('get-llm-status')) {
+        return { success: false, error: 'Rate limit exceeded. Please try again later.' };
+      }
+
+      const providers = Object.entries(PROVIDERS).map(([id, provider]) => ({
+        id,
+        label: provider.label,
+        defaultBaseUrl: provider.baseUrl,
+        defaultModel: provider.model,
+        requiresApiKey: provider.requiresApiKey,
+        hasApiKey: fileManager.hasApiKey(id),
+      }));
+
+      return { success: true, providers };
+    } catch (error) {
+      console.error('Error loading LLM status:', error);
+      return { success: false, error: sanitizeErrorMessage(error) };
+    }
+  });
+
+  /**
+   * HANDLER: delete-agent
+   * SECURITY: Rate limited, file name validated and confined to generated-agents
+   */
+  ipcMain.handle('delete-agent', async (event, fileName) => {
+    try {
+      // Rate limit check
+      if (isRateLimited('delete-agent')) {
+        return { success: false, error: 'Rate limit exceeded. Please try again later.' };
+      }
+
+      // Input validation
+      validators.validateAgentFileName(fileName);
+
+      const result = await fileManager.deleteGeneratedAgent(fileName);
+      return { success: true, ...result };
+    } catch (error) {
+      console.error('Error deleting agent:', error);
+      return { success: false, error: sanitizeErrorMessage(error) };
+    }
+  });
+
+  /**
+   * HANDLER: duplicate-agent
+   * SECURITY: Rate limited, file name validated and confined to generated-agents
+   */
+  ipcMain.handle('duplicate-agent', async (event, fileName) => {
+    try {
+      // Rate limit check
+      if (isRateLimited('duplicate-agent')) {
+        return { success: false, error: 'Rate limit exceeded. Please try again later.' };
+      }
+
+      // Input validation
+      validators.validateAgentFileName(fileName);
+
+      const result = await fileManager.duplicateGeneratedAgent(fileName);
+      return { success: true, ...result };
+    } catch (error) {
+      console.error('Error duplicating agent:', error);
+      return { success: false, error: sanitizeErrorMessage(error) };
+    }
+  });
+
+  /**
+   * HANDLER: open-agent-in-editor
+   * SECURITY: Rate limited, file name validated and confined to generated-agents;
+   * only existing .md files are handed to the OS default application
+   */
+  ipcMain.handle('open-agent-in-editor', async (event, fileName) => {
+    try {
+      // Rate limit check
+      if (isRateLimited('open-agent-in-editor')) {
+        return { success: false, error: 'Rate limit exceeded. Please try again later.' };
+      }
+
+      // Input validation
+      validators.validateAgentFileName(fileName);
+
+      const filePath = fileManager.resolveGeneratedAgentPath(fileName);
+      await fs.access(filePath);
+
+      // shell.openPath resolves with an error message, or '' on success
+      const openError = await shell.openPath(filePath);
+      if (openError) {
+        throw new Error(openError);
+      }
+
+      return { success: true };
+    } catch (error) {
+      console.error('Error opening agent in editor:', error);
+      return { success: false, error: sanitizeErrorMessage(error) };
+    }
+  });
+
+  /**
+   * HANDLER: migrate-agent-files
+   * SECURITY: Rate limited; only .md files in the save target directories are
+   * read, and only files with a nested header are rewritten
+   */
+  ipcMain.handle('migrate-agent-files', async (event, options) => {
+    try {
+      // Rate limit check
+      if (isRateLimited('migrate-agent-files')) {
+        return { success: false, error: 'Rate limit exceeded. Please try again later.' };
+      }
+
+      // Input validation
+      validators.validateMigrationOptions(options);
+
+      const dryRun = Boolean(options && options.dryRun);
+      const files = await fileManager.migrateAgentFiles({ dryRun });
+      return { success: true, files, dryRun };
+    } catch (error) {
+      console.error('Error migrating agent files:', error);
+      return { success: false, error: sanitizeErrorMessage(error) };
+    }
+  });
+
+  /**
+   * HANDLER: export-agent
+   * SECURITY: Rate limited, input validated, error sanitized; the path comes
+   * from the native save dialog, not the renderer
+   */
+  ipcMain.handle('export-agent', async (event, exportData) => {
+    try {
+      // Rate limit check
+      if (isRateLimited('export-agent')) {
+        return { success: false, error: 'Rate limit exceeded. Please try again later.' };
+      }
+
+      // Input validation
+      validators.validateExportData(exportData);
+
+      const { extension, filterName } = FileManager.EXPORT_FORMATS[exportData.format];
+      const result = await dialog.showSaveDialog(BrowserWindow.fromWebContents(event.sender), {
+        title: 'Export agent',
+        defaultPath: `${fileManager.slugify(exportData.name)}.${extension}`,
+        filters: [{ name: filterName, extensions: [extension] }],
+      });
+
+      if (result.canceled || !result.filePath) {
+        return { success: true, canceled: true };
+      }
+
+      const exported = await fileManager.exportAgent(result.filePath, exportData);
+      return { success: true, canceled: false, ...exported };
+    } catch (error) {
+      console.error('Error exporting agent:', error);
+      return { success: false, error: sanitizeErrorMessage(error) };
+    }
+  });
+
+  /**
+   * HANDLER: select-project-root
+   * SECURITY: Rate limited; the path comes from the native folder dialog, not the renderer
+   */
+  ipcMain.handle('select-project-root', async (event) => {
+    try {
+      // Rate limit check
+      if (isRateLimited('select-project-root')) {
+        return { success: false, error: 'Rate limit exceeded. Please try again later.' };
+      }
+
+      const result = await dialog.showOpenDialog(BrowserWindow.fromWebContents(event.sender), {
+        title: 'Select project folder',
+        properties: ['openDirectory', 'createDirectory'],
+      });
+
+      if (result.canceled || result.filePaths.length === 0) {
+        return { success: true, canceled: true };
+      }
+
+      const project = await fileManager.openProject(result.filePaths[0]);
+      return { success: true, canceled: false, project };
+    } catch (error) {
+      console.error('Error selecting project:', error);
+      return { success: false, error: sanitizeErrorMessage(error) };
+    }
+  });
+
+  /**
+   * HANDLER: set-project-root
+   * SECURITY: Rate limited; only a project from the recent list (picked earlier
+   * through the dialog) or null (back to the app directory) is accepted
+   */
+  ipcMain.handle('set-project-root', async (event, projectRoot) => {
+    try {
+      // Rate limit check
+      if (isRateLimited('set-project-root')) {
+        return { success: false, error: 'Rate limit exceeded. Please try again later.' };
+      }
+
+      // Input validation
+      if (projectRoot !== null) {
+        const { recentProjects } = fileManager.loadSettings();
+        if (typeof projectRoot !== 'string' || !recentProjects.includes(projectRoot)) {
+          throw new Error('Invalid project: choose the folder with the project picker first');
+        }
+      }
+
+      const project = await fileManager.openProject(projectRoot);
+      return { success: true, project };
+    } catch (error) {
+      console.error('Error setting project root:', error);
+      return { success: false, error: sanitizeErrorMessage(error) };
+    }
+  });
+
+  /**
+   * HANDLER: get-project-info
+   * SECURITY: Rate limited (lightweight operation)
+   */
+  ipcMain.handle('get-project-info', () => {
+    try {
+      // Rate limit check
+      if (isRateLimited('get-project-info')) {
+        return { success: false, error: 'Rate limit exceeded. Please try again later.' };
+      }
+
+      return { success: true, project: fileManager.getProjectInfo() };
+    } catch (error) {
+      console.error('Error loading project info:', error);
+      return { success: false, error: sanitizeErrorMessage(error) };
+    }
+  });
+
+  /**
+   * HANDLER: scan-project-folder
+   * SECURITY: Rate limited; the folder comes from the native folder dialog, not
+   * the renderer, and only a summary (plus CLAUDE.md) is returned, never source files
+   */
+  ipcMain.handle('scan-project-folder', async (event) => {
+    try {
+      // Rate limit check
+      if (isRateLimited('scan-project-folder')) {
+        return { success: false, error: 'Rate limit exceeded. Please try again later.' };
+      }
+
+      const result = await dialog.showOpenDialog(BrowserWindow.fromWebContents(event.sender), {
+        title: 'Add project folder as context',
+        properties: ['openDirectory'],
+      });
+
+      if (result.canceled || result.filePaths.length === 0) {
+        return { success: true, canceled: true };
+      }
+
+      const project = await scanProject(result.filePaths[0]);
+      return { success: true, canceled: false, project };
+    } catch (error) {
+      console.error('Error scanning project folder:', error);
+      return { success: false, error: sanitizeErrorMessage(error) };
+    }
+  });
 }
 
 module.exports = { setupIpcHandlers };
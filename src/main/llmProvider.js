@@ -0,0 +1,222 @@
+/**
+ * LLM Provider Abstraction
+ *
+ * Lets the Head Architect call a real model from the main process.
+ * Two wire formats are supported:
+ * - anthropic: Anthropic Messages API (`POST /v1/messages`)
+ * - openai: OpenAI-compatible chat completions (`POST /chat/completions`),
+ *   which covers local servers such as Ollama, LM Studio and llama.cpp
+ *
+ * Both are called with streaming enabled; text deltas are passed to
+ * `onToken` as they arrive and the full text is returned at the end.
+ *
+ * SECURITY: Runs in the main process only so API keys never reach the renderer.
+ */
+
+const PROVIDERS = {
+  anthropic: {
+    label: 'Anthropic Messages API',
+    baseUrl: 'https://api.anthropic.com',
+    model: 'claude-3-5-sonnet-latest',
+    requiresApiKey: true,
+  },
+  openai: {
+    label: 'OpenAI-compatible endpoint',
+    baseUrl: 'http://localhost:11434/v1',
+    model: 'llama3.1',
+    requiresApiKey: false,
+  },
+};
+
+const ANTHROPIC_VERSION = '2023-06-01';
+const DEFAULT_MAX_TOKENS = 4096;
+const DEFAULT_TIMEOUT = 120000; // 2 minutes
+
+/**
+ * Read a Server-Sent Events stream and call onEvent for each `data:` payload
+ *
+ * @param {ReadableStream} body - fetch response body
+ * @param {Function} onEvent - Called with (data, eventName)
+ */
+async function readSseStream(body, onEvent) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const flushEvent = (rawEvent) => {
+    let eventName = 'message';
+    const dataLines = [];
+
+    rawEvent.split('\n').forEach((line) => {
+      if (line.startsWith('event:')) {
+        eventName = line.slice(6).trim();
+      } else if (line.startsWith('data:')) {
+        dataLines.push(line.slice(5).replace(/^ /, ''));
+      }
+    });
+
+    if (dataLines.length > 0) {
+      onEvent(dataLines.join('\n'), eventName);
+    }
+  };
+
+  for await (const chunk of body) {
+    // Normalized on the whole buffer so a \r\n split across two chunks still joins
+    buffer = (buffer + decoder.decode(chunk, { stream: true })).replace(/\r\n/g, '\n');
+
+    let boundary = buffer.indexOf('\n\n');
+    while (boundary !== -1) {
+      flushEvent(buffer.slice(0, boundary));
+      buffer = buffer.slice(boundary + 2);
+      boundary = buffer.indexOf('\n\n');
+    }
+  }
+
+  if (buffer.trim()) {
+    flushEvent(buffer);
+  }
+}
+
+class LlmClient {
+  /**
+   * @param {Object} config
+   * @param {string} config.provider - 'anthropic' or 'openai'
+   * @param {string} config.baseUrl - API base URL (defaults per provider)
+   * @param {string} config.model - Model identifier
+   * @param {string} config.apiKey - API key (optional for local endpoints)
+   * @param {number} config.maxTokens - Maximum tokens to generate
+   */
+  constructor(config) {
+    const defaults = PROVIDERS[config.provider];
+    if (!defaults) {
+      throw new Error(`Unknown LLM provider: ${config.provider}`);
+    }
+
+    this.provider = config.provider;
+    this.baseUrl = (config.baseUrl || defaults.baseUrl).replace(/\/+$/, '');
+    this.model = config.model || defaults.model;
+    this.apiKey = config.apiKey || '';
+    this.maxTokens = config.maxTokens || DEFAULT_MAX_TOKENS;
+    this.timeout = config.timeout || DEFAULT_TIMEOUT;
+
+    if (defaults.requiresApiKey && !this.apiKey) {
+      throw new Error('An API key is required for this provider');
+    }
+  }
+
+  /**
+   * Run a completion, streaming text deltas to onToken
+   *
+   * @param {Object} request
+   * @param {string} request.system - System prompt
+   * @param {string} request.prompt - User prompt
+   * @param {Function} request.onToken - Called with each text delta
+   * @returns {Promise<string>} Full completion text
+   */
+  async complete({ system, prompt, onToken = () => {} }) {
+    const { url, headers, body } =
+      this.provider === 'anthropic'
+        ? this.buildAnthropicRequest(system, prompt)
+        : this.buildOpenAiRequest(system, prompt);
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeout);
+
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json', ...headers },
+        body: JSON.stringify(body),
+        signal: controller.signal,
+      });
+
+      if (!response.ok) {
+        // Don't forward the response body: it may echo request headers
+        throw new Error(`LLM request failed with status ${response.status}`);
+      }
+
+      let text = '';
+      await readSseStream(response.body, (data, eventName) => {
+        const token = this.extractToken(data, eventName);
+        if (token) {
+          text += token;
+          onToken(token);
+        }
+      });
+
+      return text;
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw new Error('LLM request timed out');
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  buildAnthropicRequest(system, prompt) {
+    return {
+      url: `${this.baseUrl}/v1/messages`,
+      headers: {
+        'x-api-key': this.apiKey,
+        'anthropic-version': ANTHROPIC_VERSION,
+      },
+      body: {
+        model: this.model,
+        max_tokens: this.maxTokens,
+        system,
+        messages: [{ role: 'user', content: prompt }],
+        stream: true,
+      },
+    };
+  }
+
+  buildOpenAiRequest(system, prompt) {
+    return {
+      url: `${this.baseUrl}/chat/completions`,
+      headers: this.apiKey ? { authorization: `Bearer ${this.apiKey}` } : {},
+      body: {
+        model: this.model,
+        max_tokens: this.maxTokens,
+        messages: [
+          { role: 'system', content: system },
+          { role: 'user', content: prompt },
+        ],
+        stream: true,
+      },
+    };
+  }
+
+  /**
+   * Pull the text delta out of a single stream event
+   *
+   * @returns {string} Text delta, or '' for non-text events
+   */
+  extractToken(data, eventName) {
+    if (data === '[DONE]') {
+      return '';
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(data);
+    } catch (error) {
+      return '';
+    }
+
+    if (eventName === 'error' || payload.type === 'error' || payload.error) {
+      const message = payload.error?.message || 'unknown error';
+      throw new Error(`LLM stream error: ${message}`);
+    }
+
+    if (this.provider === 'anthropic') {
+      return payload.type === 'content_block_delta' && payload.delta?.type === 'text_delta'
+        ? payload.delta.text
+        : '';
+    }
+
+    return payload.choices?.[0]?.delta?.content || '';
+  }
+}
+
+module.exports = { LlmClient, PROVIDERS, readSseStream };
@@ -0,0 +1,26 @@
+/**
+ * PDF Worker
+ *
+ * Worker thread started by PdfWorkerPool. It extracts one document at a
+ * time, so pdf-parse, DOCX inflating and HTML clean-up never block the main
+ * process. Progress messages are only sent for PDFs.
+ *
+ * Messages in:  { jobId, filePath }
+ * Messages out: { jobId, type: 'progress', page, pages }
+ *               { jobId, type: 'done', document }    document is { text, pages, info }
+ *               { jobId, type: 'error', message }
+ */
+
+const { parentPort } = require('worker_threads');
+const { extractDocument } = require('./documentExtractors');
+
+parentPort.on('message', async ({ jobId, filePath }) => {
+  try {
+    const document = await extractDocument(filePath, (page, pages) => {
+      parentPort.postMessage({ jobId, type: 'progress', page, pages });
+    });
+    parentPort.postMessage({ jobId, type: 'done', document });
+  } catch (error) {
+    parentPort.postMessage({ jobId, type: 'error', message: error.message });
+  }
+});
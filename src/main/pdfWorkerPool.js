@@ -0,0 +1,217 @@
+/**
+ * PDF Worker Pool
+ *
+ * Extracts documents in worker threads (pdfWorker.js) instead of the main
+ * process, where a large PDF or DOCX would freeze the window until it was read.
+ *
+ * - At most `size` documents are extracted at once; further jobs wait in a queue
+ * - Progress is reported after every PDF page
+ * - A job can be canceled by id, queued or running
+ * - A job running longer than `timeout` ms is stopped
+ *
+ * A running parse can't be interrupted from outside, so canceling or timing
+ * out terminates its worker; the pool starts a new one for the next job.
+ * Idle workers are kept for reuse and don't keep the app from quitting.
+ */
+
+const path = require('path');
+const { Worker } = require('worker_threads');
+
+const DEFAULT_POOL_SIZE = 2;
+const DEFAULT_TIMEOUT = 60000; // 1 minute; a 10MB PDF normally parses in a few seconds
+
+// Error codes of rejected jobs, so callers can tell them from parse errors
+const PDF_JOB_CANCELED = 'PDF_JOB_CANCELED';
+const PDF_JOB_TIMEOUT = 'PDF_JOB_TIMEOUT';
+
+function jobError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+class PdfWorkerPool {
+  /**
+   * @param {Object} options
+   * @param {number} options.size - Maximum number of workers (default: 2)
+   * @param {number} options.timeout - Time limit per document in ms (default: 1 minute)
+   * @param {string} options.workerPath - Worker script (default: pdfWorker.js)
+   */
+  constructor(options = {}) {
+    this.size = options.size || DEFAULT_POOL_SIZE;
+    this.timeout = options.timeout || DEFAULT_TIMEOUT;
+    this.workerPath = options.workerPath || path.join(__dirname, 'pdfWorker.js');
+    this.idle = []; // Workers waiting for a job
+    this.busy = new Map(); // Worker → running job
+    this.queue = []; // Jobs waiting for a worker
+    this.jobs = new Map(); // Job id → queued or running job
+    this.nextId = 1;
+  }
+
+  /**
+   * Extract a document in a worker
+   *
+   * @param {string} filePath - Absolute path of a validated document
+   * @param {Object} [options]
+   * @param {string} [options.jobId] - Id to cancel the job with (default: generated)
+   * @param {Function} [options.onProgress] - Called with { page, pages } after each PDF page
+   * @returns {Promise<{text: string, pages: number, info: Object}>} Rejects with
+   *   code PDF_JOB_CANCELED or PDF_JOB_TIMEOUT when stopped
+   */
+  parse(filePath, { jobId, onProgress = () => {} } = {}) {
+    const id = jobId || `pdf-${this.nextId++}`;
+    if (this.jobs.has(id)) {
+      return Promise.reject(new Error('A document with this request id is already processing'));
+    }
+
+    return new Promise((resolve, reject) => {
+      const job = { id, filePath, onProgress, resolve, reject, worker: null, timer: null };
+      this.jobs.set(id, job);
+      this.queue.push(job);
+      this.dispatch();
+    });
+  }
+
+  /**
+   * Cancel a queued or running job; its promise rejects with PDF_JOB_CANCELED
+   *
+   * @returns {boolean} false when no such job is queued or running
+   */
+  cancel(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job) {
+      return false;
+    }
+
+    this.stop(job, jobError('Document processing canceled', PDF_JOB_CANCELED));
+    return true;
+  }
+
+  /**
+   * Cancel every job and terminate all workers
+   */
+  destroy() {
+    [...this.jobs.values()].forEach((job) => {
+      this.stop(job, jobError('Document processing canceled', PDF_JOB_CANCELED));
+    });
+    this.idle.forEach((worker) => worker.terminate());
+    this.idle = [];
+  }
+
+  /**
+   * Start queued jobs while there are idle workers or room for new ones
+   */
+  dispatch() {
+    while (this.queue.length > 0 && (this.idle.length > 0 || this.workerCount() < this.size)) {
+      const worker = this.idle.pop() || this.spawn();
+      this.run(worker, this.queue.shift());
+    }
+  }
+
+  workerCount() {
+    return this.idle.length + this.busy.size;
+  }
+
+  spawn() {
+    const worker = new Worker(this.workerPath);
+    worker.unref();
+
+    worker.on('message', (message) => this.handleMessage(worker, message));
+    worker.on('error', (error) => {
+      const job = this.busy.get(worker);
+      this.discard(worker);
+      if (job) {
+        this.settle(job, error);
+      }
+    });
+    worker.on('exit', () => {
+      // Covers workers that exit on their own; discarded workers are already gone
+      const job = this.busy.get(worker);
+      this.discard(worker);
+      if (job) {
+        this.settle(job, new Error('Document worker stopped unexpectedly'));
+      }
+    });
+
+    return worker;
+  }
+
+  run(worker, job) {
+    job.worker = worker;
+    job.timer = setTimeout(() => {
+      const seconds = Math.round(this.timeout / 1000);
+      this.stop(
+        job,
+        jobError(`Document processing timed out after ${seconds} seconds`, PDF_JOB_TIMEOUT)
+      );
+    }, this.timeout);
+
+    this.busy.set(worker, job);
+    worker.ref();
+    worker.postMessage({ jobId: job.id, filePath: job.filePath });
+  }
+
+  handleMessage(worker, { jobId, type, ...payload }) {
+    const job = this.busy.get(worker);
+    // Messages from a job that was stopped in the meantime are dropped
+    if (!job || job.id !== jobId) {
+      return;
+    }
+
+    if (type === 'progress') {
+      job.onProgress({ page: payload.page, pages: payload.pages });
+      return;
+    }
+
+    this.busy.delete(worker);
+    worker.unref();
+    this.idle.push(worker);
+
+    if (type === 'done') {
+      this.settle(job, null, payload.document);
+    } else {
+      this.settle(job, new Error(payload.message));
+    }
+  }
+
+  /**
+   * Stop a job: drop it from the queue, or terminate the worker running it
+   */
+  stop(job, error) {
+    if (job.worker) {
+      this.discard(job.worker);
+    } else {
+      this.queue = this.queue.filter((queued) => queued !== job);
+    }
+    this.settle(job, error);
+  }
+
+  discard(worker) {
+    if (this.busy.has(worker)) {
+      this.busy.delete(worker);
+      worker.terminate();
+    }
+    this.idle = this.idle.filter((idle) => idle !== worker);
+  }
+
+  settle(job, error, document) {
+    if (!this.jobs.has(job.id) || this.jobs.get(job.id) !== job) {
+      return;
+    }
+
+    clearTimeout(job.timer);
+    this.jobs.delete(job.id);
+    if (error) {
+      job.reject(error);
+    } else {
+      job.resolve(document);
+    }
+
+    this.dispatch();
+  }
+}
+
+PdfWorkerPool.PDF_JOB_CANCELED = PDF_JOB_CANCELED;
+PdfWorkerPool.PDF_JOB_TIMEOUT = PDF_JOB_TIMEOUT;
+
+module.exports = PdfWorkerPool;
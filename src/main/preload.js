@@ -1,4 +1,4 @@
-const { contextBridge, ipcRenderer } = require('electron');
+const { contextBridge, ipcRenderer, webUtils } = require('electron');
 
 // Expose protected methods that allow the renderer process to use
 // the ipcRenderer without exposing the entire object
@@ -7,19 +7,58 @@ contextBridge.exposeInMainWorld('electronAPI', {
   saveAgent: (agentData) => ipcRenderer.invoke('save-agent', agentData),
   loadAgents: () => ipcRenderer.invoke('load-agents'),
   getExistingAgents: () => ipcRenderer.invoke('get-existing-agents'),
+  loadExistingAgent: (agentType) => ipcRenderer.invoke('load-existing-agent', agentType),
+  deleteAgent: (fileName) => ipcRenderer.invoke('delete-agent', fileName),
+  duplicateAgent: (fileName) => ipcRenderer.invoke('duplicate-agent', fileName),
+  openAgentInEditor: (fileName) => ipcRenderer.invoke('open-agent-in-editor', fileName),
+  migrateAgentFiles: (options) => ipcRenderer.invoke('migrate-agent-files', options),
+  exportAgent: (exportData) => ipcRenderer.invoke('export-agent', exportData),
 
-  // PDF processing
+  // Context documents (PDF, Markdown, text, DOCX, HTML, source code)
+  // requestId (optional) identifies the document in progress events and cancelDocument
+  processDocument: (filePath, requestId) =>
+    ipcRenderer.invoke('process-document', filePath, requestId),
+  cancelDocument: (requestId) => ipcRenderer.invoke('cancel-document', requestId),
+  onDocumentProgress: (callback) => {
+    const listener = (_event, payload) => callback(payload);
+    ipcRenderer.on('document-progress', listener);
+    return () => ipcRenderer.removeListener('document-progress', listener);
+  },
   processPDF: (filePath) => ipcRenderer.invoke('process-pdf', filePath),
+  // Path of a File from a drop or file input (File.path was removed in Electron 32)
+  getPathForFile: (file) => webUtils.getPathForFile(file),
+  expandDroppedPaths: (paths) => ipcRenderer.invoke('expand-dropped-paths', paths),
+  // Codebase summary (languages, frameworks, tests, CLAUDE.md) used as context
+  scanProjectFolder: () => ipcRenderer.invoke('scan-project-folder'),
 
   // Settings
   loadSettings: () => ipcRenderer.invoke('load-settings'),
   saveSettings: (settings) => ipcRenderer.invoke('save-settings', settings),
 
+  // Project selection (where agents are read from and saved to)
+  selectProjectRoot: () => ipcRenderer.invoke('select-project-root'),
+  setProjectRoot: (projectRoot) => ipcRenderer.invoke('set-project-root', projectRoot),
+  getProjectInfo: () => ipcRenderer.invoke('get-project-info'),
+
   // Agent consultation
   consultAgent: (agentType, query) => ipcRenderer.invoke('consult-agent', agentType, query),
 
   // Template operations
-  loadTemplate: () => ipcRenderer.invoke('load-template'),
+  loadTemplate: (templateId) => ipcRenderer.invoke('load-template', templateId),
+  listTemplates: () => ipcRenderer.invoke('list-templates'),
+  saveTemplate: (template) => ipcRenderer.invoke('save-template', template),
+  deleteTemplate: (templateId) => ipcRenderer.invoke('delete-template', templateId),
+  loadCategorySchema: () => ipcRenderer.invoke('load-category-schema'),
+
+  // LLM backend (API keys stay in the main process)
+  llmComplete: (request) => ipcRenderer.invoke('llm-complete', request),
+  onLlmToken: (callback) => {
+    const listener = (_event, payload) => callback(payload);
+    ipcRenderer.on('llm-token', listener);
+    return () => ipcRenderer.removeListener('llm-token', listener);
+  },
+  saveLlmApiKey: (provider, apiKey) => ipcRenderer.invoke('save-llm-api-key', provider, apiKey),
+  getLlmStatus: () => ipcRenderer.invoke('get-llm-status'),
 
   // System info
   getAppVersion: () => ipcRenderer.invoke('get-app-version'),
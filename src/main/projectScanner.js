@@ -0,0 +1,400 @@
+/**
+ * Project Scanner
+ *
+ * Summarizes a codebase so a subagent can be written for it: the languages
+ * it is written in, the frameworks and test setup declared in its manifests
+ * (package.json, pyproject.toml or requirements.txt, go.mod) and its
+ * CLAUDE.md. Files ignored by the project's .gitignore files are skipped,
+ * as are .git and node_modules whether ignored or not.
+ *
+ * Only file names are read while walking; manifests and CLAUDE.md are read
+ * from the project root. Subfolders that can't be read (no permission, or
+ * gone by the time they are listed) are skipped and reported.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { SOURCE_LANGUAGES } = require('./documentExtractors');
+
+const MAX_SCANNED_FILES = 20000;
+const MAX_SCAN_DEPTH = 20;
+const MAX_CLAUDE_MD_SIZE = 64 * 1024;
+const MAX_LANGUAGES = 8;
+
+const ALWAYS_SKIPPED = new Set(['.git', 'node_modules']);
+
+// Errors of a file that can't be read (e.g. `.claude` is a file), treated like a missing file
+const UNREADABLE_FILE_CODES = new Set(['ENOENT', 'EACCES', 'EPERM', 'ENOTDIR', 'EISDIR']);
+
+// Languages counted in the summary; data formats such as JSON and YAML are left out
+const LANGUAGES = {
+  ...SOURCE_LANGUAGES,
+  '.vue': 'Vue',
+  '.svelte': 'Svelte',
+  '.html': 'HTML',
+  '.scss': 'SCSS',
+};
+const DATA_LANGUAGES = new Set(['JSON', 'YAML', 'TOML']);
+
+// Test directories and file names, by convention of the common test runners
+const TEST_DIRECTORIES = new Set(['test', 'tests', '__tests__', 'spec', 'e2e']);
+const TEST_FILE_PATTERN = /(?:\.(?:test|spec)\.[cm]?[jt]sx?|_test\.go|^test_.*\.py|_test\.py)$/;
+
+/**
+ * Dependencies that identify a framework; category 'testing' is reported
+ * under the test setup instead of the frameworks
+ */
+const NPM_FRAMEWORKS = {
+  react: { name: 'React', category: 'frontend' },
+  vue: { name: 'Vue', category: 'frontend' },
+  '@angular/core': { name: 'Angular', category: 'frontend' },
+  svelte: { name: 'Svelte', category: 'frontend' },
+  next: { name: 'Next.js', category: 'frontend' },
+  electron: { name: 'Electron', category: 'desktop' },
+  express: { name: 'Express', category: 'backend' },
+  fastify: { name: 'Fastify', category: 'backend' },
+  koa: { name: 'Koa', category: 'backend' },
+  '@nestjs/core': { name: 'NestJS', category: 'backend' },
+  '@prisma/client': { name: 'Prisma', category: 'database' },
+  mongoose: { name: 'Mongoose', category: 'database' },
+  sequelize: { name: 'Sequelize', category: 'database' },
+  typeorm: { name: 'TypeORM', category: 'database' },
+  vitest: { name: 'Vitest', category: 'testing' },
+  jest: { name: 'Jest', category: 'testing' },
+  mocha: { name: 'Mocha', category: 'testing' },
+  '@playwright/test': { name: 'Playwright', category: 'testing' },
+  cypress: { name: 'Cypress', category: 'testing' },
+};
+
+const PYTHON_FRAMEWORKS = {
+  django: { name: 'Django', category: 'backend' },
+  flask: { name: 'Flask', category: 'backend' },
+  fastapi: { name: 'FastAPI', category: 'backend' },
+  sqlalchemy: { name: 'SQLAlchemy', category: 'database' },
+  pytest: { name: 'pytest', category: 'testing' },
+};
+
+const GO_FRAMEWORKS = {
+  'github.com/gin-gonic/gin': { name: 'Gin', category: 'backend' },
+  'github.com/labstack/echo': { name: 'Echo', category: 'backend' },
+  'github.com/gofiber/fiber': { name: 'Fiber', category: 'backend' },
+  'gorm.io/gorm': { name: 'GORM', category: 'database' },
+  'github.com/stretchr/testify': { name: 'Testify', category: 'testing' },
+};
+
+/**
+ * Regular expression source for a gitignore glob
+ */
+function globToRegex(glob) {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (glob.startsWith('**/', i)) {
+      source += '(?:.*/)?';
+      i += 2;
+    } else if (glob.startsWith('**', i)) {
+      source += '.*';
+      i += 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[' && glob.indexOf(']', i + 2) > i) {
+      const end = glob.indexOf(']', i + 2);
+      source += `[${glob
+        .slice(i + 1, end)
+        .replace(/^!/, '^')
+        .replace(/\\/g, '\\\\')}]`;
+      i = end;
+    } else if (char === '\\' && i + 1 < glob.length) {
+      source += glob[i + 1].replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+      i += 1;
+    } else {
+      source += char.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    }
+  }
+  return source;
+}
+
+/**
+ * Rules of one .gitignore file
+ *
+ * @param {string} text - File contents
+ * @param {string} base - Directory of the file, relative to the project root ('' for the root)
+ * @returns {Array<{regex: RegExp, negate: boolean, dirOnly: boolean, base: string}>}
+ */
+function parseGitignore(text, base) {
+  return text
+    .split(/\r?\n/)
+    .map((line) => line.replace(/(?<!\\)\s+$/, ''))
+    .filter((line) => line && !line.startsWith('#'))
+    .map((line) => {
+      const negate = line.startsWith('!');
+      let pattern = negate ? line.slice(1) : line;
+      const dirOnly = pattern.endsWith('/');
+      pattern = pattern.replace(/\/+$/, '');
+      // A slash anywhere but the end anchors the pattern to the .gitignore's directory
+      const anchored = pattern.includes('/');
+      pattern = pattern.replace(/^\//, '');
+
+      const prefix = anchored ? '^' : '(?:^|/)';
+      return { regex: new RegExp(`${prefix}${globToRegex(pattern)}$`), negate, dirOnly, base };
+    });
+}
+
+/**
+ * Whether a path is ignored; like git, the last matching rule wins
+ *
+ * @param {Array} rules - Result of parseGitignore for the .gitignore files above the path
+ * @param {string} relativePath - Path relative to the project root, with forward slashes
+ * @param {boolean} isDirectory
+ */
+function isIgnored(rules, relativePath, isDirectory) {
+  let ignored = false;
+
+  rules.forEach(({ regex, negate, dirOnly, base }) => {
+    if (base && !relativePath.startsWith(`${base}/`)) {
+      return;
+    }
+    if (dirOnly && !isDirectory) {
+      return;
+    }
+    if (regex.test(base ? relativePath.slice(base.length + 1) : relativePath)) {
+      ignored = !negate;
+    }
+  });
+
+  return ignored;
+}
+
+/**
+ * Text of a file, or null when it is missing, unreadable, not a file or larger than maxSize
+ */
+async function readFileIfExists(filePath, maxSize = Infinity) {
+  try {
+    const stats = await fs.stat(filePath);
+    if (!stats.isFile() || stats.size > maxSize) {
+      return null;
+    }
+    return await fs.readFile(filePath, 'utf-8');
+  } catch (error) {
+    if (UNREADABLE_FILE_CODES.has(error.code)) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Entries of a directory by name, and the rules of its .gitignore added to the inherited ones
+ */
+async function readDirectory(dir, relativeDir, rules) {
+  const entries = await fs.readdir(dir, { withFileTypes: true });
+  const gitignore = await readFileIfExists(path.join(dir, '.gitignore'));
+
+  return {
+    entries: entries.sort((a, b) => a.name.localeCompare(b.name)),
+    rules: gitignore === null ? rules : [...rules, ...parseGitignore(gitignore, relativeDir)],
+  };
+}
+
+function countFile(totals, name) {
+  totals.files++;
+  const language = LANGUAGES[path.extname(name).toLowerCase()];
+  if (language && !DATA_LANGUAGES.has(language)) {
+    totals.languages.set(language, (totals.languages.get(language) || 0) + 1);
+  }
+  if (TEST_FILE_PATTERN.test(name)) {
+    totals.testFiles++;
+  }
+}
+
+/**
+ * Walk the project, counting files per language and test files
+ */
+async function walkProject(root) {
+  const totals = {
+    files: 0,
+    testFiles: 0,
+    languages: new Map(),
+    testDirectories: new Set(),
+    skippedDirectories: [],
+  };
+  let truncated = false;
+
+  const walk = async (dir, relativeDir, rules, depth) => {
+    let listing;
+    try {
+      listing = await readDirectory(dir, relativeDir, rules);
+    } catch (error) {
+      // An unreadable root is an error; an unreadable subfolder is left out of the summary
+      if (!relativeDir) {
+        throw error;
+      }
+      totals.skippedDirectories.push(relativeDir);
+      return;
+    }
+
+    const { entries, rules: scoped } = listing;
+
+    for (const entry of entries) {
+      if (totals.files >= MAX_SCANNED_FILES) {
+        truncated = true;
+        return;
+      }
+
+      const relativePath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+      const isDirectory = entry.isDirectory();
+      if (ALWAYS_SKIPPED.has(entry.name) || isIgnored(scoped, relativePath, isDirectory)) {
+        continue;
+      }
+
+      if (isDirectory) {
+        if (TEST_DIRECTORIES.has(entry.name.toLowerCase())) {
+          totals.testDirectories.add(relativePath);
+        }
+        if (depth < MAX_SCAN_DEPTH) {
+          await walk(path.join(dir, entry.name), relativePath, scoped, depth + 1);
+        }
+      } else if (entry.isFile()) {
+        countFile(totals, entry.name);
+      }
+    }
+  };
+
+  await walk(root, '', [], 0);
+  return { ...totals, truncated };
+}
+
+/**
+ * Frameworks and test command from package.json
+ */
+function detectNpmFrameworks(packageJson) {
+  let manifest;
+  try {
+    manifest = JSON.parse(packageJson);
+  } catch {
+    return { frameworks: [], testCommand: null };
+  }
+
+  const dependencies = { ...manifest.devDependencies, ...manifest.dependencies };
+  const testScript = manifest.scripts && manifest.scripts.test;
+
+  return {
+    frameworks: Object.keys(NPM_FRAMEWORKS)
+      .filter((dependency) => Object.hasOwn(dependencies, dependency))
+      .map((dependency) => ({ ...NPM_FRAMEWORKS[dependency], file: 'package.json' })),
+    testCommand: typeof testScript === 'string' && testScript.trim() ? 'npm test' : null,
+  };
+}
+
+/**
+ * Frameworks named in pyproject.toml or requirements.txt
+ */
+function detectPythonFrameworks(manifest, file) {
+  return Object.keys(PYTHON_FRAMEWORKS)
+    .filter((dependency) => new RegExp(`(^|[\\s"'\\[,])${dependency}\\b`, 'im').test(manifest))
+    .map((dependency) => ({ ...PYTHON_FRAMEWORKS[dependency], file }));
+}
+
+/**
+ * Frameworks required in go.mod
+ */
+function detectGoFrameworks(goMod) {
+  return Object.keys(GO_FRAMEWORKS)
+    .filter((module) => goMod.includes(module))
+    .map((module) => ({ ...GO_FRAMEWORKS[module], file: 'go.mod' }));
+}
+
+/**
+ * Read the manifests in the project root
+ */
+async function detectFrameworks(root) {
+  const [packageJson, pyproject, requirements, goMod] = await Promise.all(
+    ['package.json', 'pyproject.toml', 'requirements.txt', 'go.mod'].map((file) =>
+      readFileIfExists(path.join(root, file), MAX_CLAUDE_MD_SIZE)
+    )
+  );
+
+  const npm = packageJson === null ? null : detectNpmFrameworks(packageJson);
+  const detected = [
+    ...(npm ? npm.frameworks : []),
+    ...(pyproject === null ? [] : detectPythonFrameworks(pyproject, 'pyproject.toml')),
+    ...(requirements === null ? [] : detectPythonFrameworks(requirements, 'requirements.txt')),
+    ...(goMod === null ? [] : detectGoFrameworks(goMod)),
+  ];
+
+  // The same framework can be declared in more than one manifest
+  const frameworks = [...new Map(detected.map((f) => [f.name, f])).values()];
+  const manifests = [
+    packageJson !== null && 'package.json',
+    pyproject !== null && 'pyproject.toml',
+    requirements !== null && 'requirements.txt',
+    goMod !== null && 'go.mod',
+  ].filter(Boolean);
+
+  let testCommand = npm ? npm.testCommand : null;
+  if (!testCommand && goMod !== null) {
+    testCommand = 'go test ./...';
+  } else if (!testCommand && frameworks.some((f) => f.name === 'pytest')) {
+    testCommand = 'pytest';
+  }
+
+  return { frameworks, manifests, testCommand };
+}
+
+/**
+ * Summarize a project folder
+ *
+ * @param {string} root - Absolute path of the folder chosen in the dialog
+ * @returns {Promise<Object>} { name, root, fileCount, truncated, skippedDirectories,
+ *   languages, frameworks, manifests, testing, claudeMd }; claudeMd is { file, text } or null
+ */
+async function scanProject(root) {
+  const [walked, detected] = await Promise.all([walkProject(root), detectFrameworks(root)]);
+
+  let claudeMd = null;
+  for (const file of ['CLAUDE.md', '.claude/CLAUDE.md']) {
+    const text = await readFileIfExists(path.join(root, file), MAX_CLAUDE_MD_SIZE);
+    if (text !== null) {
+      claudeMd = { file, text };
+      break;
+    }
+  }
+
+  const testFrameworks = detected.frameworks.filter((f) => f.category === 'testing');
+  if (
+    testFrameworks.length === 0 &&
+    walked.testFiles > 0 &&
+    detected.testCommand === 'go test ./...'
+  ) {
+    testFrameworks.push({ name: 'go test', category: 'testing', file: 'go.mod' });
+  }
+
+  return {
+    name: path.basename(root),
+    root,
+    fileCount: walked.files,
+    truncated: walked.truncated,
+    skippedDirectories: walked.skippedDirectories,
+    languages: [...walked.languages]
+      .map(([language, files]) => ({ language, files }))
+      .sort((a, b) => b.files - a.files || a.language.localeCompare(b.language))
+      .slice(0, MAX_LANGUAGES),
+    frameworks: detected.frameworks.filter((f) => f.category !== 'testing'),
+    manifests: detected.manifests,
+    testing: {
+      frameworks: testFrameworks,
+      command: detected.testCommand,
+      directories: [...walked.testDirectories].sort().slice(0, 10),
+      testFiles: walked.testFiles,
+    },
+    claudeMd,
+  };
+}
+
+module.exports = {
+  scanProject,
+  parseGitignore,
+  isIgnored,
+};
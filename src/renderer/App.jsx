@@ -14,7 +14,7 @@ import {
   ListItemText,
   Container,
 } from '@mui/material';
-import { Description, CloudUpload, Visibility, History } from '@mui/icons-material';
+import { Description, CloudUpload, Visibility, History, Settings } from '@mui/icons-material';
 import { lightTheme, darkTheme } from './theme/materialTheme';
 import { useTheme } from './hooks/useTheme';
 import { useAgentGenerator } from './hooks/useAgentGenerator';
@@ -23,6 +23,8 @@ import TemplateForm from './components/TemplateForm';
 import DocumentUpload from './components/DocumentUpload';
 import AgentPreview from './components/AgentPreview';
 import GenerateButton from './components/GenerateButton';
+import SettingsPanel from './components/SettingsPanel';
+import AgentHistory from './components/AgentHistory';
 
 const drawerWidth = 240;
 
@@ -31,6 +33,7 @@ const navigationItems = [
   { label: 'Documents', icon: <CloudUpload />, id: 'documents' },
   { label: 'Preview', icon: <Visibility />, id: 'preview' },
   { label: 'History', icon: <History />, id: 'history' },
+  { label: 'Settings', icon: <Settings />, id: 'settings' },
 ];
 
 function App() {
@@ -50,13 +53,10 @@ function App() {
         return <AgentPreview agentGenerator={agentGenerator} />;
       case 'history':
         return (
-          <Box p={3}>
-            <Typography variant="h5">Agent History</Typography>
-            <Typography variant="body2" color="text.secondary" sx={{ mt: 2 }}>
-              View previously generated agents here. (Coming soon)
-            </Typography>
-          </Box>
+          <AgentHistory agentGenerator={agentGenerator} onReopen={() => setActiveView('preview')} />
         );
+      case 'settings':
+        return <SettingsPanel onProjectChange={agentGenerator.loadCategories} />;
       default:
         return null;
     }
@@ -0,0 +1,134 @@
+import { useState, useMemo } from 'react';
+import {
+  Box,
+  Typography,
+  Paper,
+  Tabs,
+  Tab,
+  TextField,
+  Chip,
+  IconButton,
+  Tooltip,
+} from '@mui/material';
+import { Undo, Redo, RestartAlt } from '@mui/icons-material';
+import MarkdownView from './MarkdownView';
+import DiffHunkList from './DiffHunkList';
+import { useEditHistory } from '../hooks/useEditHistory';
+import { diffLines, diffHunks, summarizeDiff } from '../services/textDiff';
+
+const contentStyle = {
+  p: 2,
+  backgroundColor: 'background.default',
+  maxHeight: '500px',
+  overflow: 'auto',
+};
+
+/**
+ * Edits against the generated text, by section
+ */
+function EditsDiff({ changes }) {
+  const hunks = diffHunks(changes);
+
+  if (hunks.length === 0) {
+    return (
+      <Typography variant="body2" color="text.secondary">
+        No edits: this is the text the architect generated.
+      </Typography>
+    );
+  }
+
+  return <DiffHunkList changes={changes} hunks={hunks} />;
+}
+
+/**
+ * Generated agent as rendered Markdown, editable source, and the edits made to it
+ *
+ * Edits go through `onChange` so saving uses the edited text. Remount with a
+ * new key after each generation to start a fresh undo history.
+ *
+ * @param {string} content - Current (possibly edited) agent text
+ * @param {string} originalContent - Text the architect generated
+ * @param {Function} onChange - Called with the edited text
+ * @param {boolean} readOnly - Disable editing, e.g. while generating
+ */
+function AgentContentEditor({ content, originalContent, onChange, readOnly }) {
+  const [tab, setTab] = useState('preview');
+  const history = useEditHistory(content, onChange);
+
+  const changes = useMemo(() => diffLines(originalContent, content), [originalContent, content]);
+  const { added, removed } = summarizeDiff(changes);
+  const edited = added + removed > 0;
+
+  const handleKeyDown = (e) => {
+    if (!(e.ctrlKey || e.metaKey)) {
+      return;
+    }
+
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey) {
+      e.preventDefault();
+      history.undo();
+    } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+      e.preventDefault();
+      history.redo();
+    }
+  };
+
+  return (
+    <>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
+        <Tabs value={tab} onChange={(event, value) => setTab(value)} sx={{ flexGrow: 1 }}>
+          <Tab value="preview" label="Preview" />
+          <Tab value="source" label="Source" />
+          <Tab value="changes" label="Changes" />
+        </Tabs>
+        {edited && <Chip size="small" label={`Edited: +${added} −${removed} lines`} />}
+        <Tooltip title="Undo">
+          <span>
+            <IconButton onClick={history.undo} disabled={readOnly || !history.canUndo}>
+              <Undo fontSize="small" />
+            </IconButton>
+          </span>
+        </Tooltip>
+        <Tooltip title="Redo">
+          <span>
+            <IconButton onClick={history.redo} disabled={readOnly || !history.canRedo}>
+              <Redo fontSize="small" />
+            </IconButton>
+          </span>
+        </Tooltip>
+        <Tooltip title="Revert to generated">
+          <span>
+            <IconButton
+              onClick={() => history.edit(originalContent, { merge: false })}
+              disabled={readOnly || !edited}
+            >
+              <RestartAlt fontSize="small" />
+            </IconButton>
+          </span>
+        </Tooltip>
+      </Box>
+
+      <Paper elevation={0} sx={contentStyle}>
+        {tab === 'preview' && <MarkdownView source={content} />}
+        {tab === 'source' && (
+          <TextField
+            fullWidth
+            multiline
+            minRows={20}
+            value={content}
+            onChange={(e) => history.edit(e.target.value)}
+            onKeyDown={handleKeyDown}
+            InputProps={{
+              readOnly,
+              sx: { fontFamily: 'monospace', fontSize: '0.875rem' },
+            }}
+          />
+        )}
+        {tab === 'changes' && <EditsDiff changes={changes} />}
+      </Paper>
+    </>
+  );
+}
+
+export default AgentContentEditor;
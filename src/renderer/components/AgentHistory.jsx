@@ -0,0 +1,372 @@
+import { useState, useEffect } from 'react';
+import {
+  Box,
+  Typography,
+  Paper,
+  TextField,
+  MenuItem,
+  List,
+  ListItemButton,
+  ListItemText,
+  Button,
+  Chip,
+  Alert,
+  Divider,
+  InputAdornment,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+} from '@mui/material';
+import {
+  Search,
+  OpenInNew,
+  ContentCopy,
+  Delete,
+  Edit,
+  History,
+  CleaningServices,
+} from '@mui/icons-material';
+import { parseSavedAgent, filterAgents, sortAgents, SORT_OPTIONS } from '../services/agentHistory';
+
+const SORT_LABELS = {
+  [SORT_OPTIONS.MODIFIED]: 'Last modified',
+  [SORT_OPTIONS.CREATED]: 'Date created',
+  [SORT_OPTIONS.NAME]: 'Name',
+};
+
+function formatDate(value) {
+  return value ? new Date(value).toLocaleString() : '';
+}
+
+// Folder each save target is written to, for the migration summary
+const TARGET_FOLDERS = {
+  generated: '.claude/generated-agents/',
+  project: '.claude/agents/',
+  user: '~/.claude/agents/',
+};
+
+/**
+ * Confirm rewriting the files that have the header and footer twice
+ */
+function MigrationDialog({ files, onConfirm, onCancel }) {
+  return (
+    <Dialog open={Boolean(files)} onClose={onCancel}>
+      <DialogTitle>Fix duplicate headers?</DialogTitle>
+      <DialogContent>
+        <DialogContentText sx={{ mb: 1 }}>
+          These agents were saved by an earlier version with the header and footer twice. The inner
+          copy will be removed; the version, frontmatter and specification are kept.
+        </DialogContentText>
+        <List dense disablePadding>
+          {(files || []).map((file) => (
+            <ListItemText
+              key={`${file.target}/${file.fileName}`}
+              primary={file.fileName}
+              secondary={TARGET_FOLDERS[file.target]}
+            />
+          ))}
+        </List>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onCancel}>Cancel</Button>
+        <Button variant="contained" onClick={onConfirm}>
+          Fix {files?.length} {files?.length === 1 ? 'file' : 'files'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+/**
+ * Browse, search and manage agents saved to .claude/generated-agents/
+ */
+function AgentHistory({ agentGenerator, onReopen }) {
+  const [agents, setAgents] = useState([]);
+  const [query, setQuery] = useState('');
+  const [sortBy, setSortBy] = useState(SORT_OPTIONS.MODIFIED);
+  const [selectedFile, setSelectedFile] = useState(null);
+  const [confirmDelete, setConfirmDelete] = useState(false);
+  const [status, setStatus] = useState(null);
+  const [migration, setMigration] = useState(null);
+
+  const applyResult = (result, selectFile) => {
+    if (result.success) {
+      const parsed = result.agents.map(parseSavedAgent);
+      setAgents(parsed);
+      setSelectedFile((current) => selectFile || current || parsed[0]?.fileName || null);
+    } else {
+      setStatus({ severity: 'error', message: result.error });
+    }
+  };
+
+  const reloadAgents = async (selectFile) => {
+    applyResult(await window.electronAPI.loadAgents(), selectFile);
+  };
+
+  useEffect(() => {
+    const loadAgents = async () => {
+      const result = await window.electronAPI.loadAgents();
+      applyResult(result);
+    };
+
+    loadAgents();
+  }, []);
+
+  const visibleAgents = sortAgents(filterAgents(agents, query), sortBy);
+  const selected = agents.find((agent) => agent.fileName === selectedFile) || null;
+
+  const handleOpenInEditor = async () => {
+    const result = await window.electronAPI.openAgentInEditor(selected.fileName);
+    if (!result.success) {
+      setStatus({ severity: 'error', message: result.error });
+    }
+  };
+
+  const handleDuplicate = async () => {
+    const result = await window.electronAPI.duplicateAgent(selected.fileName);
+
+    if (result.success) {
+      setStatus({ severity: 'success', message: `Duplicated as ${result.fileName}` });
+      await reloadAgents(result.fileName);
+    } else {
+      setStatus({ severity: 'error', message: result.error });
+    }
+  };
+
+  const handleDelete = async () => {
+    setConfirmDelete(false);
+    const result = await window.electronAPI.deleteAgent(selected.fileName);
+
+    if (result.success) {
+      setStatus({ severity: 'success', message: `Deleted ${selected.fileName}` });
+      setSelectedFile(null);
+      await reloadAgents();
+    } else {
+      setStatus({ severity: 'error', message: result.error });
+    }
+  };
+
+  const handleCheckMigration = async () => {
+    const result = await window.electronAPI.migrateAgentFiles({ dryRun: true });
+
+    if (!result.success) {
+      setStatus({ severity: 'error', message: result.error });
+    } else if (result.files.length === 0) {
+      setStatus({ severity: 'info', message: 'No saved agents have duplicate headers' });
+    } else {
+      setMigration(result.files);
+    }
+  };
+
+  const handleMigrate = async () => {
+    setMigration(null);
+    const result = await window.electronAPI.migrateAgentFiles();
+
+    if (result.success) {
+      const count = result.files.length;
+      setStatus({
+        severity: 'success',
+        message: `Fixed duplicate headers in ${count} ${count === 1 ? 'file' : 'files'}`,
+      });
+      await reloadAgents();
+    } else {
+      setStatus({ severity: 'error', message: result.error });
+    }
+  };
+
+  const handleReopen = () => {
+    agentGenerator.loadAgent(selected);
+    onReopen();
+  };
+
+  return (
+    <Box>
+      <Paper elevation={0} sx={{ p: 3, mb: 3, background: 'transparent' }}>
+        <Typography variant="h4" gutterBottom>
+          Agent History
+        </Typography>
+        <Box sx={{ display: 'flex', alignItems: 'flex-start', gap: 2 }}>
+          <Typography variant="body1" color="text.secondary" sx={{ flexGrow: 1 }}>
+            Agents saved to .claude/generated-agents/. Re-open one in the form to continue editing
+            it, or manage the files directly.
+          </Typography>
+          <Button
+            size="small"
+            startIcon={<CleaningServices />}
+            onClick={handleCheckMigration}
+            sx={{ flexShrink: 0 }}
+          >
+            Fix Duplicate Headers
+          </Button>
+        </Box>
+      </Paper>
+
+      {status && (
+        <Alert severity={status.severity} sx={{ mb: 3 }} onClose={() => setStatus(null)}>
+          {status.message}
+        </Alert>
+      )}
+
+      <Box sx={{ display: 'flex', gap: 2, mb: 2 }}>
+        <TextField
+          fullWidth
+          size="small"
+          placeholder="Search by name, type, description or content"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          InputProps={{
+            startAdornment: (
+              <InputAdornment position="start">
+                <Search />
+              </InputAdornment>
+            ),
+          }}
+        />
+        <TextField
+          select
+          size="small"
+          label="Sort by"
+          value={sortBy}
+          onChange={(e) => setSortBy(e.target.value)}
+          sx={{ minWidth: 180 }}
+        >
+          {Object.entries(SORT_LABELS).map(([value, label]) => (
+            <MenuItem key={value} value={value}>
+              {label}
+            </MenuItem>
+          ))}
+        </TextField>
+      </Box>
+
+      {agents.length === 0 ? (
+        <Paper elevation={1} sx={{ p: 4, textAlign: 'center', background: 'rgba(0,0,0,0.05)' }}>
+          <History sx={{ fontSize: 64, color: 'text.secondary', mb: 2 }} />
+          <Typography variant="h6" color="text.secondary">
+            No saved agents yet
+          </Typography>
+          <Typography variant="body2" color="text.secondary">
+            Agents you save from the Preview page will appear here
+          </Typography>
+        </Paper>
+      ) : (
+        <Box sx={{ display: 'flex', gap: 2, alignItems: 'flex-start' }}>
+          <Paper elevation={1} sx={{ width: 320, flexShrink: 0, maxHeight: 600, overflow: 'auto' }}>
+            <List dense disablePadding>
+              {visibleAgents.map((agent) => (
+                <ListItemButton
+                  key={agent.fileName}
+                  selected={agent.fileName === selectedFile}
+                  onClick={() => setSelectedFile(agent.fileName)}
+                >
+                  <ListItemText
+                    primary={agent.metadata.name}
+                    secondary={`${agent.metadata.type || 'custom'} · ${formatDate(agent.modified)}`}
+                  />
+                </ListItemButton>
+              ))}
+              {visibleAgents.length === 0 && (
+                <Typography variant="body2" color="text.secondary" sx={{ p: 2 }}>
+                  No agents match &quot;{query}&quot;
+                </Typography>
+              )}
+            </List>
+          </Paper>
+
+          {selected && (
+            <Paper elevation={1} sx={{ p: 3, flexGrow: 1, minWidth: 0 }}>
+              <Box sx={{ display: 'flex', justifyContent: 'space-between', gap: 2, mb: 1 }}>
+                <Box>
+                  <Typography variant="h6">{selected.metadata.name}</Typography>
+                  <Typography variant="body2" color="text.secondary">
+                    {selected.metadata.description}
+                  </Typography>
+                </Box>
+                <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', justifyContent: 'flex-end' }}>
+                  <Button
+                    variant="contained"
+                    size="small"
+                    startIcon={<Edit />}
+                    onClick={handleReopen}
+                  >
+                    Re-open in Form
+                  </Button>
+                  <Button size="small" startIcon={<OpenInNew />} onClick={handleOpenInEditor}>
+                    Open in Editor
+                  </Button>
+                  <Button size="small" startIcon={<ContentCopy />} onClick={handleDuplicate}>
+                    Duplicate
+                  </Button>
+                  <Button
+                    size="small"
+                    color="error"
+                    startIcon={<Delete />}
+                    onClick={() => setConfirmDelete(true)}
+                  >
+                    Delete
+                  </Button>
+                </Box>
+              </Box>
+              <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', mb: 2 }}>
+                {selected.metadata.type && <Chip size="small" label={selected.metadata.type} />}
+                {selected.version && <Chip size="small" label={`v${selected.version}`} />}
+                {selected.metadata.model && (
+                  <Chip size="small" label={`model: ${selected.metadata.model}`} />
+                )}
+                {selected.metadata.tools.length > 0 && (
+                  <Chip size="small" label={`tools: ${selected.metadata.tools.join(', ')}`} />
+                )}
+                <Chip
+                  size="small"
+                  variant="outlined"
+                  color={selected.formData ? 'success' : 'default'}
+                  label={selected.formData ? 'Form data saved' : 'Form rebuilt from Markdown'}
+                />
+                <Chip size="small" variant="outlined" label={selected.fileName} />
+              </Box>
+              <Divider sx={{ mb: 2 }} />
+              <Paper
+                elevation={0}
+                sx={{
+                  p: 2,
+                  backgroundColor: 'background.default',
+                  maxHeight: '500px',
+                  overflow: 'auto',
+                  fontFamily: 'monospace',
+                  fontSize: '0.875rem',
+                  whiteSpace: 'pre-wrap',
+                }}
+              >
+                {selected.content}
+              </Paper>
+            </Paper>
+          )}
+        </Box>
+      )}
+
+      <Dialog open={confirmDelete} onClose={() => setConfirmDelete(false)}>
+        <DialogTitle>Delete agent?</DialogTitle>
+        <DialogContent>
+          <DialogContentText>
+            {selected?.fileName} will be permanently removed from .claude/generated-agents/.
+          </DialogContentText>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setConfirmDelete(false)}>Cancel</Button>
+          <Button color="error" onClick={handleDelete}>
+            Delete
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <MigrationDialog
+        files={migration}
+        onConfirm={handleMigrate}
+        onCancel={() => setMigration(null)}
+      />
+    </Box>
+  );
+}
+
+export default AgentHistory;
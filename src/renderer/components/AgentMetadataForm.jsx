@@ -0,0 +1,113 @@
+import { Box, TextField, Autocomplete, MenuItem } from '@mui/material';
+
+// Claude Code subagent names: lowercase letters, digits and single hyphens;
+// must match AGENT_NAME_PATTERN in src/main/frontmatter.js, which validates saves
+export const AGENT_NAME_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+const TOOL_OPTIONS = [
+  'Read',
+  'Write',
+  'Edit',
+  'MultiEdit',
+  'Glob',
+  'Grep',
+  'Bash',
+  'WebFetch',
+  'WebSearch',
+  'TodoWrite',
+  'NotebookEdit',
+];
+
+const MODEL_OPTIONS = [
+  { value: '', label: 'Default (not set)' },
+  { value: 'inherit', label: 'Inherit from main conversation' },
+  { value: 'sonnet', label: 'Sonnet' },
+  { value: 'opus', label: 'Opus' },
+  { value: 'haiku', label: 'Haiku' },
+];
+
+export function isValidAgentName(name) {
+  return AGENT_NAME_PATTERN.test(name);
+}
+
+/**
+ * Name, type and Claude Code frontmatter fields (description, tools, model)
+ */
+function AgentMetadataForm({ metadata, onChange }) {
+  const nameInvalid = metadata.name !== '' && !isValidAgentName(metadata.name);
+
+  return (
+    <>
+      <Box sx={{ display: 'flex', gap: 2, mb: 2 }}>
+        <TextField
+          fullWidth
+          label="Agent Name"
+          variant="outlined"
+          value={metadata.name}
+          onChange={(e) => onChange('name', e.target.value)}
+          placeholder="e.g., api-response-validator"
+          error={nameInvalid}
+          helperText={
+            nameInvalid
+              ? 'Use lowercase letters, numbers and hyphens only'
+              : 'Used as the Claude Code subagent name'
+          }
+        />
+        <TextField
+          fullWidth
+          label="Agent Type"
+          variant="outlined"
+          value={metadata.type}
+          onChange={(e) => onChange('type', e.target.value)}
+          placeholder="e.g., validation-specialist"
+        />
+      </Box>
+      <TextField
+        fullWidth
+        multiline
+        minRows={2}
+        label="Description"
+        variant="outlined"
+        value={metadata.description}
+        onChange={(e) => onChange('description', e.target.value)}
+        placeholder="e.g., Validates API responses against OpenAPI schemas. Use after any endpoint change."
+        helperText="Tells Claude Code when to delegate to this subagent"
+        sx={{ mb: 2 }}
+      />
+      <Box sx={{ display: 'flex', gap: 2, mb: 2 }}>
+        <Autocomplete
+          multiple
+          freeSolo
+          fullWidth
+          options={TOOL_OPTIONS}
+          value={metadata.tools}
+          onChange={(event, value) => onChange('tools', value)}
+          renderInput={(params) => (
+            <TextField
+              {...params}
+              label="Tools"
+              variant="outlined"
+              helperText="Leave empty to inherit all tools"
+            />
+          )}
+        />
+        <TextField
+          select
+          fullWidth
+          label="Model"
+          variant="outlined"
+          value={metadata.model}
+          onChange={(e) => onChange('model', e.target.value)}
+        >
+          {MODEL_OPTIONS.map((option) => (
+            <MenuItem key={option.value} value={option.value}>
+              {option.label}
+            </MenuItem>
+          ))}
+        </TextField>
+      </Box>
+    </>
+  );
+}
+
+export default AgentMetadataForm;
@@ -1,53 +1,33 @@
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
 import {
   Box,
   Typography,
   Paper,
   Button,
-  TextField,
   Alert,
   CircularProgress,
   Divider,
+  ToggleButton,
+  ToggleButtonGroup,
 } from '@mui/material';
-import { Save, Refresh, Code } from '@mui/icons-material';
-import HeadArchitectAgent from '../services/agentGenerator';
+import { Save, Refresh, Code, CompareArrows } from '@mui/icons-material';
+import HeadArchitectAgent, { GENERATION_MODES } from '../services/agentGenerator';
+import AgentMetadataForm, { isValidAgentName } from './AgentMetadataForm';
+import SaveTargetSelect from './SaveTargetSelect';
+import SaveConflictDialog from './SaveConflictDialog';
+import TemplateSelect, { DEFAULT_TEMPLATE_ID } from './TemplateSelect';
+import AgentContentEditor from './AgentContentEditor';
+import DiffReviewDialog from './DiffReviewDialog';
+import ExportMenu from './ExportMenu';
+import { formatUnifiedDiff } from '../services/textDiff';
+import { parseSavedAgent } from '../services/agentHistory';
 
-function AgentPreview({ agentGenerator }) {
-  const [agentName, setAgentName] = useState('');
-  const [agentType, setAgentType] = useState('');
-  const [generatedContent, setGeneratedContent] = useState('');
-  const [saveSuccess, setSaveSuccess] = useState(false);
-  const [generating, setGenerating] = useState(false);
-
-  const handleGenerate = async () => {
-    if (!agentName.trim() || !agentType.trim()) {
-      return;
-    }
-
-    setGenerating(true);
-
-    try {
-      // Use the Head Architect Agent to generate the subagent
-      const headArchitect = new HeadArchitectAgent();
-      const result = await headArchitect.generateSubagent(
-        agentGenerator.templateData,
-        agentGenerator.documents,
-        agentName,
-        agentType
-      );
-
-      if (result.success) {
-        setGeneratedContent(result.specification);
-      } else {
-        console.error('Generation failed:', result.error);
-        // Fallback to simple template
-        const preview = `# Subagent: ${agentName}
-
-**Generated**: ${new Date().toISOString()}
-**Version**: 1.0.0
-**Type**: ${agentType}
-
-## Core Specifications
+/**
+ * Simple preview used when the Head Architect fails; like the architect's
+ * output it is only the body, the header is added when the agent is saved
+ */
+function buildFallbackPreview(agentType, agentGenerator) {
+  return `## Core Specifications
 
 ### Core Functions
 ${agentGenerator.templateData.coreFunctions
@@ -109,12 +89,288 @@ ${agentGenerator.documents.map((d) => `- ${d.name} (${d.pages} pages)`).join('\n
 
 ## Usage Instructions
 This subagent should be used for tasks related to ${agentType}.
+`;
+}
 
----
+/**
+ * Errors from the last generation; both fall back to a simpler preview
+ */
+function GenerationErrors({ generationError, llmError, onCloseGeneration, onCloseLlm }) {
+  return (
+    <>
+      {generationError && (
+        <Alert severity="error" sx={{ mb: 3 }} onClose={onCloseGeneration}>
+          Generation failed: {generationError}. Showing a simple preview instead.
+        </Alert>
+      )}
+      {llmError && (
+        <Alert severity="warning" sx={{ mb: 3 }} onClose={onCloseLlm}>
+          Model refinement failed ({llmError}). Showing the Head Architect draft instead.
+        </Alert>
+      )}
+    </>
+  );
+}
 
-*Generated by Claude Subagent Generator v1.0.0*
-`;
-        setGeneratedContent(preview);
+/**
+ * Placeholder problems reported by TemplateProcessor for the last template-mode generation
+ */
+function TemplateWarnings({ warnings, onClose }) {
+  if (warnings.length === 0) {
+    return null;
+  }
+
+  return (
+    <Alert severity="info" sx={{ mb: 3 }} onClose={onClose}>
+      <Typography variant="body2" gutterBottom>
+        The template was filled with these gaps:
+      </Typography>
+      <Box component="ul" sx={{ m: 0, pl: 2 }}>
+        {warnings.map((warning) => (
+          <li key={warning}>{warning}</li>
+        ))}
+      </Box>
+    </Alert>
+  );
+}
+
+function describeSave({ filePath, version, archivedPath }) {
+  const message = `Agent saved successfully to ${filePath} (v${version})`;
+  return archivedPath ? `${message}. Previous version archived to ${archivedPath}` : message;
+}
+
+/**
+ * Outcome of the last save or comparison
+ */
+function ActionResults({ notice, saved, onCloseNotice }) {
+  return (
+    <>
+      {notice && (
+        <Alert severity="info" sx={{ mb: 3 }} onClose={onCloseNotice}>
+          {notice}
+        </Alert>
+      )}
+      {saved && (
+        <Alert severity="success" sx={{ mb: 3 }}>
+          {describeSave(saved)}
+        </Alert>
+      )}
+    </>
+  );
+}
+
+/**
+ * Hash of the generated text; in reproducible mode it is the same for the same inputs
+ *
+ * Hidden while generating: the hash is still the one of the previous generation.
+ */
+function ContentHash({ hash, generating }) {
+  if (!hash || generating) {
+    return null;
+  }
+
+  return (
+    <Typography
+      variant="caption"
+      color="text.secondary"
+      sx={{ mt: 1, display: 'block', fontFamily: 'monospace' }}
+    >
+      Generated content SHA-256: {hash}
+    </Typography>
+  );
+}
+
+function AgentPreview({ agentGenerator }) {
+  // Metadata and content live in the hook so History can re-open a saved agent
+  const {
+    agentMetadata: metadata,
+    updateAgentMetadata: updateMetadata,
+    generatedContent,
+    setGeneratedContent,
+  } = agentGenerator;
+  const [mode, setMode] = useState(GENERATION_MODES.ARCHITECT);
+  const [templateId, setTemplateId] = useState(DEFAULT_TEMPLATE_ID);
+  const [templateWarnings, setTemplateWarnings] = useState([]);
+  const [llmEnabled, setLlmEnabled] = useState(false);
+  const [llmError, setLlmError] = useState(null);
+  const [reproducible, setReproducible] = useState(null);
+  const [contentHash, setContentHash] = useState(null);
+  // AST of the last generation; exports keep the sources of unchanged items
+  const [document, setDocument] = useState(null);
+  const [generationError, setGenerationError] = useState(null);
+  const [saved, setSaved] = useState(null);
+  const [conflict, setConflict] = useState(null);
+  const [saveTarget, setSaveTarget] = useState('generated');
+  const [saveTargets, setSaveTargets] = useState(null);
+  const [generating, setGenerating] = useState(false);
+  // The architect's text before manual edits; a re-opened agent starts from its saved text
+  const [architectContent, setArchitectContent] = useState(generatedContent);
+  const [generationCount, setGenerationCount] = useState(0);
+  const [review, setReview] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  useEffect(() => {
+    const loadSettings = async () => {
+      const [result, projectResult] = await Promise.all([
+        window.electronAPI.loadSettings(),
+        window.electronAPI.getProjectInfo(),
+      ]);
+
+      if (result.success && result.settings.llm) {
+        setLlmEnabled(result.settings.llm.enabled);
+      }
+      if (result.success && result.settings.reproducible) {
+        setReproducible(result.settings.reproducible);
+      }
+      if (result.success && result.settings.saveTarget) {
+        setSaveTarget(result.settings.saveTarget);
+      }
+      if (result.success && result.settings.templateId) {
+        setTemplateId(result.settings.templateId);
+      }
+      if (projectResult && projectResult.success) {
+        setSaveTargets(projectResult.project.saveTargets);
+      }
+    };
+
+    loadSettings();
+  }, []);
+
+  const { name: agentName, type: agentType } = metadata;
+  const nameInvalid = agentName !== '' && !isValidAgentName(agentName);
+  // Reproducible output skips model refinement, so nothing streams in
+  const streaming = llmEnabled && !reproducible?.enabled;
+
+  const handleTemplateChange = async (id) => {
+    setTemplateId(id);
+    await window.electronAPI.saveSettings({ templateId: id });
+  };
+
+  /**
+   * Show a generation with its hash and AST, which describe exactly this content
+   */
+  const showGenerated = (content, generation) => {
+    setGeneratedContent(content);
+    setArchitectContent(content);
+    setContentHash(generation.contentHash);
+    setDocument(generation.document);
+    setGenerationCount((count) => count + 1);
+  };
+
+  /**
+   * Review a regeneration against the current text, so manual edits aren't lost
+   *
+   * Until the review is applied the previous hash and AST stay, so a canceled
+   * review leaves the preview as it was.
+   */
+  const showRegenerated = (previous, content, generation) => {
+    if (!previous || previous === content) {
+      showGenerated(content, generation);
+      return;
+    }
+
+    // Streamed model output replaced the preview; show the current text until the review is applied
+    setGeneratedContent(previous);
+    setReview({
+      title: 'Review Regenerated Agent',
+      before: previous,
+      after: content,
+      beforeLabel: 'current text, including your edits',
+      afterLabel: 'new generation',
+      generated: content,
+      generation,
+    });
+  };
+
+  const handleApplyReview = (merged) => {
+    setGeneratedContent(merged);
+    if (review.generated !== undefined) {
+      setArchitectContent(review.generated);
+      // The new hash and AST only hold if the new generation was taken unchanged
+      if (merged === review.generated) {
+        setContentHash(review.generation.contentHash);
+        setDocument(review.generation.document);
+      } else {
+        setContentHash(null);
+      }
+    }
+    setGenerationCount((count) => count + 1);
+    setReview(null);
+  };
+
+  const handleCompareSaved = async () => {
+    setNotice(null);
+    const fileName = `${agentName}.md`;
+    const result = await window.electronAPI.loadAgents();
+    const agent = result.success && result.agents.find((file) => file.fileName === fileName);
+
+    if (!agent) {
+      setNotice(`No saved agent ${fileName} in .claude/generated-agents`);
+      return;
+    }
+
+    setReview({
+      title: `Compare with ${fileName}`,
+      before: parseSavedAgent(agent).body,
+      after: generatedContent.trim(),
+      beforeLabel: 'saved file',
+      afterLabel: 'current preview',
+    });
+  };
+
+  const handleGenerate = async () => {
+    // A second generation would interleave its streamed tokens with the first
+    if (generating || !agentName.trim() || !agentType.trim()) {
+      return;
+    }
+
+    const previous = generatedContent;
+
+    setGenerating(true);
+    setLlmError(null);
+    setGenerationError(null);
+    setTemplateWarnings([]);
+
+    try {
+      // Use the Head Architect Agent to generate the subagent; model output streams into the preview
+      const headArchitect = new HeadArchitectAgent({
+        mode,
+        templateId,
+        categories: agentGenerator.categories,
+        llm: {
+          enabled: llmEnabled,
+          onToken: (token) => setGeneratedContent((prev) => prev + token),
+        },
+        reproducible,
+        projectContext: agentGenerator.projectContext,
+      });
+
+      if (streaming) {
+        setGeneratedContent('');
+      }
+
+      const result = await headArchitect.generateSubagent(
+        agentGenerator.templateData,
+        agentGenerator.documents,
+        agentName,
+        agentType
+      );
+
+      if (result.success) {
+        showRegenerated(previous, result.specification, {
+          contentHash: result.metadata.contentHash,
+          document: result.document,
+        });
+        setLlmError(result.metadata.llmError);
+        setTemplateWarnings(result.metadata.templateWarnings || []);
+      } else {
+        console.error('Generation failed:', result.error);
+        setGenerationError(result.error);
+        // Fallback to simple template
+        showRegenerated(previous, buildFallbackPreview(agentType, agentGenerator), {
+          contentHash: null,
+          document: null,
+        });
       }
     } catch (error) {
       console.error('Error generating agent:', error);
@@ -123,19 +379,46 @@ This subagent should be used for tasks related to ${agentType}.
     }
   };
 
-  const handleSave = async () => {
+  const applySaveResult = (result) => {
+    if (result.conflict) {
+      setConflict(result.conflict);
+      return;
+    }
+
+    // "Save as New Agent" picks a free name; keep the form in sync with the file
+    const savedName = result.fileName.replace(/\.md$/, '');
+    if (savedName !== agentName) {
+      updateMetadata('name', savedName);
+    }
+    setSaved(result);
+    setTimeout(() => setSaved(null), 5000);
+  };
+
+  const handleSave = async (onConflict) => {
     if (!generatedContent) {
       return;
     }
 
-    const result = await agentGenerator.saveAgent(generatedContent, {
-      name: agentName,
-      type: agentType,
-    });
+    setConflict(null);
+    const manualEdits = formatUnifiedDiff(architectContent, generatedContent);
+    const result = await agentGenerator.saveAgent(
+      generatedContent,
+      {
+        ...metadata,
+        description: metadata.description.trim(),
+        tools: metadata.tools.map((tool) => tool.trim()).filter(Boolean),
+      },
+      {
+        templateData: agentGenerator.templateData,
+        ...(manualEdits && { manualEdits }),
+        ...(contentHash && { contentHash }),
+      },
+      saveTarget,
+      onConflict
+    );
 
-    if (result && result.success) {
-      setSaveSuccess(true);
-      setTimeout(() => setSaveSuccess(false), 3000);
+    if (result) {
+      applySaveResult(result);
     }
   };
 
@@ -155,85 +438,132 @@ This subagent should be used for tasks related to ${agentType}.
         <Typography variant="h6" gutterBottom>
           Agent Metadata
         </Typography>
-        <Box sx={{ display: 'flex', gap: 2, mb: 2 }}>
-          <TextField
-            fullWidth
-            label="Agent Name"
-            variant="outlined"
-            value={agentName}
-            onChange={(e) => setAgentName(e.target.value)}
-            placeholder="e.g., API Response Validator"
-          />
-          <TextField
-            fullWidth
-            label="Agent Type"
-            variant="outlined"
-            value={agentType}
-            onChange={(e) => setAgentType(e.target.value)}
-            placeholder="e.g., validation-specialist"
-          />
+        <AgentMetadataForm metadata={metadata} onChange={updateMetadata} />
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 2 }}>
+          <Typography variant="body2" color="text.secondary">
+            Output structure
+          </Typography>
+          <ToggleButtonGroup
+            exclusive
+            size="small"
+            value={mode}
+            onChange={(event, value) => value && setMode(value)}
+          >
+            <ToggleButton value={GENERATION_MODES.ARCHITECT}>Head Architect</ToggleButton>
+            <ToggleButton value={GENERATION_MODES.TEMPLATE}>Prompt Template</ToggleButton>
+          </ToggleButtonGroup>
+          {mode === GENERATION_MODES.TEMPLATE && (
+            <>
+              <TemplateSelect value={templateId} onChange={handleTemplateChange} />
+              <Typography variant="caption" color="text.secondary">
+                Fills the template and appends the architect&apos;s analysis
+              </Typography>
+            </>
+          )}
         </Box>
         <Button
           variant="contained"
           startIcon={<Code />}
           onClick={handleGenerate}
-          disabled={!agentName.trim() || !agentType.trim() || generating}
+          disabled={!agentName.trim() || !agentType.trim() || nameInvalid || generating}
           fullWidth
         >
           {generating ? <CircularProgress size={24} /> : 'Generate Preview (with AI Architecture)'}
         </Button>
         {generating && (
           <Typography variant="caption" color="text.secondary" sx={{ mt: 1, display: 'block' }}>
-            Consulting with existing agents and generating specification...
+            {streaming
+              ? 'Consulting with existing agents and streaming the model response...'
+              : 'Consulting with existing agents and generating specification...'}
           </Typography>
         )}
       </Paper>
 
+      <GenerationErrors
+        generationError={generationError}
+        llmError={llmError}
+        onCloseGeneration={() => setGenerationError(null)}
+        onCloseLlm={() => setLlmError(null)}
+      />
+
+      <TemplateWarnings warnings={templateWarnings} onClose={() => setTemplateWarnings([])} />
+
       {generatedContent && (
         <>
           <Paper elevation={1} sx={{ p: 3, mb: 3 }}>
             <Box sx={{ display: 'flex', justifyContent: 'space-between', mb: 2 }}>
               <Typography variant="h6">Generated Agent</Typography>
-              <Box sx={{ display: 'flex', gap: 1 }}>
+              <Box sx={{ display: 'flex', gap: 1, alignItems: 'center' }}>
+                <SaveTargetSelect
+                  value={saveTarget}
+                  onChange={setSaveTarget}
+                  saveTargets={saveTargets}
+                />
                 <Button
                   variant="outlined"
                   startIcon={<Refresh />}
                   size="small"
                   onClick={handleGenerate}
+                  disabled={generating}
                 >
                   Regenerate
                 </Button>
+                <Button
+                  variant="outlined"
+                  startIcon={<CompareArrows />}
+                  size="small"
+                  onClick={handleCompareSaved}
+                  disabled={generating || nameInvalid}
+                >
+                  Compare with Saved
+                </Button>
+                <ExportMenu
+                  document={document}
+                  content={generatedContent}
+                  metadata={metadata}
+                  disabled={generating}
+                  onNotice={setNotice}
+                />
                 <Button
                   variant="contained"
                   startIcon={<Save />}
                   size="small"
-                  onClick={handleSave}
-                  disabled={agentGenerator.loading}
+                  onClick={() => handleSave()}
+                  disabled={agentGenerator.loading || nameInvalid}
                 >
                   Save Agent
                 </Button>
               </Box>
             </Box>
             <Divider sx={{ mb: 2 }} />
-            <Paper
-              elevation={0}
-              sx={{
-                p: 2,
-                backgroundColor: 'background.default',
-                maxHeight: '500px',
-                overflow: 'auto',
-                fontFamily: 'monospace',
-                fontSize: '0.875rem',
-                whiteSpace: 'pre-wrap',
-              }}
-            >
-              {generatedContent}
-            </Paper>
+            <AgentContentEditor
+              key={generationCount}
+              content={generatedContent}
+              originalContent={architectContent}
+              onChange={setGeneratedContent}
+              readOnly={generating}
+            />
+            <ContentHash hash={contentHash} generating={generating} />
           </Paper>
 
-          {saveSuccess && (
-            <Alert severity="success" sx={{ mb: 3 }}>
-              Agent saved successfully to .claude/generated-agents/
+          <ActionResults notice={notice} saved={saved} onCloseNotice={() => setNotice(null)} />
+
+          <DiffReviewDialog
+            review={review}
+            onApply={handleApplyReview}
+            onCancel={() => setReview(null)}
+          />
+
+          <SaveConflictDialog
+            conflict={conflict}
+            onOverwrite={() => handleSave('overwrite')}
+            onRename={() => handleSave('rename')}
+            onCancel={() => setConflict(null)}
+          />
+
+          {agentGenerator.error && (
+            <Alert severity="error" sx={{ mb: 3 }}>
+              {agentGenerator.error}
             </Alert>
           )}
         </>
@@ -0,0 +1,72 @@
+import { Box, Typography, Paper, ToggleButton, ToggleButtonGroup } from '@mui/material';
+
+const LINE_STYLES = {
+  added: { prefix: '+', color: 'success.main', backgroundColor: 'rgba(46, 125, 50, 0.08)' },
+  removed: { prefix: '-', color: 'error.main', backgroundColor: 'rgba(211, 47, 47, 0.08)' },
+  equal: { prefix: ' ', color: 'text.primary', backgroundColor: 'transparent' },
+};
+
+function HunkLines({ lines }) {
+  return (
+    <Box component="pre" sx={{ m: 0, fontFamily: 'monospace', fontSize: '0.8rem' }}>
+      {lines.map((change, index) => {
+        const { prefix, ...style } = LINE_STYLES[change.type];
+        return (
+          <Box key={index} component="span" sx={{ display: 'block', px: 1, ...style }}>
+            {prefix} {change.line}
+          </Box>
+        );
+      })}
+    </Box>
+  );
+}
+
+/**
+ * Diff hunks labelled by section, optionally with an accept/reject choice per hunk
+ *
+ * @param {Array} changes - Result of diffLines
+ * @param {Array} hunks - Result of diffHunks
+ * @param {Set<number>} [acceptedIds] - Hunks currently accepted; omit for a read-only list
+ * @param {Function} [onToggle] - Called with (hunkId, accepted)
+ */
+function DiffHunkList({ changes, hunks, acceptedIds, onToggle }) {
+  return hunks.map((hunk) => (
+    <Paper key={hunk.id} variant="outlined" sx={{ mb: 2, overflow: 'hidden' }}>
+      <Box
+        sx={{
+          display: 'flex',
+          alignItems: 'center',
+          gap: 1,
+          px: 1.5,
+          py: 0.5,
+          backgroundColor: 'action.hover',
+        }}
+      >
+        <Typography variant="subtitle2" sx={{ flexGrow: 1 }}>
+          {hunk.section || 'Start of file'}
+        </Typography>
+        <Typography variant="caption" color="text.secondary" sx={{ fontFamily: 'monospace' }}>
+          -{hunk.oldStart},{hunk.oldLines} +{hunk.newStart},{hunk.newLines}
+        </Typography>
+        {onToggle && (
+          <ToggleButtonGroup
+            exclusive
+            size="small"
+            value={acceptedIds.has(hunk.id) ? 'accept' : 'reject'}
+            onChange={(event, value) => value && onToggle(hunk.id, value === 'accept')}
+          >
+            <ToggleButton value="accept" color="success">
+              Accept
+            </ToggleButton>
+            <ToggleButton value="reject" color="error">
+              Reject
+            </ToggleButton>
+          </ToggleButtonGroup>
+        )}
+      </Box>
+      <HunkLines lines={changes.slice(hunk.start, hunk.end)} />
+    </Paper>
+  ));
+}
+
+export default DiffHunkList;
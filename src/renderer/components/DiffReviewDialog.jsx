@@ -0,0 +1,83 @@
+import { useState, useMemo } from 'react';
+import {
+  Box,
+  Typography,
+  Button,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+} from '@mui/material';
+import DiffHunkList from './DiffHunkList';
+import { diffLines, diffHunks, applyHunks } from '../services/textDiff';
+
+function DiffReview({ review, onApply, onCancel }) {
+  const changes = useMemo(() => diffLines(review.before, review.after), [review]);
+  const hunks = useMemo(() => diffHunks(changes), [changes]);
+  const [acceptedIds, setAcceptedIds] = useState(() => new Set(hunks.map((hunk) => hunk.id)));
+
+  const toggleHunk = (id, accepted) => {
+    setAcceptedIds((previous) => {
+      const next = new Set(previous);
+      if (accepted) {
+        next.add(id);
+      } else {
+        next.delete(id);
+      }
+      return next;
+    });
+  };
+
+  return (
+    <Dialog open onClose={onCancel} fullWidth maxWidth="lg">
+      <DialogTitle>{review.title}</DialogTitle>
+      <DialogContent dividers>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          Accept takes the {review.afterLabel}; Reject keeps the {review.beforeLabel}.
+        </Typography>
+        {hunks.length === 0 ? (
+          <Typography variant="body2">No differences.</Typography>
+        ) : (
+          <DiffHunkList
+            changes={changes}
+            hunks={hunks}
+            acceptedIds={acceptedIds}
+            onToggle={toggleHunk}
+          />
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Box sx={{ flexGrow: 1, display: 'flex', gap: 1 }}>
+          <Button onClick={() => setAcceptedIds(new Set(hunks.map((hunk) => hunk.id)))}>
+            Accept All
+          </Button>
+          <Button onClick={() => setAcceptedIds(new Set())}>Reject All</Button>
+        </Box>
+        <Button onClick={onCancel}>Cancel</Button>
+        <Button
+          variant="contained"
+          onClick={() => onApply(applyHunks(changes, hunks, acceptedIds))}
+        >
+          Apply {acceptedIds.size} of {hunks.length} changes
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+/**
+ * Review the differences between two versions of an agent, accepting or rejecting each hunk
+ *
+ * @param {Object|null} review - { title, before, after, beforeLabel, afterLabel }; null when closed
+ * @param {Function} onApply - Called with the merged text
+ * @param {Function} onCancel - Called when closed without applying
+ */
+function DiffReviewDialog({ review, onApply, onCancel }) {
+  if (!review) {
+    return null;
+  }
+
+  return <DiffReview review={review} onApply={onApply} onCancel={onCancel} />;
+}
+
+export default DiffReviewDialog;
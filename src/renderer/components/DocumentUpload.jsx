@@ -1,4 +1,4 @@
-import { useRef } from 'react';
+import { useRef, useState } from 'react';
 import {
   Box,
   Typography,
@@ -11,23 +11,212 @@ import {
   Chip,
   Alert,
   LinearProgress,
+  Button,
+  Tooltip,
 } from '@mui/material';
-import { CloudUpload, Delete, PictureAsPdf } from '@mui/icons-material';
+import {
+  CloudUpload,
+  Delete,
+  PictureAsPdf,
+  Block,
+  Description,
+  Code,
+  Language,
+  Article,
+  Refresh,
+  Close,
+} from '@mui/icons-material';
+import {
+  DOCUMENT_EXTENSIONS,
+  classifyDrag,
+  describeSkippedDrop,
+  isDocumentFile,
+} from '../services/documentDrop';
+import { UPLOAD_STATUS, MAX_DOCUMENTS, isPending } from '../services/documentUploads';
+import ProjectContextCard from './ProjectContextCard';
+
+// List icon per info.format returned by process-document
+const FORMAT_ICONS = {
+  pdf: { Icon: PictureAsPdf, color: 'error.main' },
+  docx: { Icon: Article, color: 'info.main' },
+  html: { Icon: Language, color: 'warning.main' },
+  source: { Icon: Code, color: 'success.main' },
+};
+const DEFAULT_FORMAT_ICON = { Icon: Description, color: 'text.secondary' };
+
+const DROP_ZONE_STYLES = {
+  valid: { borderColor: 'primary.main', backgroundColor: 'action.hover' },
+  invalid: { borderColor: 'error.main', backgroundColor: 'action.disabledBackground' },
+};
+
+/**
+ * Drop target and click-to-browse area; `dragState` is null, 'valid' or 'invalid'
+ */
+function DropZone({ dragState, maxDocuments, remainingSlots, onClick, dragHandlers }) {
+  const invalid = dragState === 'invalid';
+  const Icon = invalid ? Block : CloudUpload;
+
+  let title = 'Drop documents or folders here, or click to browse';
+  if (dragState === 'valid') {
+    title = 'Release to add the documents';
+  } else if (invalid) {
+    title = 'Only supported documents and folders can be dropped';
+  }
+
+  return (
+    <Box
+      sx={{
+        border: '2px dashed',
+        borderColor: 'divider',
+        borderRadius: 2,
+        p: 4,
+        textAlign: 'center',
+        cursor: 'pointer',
+        transition: 'all 0.3s',
+        '&:hover': DROP_ZONE_STYLES.valid,
+        ...(dragState && DROP_ZONE_STYLES[dragState]),
+      }}
+      onClick={onClick}
+      {...dragHandlers}
+    >
+      <Icon sx={{ fontSize: 64, color: invalid ? 'error.main' : 'text.secondary', mb: 2 }} />
+      <Typography variant="h6" gutterBottom color={invalid ? 'error' : 'inherit'}>
+        {title}
+      </Typography>
+      <Typography variant="body2" color="text.secondary" gutterBottom>
+        Maximum {maxDocuments} documents: PDF, Word (.docx), HTML, Markdown, text or source code.
+        Folders are searched for them.
+      </Typography>
+      <Chip
+        label={`${remainingSlots} slots remaining`}
+        color={remainingSlots > 0 ? 'success' : 'error'}
+        size="small"
+        sx={{ mt: 2 }}
+      />
+    </Box>
+  );
+}
+
+// Status chip per UPLOAD_STATUS
+const STATUS_CHIPS = {
+  [UPLOAD_STATUS.QUEUED]: { label: 'Queued', color: 'default' },
+  [UPLOAD_STATUS.PARSING]: { label: 'Parsing', color: 'info' },
+  [UPLOAD_STATUS.DONE]: { label: 'Done', color: 'success' },
+  [UPLOAD_STATUS.FAILED]: { label: 'Failed', color: 'error' },
+};
+
+function DocumentIcon({ format }) {
+  const { Icon, color } = FORMAT_ICONS[format] || DEFAULT_FORMAT_ICON;
+  return <Icon sx={{ mr: 2, color }} />;
+}
+
+/**
+ * Second line of an upload: its size once done, the page being read, or why it failed
+ */
+function UploadDetails({ upload }) {
+  const { status, document, page, pages, error } = upload;
+
+  if (status === UPLOAD_STATUS.DONE) {
+    return `${document.pages} pages • ${document.text?.length || 0} characters`;
+  }
+  if (status === UPLOAD_STATUS.FAILED) {
+    return (
+      <Typography component="span" variant="body2" color="error">
+        {error}
+      </Typography>
+    );
+  }
+  if (status === UPLOAD_STATUS.QUEUED) {
+    return 'Waiting to be processed';
+  }
+
+  // PDFs report each page; other formats are read in one go
+  const determinate = pages > 0;
+  return (
+    <Box component="span" sx={{ display: 'block' }}>
+      {determinate ? `Page ${page} of ${pages}` : 'Reading…'}
+      <LinearProgress
+        component="span"
+        variant={determinate ? 'determinate' : 'indeterminate'}
+        value={determinate ? (page / pages) * 100 : undefined}
+        sx={{ display: 'block', mt: 0.5 }}
+      />
+    </Box>
+  );
+}
+
+function UploadItem({ upload, onRetry, onRemove }) {
+  const chip = STATUS_CHIPS[upload.status];
+  const pending = isPending(upload);
+
+  return (
+    <ListItem
+      sx={{
+        border: '1px solid',
+        borderColor: upload.status === UPLOAD_STATUS.FAILED ? 'error.main' : 'divider',
+        borderRadius: 1,
+        mb: 1,
+        pr: 20,
+      }}
+    >
+      <DocumentIcon format={upload.document?.format} />
+      <ListItemText
+        primary={upload.name}
+        secondary={<UploadDetails upload={upload} />}
+        secondaryTypographyProps={{ component: 'div' }}
+      />
+      <ListItemSecondaryAction sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+        <Chip label={chip.label} color={chip.color} size="small" />
+        {upload.status === UPLOAD_STATUS.FAILED && (
+          <Tooltip title="Retry">
+            <IconButton onClick={() => onRetry(upload.id)}>
+              <Refresh />
+            </IconButton>
+          </Tooltip>
+        )}
+        <Tooltip title={pending ? 'Cancel' : 'Remove'}>
+          <IconButton edge="end" onClick={() => onRemove(upload.id)}>
+            {pending ? <Close /> : <Delete />}
+          </IconButton>
+        </Tooltip>
+      </ListItemSecondaryAction>
+    </ListItem>
+  );
+}
 
 function DocumentUpload({ agentGenerator }) {
   const fileInputRef = useRef(null);
+  // dragenter/dragleave also fire for the zone's children; count them to know when the drag left
+  const dragDepth = useRef(0);
+  const [dragState, setDragState] = useState(null);
+  const [dropNotice, setDropNotice] = useState(null);
 
-  const handleFileSelect = async (event) => {
+  const { uploads } = agentGenerator;
+  const remainingSlots = MAX_DOCUMENTS - uploads.length;
+  const pendingCount = uploads.filter(isPending).length;
+
+  /**
+   * Queue documents, up to the remaining slots, and report what was left out;
+   * each file's progress and result show in the list
+   */
+  const addDocuments = (documents, skipped = []) => {
+    const accepted = documents.slice(0, Math.max(remainingSlots, 0));
+
+    agentGenerator.addDocuments(accepted);
+    setDropNotice(describeSkippedDrop(skipped, documents.length - accepted.length, MAX_DOCUMENTS));
+  };
+
+  const handleFileSelect = (event) => {
     const files = Array.from(event.target.files);
+    const supported = files.filter((file) => isDocumentFile(file.name));
 
-    for (const file of files) {
-      if (file.type === 'application/pdf') {
-        await agentGenerator.addDocument({
-          name: file.name,
-          path: file.path,
-        });
-      }
-    }
+    addDocuments(
+      supported.map((file) => ({
+        name: file.name,
+        path: window.electronAPI.getPathForFile(file),
+      })),
+      files.filter((file) => !supported.includes(file)).map((file) => file.name)
+    );
 
     // Reset input
     if (fileInputRef.current) {
@@ -39,8 +228,46 @@ function DocumentUpload({ agentGenerator }) {
     fileInputRef.current?.click();
   };
 
-  const maxDocuments = 12;
-  const remainingSlots = maxDocuments - agentGenerator.documents.length;
+  const handleDragEnter = (event) => {
+    event.preventDefault();
+    dragDepth.current += 1;
+    setDragState(classifyDrag(event.dataTransfer.items));
+  };
+
+  const handleDragOver = (event) => {
+    // Without preventDefault the browser refuses the drop (or opens the file)
+    event.preventDefault();
+    event.dataTransfer.dropEffect = dragState === 'invalid' ? 'none' : 'copy';
+  };
+
+  const handleDragLeave = () => {
+    dragDepth.current = Math.max(dragDepth.current - 1, 0);
+    if (dragDepth.current === 0) {
+      setDragState(null);
+    }
+  };
+
+  const handleDrop = async (event) => {
+    event.preventDefault();
+    dragDepth.current = 0;
+    setDragState(null);
+
+    const paths = Array.from(event.dataTransfer.files)
+      .map((file) => window.electronAPI.getPathForFile(file))
+      .filter(Boolean);
+    if (paths.length === 0) {
+      return;
+    }
+
+    // Folders are expanded and unsupported files filtered out in the main process
+    const result = await window.electronAPI.expandDroppedPaths(paths);
+    if (!result.success) {
+      agentGenerator.setError(result.error);
+      return;
+    }
+
+    addDocuments(result.documents, result.skipped);
+  };
 
   return (
     <Box>
@@ -49,8 +276,8 @@ function DocumentUpload({ agentGenerator }) {
           Document Upload
         </Typography>
         <Typography variant="body1" color="text.secondary">
-          Upload up to 12 PDF documents to provide additional context for your subagent. The content
-          of these documents will be analyzed and incorporated into the generation process.
+          Upload up to 12 documents to provide additional context for your subagent. The content of
+          these documents will be analyzed and incorporated into the generation process.
         </Typography>
       </Paper>
 
@@ -60,77 +287,65 @@ function DocumentUpload({ agentGenerator }) {
         </Alert>
       )}
 
+      {dropNotice && (
+        <Alert severity="warning" sx={{ mb: 3 }} onClose={() => setDropNotice(null)}>
+          {dropNotice}
+        </Alert>
+      )}
+
       {agentGenerator.loading && <LinearProgress sx={{ mb: 3 }} />}
 
       <Paper elevation={1} sx={{ p: 3, mb: 3 }}>
-        <Box
-          sx={{
-            border: '2px dashed',
-            borderColor: 'divider',
-            borderRadius: 2,
-            p: 4,
-            textAlign: 'center',
-            cursor: 'pointer',
-            transition: 'all 0.3s',
-            '&:hover': {
-              borderColor: 'primary.main',
-              backgroundColor: 'action.hover',
-            },
-          }}
+        <DropZone
+          dragState={dragState}
+          maxDocuments={MAX_DOCUMENTS}
+          remainingSlots={remainingSlots}
           onClick={handleUploadClick}
-        >
-          <CloudUpload sx={{ fontSize: 64, color: 'text.secondary', mb: 2 }} />
-          <Typography variant="h6" gutterBottom>
-            Drop PDF files here or click to browse
-          </Typography>
-          <Typography variant="body2" color="text.secondary" gutterBottom>
-            Maximum {maxDocuments} PDF documents
-          </Typography>
-          <Chip
-            label={`${remainingSlots} slots remaining`}
-            color={remainingSlots > 0 ? 'success' : 'error'}
-            size="small"
-            sx={{ mt: 2 }}
-          />
-        </Box>
+          dragHandlers={{
+            onDragEnter: handleDragEnter,
+            onDragOver: handleDragOver,
+            onDragLeave: handleDragLeave,
+            onDrop: handleDrop,
+          }}
+        />
 
         <input
           ref={fileInputRef}
           type="file"
-          accept=".pdf"
+          accept={DOCUMENT_EXTENSIONS.join(',')}
           multiple
           style={{ display: 'none' }}
           onChange={handleFileSelect}
         />
       </Paper>
 
-      {agentGenerator.documents.length > 0 && (
+      <ProjectContextCard
+        project={agentGenerator.projectContext}
+        loading={agentGenerator.loading}
+        onAdd={agentGenerator.addProjectFolder}
+        onRemove={agentGenerator.removeProjectContext}
+      />
+
+      {uploads.length > 0 && (
         <Paper elevation={1} sx={{ p: 2 }}>
-          <Typography variant="h6" gutterBottom>
-            Uploaded Documents ({agentGenerator.documents.length})
-          </Typography>
+          <Box sx={{ display: 'flex', alignItems: 'center', mb: 1 }}>
+            <Typography variant="h6" sx={{ flexGrow: 1 }}>
+              Uploaded Documents ({agentGenerator.documents.length} of {uploads.length} ready)
+            </Typography>
+            {pendingCount > 0 && (
+              <Button size="small" onClick={agentGenerator.cancelUploads}>
+                Cancel {pendingCount} pending
+              </Button>
+            )}
+          </Box>
           <List>
-            {agentGenerator.documents.map((doc, index) => (
-              <ListItem
-                key={index}
-                sx={{
-                  border: '1px solid',
-                  borderColor: 'divider',
-                  borderRadius: 1,
-                  mb: 1,
-                }}
-              >
-                <PictureAsPdf sx={{ mr: 2, color: 'error.main' }} />
-                <ListItemText
-                  primary={doc.name}
-                  secondary={`${doc.pages} pages • ${doc.text?.length || 0} characters`}
-                />
-                <ListItemSecondaryAction>
-                  <IconButton edge="end" onClick={() => agentGenerator.removeDocument(index)}>
-                    <Delete />
-                  </IconButton>
-                </ListItemSecondaryAction>
-              </ListItem>
+            {uploads.map((upload) => (
+              <UploadItem
+                key={upload.id}
+                upload={upload}
+                onRetry={agentGenerator.retryUpload}
+                onRemove={agentGenerator.removeUpload}
+              />
             ))}
           </List>
         </Paper>
@@ -138,7 +353,7 @@ function DocumentUpload({ agentGenerator }) {
 
       <Paper elevation={1} sx={{ p: 2, mt: 3, background: 'rgba(46, 125, 50, 0.1)' }}>
         <Typography variant="body2" color="text.secondary">
-          <strong>How it works:</strong> Uploaded PDFs are analyzed for technical requirements,
+          <strong>How it works:</strong> Uploaded documents are analyzed for technical requirements,
           domain knowledge, and best practices. This information helps the Head Architect create a
           more contextually relevant and specialized subagent.
         </Typography>
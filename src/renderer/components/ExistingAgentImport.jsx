@@ -0,0 +1,140 @@
+import { useState } from 'react';
+import {
+  Button,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+  List,
+  ListItemButton,
+  ListItemText,
+  TextField,
+  Alert,
+  CircularProgress,
+} from '@mui/material';
+import { FileOpen } from '@mui/icons-material';
+import { importAgentFile } from '../services/formDataParser';
+
+/**
+ * Summary shown after importing, so unmapped or truncated content isn't lost silently
+ */
+function describeImport(name, imported) {
+  const fieldCount = imported.mappedSections.reduce((sum, s) => sum + s.itemCount, 0);
+  const parts = [`Imported ${fieldCount - imported.droppedItems} fields from ${name}.`];
+
+  if (imported.droppedItems > 0) {
+    parts.push(`${imported.droppedItems} items did not fit in the form and were skipped.`);
+  }
+  if (imported.unmappedSections.length > 0) {
+    const titles = imported.unmappedSections.map((s) => `"${s.title}"`).join(', ');
+    parts.push(`Sections without a matching category: ${titles}.`);
+  }
+
+  return parts.join(' ');
+}
+
+/**
+ * "Start from existing agent": fork an agent from .claude/agents into the form
+ */
+function ExistingAgentImport({ agentGenerator, onImported }) {
+  const [open, setOpen] = useState(false);
+  const [agents, setAgents] = useState([]);
+  const [query, setQuery] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleOpen = async () => {
+    setOpen(true);
+    setError(null);
+    setLoading(true);
+
+    const result = await window.electronAPI.getExistingAgents();
+    if (result.success) {
+      setAgents(result.agents);
+    } else {
+      setError(result.error);
+    }
+    setLoading(false);
+  };
+
+  const handleSelect = async (agent) => {
+    setLoading(true);
+    const result = await window.electronAPI.loadExistingAgent(agent.name);
+    setLoading(false);
+
+    if (!result.success) {
+      setError(result.error);
+      return;
+    }
+
+    const imported = importAgentFile(result.agent.content, {
+      categories: agentGenerator.categories,
+    });
+    agentGenerator.importAgent({
+      ...imported,
+      metadata: {
+        ...imported.metadata,
+        name: imported.metadata.name || result.agent.name,
+        type: imported.metadata.type || result.agent.name,
+      },
+    });
+    setOpen(false);
+    onImported(describeImport(result.agent.fileName, imported));
+  };
+
+  const needle = query.trim().toLowerCase();
+  const visibleAgents = agents.filter((agent) => agent.name.toLowerCase().includes(needle));
+
+  return (
+    <>
+      <Button variant="outlined" startIcon={<FileOpen />} onClick={handleOpen}>
+        Start from Existing Agent
+      </Button>
+
+      <Dialog open={open} onClose={() => setOpen(false)} fullWidth maxWidth="sm">
+        <DialogTitle>Start from an existing agent</DialogTitle>
+        <DialogContent>
+          <DialogContentText sx={{ mb: 2 }}>
+            Bullet lists from the agent&apos;s sections are mapped into the template categories.
+            This replaces the current form contents.
+          </DialogContentText>
+          {error && (
+            <Alert severity="error" sx={{ mb: 2 }}>
+              {error}
+            </Alert>
+          )}
+          <TextField
+            fullWidth
+            size="small"
+            placeholder="Filter agents"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            sx={{ mb: 1 }}
+          />
+          {loading ? (
+            <CircularProgress size={24} sx={{ display: 'block', mx: 'auto', my: 2 }} />
+          ) : (
+            <List dense sx={{ maxHeight: 360, overflow: 'auto' }}>
+              {visibleAgents.map((agent) => (
+                <ListItemButton key={agent.fileName} onClick={() => handleSelect(agent)}>
+                  <ListItemText primary={agent.name} secondary={agent.fileName} />
+                </ListItemButton>
+              ))}
+              {visibleAgents.length === 0 && (
+                <DialogContentText sx={{ p: 2 }}>
+                  No agents found in .claude/agents/
+                </DialogContentText>
+              )}
+            </List>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setOpen(false)}>Cancel</Button>
+        </DialogActions>
+      </Dialog>
+    </>
+  );
+}
+
+export default ExistingAgentImport;
@@ -0,0 +1,96 @@
+import { useState } from 'react';
+import { Button, Menu, MenuItem, ListItemText } from '@mui/material';
+import { FileDownload } from '@mui/icons-material';
+import {
+  EXPORT_FORMATS,
+  parseAgentBody,
+  toClaudeCodeMarkdown,
+  toPlainMarkdown,
+  toJson,
+} from '../services/agentAst';
+import { isValidAgentName } from './AgentMetadataForm';
+
+const EXPORT_OPTIONS = [
+  {
+    format: EXPORT_FORMATS.CLAUDE_CODE,
+    label: 'Claude Code agent (.md)',
+    hint: 'Frontmatter, header and body, as saved',
+  },
+  {
+    format: EXPORT_FORMATS.MARKDOWN,
+    label: 'Markdown document (.md)',
+    hint: 'For sharing: metadata and sources, no frontmatter',
+  },
+  {
+    format: EXPORT_FORMATS.JSON,
+    label: 'Agent AST (.json)',
+    hint: 'Sections, lists and the source of every item',
+  },
+];
+
+/**
+ * Export the agent in one of the EXPORT_FORMATS
+ *
+ * The current text is parsed against the generated AST (`document`), so
+ * manual edits are exported and unchanged items keep their sources. A
+ * re-opened agent has no AST; everything in it is then marked as edited.
+ */
+function ExportMenu({ document: generated, content, metadata, disabled, onNotice }) {
+  const [anchor, setAnchor] = useState(null);
+
+  const handleExport = async (format) => {
+    setAnchor(null);
+
+    const { name, type, description, tools, model } = metadata;
+    const ast = parseAgentBody(content, {
+      previous: generated,
+      metadata: { ...generated?.metadata, name, type },
+    });
+    const details = {
+      description: description.trim(),
+      tools: tools.map((tool) => tool.trim()).filter(Boolean),
+      model,
+    };
+    const serialized = {
+      [EXPORT_FORMATS.CLAUDE_CODE]: () => toClaudeCodeMarkdown(ast),
+      [EXPORT_FORMATS.MARKDOWN]: () => toPlainMarkdown(ast, details),
+      [EXPORT_FORMATS.JSON]: () => toJson(ast),
+    }[format]();
+
+    const result = await window.electronAPI.exportAgent({
+      format,
+      name,
+      content: serialized,
+      metadata: { type, ...details },
+    });
+
+    if (!result.success) {
+      onNotice(`Export failed: ${result.error}`);
+    } else if (!result.canceled) {
+      onNotice(`Agent exported to ${result.filePath}`);
+    }
+  };
+
+  return (
+    <>
+      <Button
+        variant="outlined"
+        startIcon={<FileDownload />}
+        size="small"
+        onClick={(e) => setAnchor(e.currentTarget)}
+        disabled={disabled || !isValidAgentName(metadata.name)}
+      >
+        Export
+      </Button>
+      <Menu anchorEl={anchor} open={Boolean(anchor)} onClose={() => setAnchor(null)}>
+        {EXPORT_OPTIONS.map((option) => (
+          <MenuItem key={option.format} onClick={() => handleExport(option.format)}>
+            <ListItemText primary={option.label} secondary={option.hint} />
+          </MenuItem>
+        ))}
+      </Menu>
+    </>
+  );
+}
+
+export default ExportMenu;
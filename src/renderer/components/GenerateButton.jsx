@@ -1,16 +1,9 @@
 import { Button, Paper, Typography } from '@mui/material';
 import { AutoAwesome } from '@mui/icons-material';
+import { countFilledFields } from '../services/templateFields';
 
 function GenerateButton({ agentGenerator, onGenerate }) {
-  const getTotalFilledFields = () => {
-    let total = 0;
-    Object.values(agentGenerator.templateData).forEach((category) => {
-      total += category.filter((field) => field.trim() !== '').length;
-    });
-    return total;
-  };
-
-  const filledFields = getTotalFilledFields();
+  const filledFields = countFilledFields(agentGenerator.templateData);
   const hasDocuments = agentGenerator.documents.length > 0;
   const canGenerate = filledFields > 0 || hasDocuments;
 
@@ -28,7 +21,7 @@ function GenerateButton({ agentGenerator, onGenerate }) {
       }}
     >
       <Typography variant="body2" gutterBottom>
-        Progress: {filledFields}/96 fields filled
+        Progress: {filledFields} {filledFields === 1 ? 'field' : 'fields'} filled
       </Typography>
       <Typography variant="caption" display="block" gutterBottom>
         {hasDocuments
@@ -0,0 +1,64 @@
+import { useEffect, useRef } from 'react';
+import { Box, Typography, Paper } from '@mui/material';
+import { useLivePreview } from '../hooks/useLivePreview';
+
+/**
+ * Specification preview shown next to the template form, updated as fields change
+ *
+ * The section that changed last is highlighted and scrolled into view.
+ */
+function LivePreview({ agentGenerator }) {
+  const { sections } = useLivePreview(agentGenerator);
+  const changedRef = useRef(null);
+  const firstChanged = sections.find((section) => section.changed);
+
+  useEffect(() => {
+    changedRef.current?.scrollIntoView?.({ block: 'nearest', behavior: 'smooth' });
+  }, [sections]);
+
+  return (
+    <Paper
+      elevation={1}
+      sx={{
+        p: 2,
+        position: 'sticky',
+        top: 88,
+        maxHeight: 'calc(100vh - 120px)',
+        overflow: 'auto',
+      }}
+    >
+      <Typography variant="h6">Live Preview</Typography>
+      <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mb: 2 }}>
+        Head Architect layout without consulting other agents. Generate Preview runs the full
+        generation.
+      </Typography>
+
+      {sections.length === 0 && (
+        <Typography variant="body2" color="text.secondary">
+          Building preview...
+        </Typography>
+      )}
+
+      {sections.map((section) => (
+        <Box
+          key={section.key}
+          ref={section === firstChanged ? changedRef : undefined}
+          sx={{
+            px: 1,
+            whiteSpace: 'pre-wrap',
+            fontFamily: 'monospace',
+            fontSize: '0.8rem',
+            borderLeft: '3px solid',
+            borderColor: section.changed ? 'primary.main' : 'transparent',
+            backgroundColor: section.changed ? 'action.selected' : 'transparent',
+            transition: 'background-color 0.6s, border-color 0.6s',
+          }}
+        >
+          {section.text}
+        </Box>
+      ))}
+    </Paper>
+  );
+}
+
+export default LivePreview;
@@ -0,0 +1,143 @@
+import { Fragment } from 'react';
+import {
+  Box,
+  Typography,
+  Divider,
+  Link,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+} from '@mui/material';
+import { parseMarkdown } from '../services/markdown';
+
+const HEADING_VARIANTS = ['h4', 'h5', 'h6', 'subtitle1', 'subtitle2', 'subtitle2'];
+
+const codeStyle = {
+  fontFamily: 'monospace',
+  fontSize: '0.85em',
+  backgroundColor: 'action.hover',
+  borderRadius: 0.5,
+};
+
+function renderInline(nodes) {
+  return nodes.map((node, index) => {
+    switch (node.type) {
+      case 'break':
+        return <br key={index} />;
+      case 'code':
+        return (
+          <Box key={index} component="code" sx={{ ...codeStyle, px: 0.5 }}>
+            {node.text}
+          </Box>
+        );
+      case 'strong':
+        return <strong key={index}>{renderInline(node.children)}</strong>;
+      case 'em':
+        return <em key={index}>{renderInline(node.children)}</em>;
+      case 'link':
+        // Not followed: navigating would replace the app window
+        return (
+          <Link key={index} component="span" title={node.href}>
+            {renderInline(node.children)}
+          </Link>
+        );
+      default:
+        return <Fragment key={index}>{node.text}</Fragment>;
+    }
+  });
+}
+
+function ListBlock({ block }) {
+  return (
+    <Box
+      component={block.ordered ? 'ol' : 'ul'}
+      start={block.ordered ? block.start : undefined}
+      sx={{ mt: 0, mb: 1.5, pl: 3 }}
+    >
+      {block.items.map((item, index) => (
+        <Typography key={index} component="li" variant="body2" sx={{ mb: 0.5 }}>
+          {renderInline(item.children)}
+          {item.lists.map((list, listIndex) => (
+            <ListBlock key={listIndex} block={list} />
+          ))}
+        </Typography>
+      ))}
+    </Box>
+  );
+}
+
+function TableBlock({ block }) {
+  return (
+    <Table size="small" sx={{ mb: 2 }}>
+      <TableHead>
+        <TableRow>
+          {block.header.map((cell, index) => (
+            <TableCell key={index} sx={{ fontWeight: 'bold' }}>
+              {renderInline(cell)}
+            </TableCell>
+          ))}
+        </TableRow>
+      </TableHead>
+      <TableBody>
+        {block.rows.map((row, rowIndex) => (
+          <TableRow key={rowIndex}>
+            {row.map((cell, index) => (
+              <TableCell key={index}>{renderInline(cell)}</TableCell>
+            ))}
+          </TableRow>
+        ))}
+      </TableBody>
+    </Table>
+  );
+}
+
+const BLOCK_RENDERERS = {
+  heading: (block) => (
+    <Typography
+      variant={HEADING_VARIANTS[block.level - 1]}
+      component={`h${block.level}`}
+      sx={{ mt: 2, mb: 1, fontWeight: 500 }}
+    >
+      {renderInline(block.children)}
+    </Typography>
+  ),
+  paragraph: (block) => (
+    <Typography variant="body2" paragraph>
+      {renderInline(block.children)}
+    </Typography>
+  ),
+  list: (block) => <ListBlock block={block} />,
+  code: (block) => (
+    <Box component="pre" sx={{ ...codeStyle, p: 1.5, mt: 0, mb: 2, overflow: 'auto' }}>
+      <code>{block.text}</code>
+    </Box>
+  ),
+  quote: (block) => (
+    <Box sx={{ borderLeft: 3, borderColor: 'divider', pl: 2, mb: 2, color: 'text.secondary' }}>
+      <MarkdownBlocks blocks={block.children} />
+    </Box>
+  ),
+  rule: () => <Divider sx={{ my: 2 }} />,
+  table: (block) => <TableBlock block={block} />,
+};
+
+function MarkdownBlocks({ blocks }) {
+  return blocks.map((block, index) => (
+    <Fragment key={index}>{BLOCK_RENDERERS[block.type](block)}</Fragment>
+  ));
+}
+
+/**
+ * Rendered Markdown; HTML in the source is shown as text, never injected
+ */
+function MarkdownView({ source }) {
+  return (
+    <Box sx={{ '& > :first-of-type': { mt: 0 } }}>
+      <MarkdownBlocks blocks={parseMarkdown(source)} />
+    </Box>
+  );
+}
+
+export default MarkdownView;
@@ -0,0 +1,91 @@
+import { Box, Paper, Typography, Button, Chip, Stack, IconButton, Tooltip } from '@mui/material';
+import { FolderOpen, Delete } from '@mui/icons-material';
+
+function ChipRow({ label, chips }) {
+  if (chips.length === 0) {
+    return null;
+  }
+
+  return (
+    <Box sx={{ mb: 1.5 }}>
+      <Typography variant="caption" color="text.secondary" display="block" gutterBottom>
+        {label}
+      </Typography>
+      <Stack direction="row" spacing={1} useFlexGap flexWrap="wrap">
+        {chips.map((chip) => (
+          <Chip key={chip} label={chip} size="small" variant="outlined" />
+        ))}
+      </Stack>
+    </Box>
+  );
+}
+
+/**
+ * Project folder used as context: the "Add project folder" button, then a
+ * summary of what the scan found (languages, frameworks, tests, CLAUDE.md)
+ */
+function ProjectContextCard({ project, loading, onAdd, onRemove }) {
+  if (!project) {
+    return (
+      <Paper elevation={1} sx={{ p: 3, mb: 3 }}>
+        <Typography variant="h6" gutterBottom>
+          Project Folder
+        </Typography>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          Add the codebase the subagent will work in. Its languages, frameworks, test setup and
+          CLAUDE.md are summarized and used during generation; files ignored by .gitignore are
+          skipped.
+        </Typography>
+        <Button variant="outlined" startIcon={<FolderOpen />} onClick={onAdd} disabled={loading}>
+          Add project folder
+        </Button>
+      </Paper>
+    );
+  }
+
+  const { testing } = project;
+  const testDetails = [
+    testing.command && `run with ${testing.command}`,
+    `${testing.testFiles} test file(s)`,
+  ].filter(Boolean);
+
+  return (
+    <Paper elevation={1} sx={{ p: 3, mb: 3 }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', mb: 2 }}>
+        <FolderOpen sx={{ mr: 2, color: 'primary.main' }} />
+        <Box sx={{ flexGrow: 1 }}>
+          <Typography variant="h6">{project.name}</Typography>
+          <Typography variant="body2" color="text.secondary">
+            {project.fileCount} files scanned
+            {project.truncated && ' (stopped early; the folder is very large)'}
+            {project.skippedDirectories?.length > 0 &&
+              ` • ${project.skippedDirectories.length} unreadable folder(s) skipped`}
+          </Typography>
+        </Box>
+        <Button onClick={onAdd} disabled={loading} sx={{ mr: 1 }}>
+          Change
+        </Button>
+        <Tooltip title="Remove project context">
+          <IconButton onClick={onRemove} disabled={loading}>
+            <Delete />
+          </IconButton>
+        </Tooltip>
+      </Box>
+
+      <ChipRow
+        label="Languages"
+        chips={project.languages.map(({ language, files }) => `${language} (${files})`)}
+      />
+      <ChipRow label="Frameworks" chips={project.frameworks.map(({ name }) => name)} />
+      <ChipRow label="Tests" chips={testing.frameworks.map(({ name }) => name)} />
+
+      <Typography variant="body2" color="text.secondary">
+        Tests: {testDetails.join(', ')}
+        {' • '}
+        {project.claudeMd ? `Instructions from ${project.claudeMd.file}` : 'No CLAUDE.md found'}
+      </Typography>
+    </Paper>
+  );
+}
+
+export default ProjectContextCard;
@@ -0,0 +1,129 @@
+import { useState, useEffect } from 'react';
+import {
+  Box,
+  Typography,
+  Paper,
+  Button,
+  List,
+  ListItemButton,
+  ListItemText,
+  Chip,
+} from '@mui/material';
+import { FolderOpen, RestartAlt } from '@mui/icons-material';
+import SaveTargetSelect from './SaveTargetSelect';
+
+/**
+ * Project folder picker, recent projects and the default save target
+ */
+function ProjectSettings({ onStatus, onProjectChange }) {
+  const [project, setProject] = useState(null);
+  const [saveTarget, setSaveTarget] = useState('generated');
+
+  useEffect(() => {
+    const loadProject = async () => {
+      const [projectResult, settingsResult] = await Promise.all([
+        window.electronAPI.getProjectInfo(),
+        window.electronAPI.loadSettings(),
+      ]);
+
+      if (projectResult.success) {
+        setProject(projectResult.project);
+      }
+      if (settingsResult.success && settingsResult.settings.saveTarget) {
+        setSaveTarget(settingsResult.settings.saveTarget);
+      }
+    };
+
+    loadProject();
+  }, []);
+
+  const applyResult = (result) => {
+    if (!result.success) {
+      onStatus({ severity: 'error', message: result.error });
+    } else if (!result.canceled) {
+      setProject(result.project);
+      // The new project may define its own template categories
+      onProjectChange?.();
+      onStatus({ severity: 'success', message: `Project set to ${result.project.projectRoot}` });
+    }
+  };
+
+  const handleSaveTargetChange = async (target) => {
+    setSaveTarget(target);
+    const result = await window.electronAPI.saveSettings({ saveTarget: target });
+    if (!result.success) {
+      onStatus({ severity: 'error', message: result.error });
+    }
+  };
+
+  if (!project) {
+    return null;
+  }
+
+  const recent = project.recentProjects.filter((root) => root !== project.projectRoot);
+
+  return (
+    <Paper elevation={1} sx={{ p: 3, mb: 3 }}>
+      <Typography variant="h6" gutterBottom>
+        Project
+      </Typography>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        Agents are saved to, and consulted from, the <code>.claude</code> folder of the selected
+        project.
+      </Typography>
+
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 2, flexWrap: 'wrap' }}>
+        <Typography variant="body1" sx={{ fontFamily: 'monospace', wordBreak: 'break-all' }}>
+          {project.projectRoot}
+        </Typography>
+        {project.isDefault && <Chip size="small" label="App directory" />}
+      </Box>
+
+      <Box sx={{ display: 'flex', gap: 2, mb: 2 }}>
+        <Button
+          variant="contained"
+          startIcon={<FolderOpen />}
+          onClick={async () => applyResult(await window.electronAPI.selectProjectRoot())}
+        >
+          Choose Folder
+        </Button>
+        {!project.isDefault && (
+          <Button
+            startIcon={<RestartAlt />}
+            onClick={async () => applyResult(await window.electronAPI.setProjectRoot(null))}
+          >
+            Use App Directory
+          </Button>
+        )}
+      </Box>
+
+      {recent.length > 0 && (
+        <>
+          <Typography variant="subtitle2" color="text.secondary">
+            Recent projects
+          </Typography>
+          <List dense sx={{ mb: 2 }}>
+            {recent.map((root) => (
+              <ListItemButton
+                key={root}
+                onClick={async () => applyResult(await window.electronAPI.setProjectRoot(root))}
+              >
+                <ListItemText primary={root} primaryTypographyProps={{ fontFamily: 'monospace' }} />
+              </ListItemButton>
+            ))}
+          </List>
+        </>
+      )}
+
+      <SaveTargetSelect
+        size="medium"
+        value={saveTarget}
+        onChange={handleSaveTargetChange}
+        saveTargets={project.saveTargets}
+        sx={{ minWidth: 320 }}
+      />
+    </Paper>
+  );
+}
+
+export default ProjectSettings;
@@ -0,0 +1,78 @@
+import { useState, useEffect } from 'react';
+import { Box, Typography, Paper, TextField, Switch, FormControlLabel, Button } from '@mui/material';
+import { Save } from '@mui/icons-material';
+
+/**
+ * Reproducible output: no wall-clock timestamps, so regenerating an unchanged
+ * agent gives the same file
+ */
+function ReproducibleSettings({ onStatus }) {
+  const [reproducible, setReproducible] = useState({ enabled: false, sourceDate: '' });
+
+  useEffect(() => {
+    const loadReproducible = async () => {
+      const result = await window.electronAPI.loadSettings();
+      if (result.success && result.settings.reproducible) {
+        setReproducible(result.settings.reproducible);
+      }
+    };
+
+    loadReproducible();
+  }, []);
+
+  const update = (key, value) => {
+    setReproducible((prev) => ({ ...prev, [key]: value }));
+  };
+
+  const handleSave = async () => {
+    const result = await window.electronAPI.saveSettings({
+      reproducible: { ...reproducible, sourceDate: reproducible.sourceDate.trim() },
+    });
+    onStatus(
+      result.success
+        ? { severity: 'success', message: 'Reproducible output settings saved' }
+        : { severity: 'error', message: result.error }
+    );
+  };
+
+  return (
+    <Paper elevation={1} sx={{ p: 3, mb: 3 }}>
+      <Typography variant="h6" gutterBottom>
+        Reproducible Output
+      </Typography>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        Generating the same agent from the same form and documents gives a byte-identical file, so
+        regenerating an unchanged agent leaves no diff in git. Documents are used in name order and
+        model refinement is skipped, as its output differs between runs.
+      </Typography>
+
+      <FormControlLabel
+        control={
+          <Switch
+            checked={reproducible.enabled}
+            onChange={(e) => update('enabled', e.target.checked)}
+          />
+        }
+        label="Reproducible output"
+        sx={{ mb: 2 }}
+      />
+
+      <Box sx={{ display: 'flex', gap: 2, alignItems: 'flex-start' }}>
+        <TextField
+          fullWidth
+          label="Source date"
+          value={reproducible.sourceDate}
+          onChange={(e) => update('sourceDate', e.target.value)}
+          placeholder="2024-01-31 or 2024-01-31T12:00:00Z"
+          helperText="Used as the Generated timestamp. Leave empty to leave the timestamp out."
+          disabled={!reproducible.enabled}
+        />
+        <Button variant="contained" startIcon={<Save />} onClick={handleSave} sx={{ mt: 1 }}>
+          Save
+        </Button>
+      </Box>
+    </Paper>
+  );
+}
+
+export default ReproducibleSettings;
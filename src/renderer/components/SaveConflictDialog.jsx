@@ -0,0 +1,49 @@
+import {
+  Button,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+} from '@mui/material';
+
+const CHANGE_LABELS = {
+  major: 'tools changed',
+  minor: 'description, model or type changed',
+  patch: 'specification changed',
+};
+
+/**
+ * Ask whether to overwrite or rename when saving over an existing agent
+ *
+ * @param {Object|null} conflict - `conflict` returned by saveAgent, or null when closed
+ */
+function SaveConflictDialog({ conflict, onOverwrite, onRename, onCancel }) {
+  if (!conflict) {
+    return null;
+  }
+
+  const { fileName, differs, changeLevel, existingVersion, nextVersion } = conflict;
+
+  return (
+    <Dialog open onClose={onCancel} fullWidth maxWidth="sm">
+      <DialogTitle>{fileName} already exists</DialogTitle>
+      <DialogContent>
+        <DialogContentText>
+          {differs
+            ? `The saved agent (v${existingVersion || '1.0.0'}) differs from this one: ${CHANGE_LABELS[changeLevel]}. Overwriting archives the current file to .history/ and saves this agent as v${nextVersion}.`
+            : 'The saved agent has the same content. Overwriting only refreshes its timestamp.'}
+        </DialogContentText>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onCancel}>Cancel</Button>
+        <Button onClick={onRename}>Save as New Agent</Button>
+        <Button variant="contained" color={differs ? 'warning' : 'primary'} onClick={onOverwrite}>
+          {differs ? `Overwrite as v${nextVersion}` : 'Overwrite'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default SaveConflictDialog;
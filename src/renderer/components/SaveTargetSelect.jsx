@@ -0,0 +1,35 @@
+import { TextField, MenuItem, ListItemText } from '@mui/material';
+
+export const SAVE_TARGET_OPTIONS = [
+  { value: 'generated', label: 'Generated agents', hint: 'Kept for review, shown in History' },
+  { value: 'project', label: 'Project agents', hint: 'Used by Claude Code in this project' },
+  { value: 'user', label: 'User agents', hint: 'Used by Claude Code in every project' },
+];
+
+/**
+ * Choose where saveAgent writes; `saveTargets` maps each target to its directory
+ */
+function SaveTargetSelect({ value, onChange, saveTargets, size = 'small', sx }) {
+  return (
+    <TextField
+      select
+      size={size}
+      label="Save to"
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      SelectProps={{ renderValue: (v) => SAVE_TARGET_OPTIONS.find((o) => o.value === v)?.label }}
+      sx={{ minWidth: 200, ...sx }}
+    >
+      {SAVE_TARGET_OPTIONS.map((option) => (
+        <MenuItem key={option.value} value={option.value}>
+          <ListItemText
+            primary={option.label}
+            secondary={saveTargets?.[option.value] || option.hint}
+          />
+        </MenuItem>
+      ))}
+    </TextField>
+  );
+}
+
+export default SaveTargetSelect;
@@ -0,0 +1,199 @@
+import { useState, useEffect } from 'react';
+import {
+  Box,
+  Typography,
+  Paper,
+  TextField,
+  MenuItem,
+  Switch,
+  FormControlLabel,
+  Button,
+  Chip,
+  Alert,
+} from '@mui/material';
+import { Save, Key } from '@mui/icons-material';
+import ProjectSettings from './ProjectSettings';
+import TemplateLibrary from './TemplateLibrary';
+import ReproducibleSettings from './ReproducibleSettings';
+
+function SettingsPanel({ onProjectChange }) {
+  const [llm, setLlm] = useState({ enabled: false, provider: 'openai', baseUrl: '', model: '' });
+  const [providers, setProviders] = useState([]);
+  const [apiKey, setApiKey] = useState('');
+  const [status, setStatus] = useState(null);
+  const [projectCount, setProjectCount] = useState(0);
+
+  useEffect(() => {
+    const loadSettings = async () => {
+      const [settingsResult, llmResult] = await Promise.all([
+        window.electronAPI.loadSettings(),
+        window.electronAPI.getLlmStatus(),
+      ]);
+
+      if (settingsResult.success && settingsResult.settings.llm) {
+        setLlm(settingsResult.settings.llm);
+      }
+      if (llmResult.success) {
+        setProviders(llmResult.providers);
+      }
+    };
+
+    loadSettings();
+  }, []);
+
+  // Project templates and categories come from the selected project
+  const handleProjectChange = () => {
+    setProjectCount((count) => count + 1);
+    onProjectChange?.();
+  };
+
+  const provider = providers.find((p) => p.id === llm.provider);
+
+  const updateLlm = (key, value) => {
+    setLlm((prev) => ({ ...prev, [key]: value }));
+  };
+
+  const handleSave = async () => {
+    const result = await window.electronAPI.saveSettings({ llm });
+    setStatus(
+      result.success
+        ? { severity: 'success', message: 'Settings saved' }
+        : { severity: 'error', message: result.error }
+    );
+  };
+
+  const handleSaveKey = async () => {
+    const result = await window.electronAPI.saveLlmApiKey(llm.provider, apiKey.trim());
+
+    if (result.success) {
+      setApiKey('');
+      setProviders((prev) =>
+        prev.map((p) => (p.id === llm.provider ? { ...p, hasApiKey: result.hasApiKey } : p))
+      );
+      setStatus({
+        severity: 'success',
+        message: result.hasApiKey ? 'API key stored' : 'API key removed',
+      });
+    } else {
+      setStatus({ severity: 'error', message: result.error });
+    }
+  };
+
+  return (
+    <Box>
+      <Paper elevation={0} sx={{ p: 3, mb: 3, background: 'transparent' }}>
+        <Typography variant="h4" gutterBottom>
+          Settings
+        </Typography>
+        <Typography variant="body1" color="text.secondary">
+          Choose the project to save agents into and configure how the Head Architect generates
+          subagents.
+        </Typography>
+      </Paper>
+
+      {status && (
+        <Alert severity={status.severity} sx={{ mb: 3 }} onClose={() => setStatus(null)}>
+          {status.message}
+        </Alert>
+      )}
+
+      <ProjectSettings onStatus={setStatus} onProjectChange={handleProjectChange} />
+
+      <TemplateLibrary key={projectCount} onStatus={setStatus} />
+
+      <Paper elevation={1} sx={{ p: 3, mb: 3 }}>
+        <Typography variant="h6" gutterBottom>
+          Head Architect Model
+        </Typography>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          When enabled, the architect&apos;s draft is sent to a language model which rewrites it
+          into the final subagent prompt. The response streams into the preview as it is generated.
+        </Typography>
+
+        <FormControlLabel
+          control={
+            <Switch
+              checked={llm.enabled}
+              onChange={(e) => updateLlm('enabled', e.target.checked)}
+            />
+          }
+          label="Refine generated agents with a language model"
+          sx={{ mb: 2 }}
+        />
+
+        <Box sx={{ display: 'flex', gap: 2, mb: 2 }}>
+          <TextField
+            select
+            fullWidth
+            label="Provider"
+            value={llm.provider}
+            onChange={(e) => updateLlm('provider', e.target.value)}
+          >
+            {providers.map((p) => (
+              <MenuItem key={p.id} value={p.id}>
+                {p.label}
+              </MenuItem>
+            ))}
+          </TextField>
+          <TextField
+            fullWidth
+            label="Model"
+            value={llm.model}
+            onChange={(e) => updateLlm('model', e.target.value)}
+            placeholder={provider?.defaultModel}
+          />
+        </Box>
+
+        <TextField
+          fullWidth
+          label="Base URL"
+          value={llm.baseUrl}
+          onChange={(e) => updateLlm('baseUrl', e.target.value)}
+          placeholder={provider?.defaultBaseUrl}
+          helperText="Leave empty to use the provider default"
+          sx={{ mb: 2 }}
+        />
+
+        <Box sx={{ display: 'flex', gap: 2, alignItems: 'flex-start', mb: 2 }}>
+          <TextField
+            fullWidth
+            type="password"
+            label="API Key"
+            value={apiKey}
+            onChange={(e) => setApiKey(e.target.value)}
+            helperText={
+              provider?.requiresApiKey
+                ? 'Required for this provider. Stored encrypted on this machine.'
+                : 'Optional for local endpoints. Save an empty key to remove it.'
+            }
+          />
+          <Button variant="outlined" startIcon={<Key />} onClick={handleSaveKey} sx={{ mt: 1 }}>
+            Save Key
+          </Button>
+          <Chip
+            label={provider?.hasApiKey ? 'Key stored' : 'No key'}
+            color={provider?.hasApiKey ? 'success' : 'default'}
+            size="small"
+            sx={{ mt: 2 }}
+          />
+        </Box>
+
+        <Button variant="contained" startIcon={<Save />} onClick={handleSave}>
+          Save Settings
+        </Button>
+      </Paper>
+
+      <ReproducibleSettings onStatus={setStatus} />
+
+      <Paper elevation={1} sx={{ p: 2, background: 'rgba(25, 118, 210, 0.1)' }}>
+        <Typography variant="body2" color="text.secondary">
+          <strong>Offline testing:</strong> run <code>npm run mock:llm</code> and select the
+          OpenAI-compatible provider with base URL <code>http://localhost:8787/v1</code> (or the
+          Anthropic provider with <code>http://localhost:8787</code> and any key).
+        </Typography>
+      </Paper>
+    </Box>
+  );
+}
+
+export default SettingsPanel;
@@ -0,0 +1,92 @@
+import { useState } from 'react';
+import { Box, TextField, IconButton, Button, Tooltip } from '@mui/material';
+import { Add, DeleteOutline, DragIndicator } from '@mui/icons-material';
+
+/**
+ * Editable list of one category's fields: add, remove and drag to reorder
+ */
+function TemplateFieldList({ category, agentGenerator }) {
+  const [dragIndex, setDragIndex] = useState(null);
+  const [dropIndex, setDropIndex] = useState(null);
+  const fields = agentGenerator.templateData[category.id] || [];
+  const itemLabel = category.label.toLowerCase();
+
+  const handleDrop = (index) => {
+    if (dragIndex !== null) {
+      agentGenerator.moveTemplateField(category.id, dragIndex, index);
+    }
+    setDragIndex(null);
+    setDropIndex(null);
+  };
+
+  return (
+    <Box>
+      {fields.map((value, index) => (
+        <Box
+          // Fields have no ids; the index is stable until the list is reordered
+          key={index}
+          onDragOver={(e) => {
+            e.preventDefault();
+            setDropIndex(index);
+          }}
+          onDrop={() => handleDrop(index)}
+          sx={{
+            display: 'flex',
+            alignItems: 'center',
+            gap: 1,
+            mb: 1.5,
+            opacity: dragIndex === index ? 0.5 : 1,
+            borderTop: '2px solid',
+            borderColor:
+              dropIndex === index && dragIndex !== index ? category.color : 'transparent',
+          }}
+        >
+          <Box
+            draggable
+            onDragStart={(e) => {
+              e.dataTransfer.effectAllowed = 'move';
+              setDragIndex(index);
+            }}
+            onDragEnd={() => {
+              setDragIndex(null);
+              setDropIndex(null);
+            }}
+            aria-label={`Drag ${itemLabel} ${index + 1}`}
+            sx={{ display: 'flex', cursor: 'grab', color: 'text.secondary' }}
+          >
+            <DragIndicator />
+          </Box>
+          <TextField
+            fullWidth
+            label={`${category.label} ${index + 1}`}
+            variant="outlined"
+            size="small"
+            multiline
+            minRows={1}
+            maxRows={6}
+            value={value}
+            onChange={(e) => agentGenerator.updateTemplateField(category.id, index, e.target.value)}
+            placeholder={`Enter ${itemLabel} detail ${index + 1}...`}
+          />
+          <Tooltip title="Remove field">
+            <IconButton
+              aria-label={`Remove ${itemLabel} ${index + 1}`}
+              onClick={() => agentGenerator.removeTemplateField(category.id, index)}
+            >
+              <DeleteOutline />
+            </IconButton>
+          </Tooltip>
+        </Box>
+      ))}
+      <Button
+        size="small"
+        startIcon={<Add />}
+        onClick={() => agentGenerator.addTemplateField(category.id)}
+      >
+        Add {itemLabel} field
+      </Button>
+    </Box>
+  );
+}
+
+export default TemplateFieldList;
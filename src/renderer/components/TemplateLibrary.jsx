@@ -0,0 +1,238 @@
+import { useState, useEffect } from 'react';
+import {
+  Box,
+  Typography,
+  Paper,
+  Button,
+  IconButton,
+  List,
+  ListItem,
+  ListItemText,
+  Chip,
+  Tooltip,
+  TextField,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+} from '@mui/material';
+import { ContentCopy, Edit, Delete } from '@mui/icons-material';
+import { renderTemplate } from '../services/templateEngine';
+import { TEMPLATE_PARTIALS } from '../services/templateProcessor';
+
+const PLACEHOLDER_TOKENS = /\[[A-Z][A-Z0-9_]*\]/g;
+
+/**
+ * "CORE_FUNCTION, [DOMAIN]" → ['[CORE_FUNCTION]', '[DOMAIN]']
+ */
+function parsePlaceholderInput(text) {
+  return text
+    .split(/[\s,]+/)
+    .filter(Boolean)
+    .map((token) => (token.startsWith('[') ? token : `[${token}]`));
+}
+
+/**
+ * Edit a project template, or a copy of any template, before saving it to .claude/templates/
+ *
+ * @param {Object|null} draft - { name, description, placeholders, content, isNew }, null when closed
+ */
+function TemplateEditorDialog({ draft, onChange, onSave, onCancel }) {
+  if (!draft) {
+    return null;
+  }
+
+  const update = (key) => (e) => onChange({ ...draft, [key]: e.target.value });
+  const detectPlaceholders = () => {
+    const tokens = [...new Set(draft.content.match(PLACEHOLDER_TOKENS))];
+    onChange({ ...draft, placeholders: tokens.join(', ') });
+  };
+
+  return (
+    <Dialog open onClose={onCancel} fullWidth maxWidth="md">
+      <DialogTitle>{draft.isNew ? 'New project template' : `Edit ${draft.name}`}</DialogTitle>
+      <DialogContent>
+        <TextField
+          fullWidth
+          label="Name"
+          value={draft.name}
+          onChange={update('name')}
+          disabled={!draft.isNew}
+          helperText={draft.isNew ? 'Saved as .claude/templates/<name>.md in the project' : ''}
+          sx={{ mt: 1, mb: 2 }}
+        />
+        <TextField
+          fullWidth
+          label="Description"
+          value={draft.description}
+          onChange={update('description')}
+          sx={{ mb: 2 }}
+        />
+        <Box sx={{ display: 'flex', gap: 2, alignItems: 'flex-start', mb: 2 }}>
+          <TextField
+            fullWidth
+            label="Placeholders"
+            value={draft.placeholders}
+            onChange={update('placeholders')}
+            helperText="Tokens the template uses, e.g. SUBAGENT_TYPE, CORE_FUNCTION. Generation warns about unknown or unfilled ones."
+          />
+          <Button onClick={detectPlaceholders} sx={{ mt: 1, whiteSpace: 'nowrap' }}>
+            Detect
+          </Button>
+        </Box>
+        <TextField
+          fullWidth
+          multiline
+          minRows={12}
+          label="Template"
+          value={draft.content}
+          onChange={update('content')}
+          InputProps={{ sx: { fontFamily: 'monospace', fontSize: '0.875rem' } }}
+        />
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onCancel}>Cancel</Button>
+        <Button variant="contained" onClick={onSave} disabled={!draft.name.trim()}>
+          Save Template
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+/**
+ * Prompt template library: built-in templates can be copied into the project,
+ * project templates can be edited and deleted
+ */
+function TemplateLibrary({ onStatus }) {
+  const [templates, setTemplates] = useState([]);
+  const [reloadCount, setReloadCount] = useState(0);
+  const [draft, setDraft] = useState(null);
+
+  useEffect(() => {
+    const loadTemplates = async () => {
+      const result = await window.electronAPI.listTemplates();
+      if (result && result.success) {
+        setTemplates(result.templates);
+      }
+    };
+
+    loadTemplates();
+  }, [reloadCount]);
+
+  const reportError = (result) => {
+    if (!result.success) {
+      onStatus({ severity: 'error', message: result.error });
+    }
+    return result.success;
+  };
+
+  const openEditor = async (template, isNew) => {
+    const result = await window.electronAPI.loadTemplate(template.id);
+    if (reportError(result)) {
+      setDraft({
+        name: isNew ? `${template.name} Copy` : template.name,
+        description: template.description,
+        placeholders: (template.placeholders || []).join(', '),
+        content: result.template,
+        isNew,
+      });
+    }
+  };
+
+  const handleSave = async () => {
+    // A trial render catches syntax errors and unknown partials before saving
+    try {
+      renderTemplate(draft.content, {}, { partials: TEMPLATE_PARTIALS });
+    } catch (error) {
+      onStatus({ severity: 'error', message: error.message });
+      return;
+    }
+
+    const result = await window.electronAPI.saveTemplate({
+      name: draft.name.trim(),
+      description: draft.description.trim(),
+      placeholders: parsePlaceholderInput(draft.placeholders),
+      content: draft.content,
+    });
+
+    if (reportError(result)) {
+      setDraft(null);
+      setReloadCount((count) => count + 1);
+      onStatus({ severity: 'success', message: `Template "${result.template.name}" saved` });
+    }
+  };
+
+  const handleDelete = async (template) => {
+    const result = await window.electronAPI.deleteTemplate(template.id);
+    if (reportError(result)) {
+      setReloadCount((count) => count + 1);
+      onStatus({ severity: 'success', message: `Template "${template.name}" deleted` });
+    }
+  };
+
+  return (
+    <Paper elevation={1} sx={{ p: 3, mb: 3 }}>
+      <Typography variant="h6" gutterBottom>
+        Prompt Templates
+      </Typography>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+        Templates used by the Prompt Template output structure. Copy a built-in template to
+        customize it; project templates live in <code>.claude/templates/</code>.
+      </Typography>
+
+      <List dense>
+        {templates.map((template) => (
+          <ListItem
+            key={template.id}
+            secondaryAction={
+              <>
+                <Tooltip title="Copy to project">
+                  <IconButton onClick={() => openEditor(template, true)}>
+                    <ContentCopy fontSize="small" />
+                  </IconButton>
+                </Tooltip>
+                {!template.readOnly && (
+                  <>
+                    <Tooltip title="Edit">
+                      <IconButton onClick={() => openEditor(template, false)}>
+                        <Edit fontSize="small" />
+                      </IconButton>
+                    </Tooltip>
+                    <Tooltip title="Delete">
+                      <IconButton onClick={() => handleDelete(template)}>
+                        <Delete fontSize="small" />
+                      </IconButton>
+                    </Tooltip>
+                  </>
+                )}
+              </>
+            }
+          >
+            <ListItemText
+              primary={
+                <Box sx={{ display: 'flex', gap: 1, alignItems: 'center' }}>
+                  {template.name}
+                  <Chip
+                    size="small"
+                    label={template.source === 'project' ? 'Project' : 'Built-in'}
+                  />
+                </Box>
+              }
+              secondary={template.description || template.id}
+            />
+          </ListItem>
+        ))}
+      </List>
+
+      <TemplateEditorDialog
+        draft={draft}
+        onChange={setDraft}
+        onSave={handleSave}
+        onCancel={() => setDraft(null)}
+      />
+    </Paper>
+  );
+}
+
+export default TemplateLibrary;
@@ -0,0 +1,48 @@
+import { useState, useEffect } from 'react';
+import { TextField, MenuItem, ListItemText } from '@mui/material';
+
+// SUBAGENT_PROMPT_TEMPLATE.md (see FileManager.listTemplates)
+export const DEFAULT_TEMPLATE_ID = 'builtin/subagent-prompt';
+
+/**
+ * Choose a prompt template from the library (built-in and project templates)
+ */
+function TemplateSelect({ value, onChange, size = 'small', sx }) {
+  const [templates, setTemplates] = useState([]);
+
+  useEffect(() => {
+    const loadTemplates = async () => {
+      const result = await window.electronAPI.listTemplates();
+      if (result && result.success) {
+        setTemplates(result.templates);
+      }
+    };
+
+    loadTemplates();
+  }, []);
+
+  // Keep the selection valid while the list loads or after its file was removed
+  const options = templates.some((template) => template.id === value)
+    ? templates
+    : [...templates, { id: value, name: value, description: 'Not found in the library' }];
+
+  return (
+    <TextField
+      select
+      size={size}
+      label="Template"
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      SelectProps={{ renderValue: (v) => options.find((o) => o.id === v)?.name }}
+      sx={{ minWidth: 240, ...sx }}
+    >
+      {options.map((template) => (
+        <MenuItem key={template.id} value={template.id}>
+          <ListItemText primary={template.name} secondary={template.description || template.id} />
+        </MenuItem>
+      ))}
+    </TextField>
+  );
+}
+
+export default TemplateSelect;
@@ -1,20 +1,122 @@
-import { useState, useCallback } from 'react';
+import { useState, useCallback, useEffect, useMemo, useRef } from 'react';
+import {
+  createEmptyTemplateData,
+  normalizeTemplateData,
+  reconstructFormData,
+} from '../services/formDataParser';
+import { addField, removeField, moveField } from '../services/templateFields';
+import { DEFAULT_CATEGORIES, parseCategorySchema } from '../services/categorySchema';
+import {
+  UPLOAD_STATUS,
+  MAX_DOCUMENTS,
+  MAX_PARALLEL_UPLOADS,
+  createUpload,
+  updateUpload,
+  resultChanges,
+  uploadedDocuments,
+} from '../services/documentUploads';
+
+const EMPTY_METADATA = {
+  name: '',
+  type: '',
+  description: '',
+  tools: [],
+  model: '',
+};
 
 export function useAgentGenerator() {
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [generatedAgent, setGeneratedAgent] = useState(null);
-  const [templateData, setTemplateData] = useState({
-    coreFunctions: Array(12).fill(''),
-    domainExpertise: Array(12).fill(''),
-    inputTypes: Array(12).fill(''),
-    validationRules: Array(12).fill(''),
-    outputFormat: Array(12).fill(''),
-    performanceConstraints: Array(12).fill(''),
-    styleGuide: Array(12).fill(''),
-    integrationTargets: Array(12).fill(''),
-  });
-  const [documents, setDocuments] = useState([]);
+  const [templateData, setTemplateData] = useState(createEmptyTemplateData);
+  // Every added file with its status (see documentUploads.js); `documents` are the finished ones
+  const [uploads, setUploads] = useState([]);
+  const documents = useMemo(() => uploadedDocuments(uploads), [uploads]);
+  // Latest upload list; every change goes through changeUploads, so it's current between renders
+  const uploadList = useRef([]);
+  // Uploads waiting for a free slot ({ upload, settle }), the number of slots in use,
+  // and the ids being processed (the ones a removal has to cancel in the main process)
+  const uploadQueue = useRef([]);
+  const activeUploads = useRef(0);
+  const parsingIds = useRef(new Set());
+  // Summary of a codebase from scanProjectFolder, or null
+  const [projectContext, setProjectContext] = useState(null);
+  const [agentMetadata, setAgentMetadata] = useState(EMPTY_METADATA);
+  const [generatedContent, setGeneratedContent] = useState('');
+  const [categories, setCategories] = useState(DEFAULT_CATEGORIES);
+  // Where the categories came from: { fileName, errors }; fileName is null for the defaults
+  const [categorySchema, setCategorySchema] = useState({ fileName: null, errors: [] });
+
+  /**
+   * Apply a `loadCategorySchema` result
+   *
+   * Existing form values are kept; categories the schema adds start empty.
+   */
+  const applyCategorySchema = useCallback((result) => {
+    if (!result) {
+      return;
+    }
+
+    if (!result.success) {
+      setCategorySchema({ fileName: null, errors: [result.error] });
+      return;
+    }
+
+    const parsed = result.schema
+      ? parseCategorySchema(result.schema.content, result.schema.fileName)
+      : { categories: DEFAULT_CATEGORIES, errors: [] };
+
+    setCategories(parsed.categories);
+    setCategorySchema({ fileName: result.schema?.fileName || null, errors: parsed.errors });
+    setTemplateData((prev) => normalizeTemplateData(prev, parsed.categories));
+  }, []);
+
+  // Reload the current project's category schema (e.g. after switching projects)
+  const loadCategories = useCallback(async () => {
+    applyCategorySchema(await window.electronAPI.loadCategorySchema());
+  }, [applyCategorySchema]);
+
+  useEffect(() => {
+    const loadSchema = async () => {
+      const result = await window.electronAPI.loadCategorySchema();
+      applyCategorySchema(result);
+    };
+
+    loadSchema();
+  }, [applyCategorySchema]);
+
+  const updateAgentMetadata = useCallback((field, value) => {
+    setAgentMetadata((prev) => ({ ...prev, [field]: value }));
+  }, []);
+
+  /**
+   * Re-open a saved agent (from parseSavedAgent) to continue editing it
+   *
+   * Restores the template form from the agent's saved form data, or parses
+   * it from the Markdown for agents saved without it.
+   */
+  const loadAgent = useCallback(
+    (savedAgent) => {
+      const {
+        metadata,
+        templateData: restoredData,
+        source,
+      } = reconstructFormData(savedAgent, categories);
+
+      setAgentMetadata({ ...EMPTY_METADATA, ...metadata });
+      setTemplateData(restoredData);
+      setGeneratedContent(savedAgent.body);
+      setGeneratedAgent({
+        name: metadata.name,
+        type: metadata.type,
+        fileName: savedAgent.fileName,
+        timestamp: savedAgent.generatedAt,
+        formDataSource: source,
+      });
+      setError(null);
+    },
+    [categories]
+  );
 
   const updateTemplateField = useCallback((category, index, value) => {
     setTemplateData((prev) => ({
@@ -23,43 +125,219 @@ export function useAgentGenerator() {
     }));
   }, []);
 
-  const addDocument = useCallback(
-    async (file) => {
-      if (documents.length >= 12) {
-        setError('Maximum 12 documents allowed');
-        return;
-      }
+  const addTemplateField = useCallback((category, value = '') => {
+    setTemplateData((prev) => ({ ...prev, [category]: addField(prev[category] || [], value) }));
+  }, []);
 
-      setLoading(true);
+  const removeTemplateField = useCallback((category, index) => {
+    setTemplateData((prev) => ({ ...prev, [category]: removeField(prev[category], index) }));
+  }, []);
+
+  const moveTemplateField = useCallback((category, from, to) => {
+    setTemplateData((prev) => ({ ...prev, [category]: moveField(prev[category], from, to) }));
+  }, []);
+
+  const changeUploads = useCallback((change) => {
+    uploadList.current = change(uploadList.current);
+    setUploads(uploadList.current);
+  }, []);
+
+  /**
+   * Process one upload, recording its progress and outcome on the upload
+   */
+  const runUpload = useCallback(
+    async (upload) => {
+      const change = (changes) => changeUploads((prev) => updateUpload(prev, upload.id, changes));
+
+      parsingIds.current.add(upload.id);
+      change({ status: UPLOAD_STATUS.PARSING, error: null, page: 0, pages: 0 });
+      const unsubscribe = window.electronAPI.onDocumentProgress(({ requestId, page, pages }) => {
+        if (requestId === upload.id) {
+          change({ page, pages });
+        }
+      });
 
       try {
-        const result = await window.electronAPI.processPDF(file.path);
-
-        if (result.success) {
-          setDocuments((prev) => [
-            ...prev,
-            {
-              name: file.name,
-              path: file.path,
-              text: result.text,
-              pages: result.pages,
-            },
-          ]);
-          setError(null);
-        } else {
-          setError(result.error);
+        const result = await window.electronAPI.processDocument(upload.path, upload.id);
+        const changes = resultChanges(upload, result);
+        if (changes) {
+          change(changes);
         }
       } catch (err) {
-        setError(err.message);
+        change({ status: UPLOAD_STATUS.FAILED, error: err.message });
       } finally {
-        setLoading(false);
+        unsubscribe();
+        parsingIds.current.delete(upload.id);
+      }
+    },
+    [changeUploads]
+  );
+
+  /**
+   * Take queued uploads one after another until the queue is empty
+   */
+  const drainQueue = useCallback(async () => {
+    while (uploadQueue.current.length > 0) {
+      const { upload, settle } = uploadQueue.current.shift();
+      await runUpload(upload);
+      settle();
+    }
+    activeUploads.current -= 1;
+  }, [runUpload]);
+
+  /**
+   * Queue uploads, processing up to MAX_PARALLEL_UPLOADS at once
+   *
+   * @returns {Promise} Resolves once all of them are done, failed or removed
+   */
+  const enqueueUploads = useCallback(
+    (pending) => {
+      const finished = pending.map(
+        (upload) => new Promise((settle) => uploadQueue.current.push({ upload, settle }))
+      );
+
+      while (activeUploads.current < MAX_PARALLEL_UPLOADS && uploadQueue.current.length > 0) {
+        activeUploads.current += 1;
+        drainQueue();
+      }
+
+      return Promise.all(finished);
+    },
+    [drainQueue]
+  );
+
+  /**
+   * Add files ({ name, path }) up to MAX_DOCUMENTS; failed uploads keep their
+   * slot until they are removed
+   *
+   * @returns {Promise} Resolves once every added file is done, failed or removed
+   */
+  const addDocuments = useCallback(
+    (files) => {
+      const slots = MAX_DOCUMENTS - uploadList.current.length;
+      if (files.length > slots) {
+        setError(`Maximum ${MAX_DOCUMENTS} documents allowed`);
+      }
+
+      const added = files.slice(0, Math.max(slots, 0)).map(createUpload);
+      if (added.length === 0) {
+        return Promise.resolve();
+      }
+
+      changeUploads((prev) => [...prev, ...added]);
+      return enqueueUploads(added);
+    },
+    [enqueueUploads, changeUploads]
+  );
+
+  const addDocument = useCallback((file) => addDocuments([file]), [addDocuments]);
+
+  /**
+   * Process a failed upload again
+   */
+  const retryUpload = useCallback(
+    (id) => {
+      const upload = uploadList.current.find((item) => item.id === id);
+      if (!upload || upload.status !== UPLOAD_STATUS.FAILED) {
+        return Promise.resolve();
       }
+
+      changeUploads((prev) =>
+        updateUpload(prev, id, { status: UPLOAD_STATUS.QUEUED, error: null })
+      );
+      return enqueueUploads([upload]);
     },
-    [documents.length]
+    [enqueueUploads, changeUploads]
   );
 
-  const removeDocument = useCallback((index) => {
-    setDocuments((prev) => prev.filter((_, i) => i !== index));
+  /**
+   * Remove an upload, canceling it when it is queued or being processed
+   */
+  const removeUpload = useCallback(
+    (id) => {
+      const queued = uploadQueue.current.find((entry) => entry.upload.id === id);
+      if (queued) {
+        uploadQueue.current = uploadQueue.current.filter((entry) => entry !== queued);
+        queued.settle();
+      } else if (parsingIds.current.has(id)) {
+        window.electronAPI.cancelDocument(id);
+      }
+
+      changeUploads((prev) => prev.filter((upload) => upload.id !== id));
+    },
+    [changeUploads]
+  );
+
+  /**
+   * Remove every upload that is queued or being processed
+   */
+  const cancelUploads = useCallback(() => {
+    [...uploadQueue.current.map((entry) => entry.upload.id), ...parsingIds.current].forEach(
+      removeUpload
+    );
+  }, [removeUpload]);
+
+  /**
+   * Start a new agent from an imported agent file (from importAgentFile)
+   */
+  const importAgent = useCallback(
+    (imported) => {
+      setAgentMetadata({ ...EMPTY_METADATA, ...imported.metadata });
+      setTemplateData(normalizeTemplateData(imported.templateData, categories));
+      setGeneratedContent('');
+      setGeneratedAgent(null);
+      setError(null);
+    },
+    [categories]
+  );
+
+  /**
+   * Remove the index-th finished document
+   */
+  const removeDocument = useCallback(
+    (index) => {
+      const done = uploadList.current.filter((item) => item.status === UPLOAD_STATUS.DONE);
+      const upload = done[index];
+      if (upload) {
+        removeUpload(upload.id);
+      }
+    },
+    [removeUpload]
+  );
+
+  /**
+   * Pick a project folder and keep its summary as context; a second folder
+   * replaces the first
+   *
+   * @returns {Promise<Object|null>} The summary, or null when canceled or failed
+   */
+  const addProjectFolder = useCallback(async () => {
+    setLoading(true);
+
+    try {
+      const result = await window.electronAPI.scanProjectFolder();
+
+      if (!result.success) {
+        setError(result.error);
+        return null;
+      }
+      if (result.canceled) {
+        return null;
+      }
+
+      setProjectContext(result.project);
+      setError(null);
+      return result.project;
+    } catch (err) {
+      setError(err.message);
+      return null;
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  const removeProjectContext = useCallback(() => {
+    setProjectContext(null);
   }, []);
 
   const generateAgent = useCallback(
@@ -81,6 +359,7 @@ export function useAgentGenerator() {
           type: agentType,
           templateData,
           documents,
+          projectContext,
           timestamp: new Date().toISOString(),
         };
 
@@ -93,10 +372,13 @@ export function useAgentGenerator() {
         setLoading(false);
       }
     },
-    [templateData, documents]
+    [templateData, documents, projectContext]
   );
 
-  const saveAgent = useCallback(async (agentContent, metadata) => {
+  // formData ({ templateData, manualEdits, contentHash }) is optional; when given it is saved next to the agent.
+  // target is 'generated' (default), 'project' or 'user'.
+  // Without onConflict ('overwrite' or 'rename') an existing file is reported as `conflict`.
+  const saveAgent = useCallback(async (agentContent, metadata, formData, target, onConflict) => {
     setLoading(true);
     setError(null);
 
@@ -105,6 +387,9 @@ export function useAgentGenerator() {
         name: metadata.name,
         content: agentContent,
         metadata,
+        ...(formData && { formData }),
+        ...(target && { target }),
+        ...(onConflict && { onConflict }),
       });
 
       if (result.success) {
@@ -122,20 +407,15 @@ export function useAgentGenerator() {
   }, []);
 
   const resetForm = useCallback(() => {
-    setTemplateData({
-      coreFunctions: Array(12).fill(''),
-      domainExpertise: Array(12).fill(''),
-      inputTypes: Array(12).fill(''),
-      validationRules: Array(12).fill(''),
-      outputFormat: Array(12).fill(''),
-      performanceConstraints: Array(12).fill(''),
-      styleGuide: Array(12).fill(''),
-      integrationTargets: Array(12).fill(''),
-    });
-    setDocuments([]);
+    cancelUploads();
+    setTemplateData(createEmptyTemplateData(categories));
+    changeUploads(() => []);
+    setProjectContext(null);
+    setAgentMetadata(EMPTY_METADATA);
+    setGeneratedContent('');
     setGeneratedAgent(null);
     setError(null);
-  }, []);
+  }, [categories, cancelUploads, changeUploads]);
 
   return {
     loading,
@@ -143,9 +423,30 @@ export function useAgentGenerator() {
     generatedAgent,
     templateData,
     documents,
+    uploads,
+    projectContext,
+    agentMetadata,
+    generatedContent,
+    categories,
+    categorySchema,
+    loadCategories,
     updateTemplateField,
+    addTemplateField,
+    removeTemplateField,
+    moveTemplateField,
+    updateAgentMetadata,
+    setGeneratedContent,
+    setError,
+    loadAgent,
+    importAgent,
     addDocument,
+    addDocuments,
+    retryUpload,
+    removeUpload,
+    cancelUploads,
     removeDocument,
+    addProjectFolder,
+    removeProjectContext,
     generateAgent,
     saveAgent,
     resetForm,
@@ -0,0 +1,56 @@
+import { useState, useRef } from 'react';
+
+// Edits closer together than this are undone as one step, e.g. typing a word
+export const MERGE_WINDOW = 1000;
+
+const MAX_HISTORY = 200;
+
+/**
+ * Undo and redo for a text value held elsewhere
+ *
+ * @param {string} value - Current text
+ * @param {Function} onChange - Called with the text to show
+ * @param {Object} [options]
+ * @param {number} [options.mergeWindow] - Merge edits made within this many ms
+ * @returns {{edit: Function, undo: Function, redo: Function, canUndo: boolean, canRedo: boolean}}
+ */
+export function useEditHistory(value, onChange, { mergeWindow = MERGE_WINDOW } = {}) {
+  const [history, setHistory] = useState({ past: [], future: [] });
+  const lastEdit = useRef(0);
+  const { past, future } = history;
+
+  /**
+   * Replace the text; `merge: false` makes the edit its own undo step
+   */
+  const edit = (next, { merge: canMerge = true } = {}) => {
+    const now = Date.now();
+    const merge = canMerge && past.length > 0 && now - lastEdit.current < mergeWindow;
+    lastEdit.current = canMerge ? now : 0;
+
+    setHistory({ past: merge ? past : [...past, value].slice(-MAX_HISTORY), future: [] });
+    onChange(next);
+  };
+
+  const undo = () => {
+    if (past.length === 0) {
+      return;
+    }
+
+    // The next edit starts a new step instead of merging into the undone one
+    lastEdit.current = 0;
+    setHistory({ past: past.slice(0, -1), future: [value, ...future] });
+    onChange(past[past.length - 1]);
+  };
+
+  const redo = () => {
+    if (future.length === 0) {
+      return;
+    }
+
+    lastEdit.current = 0;
+    setHistory({ past: [...past, value], future: future.slice(1) });
+    onChange(future[0]);
+  };
+
+  return { edit, undo, redo, canUndo: past.length > 0, canRedo: future.length > 0 };
+}
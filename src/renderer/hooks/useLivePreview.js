@@ -0,0 +1,39 @@
+import { useState, useEffect } from 'react';
+import { buildLivePreview, markChangedSections } from '../services/livePreview';
+
+// Wait this long after the last edit before rebuilding
+export const LIVE_PREVIEW_DELAY = 400;
+
+/**
+ * Live preview of the specification for the current form state
+ *
+ * Rebuilds once the form data, documents, project or metadata stop changing for
+ * `delay` ms. Sections that differ from the previous build are flagged
+ * `changed` so they can be highlighted.
+ *
+ * @param {Object} agentGenerator - Result of useAgentGenerator
+ * @param {Object} [options]
+ * @param {number} [options.delay] - Debounce delay in ms
+ * @returns {{markdown: string|null, sections: Array}}
+ */
+export function useLivePreview(agentGenerator, { delay = LIVE_PREVIEW_DELAY } = {}) {
+  const { templateData, documents, projectContext, agentMetadata, categories } = agentGenerator;
+  const [preview, setPreview] = useState({ markdown: null, sections: [] });
+
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      const markdown = buildLivePreview(templateData, documents, agentMetadata, {
+        categories,
+        projectContext,
+      });
+      setPreview((previous) => ({
+        markdown,
+        sections: markChangedSections(previous.markdown, markdown),
+      }));
+    }, delay);
+
+    return () => clearTimeout(timer);
+  }, [delay, templateData, documents, projectContext, agentMetadata, categories]);
+
+  return preview;
+}
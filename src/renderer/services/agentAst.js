@@ -0,0 +1,304 @@
+/**
+ * Agent AST
+ *
+ * Structured form of a generated agent body, so it can be post-processed and
+ * written out in more than one format:
+ *
+ *   {
+ *     type: 'agent',
+ *     metadata: { name, type, complexity, generated },
+ *     sections: [{ type: 'section', title, level, blocks }],
+ *   }
+ *
+ * Text before the first heading is a section with a null title and level 0.
+ * Blocks are paragraphs, lists (optionally introduced by a lead line) and raw
+ * Markdown for anything else, such as code or tables. Paragraphs, list items
+ * and raw blocks record where they came from in `source`:
+ *
+ *   { kind: 'form', category, index }            template form field
+ *   { kind: 'document', documents }              uploaded document names
+ *   { kind: 'consultation', agentType, file }    consulted agent
+ *   { kind: 'template', templateId }             prompt template
+ *   { kind: 'project', file }                    project folder file (CLAUDE.md, a manifest)
+ *   { kind: 'architect' }                        written by the architect
+ *   { kind: 'model' }                            written by the language model
+ *   { kind: 'edit' }                             added or changed in the editor
+ */
+
+export const ARCHITECT_SOURCE = { kind: 'architect' };
+
+export const EXPORT_FORMATS = {
+  CLAUDE_CODE: 'claude-code',
+  MARKDOWN: 'markdown',
+  JSON: 'json',
+};
+
+/**
+ * @param {Object} metadata - { name, type, complexity, generated }
+ * @param {Array} sections - Result of createSection
+ */
+export function createDocument(metadata, sections) {
+  return { type: 'agent', metadata, sections };
+}
+
+/**
+ * @param {string|null} title - Heading text; null for text before the first heading
+ * @param {number} level - Heading level (0 when untitled)
+ * @param {Array} blocks - Paragraphs, lists and raw Markdown
+ */
+export function createSection(title, level, blocks = []) {
+  return { type: 'section', title, level, blocks };
+}
+
+export function createParagraph(text, source = ARCHITECT_SOURCE) {
+  return { type: 'paragraph', text, source };
+}
+
+/**
+ * @param {Array<{text: string, source: Object}>} items - Result of createItem
+ * @param {Object} [options]
+ * @param {boolean} [options.ordered] - Numbered list
+ * @param {number} [options.start] - First number of an ordered list
+ * @param {string|null} [options.lead] - Line printed directly above the items
+ */
+export function createList(items, { ordered = false, start = 1, lead = null } = {}) {
+  return { type: 'list', ordered, start, lead, items };
+}
+
+export function createItem(text, source = ARCHITECT_SOURCE) {
+  return { text, source };
+}
+
+export function createMarkdown(text, source = ARCHITECT_SOURCE) {
+  return { type: 'markdown', text, source };
+}
+
+function serializeBlock(block) {
+  if (block.type !== 'list') {
+    return block.text;
+  }
+
+  const items = block.items.map((item, index) =>
+    block.ordered ? `${block.start + index}. ${item.text}` : `- ${item.text}`
+  );
+  return (block.lead ? [block.lead, ...items] : items).join('\n');
+}
+
+function serializeSection(section) {
+  const heading = section.title === null ? [] : [`${'#'.repeat(section.level)} ${section.title}`];
+  return [...heading, ...section.blocks.map(serializeBlock)].join('\n\n');
+}
+
+/**
+ * The agent body as Claude Code reads it: the text shown in the preview and
+ * saved between the file's header and footer (see src/main/agentDocument.js)
+ *
+ * @param {Object} ast - Agent AST
+ * @returns {string} Markdown body
+ */
+export function toClaudeCodeMarkdown(ast) {
+  return ast.sections
+    .map(serializeSection)
+    .filter((text) => text !== '')
+    .join('\n\n');
+}
+
+/**
+ * Documents, consulted agents, templates and project files the agent was built from
+ *
+ * @param {Object} ast - Agent AST
+ * @returns {{documents: string[], consultations: string[], templates: string[],
+ *   projectFiles: string[]}}
+ */
+export function collectSources(ast) {
+  const documents = new Set();
+  const consultations = new Set();
+  const templates = new Set();
+  const projectFiles = new Set();
+
+  ast.sections
+    .flatMap((section) => section.blocks)
+    .flatMap((block) => (block.type === 'list' ? block.items : [block]))
+    .forEach(({ source }) => {
+      if (source.kind === 'document') {
+        source.documents.forEach((name) => documents.add(name));
+      } else if (source.kind === 'consultation') {
+        consultations.add(source.file);
+      } else if (source.kind === 'template' && source.templateId) {
+        templates.add(source.templateId);
+      } else if (source.kind === 'project' && source.file) {
+        projectFiles.add(source.file);
+      }
+    });
+
+  return {
+    documents: [...documents],
+    consultations: [...consultations],
+    templates: [...templates],
+    projectFiles: [...projectFiles],
+  };
+}
+
+/**
+ * A standalone Markdown document for sharing or documentation: a title and
+ * metadata list instead of frontmatter, and the sources the agent was built from
+ *
+ * @param {Object} ast - Agent AST
+ * @param {Object} [details] - { description, tools, model } from the metadata form
+ * @returns {string} Markdown document
+ */
+export function toPlainMarkdown(ast, { description = '', tools = [], model = '' } = {}) {
+  const { name, type, complexity } = ast.metadata;
+  const facts = [
+    type && `- **Type**: ${type}`,
+    complexity && `- **Complexity**: ${complexity}`,
+    tools.length > 0 && `- **Tools**: ${tools.join(', ')}`,
+    model && `- **Model**: ${model}`,
+  ].filter(Boolean);
+
+  const { documents, consultations, templates, projectFiles } = collectSources(ast);
+  const sources = [
+    ...documents.map((file) => `- Document: ${file}`),
+    ...consultations.map((file) => `- Consulted agent: ${file}`),
+    ...templates.map((id) => `- Prompt template: ${id}`),
+    ...projectFiles.map((file) => `- Project file: ${file}`),
+  ];
+
+  const parts = [`# ${name}`];
+  if (description) {
+    parts.push(description);
+  }
+  if (facts.length > 0) {
+    parts.push(facts.join('\n'));
+  }
+  parts.push(toClaudeCodeMarkdown(ast));
+  if (sources.length > 0) {
+    parts.push(['## Sources', '', ...sources].join('\n'));
+  }
+
+  return `${parts.join('\n\n')}\n`;
+}
+
+/**
+ * @param {Object} ast - Agent AST
+ * @returns {string} Pretty-printed JSON
+ */
+export function toJson(ast) {
+  return `${JSON.stringify(ast, null, 2)}\n`;
+}
+
+const HEADING_PATTERN = /^(#{1,6})\s+(.*)$/;
+const FENCE_PATTERN = /^\s*(```|~~~)/;
+const BULLET_PATTERN = /^[-*+] (.*)$/;
+const ORDERED_PATTERN = /^(\d+)[.)] (.*)$/;
+// Lines that make a chunk raw Markdown rather than a paragraph
+const RAW_LINE_PATTERN = /^(?:\s{4}|\s*(?:```|~~~|>|\||<)|(?:-{3,}|\*{3,}|_{3,})\s*$)/;
+
+/**
+ * Source lookup from a previous AST, so unchanged text keeps its provenance
+ */
+function indexSources(ast) {
+  const sources = new Map();
+  (ast ? ast.sections : [])
+    .flatMap((section) => section.blocks)
+    .flatMap((block) => (block.type === 'list' ? block.items : [block]))
+    .forEach(({ text, source }) => {
+      if (!sources.has(text)) {
+        sources.set(text, source);
+      }
+    });
+  return sources;
+}
+
+/**
+ * One blank-line separated chunk as a block
+ */
+function parseBlock(lines, sourceOf) {
+  const first = lines.findIndex((line) => BULLET_PATTERN.test(line) || ORDERED_PATTERN.test(line));
+  const pattern =
+    first >= 0 && ORDERED_PATTERN.test(lines[first]) ? ORDERED_PATTERN : BULLET_PATTERN;
+  const items = first >= 0 ? lines.slice(first) : [];
+
+  // A simple list, optionally after one lead line; nested or wrapped items stay raw
+  if (first >= 0 && first <= 1 && items.every((line) => pattern.test(line))) {
+    const matches = items.map((line) => pattern.exec(line));
+    const text = (match) => match[match.length - 1];
+    return createList(
+      matches.map((match) => createItem(text(match), sourceOf(text(match)))),
+      {
+        ordered: pattern === ORDERED_PATTERN,
+        start: pattern === ORDERED_PATTERN ? Number(matches[0][1]) : 1,
+        lead: first === 1 ? lines[0] : null,
+      }
+    );
+  }
+
+  const text = lines.join('\n');
+  if (first < 0 && !lines.some((line) => RAW_LINE_PATTERN.test(line))) {
+    return createParagraph(text, sourceOf(text));
+  }
+  return createMarkdown(text, sourceOf(text));
+}
+
+/**
+ * Build an AST from Markdown, e.g. the edited agent body or model output
+ *
+ * Paragraphs and list items whose text is unchanged from `previous` keep
+ * their source; everything else gets `source`.
+ *
+ * @param {string} markdown - Agent body
+ * @param {Object} [options]
+ * @param {Object} [options.previous] - AST the text was derived from
+ * @param {Object} [options.source] - Source of new or changed text
+ * @param {Object} [options.metadata] - Metadata (default: the previous AST's)
+ * @returns {Object} Agent AST
+ */
+export function parseAgentBody(
+  markdown,
+  { previous = null, source = { kind: 'edit' }, metadata } = {}
+) {
+  const known = indexSources(previous);
+  const sourceOf = (text) => known.get(text) || source;
+  const sections = [];
+  let current = createSection(null, 0);
+  let chunk = [];
+  let inFence = false;
+
+  const flush = () => {
+    if (chunk.length > 0) {
+      current.blocks.push(parseBlock(chunk, sourceOf));
+      chunk = [];
+    }
+  };
+
+  markdown
+    .replace(/\r\n/g, '\n')
+    .split('\n')
+    .forEach((line) => {
+      const heading = inFence ? null : HEADING_PATTERN.exec(line);
+
+      if (FENCE_PATTERN.test(line)) {
+        inFence = !inFence;
+        chunk.push(line);
+      } else if (inFence) {
+        chunk.push(line);
+      } else if (heading) {
+        flush();
+        if (current.title !== null || current.blocks.length > 0) {
+          sections.push(current);
+        }
+        current = createSection(heading[2].trim(), heading[1].length);
+      } else if (line.trim() === '') {
+        flush();
+      } else {
+        chunk.push(line);
+      }
+    });
+
+  flush();
+  if (current.title !== null || current.blocks.length > 0) {
+    sections.push(current);
+  }
+
+  return createDocument(metadata || (previous ? previous.metadata : {}), sections);
+}
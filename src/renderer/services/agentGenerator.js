@@ -6,47 +6,222 @@
  * 2. Consulting with existing subagents for best practices
  * 3. Generating comprehensive subagent specifications
  * 4. Formatting output according to the template
+ *
+ * The specification is built as an agent AST (see agentAst.js); the Markdown
+ * body shown in the preview is serialized from it.
+ */
+
+import TemplateProcessor from './templateProcessor';
+import PDFAnalyzer from './pdfParser';
+import { parseFrontmatter, parseSections, stripInlineMarkdown } from './markdownParser';
+import { getFilledFields, countFilledFields } from './templateFields';
+import { DEFAULT_CATEGORIES } from './categorySchema';
+import {
+  createDocument,
+  createSection,
+  createParagraph,
+  createList,
+  createItem,
+  parseAgentBody,
+  toClaudeCodeMarkdown,
+} from './agentAst';
+
+/**
+ * Generation modes
+ * - architect: hard-coded section layout built from the form data
+ * - template: a prompt template from the library (SUBAGENT_PROMPT_TEMPLATE.md
+ *   by default) filled with the form data, followed by the architect's analysis
+ */
+export const GENERATION_MODES = {
+  ARCHITECT: 'architect',
+  TEMPLATE: 'template',
+};
+
+const LLM_SYSTEM_PROMPT = `You are the Head Architect of a Claude Code subagent generator.
+You receive a draft subagent specification assembled from a form and turn it into the final
+subagent system prompt.
+
+Rules:
+- The draft is the body of the agent file. Do not add a "# Subagent:" title, version lines or a footer; they are added when the agent is saved.
+- Keep every function, rule, constraint and integration from the draft; do not invent new requirements.
+- Write clear, actionable instructions addressed to the subagent in Markdown.
+- Respond with the Markdown document only, without commentary or code fences around it.`;
+
+/**
+ * Headings in consulted agents that usually hold reusable guidance
+ */
+const GUIDANCE_HEADING_PATTERN =
+  /best practice|checklist|guideline|principle|standard|rule|requirement|constraint|tool|restriction|must|avoid|do's|don'ts|quality|security|review|convention|pattern|workflow/i;
+
+/**
+ * SHA-256 of the specification as lowercase hex, so identical output can be recognised
+ */
+async function hashContent(content) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(content));
+  return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Locale-independent string order, so sorting gives the same result on every machine
+ */
+function compareCodePoints(a, b) {
+  if (a === b) {
+    return 0;
+  }
+  return a < b ? -1 : 1;
+}
+
+const MAX_GUIDANCE_SECTIONS = 3; // Per consulted agent
+const MAX_GUIDANCE_ITEMS = 8; // Per section
+const MAX_PROJECT_SECTIONS = 5; // CLAUDE.md sections carried over
+const MAX_PROJECT_ITEMS = 8; // Per section
+
+/**
+ * Agent to consult for each framework category found in a project folder
+ */
+const PROJECT_CONSULTANTS = {
+  frontend: 'frontend-developer',
+  backend: 'backend-developer',
+  database: 'database-optimizer',
+  testing: 'test-automator',
+};
+
+/**
+ * Language and framework names of a project folder summary
  */
+function projectTechnologies(projectContext) {
+  if (!projectContext) {
+    return [];
+  }
+  return [
+    ...projectContext.languages.map(({ language }) => language),
+    ...projectContext.frameworks.map(({ name }) => name),
+    ...projectContext.testing.frameworks.map(({ name }) => name),
+  ];
+}
 
 class HeadArchitectAgent {
-  constructor() {
+  /**
+   * @param {Object} options
+   * @param {string} options.mode - One of GENERATION_MODES (default: architect)
+   * @param {Object} options.llm - { enabled, onToken } to refine the draft with the configured model
+   * @param {Object[]} options.categories - Category schema (default: built-in categories)
+   * @param {string} options.templateId - Template library id (default: the bundled template)
+   * @param {Object} options.reproducible - { enabled, sourceDate } for byte-identical output
+   * @param {Object} options.projectContext - Project folder summary from scanProjectFolder
+   */
+  constructor(options = {}) {
     this.templateEngine = null;
+    this.templateInfo = null;
+    this.mode = options.mode || GENERATION_MODES.ARCHITECT;
+    this.categories = options.categories || DEFAULT_CATEGORIES;
+    this.templateId = options.templateId;
+    this.llm = { enabled: false, onToken: null, ...options.llm };
+    this.reproducible = { enabled: false, sourceDate: '', ...options.reproducible };
+    this.projectContext = options.projectContext || null;
+  }
+
+  /**
+   * Timestamp recorded in the generation metadata
+   *
+   * Reproducible output uses the configured source date, or none at all.
+   *
+   * @returns {string|null} ISO timestamp, or null when it is left out
+   */
+  timestamp() {
+    if (!this.reproducible.enabled) {
+      return new Date().toISOString();
+    }
+
+    const { sourceDate } = this.reproducible;
+    return sourceDate ? new Date(sourceDate).toISOString() : null;
+  }
+
+  /**
+   * Put the inputs in a fixed order so the same form and documents always
+   * produce the same specification, whatever order they were entered in
+   */
+  normalizeInputs(templateData, documents) {
+    if (!this.reproducible.enabled) {
+      return { templateData, documents };
+    }
+
+    return {
+      templateData: Object.fromEntries(
+        Object.entries(templateData).sort(([a], [b]) => compareCodePoints(a, b))
+      ),
+      documents: [...documents].sort((a, b) => compareCodePoints(a.name, b.name)),
+    };
   }
 
   /**
    * Main generation method
    */
-  async generateSubagent(templateData, documents, agentName, agentType) {
+  async generateSubagent(formData, uploadedDocuments, agentName, agentType) {
     try {
+      const { templateData, documents } = this.normalizeInputs(formData, uploadedDocuments);
+
       // Load the template
-      const templateResult = await window.electronAPI.loadTemplate();
+      const templateResult = await window.electronAPI.loadTemplate(this.templateId);
       const template = templateResult.success ? templateResult.template : '';
+      this.templateInfo = templateResult.success ? templateResult.info || null : null;
 
       // Analyze the provided data
-      const analysis = this.analyzeInputData(templateData, documents);
+      const analysis = this.analyzeInputData(templateData, documents, this.projectContext);
 
       // Consult with existing agents for best practices
       const consultations = await this.consultExistingAgents(agentType, analysis);
 
-      // Generate the agent specification
-      const specification = this.createSpecification(
+      // Generate the agent specification (template mode fills the loaded template)
+      const mode = this.usesTemplate(template)
+        ? GENERATION_MODES.TEMPLATE
+        : GENERATION_MODES.ARCHITECT;
+      const draft = this.buildDocument({
         agentName,
         agentType,
         templateData,
         documents,
         analysis,
         consultations,
-        template
-      );
+        template,
+      });
+      const specification = toClaudeCodeMarkdown(draft);
+
+      // Optionally let the configured model refine the draft; its output
+      // differs between runs, so reproducible mode keeps the architect draft
+      let ast = draft;
+      let finalSpecification = specification;
+      let llmError = null;
+      const refine = this.llm.enabled && !this.reproducible.enabled;
+      if (refine) {
+        try {
+          const refined = await this.refineWithLlm(specification, agentName, agentType);
+          // Text the model kept word for word keeps its source
+          ast = parseAgentBody(refined, { previous: draft, source: { kind: 'model' } });
+          finalSpecification = toClaudeCodeMarkdown(ast);
+        } catch (error) {
+          console.error('LLM refinement failed, using architect draft:', error);
+          llmError = error.message;
+        }
+      }
 
       return {
         success: true,
-        specification,
+        specification: finalSpecification,
+        document: ast,
         metadata: {
           name: agentName,
           type: agentType,
-          timestamp: new Date().toISOString(),
+          timestamp: ast.metadata.generated,
+          complexity: analysis.complexity,
           consultedAgents: consultations.map((c) => c.agentType),
+          mode,
+          templateId: mode === GENERATION_MODES.TEMPLATE ? this.templateInfo?.id : null,
+          templateWarnings: mode === GENERATION_MODES.TEMPLATE ? this.templateEngine.warnings : [],
+          refinedByLlm: refine && !llmError,
+          llmError,
+          reproducible: this.reproducible.enabled,
+          contentHash: await hashContent(finalSpecification),
         },
       };
     } catch (error) {
@@ -61,10 +236,10 @@ class HeadArchitectAgent {
   /**
    * Analyze input data to understand requirements
    */
-  analyzeInputData(templateData, documents) {
+  analyzeInputData(templateData, documents, projectContext = null) {
     const analysis = {
-      coreFunctionCount: templateData.coreFunctions.filter((f) => f.trim()).length,
-      domainExpertiseCount: templateData.domainExpertise.filter((f) => f.trim()).length,
+      coreFunctionCount: getFilledFields(templateData.coreFunctions).length,
+      domainExpertiseCount: getFilledFields(templateData.domainExpertise).length,
       hasDocuments: documents.length > 0,
       documentCount: documents.length,
       totalDocumentPages: documents.reduce((sum, doc) => sum + doc.pages, 0),
@@ -73,10 +248,7 @@ class HeadArchitectAgent {
     };
 
     // Determine complexity
-    const totalFields = Object.values(templateData).reduce(
-      (sum, category) => sum + category.filter((f) => f.trim()).length,
-      0
-    );
+    const totalFields = countFilledFields(templateData);
 
     if (totalFields > 50 || documents.length > 5) {
       analysis.complexity = 'complex';
@@ -85,15 +257,55 @@ class HeadArchitectAgent {
     }
 
     // Suggest which agents to consult based on content
-    analysis.suggestedConsultants = this.suggestConsultants(templateData);
+    analysis.suggestedConsultants = this.suggestConsultants(templateData, projectContext);
+
+    // Keywords used to rank guidance from consulted agents
+    analysis.keywords = this.extractKeywords(templateData, projectContext);
+
+    // Languages, frameworks, test setup and CLAUDE.md of the project folder
+    analysis.project = projectContext;
+
+    // Requirements, key terms and suggested agent types from uploaded documents
+    analysis.documentInsights = this.analyzeDocuments(documents);
 
     return analysis;
   }
 
   /**
-   * Suggest which existing agents to consult
+   * Run the PDF analyzer over the uploaded documents
    */
-  suggestConsultants(templateData) {
+  analyzeDocuments(documents) {
+    if (documents.length === 0) {
+      return null;
+    }
+
+    const analyzer = new PDFAnalyzer();
+    const insights = analyzer.analyzeDocuments(documents);
+
+    return {
+      requirements: insights.technicalRequirements,
+      keyTerms: insights.keyTerms,
+      suggestedAgentTypes: analyzer.generateSuggestions(insights).agentTypes,
+    };
+  }
+
+  /**
+   * Distinct significant words (4+ letters) from the template data and the
+   * project's languages and frameworks
+   */
+  extractKeywords(templateData, projectContext = null) {
+    const words = [...Object.values(templateData).flat(), ...projectTechnologies(projectContext)]
+      .join(' ')
+      .toLowerCase()
+      .match(/[a-z]{4,}/g);
+    return [...new Set(words || [])];
+  }
+
+  /**
+   * Suggest which existing agents to consult: by keywords in the template
+   * data, then by the kind of frameworks the project uses
+   */
+  suggestConsultants(templateData, projectContext = null) {
     const consultants = [];
     const allText = Object.values(templateData).flat().join(' ').toLowerCase();
 
@@ -115,7 +327,15 @@ class HeadArchitectAgent {
       }
     }
 
-    return consultants.slice(0, 3); // Limit to top 3 consultants
+    if (projectContext) {
+      const frameworks = [...projectContext.frameworks, ...projectContext.testing.frameworks];
+      frameworks
+        .map((framework) => PROJECT_CONSULTANTS[framework.category])
+        .filter(Boolean)
+        .forEach((agent) => consultants.push(agent));
+    }
+
+    return [...new Set(consultants)].slice(0, 3); // Limit to top 3 consultants
   }
 
   /**
@@ -144,7 +364,11 @@ class HeadArchitectAgent {
       }
     }
 
-    return consultations;
+    // Pull reusable guidance out of each consulted agent's content
+    return consultations.map((consultation) => ({
+      ...consultation,
+      guidanceSections: this.extractGuidance(consultation, analysis.keywords || []),
+    }));
   }
 
   /**
@@ -160,6 +384,136 @@ class HeadArchitectAgent {
     }
   }
 
+  /**
+   * Extract guidance sections from a consulted agent's file
+   *
+   * Keeps sections whose heading looks like guidance (best practices,
+   * checklists, rules, tool restrictions...) and that contain list items.
+   * Sections are ranked by how many of the new agent's keywords they mention.
+   * The agent's frontmatter `tools` becomes a "Tool Restrictions" section.
+   *
+   * @param {Object} consultation - Result of consultAgent
+   * @param {string[]} keywords - Lowercase keywords from the template data
+   * @returns {Array<{title: string, items: string[], source: string}>}
+   */
+  extractGuidance(consultation, keywords = []) {
+    if (!consultation || !consultation.available || typeof consultation.content !== 'string') {
+      return [];
+    }
+
+    const source = `.claude/agents/${consultation.agentType}.md`;
+    const { attributes, body } = parseFrontmatter(consultation.content);
+
+    const ranked = parseSections(body)
+      .filter((section) => section.level > 1 && section.items.length > 0)
+      .filter((section) => GUIDANCE_HEADING_PATTERN.test(section.title))
+      .map((section, index) => {
+        const text = `${section.title} ${section.items.join(' ')}`.toLowerCase();
+        const score = keywords.filter((keyword) => text.includes(keyword)).length;
+        return { section, index, score };
+      })
+      .sort((a, b) => b.score - a.score || a.index - b.index)
+      .slice(0, MAX_GUIDANCE_SECTIONS)
+      .sort((a, b) => a.index - b.index);
+
+    const guidance = ranked.map(({ section }) => ({
+      title: stripInlineMarkdown(section.title),
+      items: section.items.slice(0, MAX_GUIDANCE_ITEMS).map(stripInlineMarkdown).filter(Boolean),
+      source,
+    }));
+
+    const tools = Array.isArray(attributes.tools)
+      ? attributes.tools
+      : (attributes.tools || '').split(',').map((tool) => tool.trim());
+    if (tools.filter(Boolean).length > 0) {
+      guidance.push({
+        title: 'Tool Restrictions',
+        items: [`Limit tool access to: ${tools.filter(Boolean).join(', ')}`],
+        source,
+      });
+    }
+
+    return guidance;
+  }
+
+  /**
+   * Refine a draft specification with the LLM backend
+   *
+   * Tokens arrive as `llm-token` events tagged with our request id and are
+   * forwarded to the onToken callback while the request is in flight.
+   *
+   * @returns {Promise<string>} Refined specification
+   */
+  async refineWithLlm(specification, agentName, agentType) {
+    const requestId = `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+
+    const unsubscribe = window.electronAPI.onLlmToken(({ requestId: id, token }) => {
+      if (id === requestId && this.llm.onToken) {
+        this.llm.onToken(token);
+      }
+    });
+
+    try {
+      const result = await window.electronAPI.llmComplete({
+        requestId,
+        system: LLM_SYSTEM_PROMPT,
+        prompt: [
+          `Agent name: ${agentName}`,
+          `Agent type: ${agentType}`,
+          '',
+          'Draft specification:',
+          '<draft>',
+          specification,
+          '</draft>',
+        ].join('\n'),
+      });
+
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      if (!result.text.trim()) {
+        throw new Error('Model returned an empty response');
+      }
+
+      return result.text.trim();
+    } finally {
+      unsubscribe();
+    }
+  }
+
+  /**
+   * Build the agent AST: the architect layout, or the filled template
+   * followed by the architect's analysis
+   *
+   * Every paragraph and list item records where it came from (see agentAst.js).
+   *
+   * @param {Object} inputs
+   * @param {string} inputs.agentName - Agent name
+   * @param {string} inputs.agentType - Agent type
+   * @param {Object} inputs.templateData - Category id → field values
+   * @param {Array} inputs.documents - Uploaded documents
+   * @param {Object} inputs.analysis - Result of analyzeInputData
+   * @param {Array} inputs.consultations - Result of consultExistingAgents
+   * @param {string} inputs.template - Loaded prompt template ('' for none)
+   * @returns {Object} Agent AST
+   */
+  buildDocument(inputs) {
+    const sections = this.usesTemplate(inputs.template)
+      ? this.buildTemplateSections(inputs)
+      : this.buildArchitectSections(inputs);
+
+    return createDocument(
+      {
+        name: inputs.agentName,
+        type: inputs.agentType,
+        complexity: inputs.analysis.complexity,
+        generated: this.timestamp(),
+      },
+      sections
+    );
+  }
+
   /**
    * Create the final specification
    */
@@ -171,175 +525,418 @@ class HeadArchitectAgent {
     documents,
     analysis,
     consultations,
-    _template
+    template
   ) {
-    const sections = [];
+    return toClaudeCodeMarkdown(
+      this.buildDocument({
+        agentName,
+        agentType,
+        templateData,
+        documents,
+        analysis,
+        consultations,
+        template,
+      })
+    );
+  }
 
-    // Header
-    sections.push(`# Subagent: ${agentName}`);
-    sections.push('');
-    sections.push(`**Generated**: ${new Date().toISOString()}`);
-    sections.push(`**Version**: 1.0.0`);
-    sections.push(`**Type**: ${agentType}`);
-    sections.push(`**Complexity**: ${analysis.complexity}`);
-    sections.push('');
-    sections.push('---');
-    sections.push('');
+  /**
+   * Sections of the hard-coded architect layout
+   *
+   * @param {Object} inputs - See buildDocument
+   */
+  buildArchitectSections({ agentType, templateData, documents, analysis, consultations }) {
+    const sections = [];
+    // Form fields keep their position in the form as their source index
+    const items = (category) =>
+      (templateData[category] || [])
+        .map((text, index) => ({ text, index }))
+        .filter(({ text }) => typeof text === 'string' && text.trim() !== '')
+        .map(({ text, index }) => createItem(text, { kind: 'form', category, index }));
+    const list = (category, lead = null) => createList(items(category), { lead });
+    const subsection = (title, category, lead) =>
+      items(category).length > 0 ? [createSection(title, 3, [list(category, lead)])] : [];
 
     // Overview
-    sections.push('## Overview');
-    sections.push(`This is a specialized ${agentType} subagent designed for:`);
-    templateData.coreFunctions
-      .filter((f) => f.trim())
-      .forEach((func, i) => sections.push(`${i + 1}. ${func}`));
-    sections.push('');
+    sections.push(
+      createSection('Overview', 2, [
+        createList(items('coreFunctions'), {
+          ordered: true,
+          lead: `This is a specialized ${agentType} subagent designed for:`,
+        }),
+      ])
+    );
 
     // Core Specifications
-    sections.push('## Core Specifications');
-    sections.push('');
-
-    // Core Functions
-    if (templateData.coreFunctions.some((f) => f.trim())) {
-      sections.push('### Primary Functions');
-      templateData.coreFunctions
-        .filter((f) => f.trim())
-        .forEach((func) => sections.push(`- ${func}`));
-      sections.push('');
-    }
-
-    // Domain Expertise
-    if (templateData.domainExpertise.some((f) => f.trim())) {
-      sections.push('### Domain Expertise');
-      templateData.domainExpertise
-        .filter((f) => f.trim())
-        .forEach((exp) => sections.push(`- ${exp}`));
-      sections.push('');
-    }
+    sections.push(createSection('Core Specifications', 2));
+    sections.push(...subsection('Primary Functions', 'coreFunctions'));
+    sections.push(...subsection('Domain Expertise', 'domainExpertise'));
 
     // Technical Requirements
-    sections.push('## Technical Requirements');
-    sections.push('');
-
-    // Input Types
-    if (templateData.inputTypes.some((f) => f.trim())) {
-      sections.push('### Input Interface');
-      sections.push('**Expected inputs:**');
-      templateData.inputTypes
-        .filter((f) => f.trim())
-        .forEach((input) => sections.push(`- ${input}`));
-      sections.push('');
-    }
+    sections.push(createSection('Technical Requirements', 2));
+    sections.push(...subsection('Input Interface', 'inputTypes', '**Expected inputs:**'));
+    sections.push(...subsection('Validation Rules', 'validationRules'));
+    sections.push(...subsection('Output Contract', 'outputFormat', '**Return format:**'));
+    sections.push(...subsection('Performance Constraints', 'performanceConstraints'));
 
-    // Validation Rules
-    if (templateData.validationRules.some((f) => f.trim())) {
-      sections.push('### Validation Rules');
-      templateData.validationRules
-        .filter((f) => f.trim())
-        .forEach((rule) => sections.push(`- ${rule}`));
-      sections.push('');
+    // Style Guide
+    if (items('styleGuide').length > 0) {
+      sections.push(createSection('Implementation Guidelines', 2));
+      sections.push(...subsection('Code Style', 'styleGuide'));
     }
 
-    // Output Format
-    if (templateData.outputFormat.some((f) => f.trim())) {
-      sections.push('### Output Contract');
-      sections.push('**Return format:**');
-      templateData.outputFormat
-        .filter((f) => f.trim())
-        .forEach((output) => sections.push(`- ${output}`));
-      sections.push('');
-    }
+    // Integration Targets
+    sections.push(
+      ...subsection('Integration Points', 'integrationTargets', 'Must interface with:')
+    );
+
+    // Categories added by a project schema
+    sections.push(...this.buildCustomCategorySections(templateData));
+
+    // Document Analysis and Consultant Recommendations
+    sections.push(...this.buildContextSections(documents, analysis, consultations));
+
+    // Quality Criteria
+    sections.push(
+      createSection('Quality Criteria', 2, [
+        createList(
+          [
+            'Production-ready code, not proof-of-concept',
+            'Comprehensive error handling with informative messages',
+            'Type hints for all functions where applicable',
+            'Inline documentation for complex logic',
+            'Test coverage for critical functionality',
+            'Idempotent operations where applicable',
+          ].map((text) => createItem(text)),
+          { lead: 'This subagent must meet the following quality standards:' }
+        ),
+      ])
+    );
+
+    // Usage Instructions
+    sections.push(
+      createSection('Usage Instructions', 2, [
+        createParagraph(
+          `This subagent should be used for tasks related to ${agentType}.\n` +
+            'Import and integrate according to your project structure.'
+        ),
+      ])
+    );
 
-    // Performance Constraints
-    if (templateData.performanceConstraints.some((f) => f.trim())) {
-      sections.push('### Performance Constraints');
-      templateData.performanceConstraints
-        .filter((f) => f.trim())
-        .forEach((constraint) => sections.push(`- ${constraint}`));
-      sections.push('');
+    return sections;
+  }
+
+  /**
+   * Sections for schema categories outside the built-in layout, headed by their label
+   */
+  buildCustomCategorySections(templateData) {
+    const builtIn = new Set(DEFAULT_CATEGORIES.map((category) => category.id));
+    const custom = this.categories.filter(
+      (category) => !builtIn.has(category.id) && getFilledFields(templateData[category.id]).length
+    );
+
+    if (custom.length === 0) {
+      return [];
     }
 
-    // Style Guide
-    if (templateData.styleGuide.some((f) => f.trim())) {
-      sections.push('## Implementation Guidelines');
-      sections.push('');
-      sections.push('### Code Style');
-      templateData.styleGuide
-        .filter((f) => f.trim())
-        .forEach((style) => sections.push(`- ${style}`));
-      sections.push('');
+    return [
+      createSection('Additional Specifications', 2),
+      ...custom.map((category) =>
+        createSection(category.label, 3, [
+          createList(
+            templateData[category.id]
+              .map((text, index) => ({ text, index }))
+              .filter(({ text }) => typeof text === 'string' && text.trim() !== '')
+              .map(({ text, index }) =>
+                createItem(text, { kind: 'form', category: category.id, index })
+              )
+          ),
+        ])
+      ),
+    ];
+  }
+
+  /**
+   * Whether the template should drive the output
+   */
+  usesTemplate(template) {
+    return this.mode === GENERATION_MODES.TEMPLATE && Boolean(template && template.trim());
+  }
+
+  /**
+   * Sections of the filled prompt template
+   *
+   * The template body is filled via TemplateProcessor, then the architect's
+   * analysis (documents, consultations, complexity) is appended so both
+   * sources end up in the generated agent.
+   *
+   * @param {Object} inputs - See buildDocument
+   */
+  buildTemplateSections({
+    agentName,
+    agentType,
+    templateData,
+    documents,
+    analysis,
+    consultations,
+    template,
+  }) {
+    this.templateEngine = new TemplateProcessor(
+      template,
+      this.categories,
+      this.templateInfo?.placeholders || null
+    );
+
+    const filled = this.templateEngine
+      .fillTemplateBody(templateData, { type: agentType, name: agentName }, documents)
+      .trim();
+    const { sections } = parseAgentBody(filled, {
+      source: { kind: 'template', templateId: this.templateInfo?.id || null },
+    });
+
+    // Architect Analysis
+    const facts = [
+      `**Complexity**: ${analysis.complexity}`,
+      `**Core functions**: ${analysis.coreFunctionCount}`,
+      `**Domain expertise areas**: ${analysis.domainExpertiseCount}`,
+    ];
+    if (analysis.suggestedConsultants.length > 0) {
+      facts.push(`**Related expert agents**: ${analysis.suggestedConsultants.join(', ')}`);
     }
 
-    // Integration Targets
-    if (templateData.integrationTargets.some((f) => f.trim())) {
-      sections.push('### Integration Points');
-      sections.push('Must interface with:');
-      templateData.integrationTargets
-        .filter((f) => f.trim())
-        .forEach((target) => sections.push(`- ${target}`));
-      sections.push('');
+    return [
+      ...sections,
+      createSection('Architect Analysis', 2, [createList(facts.map((text) => createItem(text)))]),
+      ...this.buildContextSections(documents, analysis, consultations),
+    ];
+  }
+
+  /**
+   * Project, document and consultation sections shared by both generation modes
+   */
+  buildContextSections(documents, analysis, consultations) {
+    const sections = [];
+
+    // Project Context
+    if (analysis.project) {
+      sections.push(...this.buildProjectSections(analysis.project));
     }
 
     // Document Analysis
     if (documents.length > 0) {
-      sections.push('## Contextual Documentation');
-      sections.push('');
-      sections.push(`This subagent was generated with ${documents.length} supporting document(s):`);
-      documents.forEach((doc) => {
-        sections.push(
-          `- **${doc.name}** (${doc.pages} pages, ${doc.text?.length || 0} characters)`
-        );
-      });
-      sections.push('');
-      sections.push('### Key Insights from Documents');
       sections.push(
-        'The uploaded documents provide additional context and requirements that should be considered in the implementation.'
+        createSection('Contextual Documentation', 2, [
+          createList(
+            documents.map((doc) =>
+              createItem(
+                `**${doc.name}** (${doc.pages} pages, ${doc.text?.length || 0} characters)`,
+                { kind: 'document', documents: [doc.name] }
+              )
+            ),
+            { lead: `This subagent was generated with ${documents.length} supporting document(s):` }
+          ),
+        ]),
+        this.buildDocumentInsights(analysis.documentInsights)
       );
-      sections.push('');
     }
 
     // Consultant Recommendations
+    const consulted = consultations.filter((c) => c && c.agentType);
     if (consultations.length > 0) {
-      sections.push('## Expert Consultations');
-      sections.push('');
-      sections.push('This subagent design was informed by consulting the following expert agents:');
-      consultations.forEach((c) => {
-        if (c && c.agentType) {
+      sections.push(
+        createSection('Expert Consultations', 2, [
+          createList(
+            consulted.map((c) =>
+              createItem(
+                `**${c.agentType}**: ${c.available ? 'Provided guidance' : 'Not available'}`,
+                {
+                  kind: 'consultation',
+                  agentType: c.agentType,
+                  file: `.claude/agents/${c.agentType}.md`,
+                }
+              )
+            ),
+            {
+              lead: 'This subagent design was informed by consulting the following expert agents:',
+            }
+          ),
+        ])
+      );
+    }
+
+    // Guidance merged from consulted agents
+    sections.push(...this.buildGuidanceSection(consultations));
+
+    return sections;
+  }
+
+  /**
+   * The project folder's languages, frameworks and test setup, followed by
+   * the lists from its CLAUDE.md
+   */
+  buildProjectSections(project) {
+    const items = [];
+    const fromProject = (file = null) => ({ kind: 'project', file });
+
+    if (project.languages.length > 0) {
+      const languages = project.languages.map(({ language, files }) =>
+        files === 1 ? `${language} (1 file)` : `${language} (${files} files)`
+      );
+      items.push(createItem(`**Languages**: ${languages.join(', ')}`, fromProject()));
+    }
+
+    // One item per manifest, so each list of frameworks cites where it was found
+    const byManifest = new Map();
+    project.frameworks.forEach(({ name, file }) => {
+      byManifest.set(file, [...(byManifest.get(file) || []), name]);
+    });
+    byManifest.forEach((names, file) => {
+      items.push(createItem(`**Frameworks** (${file}): ${names.join(', ')}`, fromProject(file)));
+    });
+
+    const { testing } = project;
+    const tests = [
+      testing.frameworks.map((framework) => framework.name).join(', '),
+      testing.command && `run with \`${testing.command}\``,
+      testing.directories.length > 0 && `in ${testing.directories.join(', ')}`,
+      testing.testFiles > 0 && `${testing.testFiles} test file(s)`,
+    ].filter(Boolean);
+    if (tests.length > 0) {
+      items.push(
+        createItem(`**Tests**: ${tests.join('; ')}`, fromProject(testing.frameworks[0]?.file))
+      );
+    }
+
+    if (project.claudeMd) {
+      items.push(
+        createItem(
+          `**Project instructions**: ${project.claudeMd.file}`,
+          fromProject(project.claudeMd.file)
+        )
+      );
+    }
+
+    const sections = [
+      createSection('Project Context', 2, [
+        createList(items, { lead: `This subagent works in the **${project.name}** codebase:` }),
+      ]),
+    ];
+
+    if (project.claudeMd) {
+      const { file, text } = project.claudeMd;
+      parseSections(text)
+        .filter((section) => section.items.length > 0)
+        .slice(0, MAX_PROJECT_SECTIONS)
+        .forEach((section) => {
           sections.push(
-            `- **${c.agentType}**: ${c.available ? 'Provided guidance' : 'Not available'}`
+            createSection(`${section.title || 'Project Conventions'} (from ${file})`, 3, [
+              createList(
+                section.items
+                  .slice(0, MAX_PROJECT_ITEMS)
+                  .map((item) => createItem(item, fromProject(file)))
+              ),
+            ])
           );
-        }
-      });
-      sections.push('');
+        });
     }
 
-    // Quality Criteria
-    sections.push('## Quality Criteria');
-    sections.push('');
-    sections.push('This subagent must meet the following quality standards:');
-    sections.push('- Production-ready code, not proof-of-concept');
-    sections.push('- Comprehensive error handling with informative messages');
-    sections.push('- Type hints for all functions where applicable');
-    sections.push('- Inline documentation for complex logic');
-    sections.push('- Test coverage for critical functionality');
-    sections.push('- Idempotent operations where applicable');
-    sections.push('');
+    return sections;
+  }
 
-    // Usage Instructions
-    sections.push('## Usage Instructions');
-    sections.push('');
-    sections.push(`This subagent should be used for tasks related to ${agentType}.`);
-    sections.push('Import and integrate according to your project structure.');
-    sections.push('');
-
-    // Footer
-    sections.push('---');
-    sections.push('');
-    sections.push('*Generated by Claude Subagent Generator v1.0.0*');
-    sections.push(
-      `*Head Architect: Complexity ${analysis.complexity}, ${consultations.length} consultations*`
-    );
+  /**
+   * Key insights extracted from the uploaded documents, citing the source
+   * document of every requirement and key term
+   */
+  buildDocumentInsights(insights) {
+    const blocks = [];
+    const cite = (sources) => `*(${sources.join(', ')})*`;
+    const fromDocuments = (sources) => ({ kind: 'document', documents: sources });
+
+    if (!insights || (insights.requirements.length === 0 && insights.keyTerms.length === 0)) {
+      blocks.push(
+        createParagraph('No explicit requirements or technical terms were found in the documents.')
+      );
+      return createSection('Key Insights from Documents', 3, blocks);
+    }
+
+    if (insights.requirements.length > 0) {
+      blocks.push(
+        createList(
+          insights.requirements.map((req) => {
+            const priority = req.priority === 'high' ? 'High' : 'Medium';
+            return createItem(
+              `**[${priority}]** ${req.text} ${cite(req.sources)}`,
+              fromDocuments(req.sources)
+            );
+          }),
+          { lead: '**Extracted Requirements**' }
+        )
+      );
+    }
+
+    if (insights.keyTerms.length > 0) {
+      blocks.push(
+        createList(
+          insights.keyTerms.map(({ term, count, sources }) => {
+            const mentions = count === 1 ? 'mention' : 'mentions';
+            return createItem(
+              `${term} (${count} ${mentions}) ${cite(sources)}`,
+              fromDocuments(sources)
+            );
+          }),
+          { lead: '**Key Terms**' }
+        )
+      );
+    }
+
+    if (insights.suggestedAgentTypes.length > 0) {
+      blocks.push(
+        createParagraph(`**Suggested Agent Types**: ${insights.suggestedAgentTypes.join(', ')}`)
+      );
+    }
+
+    return createSection('Key Insights from Documents', 3, blocks);
+  }
+
+  /**
+   * Guidance extracted from consulted agents, attributed per section
+   *
+   * Items repeated across agents are only listed the first time.
+   */
+  buildGuidanceSection(consultations) {
+    const seenItems = new Set();
+    const guidance = consultations
+      .filter((c) => c && Array.isArray(c.guidanceSections))
+      .flatMap((c) =>
+        c.guidanceSections.map((section) => ({
+          ...section,
+          agentType: c.agentType,
+          items: section.items.filter((item) => {
+            const key = item.toLowerCase();
+            if (seenItems.has(key)) {
+              return false;
+            }
+            seenItems.add(key);
+            return true;
+          }),
+        }))
+      )
+      .filter((section) => section.items.length > 0);
+
+    if (guidance.length === 0) {
+      return [];
+    }
 
-    return sections.join('\n');
+    return [
+      createSection('Expert Guidance', 2),
+      ...guidance.map((section) => {
+        const source = { kind: 'consultation', agentType: section.agentType, file: section.source };
+        return createSection(`${section.title} (from ${section.agentType})`, 3, [
+          createList(section.items.map((item) => createItem(item, source))),
+          createParagraph(`*Source: ${section.source}*`, source),
+        ]);
+      }),
+    ];
   }
 }
 
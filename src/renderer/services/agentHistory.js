@@ -0,0 +1,73 @@
+/**
+ * Agent History Service
+ *
+ * Helpers for the History view: parsing saved agent files back into their
+ * metadata and body, searching and sorting the list returned by `loadAgents`.
+ */
+
+import { parseFrontmatter, parseToolList } from './markdownParser';
+
+export const SORT_OPTIONS = {
+  MODIFIED: 'modified',
+  CREATED: 'created',
+  NAME: 'name',
+};
+
+/**
+ * Split a saved agent file into metadata and the generated specification
+ *
+ * The main process splits off the header and footer (`document`, see
+ * src/main/agentDocument.js); only the frontmatter is read here.
+ *
+ * @param {Object} agent - Entry from `loadAgents` ({ name, fileName, content, document,
+ *   created, modified })
+ * @returns {Object} The agent with `metadata`, `version`, `generatedAt` and `body` added
+ */
+export function parseSavedAgent(agent) {
+  const { attributes } = parseFrontmatter(agent.content);
+  const { header, body: specification } = agent.document;
+
+  return {
+    ...agent,
+    metadata: {
+      name: attributes.name || agent.name,
+      type: header ? header.type : '',
+      description: attributes.description || '',
+      tools: parseToolList(attributes.tools),
+      model: attributes.model || '',
+    },
+    version: header ? header.version : null,
+    generatedAt: header ? header.generated : null,
+    body: specification.trim(),
+  };
+}
+
+/**
+ * Case-insensitive search over name, type, description and content
+ */
+export function filterAgents(agents, query) {
+  const needle = (query || '').trim().toLowerCase();
+  if (!needle) {
+    return agents;
+  }
+
+  return agents.filter((agent) =>
+    [agent.metadata.name, agent.metadata.type, agent.metadata.description, agent.body].some(
+      (value) => (value || '').toLowerCase().includes(needle)
+    )
+  );
+}
+
+/**
+ * Sort agents by modification date, creation date (newest first) or name
+ */
+export function sortAgents(agents, sortBy) {
+  const sorted = [...agents];
+
+  if (sortBy === SORT_OPTIONS.NAME) {
+    return sorted.sort((a, b) => a.metadata.name.localeCompare(b.metadata.name));
+  }
+
+  const key = sortBy === SORT_OPTIONS.CREATED ? 'created' : 'modified';
+  return sorted.sort((a, b) => new Date(b[key]) - new Date(a[key]));
+}
@@ -0,0 +1,262 @@
+/**
+ * Category Schema Service
+ *
+ * The template form, validation and the prompt template are all driven by a
+ * list of categories. The built-in list (DEFAULT_CATEGORIES) can be replaced
+ * or extended per project with `.claude/template-categories.json` (or
+ * `.yaml` / `.yml`):
+ *
+ *   {
+ *     "extendDefaults": true,
+ *     "categories": [
+ *       { "id": "testCoverage", "label": "Test Coverage", "placeholder": "[TEST_COVERAGE]" }
+ *     ]
+ *   }
+ *
+ * Each category has an `id` (camelCase, the key in templateData), a `label`,
+ * and optionally a `description`, `color`, `placeholder` token filled by
+ * TemplateProcessor.fillTemplate and a `required` flag.
+ */
+
+export const DEFAULT_CATEGORIES = [
+  {
+    id: 'coreFunctions',
+    label: 'Core Functions',
+    description: 'Define the primary functions and capabilities of the subagent',
+    color: '#1976d2',
+    placeholder: '[CORE_FUNCTION]',
+    required: true,
+  },
+  {
+    id: 'domainExpertise',
+    label: 'Domain Expertise',
+    description: 'Specify the domain knowledge and expertise areas',
+    color: '#dc004e',
+    placeholder: '[DOMAIN]',
+    required: false,
+  },
+  {
+    id: 'inputTypes',
+    label: 'Input Types',
+    description: 'Define expected input types and formats',
+    color: '#2e7d32',
+    placeholder: '[INPUT_TYPES]',
+    required: false,
+  },
+  {
+    id: 'validationRules',
+    label: 'Validation Rules',
+    description: 'Specify validation rules and constraints',
+    color: '#ed6c02',
+    placeholder: '[VALIDATION]',
+    required: false,
+  },
+  {
+    id: 'outputFormat',
+    label: 'Output Format',
+    description: 'Define the output format and structure',
+    color: '#9c27b0',
+    placeholder: '[OUTPUT_FORMAT]',
+    required: false,
+  },
+  {
+    id: 'performanceConstraints',
+    label: 'Performance Constraints',
+    description: 'Specify performance requirements and constraints',
+    color: '#0288d1',
+    placeholder: '[PERFORMANCE]',
+    required: false,
+  },
+  {
+    id: 'styleGuide',
+    label: 'Style Guide',
+    description: 'Define coding style and conventions',
+    color: '#d32f2f',
+    placeholder: '[STYLE_GUIDE]',
+    required: false,
+  },
+  {
+    id: 'integrationTargets',
+    label: 'Integration Targets',
+    description: 'Specify integration points and targets',
+    color: '#7b1fa2',
+    placeholder: '[INTEGRATION_TARGETS]',
+    required: false,
+  },
+];
+
+// Same rule as the main process applies to templateData keys
+const CATEGORY_ID_PATTERN = /^[A-Za-z][A-Za-z0-9]{0,99}$/;
+const PLACEHOLDER_PATTERN = /^\[[A-Z0-9_]+\]$/;
+const COLOR_PATTERN = /^#(?:[0-9a-fA-F]{3}){1,2}$/;
+const MAX_CATEGORIES = 50;
+
+// Colors for custom categories that don't set one
+const FALLBACK_COLORS = ['#00796b', '#5d4037', '#455a64', '#c2185b', '#512da8', '#689f38'];
+
+/**
+ * Parse a YAML scalar: quoted strings, booleans, numbers and plain text
+ */
+function parseYamlScalar(raw) {
+  const text = raw.trim();
+  const quoted = /^(["'])(.*)\1$/.exec(text);
+  if (quoted) {
+    return quoted[1] === '"' ? quoted[2].replace(/\\"/g, '"') : quoted[2].replace(/''/g, "'");
+  }
+
+  const value = text.replace(/\s+#.*$/, '');
+  if (/^(true|false)$/i.test(value)) {
+    return value.toLowerCase() === 'true';
+  }
+  return /^-?\d+(\.\d+)?$/.test(value) ? Number(value) : value;
+}
+
+/**
+ * Read the YAML form of a schema file
+ *
+ * Only the layout the schema needs is supported: top-level `key: value`
+ * pairs and a `categories:` list of flat `key: value` maps.
+ *
+ * @param {string} content - YAML text
+ * @returns {Object} Parsed schema object
+ * @throws {Error} On lines outside that layout
+ */
+export function parseSchemaYaml(content) {
+  const schema = {};
+  let list = null;
+  let item = null;
+
+  content.split(/\r?\n/).forEach((line, index) => {
+    if (!line.trim() || /^\s*#/.test(line)) {
+      return;
+    }
+
+    const match = /^(\s*)(- +)?([A-Za-z][\w-]*):(?:\s+(.*))?$/.exec(line);
+    if (!match) {
+      throw new Error(`Unsupported YAML on line ${index + 1}`);
+    }
+
+    const [, indent, dash, key, value = ''] = match;
+    if (!indent && !dash) {
+      item = null;
+      list = value.trim() ? null : [];
+      schema[key] = list || parseYamlScalar(value);
+    } else if (list && dash) {
+      item = { [key]: parseYamlScalar(value) };
+      list.push(item);
+    } else if (item) {
+      item[key] = parseYamlScalar(value);
+    } else {
+      throw new Error(`Unexpected indentation on line ${index + 1}`);
+    }
+  });
+
+  return schema;
+}
+
+/**
+ * Check one category definition and fill in defaults
+ *
+ * @returns {{category: Object|null, error: string|null}}
+ */
+function normalizeCategory(definition, index) {
+  const where = `Category ${index + 1}`;
+
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    return { category: null, error: `${where} must be an object` };
+  }
+  if (typeof definition.id !== 'string' || !CATEGORY_ID_PATTERN.test(definition.id)) {
+    return { category: null, error: `${where} needs an alphanumeric id such as "testCoverage"` };
+  }
+  if (typeof definition.label !== 'string' || !definition.label.trim()) {
+    return { category: null, error: `${where} (${definition.id}) needs a label` };
+  }
+
+  const { placeholder, color } = definition;
+  if (placeholder !== undefined && !PLACEHOLDER_PATTERN.test(placeholder)) {
+    return {
+      category: null,
+      error: `${where} (${definition.id}): placeholder must look like [UPPER_CASE]`,
+    };
+  }
+
+  return {
+    category: {
+      id: definition.id,
+      label: definition.label.trim(),
+      description: typeof definition.description === 'string' ? definition.description : '',
+      color: COLOR_PATTERN.test(color) ? color : FALLBACK_COLORS[index % FALLBACK_COLORS.length],
+      placeholder: placeholder || null,
+      required: definition.required === true,
+    },
+    error: null,
+  };
+}
+
+/**
+ * Merge custom categories over the defaults; categories with a default id replace it in place
+ */
+function extendDefaults(categories) {
+  const custom = new Map(categories.map((category) => [category.id, category]));
+  const merged = DEFAULT_CATEGORIES.map((category) => custom.get(category.id) || category);
+  const defaultIds = new Set(DEFAULT_CATEGORIES.map((category) => category.id));
+
+  return [...merged, ...categories.filter((category) => !defaultIds.has(category.id))];
+}
+
+/**
+ * Turn a schema file into the category list
+ *
+ * Invalid categories are skipped and reported in `errors`. When nothing
+ * usable is left (or the file can't be parsed) the defaults are returned.
+ *
+ * @param {string} content - File contents
+ * @param {string} fileName - Used to pick JSON or YAML
+ * @returns {{categories: Object[], errors: string[]}}
+ */
+export function parseCategorySchema(content, fileName = '') {
+  let schema;
+  try {
+    schema = /\.ya?ml$/i.test(fileName) ? parseSchemaYaml(content) : JSON.parse(content);
+  } catch (error) {
+    return { categories: DEFAULT_CATEGORIES, errors: [`${fileName}: ${error.message}`] };
+  }
+
+  const definitions = Array.isArray(schema) ? schema : schema && schema.categories;
+  if (!Array.isArray(definitions)) {
+    return { categories: DEFAULT_CATEGORIES, errors: [`${fileName}: expected a categories list`] };
+  }
+
+  const errors = [];
+  const categories = [];
+  const seen = new Set();
+
+  definitions.slice(0, MAX_CATEGORIES).forEach((definition, index) => {
+    const { category, error } = normalizeCategory(definition, index);
+    if (error) {
+      errors.push(error);
+    } else if (seen.has(category.id)) {
+      errors.push(`Category ${index + 1}: duplicate id "${category.id}"`);
+    } else {
+      seen.add(category.id);
+      categories.push(category);
+    }
+  });
+
+  if (definitions.length > MAX_CATEGORIES) {
+    errors.push(`Only the first ${MAX_CATEGORIES} categories are used`);
+  }
+
+  if (schema.extendDefaults === true) {
+    return { categories: extendDefaults(categories), errors };
+  }
+
+  return { categories: categories.length > 0 ? categories : DEFAULT_CATEGORIES, errors };
+}
+
+/**
+ * Singular, lower-case form of a label for messages ("Core Functions" → "core function")
+ */
+export function describeCategoryItem(category) {
+  return category.label.toLowerCase().replace(/([^s])s$/, '$1');
+}
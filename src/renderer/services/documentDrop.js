@@ -0,0 +1,113 @@
+/**
+ * Document Drop Service
+ *
+ * Helpers for the document upload area: which files are documents, whether
+ * a drag can be dropped, and the message shown for files that weren't added.
+ *
+ * While dragging, the browser only exposes the MIME type of each item, not
+ * its name. Folders and files without a known type have an empty type; they
+ * are accepted, and the main process decides what is a document once the
+ * drop has happened (see FileManager.expandDroppedPaths).
+ */
+
+// Matches SUPPORTED_EXTENSIONS in src/main/documentExtractors.js
+export const DOCUMENT_EXTENSIONS = [
+  '.pdf',
+  '.docx',
+  '.html',
+  '.htm',
+  '.md',
+  '.markdown',
+  '.txt',
+  '.js',
+  '.jsx',
+  '.mjs',
+  '.cjs',
+  '.ts',
+  '.tsx',
+  '.py',
+  '.go',
+  '.rs',
+  '.java',
+  '.kt',
+  '.rb',
+  '.php',
+  '.cs',
+  '.c',
+  '.h',
+  '.cpp',
+  '.hpp',
+  '.swift',
+  '.sh',
+  '.sql',
+  '.css',
+  '.json',
+  '.yaml',
+  '.yml',
+  '.toml',
+];
+
+export const DOCUMENT_MIME_TYPES = [
+  'application/pdf',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/json',
+  'application/javascript',
+  'application/x-yaml',
+];
+
+/**
+ * Whether a file name has one of the DOCUMENT_EXTENSIONS
+ */
+export function isDocumentFile(name) {
+  const dot = name.lastIndexOf('.');
+  return dot > 0 && DOCUMENT_EXTENSIONS.includes(name.slice(dot).toLowerCase());
+}
+
+/**
+ * Whether the dragged item's MIME type may be a document; text/* covers
+ * Markdown, HTML and most source code
+ */
+function mayBeDocument(type) {
+  return type === '' || type.startsWith('text/') || DOCUMENT_MIME_TYPES.includes(type);
+}
+
+/**
+ * Whether the dragged items may contain documents
+ *
+ * @param {DataTransferItemList|Array} items - dataTransfer.items of a drag event
+ * @returns {'valid'|'invalid'|null} null when nothing file-like is dragged
+ */
+export function classifyDrag(items) {
+  const files = Array.from(items || []).filter((item) => item.kind === 'file');
+
+  if (files.length === 0) {
+    return null;
+  }
+
+  return files.some((item) => mayBeDocument(item.type)) ? 'valid' : 'invalid';
+}
+
+/**
+ * Message for dropped files that were not added
+ *
+ * @param {string[]} skipped - Names of dropped files that aren't documents
+ * @param {number} overLimit - Documents left out because the upload limit was reached
+ * @param {number} maxDocuments - Upload limit
+ * @returns {string|null} null when everything was added
+ */
+export function describeSkippedDrop(skipped, overLimit, maxDocuments) {
+  const messages = [];
+
+  if (skipped.length > 0) {
+    const names = skipped.slice(0, 3).join(', ');
+    const more = skipped.length > 3 ? ` and ${skipped.length - 3} more` : '';
+    messages.push(`Unsupported file type; skipped ${names}${more}`);
+  }
+
+  if (overLimit > 0) {
+    const documents = overLimit === 1 ? 'document was' : 'documents were';
+    messages.push(`Maximum ${maxDocuments} documents allowed; ${overLimit} ${documents} not added`);
+  }
+
+  return messages.length > 0 ? `${messages.join('. ')}.` : null;
+}
@@ -0,0 +1,96 @@
+/**
+ * Document Uploads Service
+ *
+ * Status model for the files added on the Documents page. Every file gets
+ * an upload entry that moves through
+ *
+ *   queued → parsing → done
+ *                    ↘ failed (with the reason) → queued again on retry
+ *
+ * Only `done` uploads carry a document ({ name, path, text, pages, format })
+ * and are used for generation. The upload id doubles as the request id of
+ * process-document, so progress events and cancellation find their file.
+ */
+
+export const UPLOAD_STATUS = {
+  QUEUED: 'queued',
+  PARSING: 'parsing',
+  DONE: 'done',
+  FAILED: 'failed',
+};
+
+export const MAX_DOCUMENTS = 12;
+
+// Documents processed at the same time; the main process parses at most two PDFs at once
+export const MAX_PARALLEL_UPLOADS = 3;
+
+/**
+ * New queued upload for a file ({ name, path })
+ */
+export function createUpload(file) {
+  return {
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`,
+    name: file.name,
+    path: file.path,
+    status: UPLOAD_STATUS.QUEUED,
+    error: null,
+    page: 0,
+    pages: 0,
+    document: null,
+  };
+}
+
+/**
+ * Apply changes to one upload; unknown ids (removed uploads) leave the list unchanged
+ */
+export function updateUpload(uploads, id, changes) {
+  if (!uploads.some((upload) => upload.id === id)) {
+    return uploads;
+  }
+  return uploads.map((upload) => (upload.id === id ? { ...upload, ...changes } : upload));
+}
+
+/**
+ * Changes for a process-document result
+ *
+ * @param {Object} upload - The upload that was processed
+ * @param {Object} result - process-document response
+ * @returns {Object|null} null when processing was canceled
+ */
+export function resultChanges(upload, result) {
+  if (result.success) {
+    return {
+      status: UPLOAD_STATUS.DONE,
+      error: null,
+      document: {
+        name: upload.name,
+        path: upload.path,
+        text: result.text,
+        pages: result.pages,
+        format: result.info?.format,
+      },
+    };
+  }
+
+  if (result.canceled) {
+    return null;
+  }
+
+  return { status: UPLOAD_STATUS.FAILED, error: result.error || 'Processing failed' };
+}
+
+/**
+ * Documents of the finished uploads, in upload order
+ */
+export function uploadedDocuments(uploads) {
+  return uploads
+    .filter((upload) => upload.status === UPLOAD_STATUS.DONE)
+    .map((upload) => upload.document);
+}
+
+/**
+ * Whether the upload is still waiting or being processed
+ */
+export function isPending(upload) {
+  return upload.status === UPLOAD_STATUS.QUEUED || upload.status === UPLOAD_STATUS.PARSING;
+}
@@ -0,0 +1,270 @@
+/**
+ * Form Data Parser Service
+ *
+ * Rebuilds the template form (templateData, name, type and frontmatter
+ * fields) from a saved agent so it can be re-edited and regenerated.
+ *
+ * Agents saved with form data carry a `.agent.json` sidecar, which is used
+ * as-is. Older agents are parsed from the Head Architect's Markdown layout.
+ * Hand-written Claude Code agents are imported by matching their section
+ * headings against CATEGORY_HEADING_PATTERNS.
+ *
+ * Functions that build templateData take the category schema (see
+ * categorySchema.js) and default to the built-in categories. Custom
+ * categories are matched by their label.
+ */
+
+import {
+  parseFrontmatter,
+  parseSections,
+  parseToolList,
+  stripInlineMarkdown,
+} from './markdownParser';
+import { DEFAULT_CATEGORIES } from './categorySchema';
+
+// Ids of the built-in categories
+export const TEMPLATE_CATEGORIES = DEFAULT_CATEGORIES.map((category) => category.id);
+
+// Empty fields a category starts with in TemplateForm; more can be added there
+export const DEFAULT_FIELD_COUNT = 3;
+
+// Section headings written by HeadArchitectAgent.createSpecification
+const ARCHITECT_HEADINGS = {
+  'primary functions': 'coreFunctions',
+  'domain expertise': 'domainExpertise',
+  'input interface': 'inputTypes',
+  'validation rules': 'validationRules',
+  'output contract': 'outputFormat',
+  'performance constraints': 'performanceConstraints',
+  'code style': 'styleGuide',
+  'integration points': 'integrationTargets',
+};
+
+/**
+ * Heading patterns for hand-written agents, checked in order (first match wins)
+ *
+ * Integration and performance come first so headings such as "Integration
+ * Guidelines" or "Performance Rules" aren't claimed by the broader patterns.
+ */
+const CATEGORY_HEADING_PATTERNS = [
+  {
+    category: 'integrationTargets',
+    pattern: /integrat|collaborat|works? with|interfaces? with|handoff|coordinat/,
+  },
+  {
+    category: 'performanceConstraints',
+    pattern: /performance|latency|throughput|efficien|optimi[sz]|scalab|limits?\b/,
+  },
+  { category: 'inputTypes', pattern: /\binputs?\b|accepts|expected data|sources?\b/ },
+  {
+    category: 'outputFormat',
+    pattern: /\boutputs?\b|deliverables?|return format|response format|reports?\b/,
+  },
+  {
+    category: 'validationRules',
+    pattern: /validat|rules|checklist|constraints|requirements|verif|quality (checks|gates)/,
+  },
+  {
+    category: 'styleGuide',
+    pattern: /style|conventions|best practices|guidelines|principles|standards|approach/,
+  },
+  {
+    category: 'domainExpertise',
+    pattern: /expertise|domain|knowledge|focus areas?|speciali[sz]|skills|technolog|stack/,
+  },
+  {
+    category: 'coreFunctions',
+    pattern:
+      /functions?|responsibilit|capabilit|duties|tasks|purpose|workflow|process|what (you|i) do/,
+  },
+];
+
+function normalizeHeading(title) {
+  return stripInlineMarkdown(title)
+    .trim()
+    .toLowerCase()
+    .replace(/^[\d.)\s]+/, '');
+}
+
+/**
+ * Category whose heading (architect layout or label) is exactly `title`, or null
+ */
+function findHeadingCategory(title, categories) {
+  const heading = normalizeHeading(title);
+  const ids = new Set(categories.map((category) => category.id));
+
+  if (ARCHITECT_HEADINGS[heading] && ids.has(ARCHITECT_HEADINGS[heading])) {
+    return ARCHITECT_HEADINGS[heading];
+  }
+
+  const labelled = categories.find((category) => category.label.toLowerCase() === heading);
+  return labelled ? labelled.id : null;
+}
+
+/**
+ * Category for a hand-written section heading, or null
+ */
+export function matchCategory(title, categories = DEFAULT_CATEGORIES) {
+  const exact = findHeadingCategory(title, categories);
+  if (exact) {
+    return exact;
+  }
+
+  const heading = normalizeHeading(title);
+  const ids = new Set(categories.map((category) => category.id));
+
+  const match = CATEGORY_HEADING_PATTERNS.find(
+    ({ category, pattern }) => ids.has(category) && pattern.test(heading)
+  );
+  return match ? match.category : null;
+}
+
+/**
+ * Empty templateData with DEFAULT_FIELD_COUNT fields per category
+ */
+export function createEmptyTemplateData(categories = DEFAULT_CATEGORIES) {
+  return Object.fromEntries(
+    categories.map((category) => [category.id, Array(DEFAULT_FIELD_COUNT).fill('')])
+  );
+}
+
+/**
+ * Fill in missing categories and pad each one to at least DEFAULT_FIELD_COUNT fields
+ *
+ * Values of categories outside the schema are kept, so switching schemas never
+ * loses input.
+ */
+export function normalizeTemplateData(templateData, categories = DEFAULT_CATEGORIES) {
+  const normalized = createEmptyTemplateData(categories);
+
+  Object.entries(templateData || {}).forEach(([category, fields]) => {
+    if (!Array.isArray(fields)) {
+      return;
+    }
+
+    const values = fields.filter((field) => typeof field === 'string');
+    const padding = Math.max(DEFAULT_FIELD_COUNT - values.length, 0);
+    normalized[category] = [...values, ...Array(padding).fill('')];
+  });
+
+  return normalized;
+}
+
+/**
+ * Recover templateData from a specification in the Head Architect layout
+ *
+ * @param {string} markdown - Agent body (envelope already removed)
+ * @param {Object[]} [categories] - Category schema
+ * @returns {Object} Normalized templateData
+ */
+export function parseTemplateData(markdown, categories = DEFAULT_CATEGORIES) {
+  const templateData = {};
+
+  parseSections(markdown).forEach((section) => {
+    const category = findHeadingCategory(section.title, categories);
+    if (category && section.items.length > 0) {
+      templateData[category] = [...(templateData[category] || []), ...section.items];
+    }
+  });
+
+  return normalizeTemplateData(templateData, categories);
+}
+
+/**
+ * Form state for a saved agent (from agentHistory.parseSavedAgent)
+ *
+ * @param {Object} savedAgent - Parsed saved agent, with `formData` from its sidecar if any
+ * @param {Object[]} [categories] - Category schema
+ * @returns {{metadata: Object, templateData: Object, source: 'sidecar'|'markdown'}}
+ */
+export function reconstructFormData(savedAgent, categories = DEFAULT_CATEGORIES) {
+  const { formData } = savedAgent;
+
+  if (formData && formData.templateData) {
+    return {
+      metadata: {
+        ...savedAgent.metadata,
+        name: formData.name || savedAgent.metadata.name,
+        type: formData.type || savedAgent.metadata.type,
+      },
+      templateData: normalizeTemplateData(formData.templateData, categories),
+      source: 'sidecar',
+    };
+  }
+
+  return {
+    metadata: savedAgent.metadata,
+    templateData: parseTemplateData(savedAgent.body, categories),
+    source: 'markdown',
+  };
+}
+
+/**
+ * Map an existing Claude Code agent file onto the template form
+ *
+ * Bullet lists are collected from sections whose heading matches a category;
+ * sub-sections without a match of their own inherit their parent's category.
+ * Each category keeps at most `maxFields` items (unlimited by default).
+ *
+ * @param {string} content - Full agent file (frontmatter and Markdown)
+ * @param {Object} [options]
+ * @param {number} [options.maxFields] - Items kept per category
+ * @param {Object[]} [options.categories] - Category schema
+ * @returns {{metadata: Object, templateData: Object, mappedSections: Array, unmappedSections: Array, droppedItems: number}}
+ */
+export function importAgentFile(
+  content,
+  { maxFields = Infinity, categories = DEFAULT_CATEGORIES } = {}
+) {
+  const { attributes, body } = parseFrontmatter(content);
+  const templateData = {};
+  const mappedSections = [];
+  const unmappedSections = [];
+  let droppedItems = 0;
+  let parent = null; // { level, category } of the closest mapped heading above
+
+  parseSections(body).forEach((section) => {
+    if (parent && section.level <= parent.level) {
+      parent = null;
+    }
+
+    const ownCategory = section.level > 0 ? matchCategory(section.title, categories) : null;
+    if (ownCategory) {
+      parent = { level: section.level, category: ownCategory };
+    }
+
+    const category = ownCategory || parent?.category;
+    if (section.items.length === 0) {
+      return;
+    }
+
+    if (!category) {
+      if (section.title) {
+        unmappedSections.push({ title: section.title, itemCount: section.items.length });
+      }
+      return;
+    }
+
+    const existing = templateData[category] || [];
+    const room = Math.max(maxFields - existing.length, 0);
+    const items = section.items.map(stripInlineMarkdown).filter(Boolean);
+
+    templateData[category] = [...existing, ...items.slice(0, room)];
+    droppedItems += Math.max(items.length - room, 0);
+    mappedSections.push({ title: section.title, category, itemCount: items.length });
+  });
+
+  return {
+    metadata: {
+      name: attributes.name || '',
+      type: attributes.name || '',
+      description: attributes.description || '',
+      tools: parseToolList(attributes.tools),
+      model: attributes.model || '',
+    },
+    templateData: normalizeTemplateData(templateData, categories),
+    mappedSections,
+    unmappedSections,
+    droppedItems,
+  };
+}
@@ -0,0 +1,85 @@
+/**
+ * Live Preview Service
+ *
+ * Builds the specification shown next to the template form while it is being
+ * edited. This is the fast path of HeadArchitectAgent: the same
+ * createSpecification layout, but without loading the template or consulting
+ * other agents, so it needs no IPC and can run after every edit.
+ */
+
+import HeadArchitectAgent from './agentGenerator';
+
+// Shown until the agent has a name and type
+const PREVIEW_NAME = 'new-agent';
+const PREVIEW_TYPE = 'custom';
+
+// The header's timestamp changes on every build; it doesn't count as a change
+const GENERATED_LINE_PATTERN = /^\*\*Generated\*\*: .*$/m;
+
+/**
+ * Build the preview specification from the current form state
+ *
+ * @param {Object} templateData - Category id → field values
+ * @param {Array} documents - Uploaded documents
+ * @param {Object} metadata - Agent metadata (name, type)
+ * @param {Object} [options]
+ * @param {Object[]} [options.categories] - Category schema
+ * @param {Object|null} [options.projectContext] - Project folder summary
+ * @returns {string} Markdown specification
+ */
+export function buildLivePreview(templateData, documents, metadata, options = {}) {
+  const { categories, projectContext = null } = options;
+  const architect = new HeadArchitectAgent({ categories, projectContext });
+  const name = metadata.name.trim() || PREVIEW_NAME;
+  const type = metadata.type.trim() || PREVIEW_TYPE;
+  const analysis = architect.analyzeInputData(templateData, documents, projectContext);
+
+  return architect.createSpecification(name, type, templateData, documents, analysis, [], '');
+}
+
+/**
+ * Split Markdown at its headings
+ *
+ * Text before the first heading is a section with an empty title. Each
+ * section's `key` is its title plus an occurrence count, so repeated
+ * headings stay distinct.
+ *
+ * @param {string} markdown - Markdown text
+ * @returns {Array<{key: string, title: string, text: string}>}
+ */
+export function splitSections(markdown) {
+  const sections = [];
+  const counts = {};
+
+  markdown.split('\n').forEach((line) => {
+    const heading = /^#{1,6}\s+(.*)$/.exec(line);
+    if (heading || sections.length === 0) {
+      const title = heading ? heading[1].trim() : '';
+      counts[title] = (counts[title] || 0) + 1;
+      sections.push({ key: `${title}#${counts[title]}`, title, lines: [] });
+    }
+    sections[sections.length - 1].lines.push(line);
+  });
+
+  return sections.map(({ lines, ...section }) => ({ ...section, text: lines.join('\n') }));
+}
+
+/**
+ * Sections of `markdown`, flagged `changed` where they differ from `previous`
+ *
+ * @param {string|null} previous - Previous preview, or null for the first one (nothing changed)
+ * @param {string} markdown - New preview
+ * @returns {Array<{key: string, title: string, text: string, changed: boolean}>}
+ */
+export function markChangedSections(previous, markdown) {
+  const normalize = (text) => text.replace(GENERATED_LINE_PATTERN, '');
+  const before =
+    previous === null
+      ? null
+      : new Map(splitSections(previous).map((section) => [section.key, normalize(section.text)]));
+
+  return splitSections(markdown).map((section) => ({
+    ...section,
+    changed: before !== null && before.get(section.key) !== normalize(section.text),
+  }));
+}
@@ -0,0 +1,271 @@
+/**
+ * Markdown Parser
+ *
+ * Parses the Markdown found in agent files (headings, paragraphs, nested
+ * lists, code blocks, block quotes, tables, rules, and inline code, emphasis
+ * and links) into plain objects. MarkdownView renders these as React
+ * elements, so HTML in an agent is shown as text rather than injected into
+ * the page.
+ */
+
+const FENCE_PATTERN = /^ {0,3}(`{3,}|~{3,})\s*([\w+#-]*)/;
+const HEADING_PATTERN = /^ {0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+const RULE_PATTERN = /^ {0,3}([-*_])(?:\s*\1){2,}\s*$/;
+const QUOTE_PATTERN = /^ {0,3}>\s?(.*)$/;
+const LIST_ITEM_PATTERN = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+const TABLE_DIVIDER_PATTERN = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+// Escapes, code spans, strong, emphasis and links, in order of precedence
+const INLINE_PATTERN =
+  /\\([\\`*_[\]()#+\-.!>|])|(`+)(.+?)\2|\*\*(.+?)\*\*|__(.+?)__|\*(\S(?:.*?\S)?)\*|\b_(\S(?:.*?\S)?)_\b|\[([^\]]+)\]\(([^)\s]+)\)/g;
+
+// Links keep their target only for these schemes; others render as plain text
+const SAFE_URL_PATTERN = /^(https?:|mailto:)/i;
+
+/**
+ * Append text, merging it into a preceding text node
+ */
+function pushText(nodes, text) {
+  const last = nodes[nodes.length - 1];
+  if (last && last.type === 'text') {
+    last.text += text;
+  } else if (text) {
+    nodes.push({ type: 'text', text });
+  }
+}
+
+/**
+ * Inline node for one INLINE_PATTERN match, or a list of nodes for unsafe links
+ */
+function inlineNode(match) {
+  const [, escaped, , code, strong, strongAlt, em, emAlt, linkText, href] = match;
+
+  if (escaped !== undefined) {
+    return { type: 'text', text: escaped };
+  }
+  if (code !== undefined) {
+    return { type: 'code', text: code };
+  }
+  if (strong !== undefined || strongAlt !== undefined) {
+    return { type: 'strong', children: parseInline(strong ?? strongAlt) };
+  }
+  if (em !== undefined || emAlt !== undefined) {
+    return { type: 'em', children: parseInline(em ?? emAlt) };
+  }
+  if (SAFE_URL_PATTERN.test(href)) {
+    return { type: 'link', href, children: parseInline(linkText) };
+  }
+  return parseInline(linkText);
+}
+
+/**
+ * Parse inline Markdown
+ *
+ * @param {string} text - One line or table cell
+ * @returns {Array<Object>} Nodes: text, code, strong, em, link
+ */
+export function parseInline(text) {
+  const nodes = [];
+  const pattern = new RegExp(INLINE_PATTERN.source, 'g');
+  let last = 0;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    pushText(nodes, text.slice(last, match.index));
+    [inlineNode(match)].flat().forEach((node) => {
+      if (node.type === 'text') {
+        pushText(nodes, node.text);
+      } else {
+        nodes.push(node);
+      }
+    });
+    last = pattern.lastIndex;
+  }
+
+  pushText(nodes, text.slice(last));
+  return nodes;
+}
+
+function splitTableRow(line) {
+  return line
+    .trim()
+    .replace(/^\|/, '')
+    .replace(/\|$/, '')
+    .split('|')
+    .map((cell) => parseInline(cell.trim()));
+}
+
+function parseFence(lines, index) {
+  const open = FENCE_PATTERN.exec(lines[index]);
+  if (!open) {
+    return null;
+  }
+
+  const [, fence, language] = open;
+  let next = index + 1;
+  while (next < lines.length && !lines[next].trim().startsWith(fence)) {
+    next++;
+  }
+
+  return {
+    block: { type: 'code', language, text: lines.slice(index + 1, next).join('\n') },
+    next: next + 1,
+  };
+}
+
+function parseHeading(lines, index) {
+  const heading = HEADING_PATTERN.exec(lines[index]);
+  if (!heading) {
+    return null;
+  }
+
+  return {
+    block: { type: 'heading', level: heading[1].length, children: parseInline(heading[2]) },
+    next: index + 1,
+  };
+}
+
+function parseRule(lines, index) {
+  return RULE_PATTERN.test(lines[index]) ? { block: { type: 'rule' }, next: index + 1 } : null;
+}
+
+function parseQuote(lines, index) {
+  const quoted = [];
+  let next = index;
+  let line;
+  while (next < lines.length && (line = QUOTE_PATTERN.exec(lines[next]))) {
+    quoted.push(line[1]);
+    next++;
+  }
+
+  return quoted.length > 0
+    ? { block: { type: 'quote', children: parseBlocks(quoted) }, next }
+    : null;
+}
+
+/**
+ * Nest flat list items by indentation, starting at items[start]
+ */
+function buildList(items, start) {
+  const first = items[start];
+  const list = {
+    type: 'list',
+    ordered: /\d/.test(first.marker),
+    start: parseInt(first.marker, 10) || 1,
+    items: [],
+  };
+
+  let index = start;
+  while (index < items.length && items[index].indent >= first.indent) {
+    if (items[index].indent > first.indent) {
+      const nested = buildList(items, index);
+      list.items[list.items.length - 1].lists.push(nested.list);
+      index = nested.next;
+    } else {
+      list.items.push({ children: parseInline(items[index].text), lists: [] });
+      index++;
+    }
+  }
+
+  return { list, next: index };
+}
+
+function parseList(lines, index) {
+  if (!LIST_ITEM_PATTERN.test(lines[index])) {
+    return null;
+  }
+
+  const items = [];
+  let next = index;
+  while (next < lines.length) {
+    const line = lines[next];
+    const item = LIST_ITEM_PATTERN.exec(line);
+
+    if (item) {
+      // Items less indented than the first one are its siblings
+      const indent = items.length > 0 ? Math.max(item[1].length, items[0].indent) : 0;
+      items.push({ indent, marker: item[2], text: item[3] });
+    } else if (line.trim() !== '' && /^\s/.test(line)) {
+      items[items.length - 1].text += ` ${line.trim()}`;
+    } else if (line.trim() !== '' || !LIST_ITEM_PATTERN.test(lines[next + 1] || '')) {
+      break;
+    }
+    next++;
+  }
+
+  return { block: buildList(items, 0).list, next };
+}
+
+function parseTable(lines, index) {
+  if (!lines[index].includes('|') || !TABLE_DIVIDER_PATTERN.test(lines[index + 1] || '')) {
+    return null;
+  }
+
+  let next = index + 2;
+  while (next < lines.length && lines[next].includes('|') && lines[next].trim() !== '') {
+    next++;
+  }
+
+  return {
+    block: {
+      type: 'table',
+      header: splitTableRow(lines[index]),
+      rows: lines.slice(index + 2, next).map(splitTableRow),
+    },
+    next,
+  };
+}
+
+const BLOCK_PARSERS = [parseFence, parseHeading, parseRule, parseQuote, parseList, parseTable];
+
+function parseBlock(lines, index) {
+  for (let i = 0; i < BLOCK_PARSERS.length; i++) {
+    const parsed = BLOCK_PARSERS[i](lines, index);
+    if (parsed) {
+      return parsed;
+    }
+  }
+  return null;
+}
+
+/**
+ * Paragraph up to the next blank line or block; line breaks are kept
+ */
+function parseParagraph(lines, index) {
+  const children = parseInline(lines[index]);
+  let next = index + 1;
+
+  while (next < lines.length && lines[next].trim() !== '' && !parseBlock(lines, next)) {
+    children.push({ type: 'break' }, ...parseInline(lines[next]));
+    next++;
+  }
+
+  return { block: { type: 'paragraph', children }, next };
+}
+
+function parseBlocks(lines) {
+  const blocks = [];
+  let index = 0;
+
+  while (index < lines.length) {
+    if (lines[index].trim() === '') {
+      index++;
+    } else {
+      const parsed = parseBlock(lines, index) || parseParagraph(lines, index);
+      blocks.push(parsed.block);
+      index = parsed.next;
+    }
+  }
+
+  return blocks;
+}
+
+/**
+ * Parse Markdown into blocks
+ *
+ * @param {string} source - Markdown text
+ * @returns {Array<Object>} Blocks: heading, paragraph, list, code, quote, table, rule
+ */
+export function parseMarkdown(source) {
+  return parseBlocks(source.replace(/\r\n?/g, '\n').split('\n'));
+}
@@ -0,0 +1,153 @@
+/**
+ * Markdown Parser Service
+ *
+ * Lightweight parsing of Claude Code agent files: YAML frontmatter and
+ * heading-delimited sections with their bullet lists. Only the subset of
+ * Markdown/YAML used by agent files is supported.
+ */
+
+/**
+ * Parse a YAML scalar written by the generator or by hand
+ * @param {string} raw - Raw value text after `key:`
+ * @returns {string} Unquoted value
+ */
+function parseScalar(raw) {
+  const value = raw.trim();
+
+  if (value.startsWith('"') && value.endsWith('"') && value.length >= 2) {
+    return value
+      .slice(1, -1)
+      .replace(/\\x([0-9a-fA-F]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)))
+      .replace(/\\(["\\nrt])/g, (_, char) => ({ n: '\n', r: '\r', t: '\t' })[char] || char);
+  }
+
+  if (value.startsWith("'") && value.endsWith("'") && value.length >= 2) {
+    return value.slice(1, -1).replace(/''/g, "'");
+  }
+
+  return value;
+}
+
+/**
+ * Split a document into YAML frontmatter attributes and the remaining body
+ *
+ * Supports `key: value` pairs and block lists (`key:` followed by `- item`).
+ *
+ * @param {string} markdown - Full file contents
+ * @returns {{attributes: Object, body: string}}
+ */
+export function parseFrontmatter(markdown) {
+  const text = (markdown || '').replace(/\r\n/g, '\n');
+  const match = /^---\n([\s\S]*?)\n---(?:\n|$)/.exec(text);
+
+  if (!match) {
+    return { attributes: {}, body: text };
+  }
+
+  const attributes = {};
+  let listKey = null;
+
+  match[1].split('\n').forEach((line) => {
+    const listItem = /^\s+-\s+(.*)$/.exec(line);
+    if (listItem && listKey) {
+      attributes[listKey].push(parseScalar(listItem[1]));
+      return;
+    }
+
+    const pair = /^([A-Za-z_][\w-]*):\s*(.*)$/.exec(line);
+    if (!pair) {
+      return;
+    }
+
+    const [, key, value] = pair;
+    if (value.trim() === '') {
+      attributes[key] = [];
+      listKey = key;
+    } else {
+      attributes[key] = parseScalar(value);
+      listKey = null;
+    }
+  });
+
+  return { attributes, body: text.slice(match[0].length) };
+}
+
+/**
+ * Normalize a frontmatter `tools` value ("Read, Grep" or a block list)
+ * @param {string|string[]|undefined} tools - Parsed frontmatter value
+ * @returns {string[]} Tool names
+ */
+export function parseToolList(tools) {
+  const list = Array.isArray(tools) ? tools : (tools || '').split(',');
+  return list.map((tool) => tool.trim()).filter(Boolean);
+}
+
+/**
+ * Split Markdown into sections at each heading
+ *
+ * Content before the first heading becomes a section with level 0 and an
+ * empty title. Bullet and numbered list items are collected per section,
+ * with wrapped continuation lines joined onto their item.
+ *
+ * @param {string} markdown - Markdown body (frontmatter already removed)
+ * @returns {Array<{title: string, level: number, lines: string[], items: string[]}>}
+ */
+export function parseSections(markdown) {
+  const sections = [];
+  let current = { title: '', level: 0, lines: [], items: [] };
+  let inCodeBlock = false;
+  let lastItemIndex = -1;
+
+  (markdown || '')
+    .replace(/\r\n/g, '\n')
+    .split('\n')
+    .forEach((line) => {
+      if (/^\s*(```|~~~)/.test(line)) {
+        inCodeBlock = !inCodeBlock;
+        current.lines.push(line);
+        return;
+      }
+
+      const heading = !inCodeBlock && /^(#{1,6})\s+(.*?)\s*#*\s*$/.exec(line);
+      if (heading) {
+        sections.push(current);
+        current = { title: heading[2], level: heading[1].length, lines: [], items: [] };
+        lastItemIndex = -1;
+        return;
+      }
+
+      current.lines.push(line);
+
+      if (inCodeBlock) {
+        return;
+      }
+
+      const item = /^\s*(?:[-*+]|\d+[.)])\s+(.*)$/.exec(line);
+      if (item) {
+        current.items.push(item[1].trim());
+        lastItemIndex = current.items.length - 1;
+      } else if (lastItemIndex !== -1 && /^\s{2,}\S/.test(line)) {
+        current.items[lastItemIndex] += ` ${line.trim()}`;
+      } else if (line.trim() === '' || !/^\s/.test(line)) {
+        lastItemIndex = -1;
+      }
+    });
+
+  sections.push(current);
+
+  return sections.filter((section) => section.title || section.lines.some((l) => l.trim()));
+}
+
+/**
+ * Remove inline Markdown emphasis and links from a list item
+ * @param {string} text - Item text
+ * @returns {string} Plain text
+ */
+export function stripInlineMarkdown(text) {
+  return (text || '')
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    .replace(/(\*\*|__)(.+?)\1/g, '$2')
+    .replace(/(^|[^*_])([*_])([^*_\s][^*_]*?)\2/g, '$1$3')
+    .replace(/^\[[ xX]\]\s+/, '')
+    .trim();
+}
@@ -5,13 +5,36 @@
  * for subagent generation
  */
 
+/**
+ * Technical terms to look for, with the canonical name used in results
+ */
+const TECHNICAL_TERMS = [
+  { term: 'API', pattern: /\bAPIs?\b/gi },
+  { term: 'database', pattern: /\bdatabases?\b/gi },
+  { term: 'authentication', pattern: /\bauthenticat\w*/gi },
+  { term: 'validation', pattern: /\bvalidat\w*/gi },
+  { term: 'performance', pattern: /\bperformance\b/gi },
+  { term: 'security', pattern: /\bsecur\w*/gi },
+  { term: 'interface', pattern: /\binterfaces?\b/gi },
+  { term: 'integration', pattern: /\bintegrat\w*/gi },
+];
+
+// Requirement indicators (must/shall/required are high priority)
+const REQUIREMENT_PATTERN = /\b(must|shall|should|required to|needs? to)\b/i;
+
+const PRIORITY_ORDER = { high: 0, medium: 1 };
+
 class PDFAnalyzer {
   constructor() {
     this.maxDocuments = 12;
+    this.maxRequirements = 15;
   }
 
   /**
    * Analyze a collection of documents
+   *
+   * Key terms and requirements keep the names of the documents they were
+   * found in (`sources`) so the specification can cite them.
    */
   analyzeDocuments(documents) {
     const analysis = {
@@ -22,21 +45,42 @@ class PDFAnalyzer {
       technicalRequirements: [],
     };
 
+    const terms = new Map();
+    const requirements = new Map();
+
     documents.forEach((doc) => {
       analysis.totalPages += doc.pages || 0;
       analysis.totalCharacters += doc.text?.length || 0;
 
       // Extract key information
       const docAnalysis = this.analyzeDocument(doc);
-      analysis.keyTerms.push(...docAnalysis.keyTerms);
       analysis.suggestedFeatures.push(...docAnalysis.features);
-      analysis.technicalRequirements.push(...docAnalysis.requirements);
+
+      docAnalysis.keyTerms.forEach(({ term, count }) => {
+        const entry = terms.get(term) || { term, count: 0, sources: [] };
+        entry.count += count;
+        entry.sources.push(doc.name);
+        terms.set(term, entry);
+      });
+
+      docAnalysis.requirements.forEach((requirement) => {
+        const key = requirement.text.toLowerCase();
+        const entry = requirements.get(key) || { ...requirement, sources: [] };
+        if (!entry.sources.includes(doc.name)) {
+          entry.sources.push(doc.name);
+        }
+        requirements.set(key, entry);
+      });
     });
 
-    // Deduplicate and rank
-    analysis.keyTerms = this.deduplicateAndRank(analysis.keyTerms);
+    // Rank terms by total mentions and requirements by priority (document order otherwise)
+    analysis.keyTerms = Array.from(terms.values())
+      .sort((a, b) => b.count - a.count)
+      .slice(0, 10);
     analysis.suggestedFeatures = this.deduplicateAndRank(analysis.suggestedFeatures);
-    analysis.technicalRequirements = this.deduplicateAndRank(analysis.technicalRequirements);
+    analysis.technicalRequirements = Array.from(requirements.values())
+      .sort((a, b) => PRIORITY_ORDER[a.priority] - PRIORITY_ORDER[b.priority])
+      .slice(0, this.maxRequirements);
 
     return analysis;
   }
@@ -53,43 +97,24 @@ class PDFAnalyzer {
     };
 
     // Extract technical terms (simple heuristic)
-    const technicalPatterns = [
-      /API/gi,
-      /database/gi,
-      /authentication/gi,
-      /validation/gi,
-      /performance/gi,
-      /security/gi,
-      /interface/gi,
-      /integration/gi,
-    ];
-
-    technicalPatterns.forEach((pattern) => {
+    TECHNICAL_TERMS.forEach(({ term, pattern }) => {
       const matches = text.match(pattern);
       if (matches) {
         analysis.keyTerms.push({
-          term: matches[0],
+          term,
           count: matches.length,
         });
       }
     });
 
-    // Look for requirement indicators
-    const requirementPatterns = [
-      /must\s+\w+/gi,
-      /should\s+\w+/gi,
-      /required\s+to\s+\w+/gi,
-      /needs\s+to\s+\w+/gi,
-    ];
-
-    requirementPatterns.forEach((pattern) => {
-      const matches = text.match(pattern);
-      if (matches) {
-        matches.forEach((match) => {
-          analysis.requirements.push({
-            text: match,
-            priority: match.toLowerCase().includes('must') ? 'high' : 'medium',
-          });
+    // Keep whole sentences that state a requirement
+    this.splitSentences(text).forEach((sentence) => {
+      const match = REQUIREMENT_PATTERN.exec(sentence);
+      if (match) {
+        analysis.requirements.push({
+          text: sentence,
+          priority: /must|shall|required/i.test(match[0]) ? 'high' : 'medium',
+          source: document.name,
         });
       }
     });
@@ -97,6 +122,20 @@ class PDFAnalyzer {
     return analysis;
   }
 
+  /**
+   * Split extracted text into sentences
+   *
+   * PDF text has hard line breaks mid-sentence, so whitespace is collapsed
+   * first. Very short or very long fragments are dropped.
+   */
+  splitSentences(text) {
+    return text
+      .replace(/\s+/g, ' ')
+      .split(/(?<=[.!?])\s+(?=[A-Z0-9"'(])/)
+      .map((sentence) => sentence.trim())
+      .filter((sentence) => sentence.length >= 10 && sentence.length <= 400);
+  }
+
   /**
    * Deduplicate and rank items by frequency
    */
@@ -134,7 +173,7 @@ class PDFAnalyzer {
     };
 
     analysis.keyTerms.forEach(({ term }) => {
-      const suggestion = typeMapping[term];
+      const suggestion = typeMapping[term] || typeMapping[term.toLowerCase()];
       if (suggestion && !suggestions.agentTypes.includes(suggestion)) {
         suggestions.agentTypes.push(suggestion);
       }
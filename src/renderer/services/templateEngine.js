@@ -0,0 +1,509 @@
+/**
+ * Template Engine
+ *
+ * A small, logic-less template language for prompt templates. Templates are
+ * parsed into a tree and rendered against plain data; there is no `eval`, so
+ * a template can only read values from its data and pass them through FILTERS.
+ *
+ *   {{ type }}                             value (lists are joined with "; ")
+ *   {{ coreFunctions | bullets }}          value through one or more filters
+ *   {{ inputTypes | join ", " | upper }}   filters take string or number arguments
+ *   {{#each coreFunctions}}{{@number}}. {{this}}{{/each}}
+ *   {{#if documents}}...{{else}}...{{/if}} (and {{#unless}})
+ *   {{> categories}}                       partial, passed in options.partials
+ *   {{! comment }}
+ *
+ * Inside {{#each}}, `this` is the current item, its fields can be used by
+ * name, and `@index`, `@number` (1-based), `@first` and `@last` describe its
+ * position. Block tags, comments and partials on a line of their own don't
+ * leave a blank line behind.
+ */
+
+export class TemplateSyntaxError extends Error {
+  /**
+   * @param {string} reason - What is wrong, without the position
+   * @param {{line: number, column: number}} location - 1-based position in the template
+   * @param {string} [partial] - Name of the partial the error is in
+   */
+  constructor(reason, location, partial) {
+    const where = `line ${location.line}, column ${location.column}`;
+    super(`${reason} at ${where}${partial ? ` of partial "${partial}"` : ''}`);
+    this.name = 'TemplateSyntaxError';
+    this.reason = reason;
+    this.line = location.line;
+    this.column = location.column;
+    this.partial = partial || null;
+  }
+}
+
+const BLOCKS = ['each', 'if', 'unless'];
+const MAX_PARTIAL_DEPTH = 10;
+
+// Property names a path may never read, so templates can't reach prototypes
+const FORBIDDEN_KEYS = new Set(['__proto__', 'constructor', 'prototype']);
+
+// One token of an expression: pipe, quoted string, number, or a path such as `@index` or `a.b`
+const EXPRESSION_TOKEN =
+  /\s*(?:(\|)|"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)'|(-?\d+(?:\.\d+)?)|(@?[A-Za-z_]\w*(?:\.[A-Za-z_]\w*)*))/y;
+
+function isBlank(value) {
+  return value === undefined || value === null || (typeof value === 'string' && !value.trim());
+}
+
+/**
+ * Truthiness for {{#if}}, {{#each}} and `default`: empty lists and blank strings are false
+ */
+export function isTruthy(value) {
+  if (Array.isArray(value)) {
+    return value.length > 0;
+  }
+  return typeof value === 'string' ? value.trim() !== '' : Boolean(value);
+}
+
+/**
+ * Text for a value: lists are joined with "; ", objects and functions render as nothing
+ */
+function toText(value) {
+  if (Array.isArray(value)) {
+    return value.map(toText).filter(Boolean).join('; ');
+  }
+  if (isBlank(value) || typeof value === 'object' || typeof value === 'function') {
+    return '';
+  }
+  return String(value);
+}
+
+function asList(value) {
+  if (Array.isArray(value)) {
+    return value.filter((item) => !isBlank(item));
+  }
+  return isBlank(value) ? [] : [value];
+}
+
+/**
+ * Built-in filters; each gets the value and the arguments written after its name
+ */
+export const FILTERS = {
+  bullets: (value) =>
+    asList(value)
+      .map((item) => `- ${toText(item)}`)
+      .join('\n'),
+  numbered: (value) =>
+    asList(value)
+      .map((item, index) => `${index + 1}. ${toText(item)}`)
+      .join('\n'),
+  join: (value, separator = ', ') => asList(value).map(toText).join(String(separator)),
+  upper: (value) => toText(value).toUpperCase(),
+  lower: (value) => toText(value).toLowerCase(),
+  trim: (value) => toText(value).trim(),
+  default: (value, fallback = '') => (isTruthy(value) ? value : fallback),
+  count: (value) => asList(value).length,
+};
+
+/**
+ * 1-based line and column of an offset in the template
+ */
+function locate(source, offset) {
+  const before = source.slice(0, offset);
+  const line = before.split('\n').length;
+  return { line, column: offset - before.lastIndexOf('\n') };
+}
+
+function unescapeString(text) {
+  return text.replace(/\\(.)/g, (match, char) => (char === 'n' ? '\n' : char));
+}
+
+/**
+ * Parse `path | filter arg | filter` inside a tag
+ *
+ * @param {string} text - Tag contents after any `#block` keyword
+ * @param {number} offset - Offset of `text` in the template, for error positions
+ */
+function parseExpression(text, offset, context) {
+  const fail = (reason, at) => {
+    throw new TemplateSyntaxError(reason, locate(context.source, offset + at), context.name);
+  };
+
+  const tokens = [];
+  EXPRESSION_TOKEN.lastIndex = 0;
+  while (EXPRESSION_TOKEN.lastIndex < text.length) {
+    const start = EXPRESSION_TOKEN.lastIndex;
+    const match = EXPRESSION_TOKEN.exec(text);
+    if (!match) {
+      if (!text.slice(start).trim()) {
+        break;
+      }
+      fail(`Unexpected "${text.slice(start).trim()[0]}"`, start + text.slice(start).search(/\S/));
+    }
+
+    const at = start + match[0].search(/\S/);
+    if (match[1]) {
+      tokens.push({ kind: 'pipe', at });
+    } else if (match[2] !== undefined || match[3] !== undefined) {
+      tokens.push({ kind: 'literal', value: unescapeString(match[2] ?? match[3]), at });
+    } else if (match[4]) {
+      tokens.push({ kind: 'literal', value: Number(match[4]), at });
+    } else {
+      tokens.push({ kind: 'name', value: match[5], at });
+    }
+  }
+
+  const [head, ...rest] = tokens;
+  if (!head || head.kind !== 'name') {
+    fail('Expected a variable name', head ? head.at : text.search(/\S|$/));
+  }
+
+  const path = head.value.split('.');
+  const forbidden = path.find((key) => FORBIDDEN_KEYS.has(key));
+  if (forbidden) {
+    fail(`"${forbidden}" cannot be used in a template`, head.at);
+  }
+  if (head.value.startsWith('@') && path.length > 1) {
+    fail(`"${path[0]}" has no properties`, head.at);
+  }
+
+  const filters = [];
+  rest.forEach((token, index) => {
+    const previous = rest[index - 1] || head;
+    if (token.kind === 'pipe') {
+      const next = rest[index + 1];
+      if (!next || next.kind !== 'name') {
+        fail('Expected a filter name after "|"', token.at + 1);
+      }
+      return;
+    }
+    if (previous.kind === 'pipe') {
+      if (!Object.hasOwn(context.filters, token.value)) {
+        fail(`Unknown filter "${token.value}"`, token.at);
+      }
+      filters.push({ name: token.value, args: [] });
+      return;
+    }
+    if (filters.length === 0 || token.kind !== 'literal') {
+      fail('Expected "|" before a filter', token.at);
+    }
+    filters[filters.length - 1].args.push(token.value);
+  });
+
+  return { path: head.value, filters };
+}
+
+/**
+ * Find the tags in a template, noting which ones stand on a line of their own
+ */
+function scanTags(source, context) {
+  const tags = [];
+  let position = 0;
+
+  while (position < source.length) {
+    const open = source.indexOf('{{', position);
+    if (open === -1) {
+      break;
+    }
+
+    const close = source.indexOf('}}', open + 2);
+    if (close === -1) {
+      throw new TemplateSyntaxError('Unclosed tag "{{"', locate(source, open), context.name);
+    }
+
+    const body = source.slice(open + 2, close);
+    const end = close + 2;
+    const lineStart = source.lastIndexOf('\n', open - 1) + 1;
+    const newline = source.indexOf('\n', end);
+    const lineEnd = newline === -1 ? source.length : newline + 1;
+    const canStandAlone = /^\s*[#/!>]|^\s*else\s*$/.test(body);
+    const standalone =
+      canStandAlone &&
+      !source.slice(lineStart, open).trim() &&
+      !source.slice(end, lineEnd).trim() &&
+      (tags.length === 0 || tags[tags.length - 1].end <= lineStart);
+
+    tags.push({
+      body,
+      offset: open,
+      start: standalone ? lineStart : open,
+      end: standalone ? lineEnd : end,
+    });
+    position = end;
+  }
+
+  return tags;
+}
+
+/**
+ * Turn one tag into a node (or a block marker for the tree builder)
+ */
+function parseTag(tag, context) {
+  const trimmed = tag.body.trim();
+  const bodyOffset = tag.offset + 2 + tag.body.search(/\S|$/);
+  const fail = (reason) => {
+    throw new TemplateSyntaxError(reason, locate(context.source, tag.offset), context.name);
+  };
+
+  if (!trimmed) {
+    fail('Empty tag "{{}}"');
+  }
+  if (trimmed.startsWith('!')) {
+    return { type: 'comment' };
+  }
+  if (trimmed === 'else') {
+    return { type: 'else' };
+  }
+
+  const location = locate(context.source, tag.offset);
+  const sigil = trimmed[0];
+
+  if (sigil === '#') {
+    const [, block = '', rest = ''] = /^#(\w*)\s*([\s\S]*)$/.exec(trimmed);
+    if (!BLOCKS.includes(block)) {
+      fail(`Unknown block "{{#${block}}}"; use #each, #if or #unless`);
+    }
+    if (!rest.trim()) {
+      fail(`{{#${block}}} needs a value, e.g. {{#${block} coreFunctions}}`);
+    }
+    const restOffset = bodyOffset + trimmed.length - rest.length;
+    return {
+      type: 'open',
+      block,
+      expression: parseExpression(rest, restOffset, context),
+      location,
+    };
+  }
+
+  if (sigil === '/') {
+    const block = trimmed.slice(1).trim();
+    if (!BLOCKS.includes(block)) {
+      fail(`Unknown closing tag "{{/${block}}}"`);
+    }
+    return { type: 'close', block, location };
+  }
+
+  if (sigil === '>') {
+    const name = trimmed.slice(1).trim();
+    if (!/^[A-Za-z][\w-]*$/.test(name)) {
+      fail('Expected a partial name after ">"');
+    }
+    return { type: 'partial', name, location };
+  }
+
+  return {
+    type: 'value',
+    expression: parseExpression(tag.body, tag.offset + 2, context),
+    location,
+  };
+}
+
+/**
+ * Parse a template into a tree of text, value, block and partial nodes
+ *
+ * @param {string} source - Template text
+ * @param {Object} [options]
+ * @param {Object} [options.filters] - Extra filters allowed in the template
+ * @param {string} [options.name] - Partial name used in error messages
+ * @returns {Object[]} Nodes
+ * @throws {TemplateSyntaxError} On malformed templates
+ */
+export function parseTemplate(source, { filters = {}, name } = {}) {
+  const text = String(source ?? '').replace(/\r\n/g, '\n');
+  const context = { source: text, filters: { ...FILTERS, ...filters }, name };
+
+  const root = { children: [] };
+  const stack = [root];
+  let current = root.children;
+  let position = 0;
+
+  scanTags(text, context).forEach((tag) => {
+    if (tag.start > position) {
+      current.push({ type: 'text', value: text.slice(position, tag.start) });
+    }
+    position = tag.end;
+
+    const node = parseTag(tag, context);
+    const block = stack[stack.length - 1];
+
+    if (node.type === 'open') {
+      const blockNode = { ...node, type: node.block, children: [], elseChildren: null };
+      current.push(blockNode);
+      stack.push(blockNode);
+      current = blockNode.children;
+    } else if (node.type === 'else') {
+      if (block === root) {
+        throw new TemplateSyntaxError('{{else}} outside a block', locate(text, tag.offset), name);
+      }
+      if (block.elseChildren) {
+        throw new TemplateSyntaxError(
+          `Second {{else}} in {{#${block.block}}}`,
+          locate(text, tag.offset),
+          name
+        );
+      }
+      block.elseChildren = [];
+      current = block.elseChildren;
+    } else if (node.type === 'close') {
+      if (block === root) {
+        throw new TemplateSyntaxError(
+          `Unexpected {{/${node.block}}} without an open block`,
+          node.location,
+          name
+        );
+      }
+      if (block.block !== node.block) {
+        throw new TemplateSyntaxError(
+          `Expected {{/${block.block}}} to close {{#${block.block}}} from line ${block.location.line}, found {{/${node.block}}}`,
+          node.location,
+          name
+        );
+      }
+      stack.pop();
+      const parent = stack[stack.length - 1];
+      current = parent === root ? root.children : parent.elseChildren || parent.children;
+    } else if (node.type !== 'comment') {
+      current.push(node);
+    }
+  });
+
+  if (stack.length > 1) {
+    const open = stack[stack.length - 1];
+    throw new TemplateSyntaxError(`Unclosed {{#${open.block}}}`, open.location, name);
+  }
+
+  if (position < text.length) {
+    current.push({ type: 'text', value: text.slice(position) });
+  }
+
+  return root.children;
+}
+
+function readKey(value, key) {
+  if (value === null || typeof value !== 'object' || !Object.hasOwn(value, key)) {
+    return undefined;
+  }
+  const result = value[key];
+  return typeof result === 'function' ? undefined : result;
+}
+
+/**
+ * Resolve a path against the scopes, innermost first
+ */
+function lookup(path, scopes, location, env) {
+  const [head, ...rest] = path.split('.');
+
+  if (head.startsWith('@')) {
+    const scope = [...scopes].reverse().find((s) => s.meta);
+    const value = scope ? scope.meta[head.slice(1)] : undefined;
+    if (value === undefined) {
+      env.onMissing(path, location);
+    }
+    return value;
+  }
+
+  let value;
+  if (head === 'this') {
+    value = scopes[scopes.length - 1].value;
+  } else {
+    const scope = [...scopes].reverse().find((s) => readKey(s.value, head) !== undefined);
+    if (!scope) {
+      env.onMissing(path, location);
+      return undefined;
+    }
+    value = readKey(scope.value, head);
+  }
+
+  return rest.reduce((result, key) => readKey(result, key), value);
+}
+
+function evaluate(expression, scopes, location, env) {
+  return expression.filters.reduce(
+    (value, filter) => env.filters[filter.name](value, ...filter.args),
+    lookup(expression.path, scopes, location, env)
+  );
+}
+
+function renderPartial(node, scopes, env) {
+  if (!Object.hasOwn(env.partials, node.name)) {
+    throw new TemplateSyntaxError(`Unknown partial "${node.name}"`, node.location, env.name);
+  }
+  if (env.depth >= MAX_PARTIAL_DEPTH) {
+    throw new TemplateSyntaxError(
+      `Partials nested more than ${MAX_PARTIAL_DEPTH} deep`,
+      node.location,
+      env.name
+    );
+  }
+
+  const nodes = parseTemplate(env.partials[node.name], {
+    filters: env.filters,
+    name: node.name,
+  });
+  return renderNodes(nodes, scopes, { ...env, depth: env.depth + 1, name: node.name });
+}
+
+function renderEach(node, scopes, env) {
+  const items = asList(evaluate(node.expression, scopes, node.location, env));
+  if (items.length === 0) {
+    return node.elseChildren ? renderNodes(node.elseChildren, scopes, env) : '';
+  }
+
+  return items
+    .map((item, index) => {
+      const meta = {
+        index,
+        number: index + 1,
+        first: index === 0,
+        last: index === items.length - 1,
+      };
+      return renderNodes(node.children, [...scopes, { value: item, meta }], env);
+    })
+    .join('');
+}
+
+function renderNodes(nodes, scopes, env) {
+  return nodes
+    .map((node) => {
+      switch (node.type) {
+        case 'text':
+          // Partials are rendered at depth 1 and up; only the template's own text is transformed
+          return env.depth === 0 ? env.transformText(node.value) : node.value;
+        case 'value':
+          return toText(evaluate(node.expression, scopes, node.location, env));
+        case 'partial':
+          return renderPartial(node, scopes, env);
+        case 'each':
+          return renderEach(node, scopes, env);
+        default: {
+          // if / unless
+          const truthy = isTruthy(evaluate(node.expression, scopes, node.location, env));
+          const branch = truthy === (node.type === 'if') ? node.children : node.elseChildren;
+          return branch ? renderNodes(branch, scopes, env) : '';
+        }
+      }
+    })
+    .join('');
+}
+
+/**
+ * Render a template against data
+ *
+ * @param {string} source - Template text
+ * @param {Object} data - Values the template can read
+ * @param {Object} [options]
+ * @param {Object} [options.partials] - Partial name → template text
+ * @param {Object} [options.filters] - Extra filters, name → function(value, ...args)
+ * @param {Function} [options.onMissing] - Called with (path, {line, column}) for unknown variables
+ * @param {Function} [options.transformText] - Applied to the template's literal text, but not
+ *   to values, block output from partials or anything else the tags insert
+ * @returns {string} Rendered text
+ * @throws {TemplateSyntaxError} On malformed templates or unknown partials
+ */
+export function renderTemplate(source, data, options = {}) {
+  const env = {
+    filters: { ...FILTERS, ...options.filters },
+    partials: options.partials || {},
+    onMissing: options.onMissing || (() => {}),
+    transformText: options.transformText || ((text) => text),
+    depth: 0,
+    name: undefined,
+  };
+
+  return renderNodes(parseTemplate(source, { filters: env.filters }), [{ value: data }], env);
+}
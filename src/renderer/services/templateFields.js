@@ -0,0 +1,58 @@
+/**
+ * Template Field Helpers
+ *
+ * Each template category holds a variable-length list of strings. These
+ * helpers count and reorder those lists without mutating them, and treat
+ * missing categories or non-string entries as empty.
+ */
+
+/**
+ * Non-empty values of a category, trimmed
+ *
+ * @param {Array} fields - Field values of one category
+ * @returns {string[]}
+ */
+export function getFilledFields(fields) {
+  if (!Array.isArray(fields)) {
+    return [];
+  }
+
+  return fields.filter((field) => typeof field === 'string' && field.trim() !== '');
+}
+
+/**
+ * Number of non-empty fields across all categories of templateData
+ */
+export function countFilledFields(templateData) {
+  return Object.values(templateData || {}).reduce(
+    (sum, fields) => sum + getFilledFields(fields).length,
+    0
+  );
+}
+
+/**
+ * Insert a field (empty by default) at `index`, or at the end
+ */
+export function addField(fields, value = '', index = fields.length) {
+  return [...fields.slice(0, index), value, ...fields.slice(index)];
+}
+
+/**
+ * Remove the field at `index`
+ */
+export function removeField(fields, index) {
+  return fields.filter((_, i) => i !== index);
+}
+
+/**
+ * Move the field at `from` to position `to`; out-of-range indexes leave the list unchanged
+ */
+export function moveField(fields, from, to) {
+  const inRange = (i) => Number.isInteger(i) && i >= 0 && i < fields.length;
+  if (!inRange(from) || !inRange(to) || from === to) {
+    return fields;
+  }
+
+  const moved = removeField(fields, from);
+  return addField(moved, fields[from], to);
+}
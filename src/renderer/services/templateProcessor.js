@@ -1,9 +1,50 @@
+import { getFilledFields } from './templateFields';
+import { DEFAULT_CATEGORIES, describeCategoryItem } from './categorySchema';
+import { renderTemplate } from './templateEngine';
+
+/**
+ * Partials every template can use with {{> name}}
+ */
+export const TEMPLATE_PARTIALS = {
+  categories: [
+    '{{#each categories}}',
+    '{{#if values}}',
+    '### {{label}}',
+    '{{values | bullets}}',
+    '',
+    '{{/if}}',
+    '{{/each}}',
+  ].join('\n'),
+  documents: [
+    '{{#if documents}}',
+    '## Reference Documents',
+    '{{#each documents}}',
+    '- {{name}} ({{pages}} pages)',
+    '{{/each}}',
+    '{{/if}}',
+  ].join('\n'),
+};
+
 /**
  * TemplateProcessor - Processes agent templates and fills them with data
+ *
+ * Templates can use the {{ }} syntax of templateEngine.js as well as the
+ * original [PLACEHOLDER] tokens, which are replaced in the template's own
+ * text while it is rendered.
  */
 class TemplateProcessor {
-  constructor(template) {
+  /**
+   * @param {string} template - Template text with [PLACEHOLDER] tokens
+   * @param {Object[]} categories - Category schema (see categorySchema.js)
+   * @param {string[]|null} placeholders - Tokens the template declares it uses
+   *   (from its library metadata); null to check the tokens found in the text
+   */
+  constructor(template, categories = DEFAULT_CATEGORIES, placeholders = null) {
     this.template = template;
+    this.categories = categories;
+    this.placeholders = placeholders;
+    this.partials = { ...TEMPLATE_PARTIALS };
+    this.warnings = [];
   }
 
   /**
@@ -16,7 +57,7 @@ class TemplateProcessor {
       return 'Not specified';
     }
 
-    const filtered = fields.filter(field => field && field.trim() !== '');
+    const filtered = getFilledFields(fields);
 
     if (filtered.length === 0) {
       return 'Not specified';
@@ -27,35 +68,160 @@ class TemplateProcessor {
 
   /**
    * Fills the template with provided data
+   *
+   * Placeholder problems found along the way are left in `this.warnings`.
    * @param {Object} templateData - The data to fill the template with
    * @param {Object} metadata - Metadata including type and prefix
+   * @param {Array} documents - Uploaded documents ({ name, pages })
    * @returns {string} Filled template
+   * @throws {TemplateSyntaxError} If the template's {{ }} syntax is malformed
    */
-  fillTemplate(templateData, metadata) {
-    let result = this.template;
+  fillTemplate(templateData, metadata, documents = []) {
+    const replacements = this.buildReplacements(templateData, metadata);
+    this.warnings = this.checkPlaceholders(replacements);
 
+    // Placeholders are replaced in the template text only: values are never parsed as
+    // template syntax, and [TOKENS] inside documents, fields or partials are left alone
+    return renderTemplate(
+      this.template || '',
+      this.buildContext(templateData, metadata, documents),
+      {
+        partials: this.partials,
+        onMissing: (path, { line, column }) => {
+          this.warnings.push(`Unknown variable "${path}" at line ${line}, column ${column}`);
+        },
+        transformText: text =>
+          Object.entries(replacements).reduce(
+            (result, [placeholder, value]) => result.replaceAll(placeholder, value),
+            text
+          ),
+      }
+    );
+  }
+
+  /**
+   * Maps each known placeholder to its value
+   * @param {Object} templateData - The data to fill the template with
+   * @param {Object} metadata - Metadata including type and prefix
+   * @returns {Object} Placeholder → value
+   */
+  buildReplacements(templateData, metadata) {
     // Generate prefix from type if not provided
     const prefix = metadata.prefix || metadata.type.replace(/-/g, '_');
 
-    // Replace placeholders
+    // Replace placeholders; each category fills its own token.
+    // [TEST_COVERAGE] appears in the bundled template, so it always gets a value.
     const replacements = {
       '[SUBAGENT_TYPE]': metadata.type,
-      '[CORE_FUNCTION]': this.joinFields(templateData.coreFunctions),
-      '[DOMAIN]': this.joinFields(templateData.domainExpertise),
-      '[INPUT_TYPES]': this.joinFields(templateData.inputTypes),
-      '[VALIDATION]': this.joinFields(templateData.validationRules),
-      '[OUTPUT_FORMAT]': this.joinFields(templateData.outputFormat),
-      '[PERFORMANCE]': this.joinFields(templateData.performanceConstraints),
-      '[STYLE_GUIDE]': this.joinFields(templateData.styleGuide),
-      '[INTEGRATION_TARGETS]': this.joinFields(templateData.integrationTargets),
       '[PREFIX]': prefix,
       '[TEST_COVERAGE]': this.joinFields(templateData.testCoverage || [])
     };
 
-    Object.entries(replacements).forEach(([placeholder, value]) => {
-      result = result.replaceAll(placeholder, value);
+    this.categories
+      .filter(category => category.placeholder)
+      .forEach(category => {
+        replacements[category.placeholder] = this.joinFields(templateData[category.id]);
+      });
+
+    return replacements;
+  }
+
+  /**
+   * Data for {{ }} expressions: metadata, each category's filled fields by
+   * id, the category list and the documents
+   * @param {Object} templateData - The template data
+   * @param {Object} metadata - Metadata including type, name and prefix
+   * @param {Array} documents - Uploaded documents
+   * @returns {Object} Template context
+   */
+  buildContext(templateData, metadata, documents) {
+    const fields = Object.fromEntries([
+      ...this.categories.map(category => [category.id, []]),
+      ...Object.entries(templateData || {}).map(([id, values]) => [id, getFilledFields(values)])
+    ]);
+
+    return {
+      ...fields,
+      type: metadata.type,
+      name: metadata.name || '',
+      prefix: metadata.prefix || metadata.type.replace(/-/g, '_'),
+      categories: this.categories.map(category => ({
+        id: category.id,
+        label: category.label,
+        description: category.description || '',
+        values: fields[category.id]
+      })),
+      documents: documents.map(doc => ({ name: doc.name, pages: doc.pages || 0 }))
+    };
+  }
+
+  /**
+   * Lists placeholders that won't be filled in properly:
+   * - unknown: nothing fills the token, so it stays in the output as-is
+   * - unfilled: its category is empty, so it reads "Not specified"
+   * - declared in the template metadata but missing from the text
+   * @param {Object} replacements - From buildReplacements
+   * @returns {string[]} Warning messages
+   */
+  checkPlaceholders(replacements) {
+    const found = [...new Set((this.template || '').match(/\[[A-Z][A-Z0-9_]*\]/g))];
+    const declared = this.placeholders || [];
+    const warnings = [];
+
+    [...new Set([...declared, ...found])].forEach(token => {
+      if (!(token in replacements)) {
+        warnings.push(`Unknown placeholder ${token}: no category fills it`);
+      } else if (replacements[token] === 'Not specified') {
+        warnings.push(`Placeholder ${token} is unfilled and will read "Not specified"`);
+      }
+
+      if (this.placeholders && !found.includes(token)) {
+        warnings.push(`Placeholder ${token} is declared but not used in the template`);
+      }
     });
 
+    return warnings;
+  }
+
+  /**
+   * Returns the fillable part of the template
+   *
+   * SUBAGENT_PROMPT_TEMPLATE.md wraps the prompt in documentation: the prompt
+   * lives under a "## Template" heading and ends at the next horizontal rule.
+   * Inline example hints like *(e.g., "...")* are removed. Templates without
+   * a "## Template" heading are used as-is.
+   * @returns {string} Template body
+   */
+  getTemplateBody() {
+    const lines = (this.template || '').split('\n');
+    const start = lines.findIndex(line => /^##\s+Template\s*$/.test(line));
+
+    let bodyLines = lines;
+    if (start !== -1) {
+      const rest = lines.slice(start + 1);
+      const end = rest.findIndex(line => /^-{3,}\s*$/.test(line));
+      bodyLines = end === -1 ? rest : rest.slice(0, end);
+    }
+
+    return bodyLines
+      .join('\n')
+      .replace(/\s*\*\(e\.g\.,[^)]*\)\*/g, '')
+      .trim();
+  }
+
+  /**
+   * Fills only the template body (see getTemplateBody)
+   * @param {Object} templateData - The data to fill the template with
+   * @param {Object} metadata - Metadata including type and prefix
+   * @param {Array} documents - Uploaded documents ({ name, pages })
+   * @returns {string} Filled template body
+   */
+  fillTemplateBody(templateData, metadata, documents = []) {
+    const body = new TemplateProcessor(this.getTemplateBody(), this.categories, this.placeholders);
+    body.partials = this.partials;
+    const result = body.fillTemplate(templateData, metadata, documents);
+
+    this.warnings = body.warnings;
     return result;
   }
 
@@ -65,7 +231,7 @@ class TemplateProcessor {
    * @returns {Object} Categorized requirements
    */
   extractRequirements(templateData) {
-    const filterEmpty = (arr) => (arr || []).filter(item => item && item.trim() !== '');
+    const filterEmpty = getFilledFields;
 
     return {
       functions: [
@@ -94,41 +260,21 @@ class TemplateProcessor {
     const errors = [];
     const warnings = [];
 
-    // Check for at least one core function
-    const hasCoreFunction = templateData.coreFunctions.some(
-      func => func && func.trim() !== ''
-    );
-
-    if (!hasCoreFunction) {
-      errors.push('At least one core function must be specified');
-    }
-
-    // Check each category and warn if empty
-    const categories = [
-      'coreFunctions',
-      'domainExpertise',
-      'inputTypes',
-      'validationRules',
-      'outputFormat',
-      'performanceConstraints',
-      'styleGuide',
-      'integrationTargets'
-    ];
-
+    // Required categories need at least one value; warn about other empty categories
     let filledCategories = 0;
-    categories.forEach(category => {
-      const hasValues = templateData[category].some(
-        item => item && item.trim() !== ''
-      );
+    this.categories.forEach(category => {
+      const hasValues = getFilledFields(templateData[category.id]).length > 0;
       if (hasValues) {
         filledCategories++;
-      } else if (category !== 'coreFunctions') {
-        warnings.push(`Category ${category} is empty`);
+      } else if (category.required) {
+        errors.push(`At least one ${describeCategoryItem(category)} must be specified`);
+      } else {
+        warnings.push(`Category ${category.id} is empty`);
       }
     });
 
     // Calculate completeness percentage
-    const completeness = Math.round((filledCategories / categories.length) * 100);
+    const completeness = Math.round((filledCategories / this.categories.length) * 100);
 
     return {
       isValid: errors.length === 0,
@@ -138,6 +284,18 @@ class TemplateProcessor {
     };
   }
 
+  /**
+   * Counts non-empty fields in the schema's categories
+   * @param {Object} templateData - The template data
+   * @returns {number} Filled field count
+   */
+  countFields(templateData) {
+    return this.categories.reduce(
+      (sum, category) => sum + getFilledFields(templateData[category.id]).length,
+      0
+    );
+  }
+
   /**
    * Generates statistics about the template data
    * @param {Object} templateData - The template data
@@ -145,31 +303,14 @@ class TemplateProcessor {
    * @returns {Object} Statistics
    */
   generateStatistics(templateData, documents = []) {
-    const categories = [
-      'coreFunctions',
-      'domainExpertise',
-      'inputTypes',
-      'validationRules',
-      'outputFormat',
-      'performanceConstraints',
-      'styleGuide',
-      'integrationTargets'
-    ];
-
-    let totalFields = 0;
-    categories.forEach(category => {
-      const count = templateData[category].filter(
-        item => item && item.trim() !== ''
-      ).length;
-      totalFields += count;
-    });
+    const totalFields = this.countFields(templateData);
 
     const documentCount = documents.length;
     const totalDocumentPages = documents.reduce((sum, doc) => sum + (doc.pages || 0), 0);
 
     return {
       totalFields,
-      totalCategories: categories.length,
+      totalCategories: this.categories.length,
       documentCount,
       totalDocumentPages,
       estimatedComplexity: this.estimateComplexity(templateData, documents)
@@ -183,24 +324,7 @@ class TemplateProcessor {
    * @returns {string} 'low', 'medium', or 'high'
    */
   estimateComplexity(templateData, documents = []) {
-    const categories = [
-      'coreFunctions',
-      'domainExpertise',
-      'inputTypes',
-      'validationRules',
-      'outputFormat',
-      'performanceConstraints',
-      'styleGuide',
-      'integrationTargets'
-    ];
-
-    let totalFields = 0;
-    categories.forEach(category => {
-      const count = templateData[category].filter(
-        item => item && item.trim() !== ''
-      ).length;
-      totalFields += count;
-    });
+    const totalFields = this.countFields(templateData);
 
     const documentCount = documents.length;
 
@@ -0,0 +1,245 @@
+/**
+ * Text Diff Service
+ *
+ * Line-based diff used to show how the edited agent differs from what the
+ * architect generated, and to record those edits when the agent is saved.
+ */
+
+// Lines in the changed middle part above which the LCS table gets too large;
+// larger diffs fall back to "all removed, all added"
+const MAX_DIFF_CELLS = 4000000;
+
+/**
+ * Split text into lines; an empty string has no lines
+ */
+function splitLines(text) {
+  return text === '' ? [] : text.replace(/\r\n/g, '\n').split('\n');
+}
+
+/**
+ * Longest-common-subsequence diff of two line arrays
+ */
+function diffMiddle(before, after) {
+  const rows = before.length + 1;
+  const cols = after.length + 1;
+
+  if (rows * cols > MAX_DIFF_CELLS) {
+    return [
+      ...before.map((line) => ({ type: 'removed', line })),
+      ...after.map((line) => ({ type: 'added', line })),
+    ];
+  }
+
+  // lengths[i * cols + j]: LCS length of before[i..] and after[j..]
+  const lengths = new Uint32Array(rows * cols);
+  for (let i = before.length - 1; i >= 0; i--) {
+    for (let j = after.length - 1; j >= 0; j--) {
+      lengths[i * cols + j] =
+        before[i] === after[j]
+          ? lengths[(i + 1) * cols + j + 1] + 1
+          : Math.max(lengths[(i + 1) * cols + j], lengths[i * cols + j + 1]);
+    }
+  }
+
+  const changes = [];
+  let i = 0;
+  let j = 0;
+  while (i < before.length || j < after.length) {
+    if (i < before.length && j < after.length && before[i] === after[j]) {
+      changes.push({ type: 'equal', line: before[i] });
+      i++;
+      j++;
+    } else if (
+      i < before.length &&
+      (j === after.length || lengths[(i + 1) * cols + j] >= lengths[i * cols + j + 1])
+    ) {
+      // Removals first, so a replaced line reads "- old" then "+ new"
+      changes.push({ type: 'removed', line: before[i] });
+      i++;
+    } else {
+      changes.push({ type: 'added', line: after[j] });
+      j++;
+    }
+  }
+  return changes;
+}
+
+/**
+ * Line diff of two texts
+ *
+ * @param {string} before - Original text
+ * @param {string} after - Changed text
+ * @returns {Array<{type: 'equal'|'added'|'removed', line: string}>}
+ */
+export function diffLines(before, after) {
+  const a = splitLines(before);
+  const b = splitLines(after);
+
+  // Generated agents are edited in a few places; only diff the changed middle
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+  let end = 0;
+  while (
+    end < a.length - start &&
+    end < b.length - start &&
+    a[a.length - 1 - end] === b[b.length - 1 - end]
+  ) {
+    end++;
+  }
+
+  const equal = (line) => ({ type: 'equal', line });
+  return [
+    ...a.slice(0, start).map(equal),
+    ...diffMiddle(a.slice(start, a.length - end), b.slice(start, b.length - end)),
+    ...a.slice(a.length - end).map(equal),
+  ];
+}
+
+/**
+ * Count added and removed lines
+ *
+ * @param {Array} changes - Result of diffLines
+ * @returns {{added: number, removed: number}}
+ */
+export function summarizeDiff(changes) {
+  return changes.reduce(
+    (counts, change) => {
+      if (change.type !== 'equal') {
+        counts[change.type]++;
+      }
+      return counts;
+    },
+    { added: 0, removed: 0 }
+  );
+}
+
+/**
+ * Unified diff ranges with no lines start at the line before them
+ */
+function rangeStart(line, count) {
+  return count === 0 ? line - 1 : line;
+}
+
+const HEADING_PATTERN = /^#{1,6}\s+(.*)$/;
+
+function headingTitle(line) {
+  const heading = HEADING_PATTERN.exec(line);
+  return heading ? heading[1].trim() : null;
+}
+
+/**
+ * Group a diff into hunks: runs of changes with `context` unchanged lines around them
+ *
+ * Each hunk covers `changes.slice(start, end)`, has unified-diff line ranges,
+ * and is labelled with the Markdown section it falls in.
+ *
+ * @param {Array} changes - Result of diffLines
+ * @param {Object} [options]
+ * @param {number} [options.context] - Unchanged lines to keep around changes
+ * @returns {Array<{id: number, start: number, end: number, oldStart: number, oldLines: number,
+ *   newStart: number, newLines: number, section: string|null}>}
+ */
+export function diffHunks(changes, { context = 3 } = {}) {
+  const hunks = [];
+  let oldLine = 1;
+  let newLine = 1;
+  let section = null;
+  let index = 0;
+
+  while (index < changes.length) {
+    if (changes[index].type === 'equal') {
+      section = headingTitle(changes[index].line) ?? section;
+      index++;
+      oldLine++;
+      newLine++;
+      continue;
+    }
+
+    // Extend the hunk while at most 2 × context unchanged lines separate the changes
+    const start = Math.max(0, index - context);
+    let end = index;
+    let lastChange = index;
+    while (end < changes.length && end - lastChange - 1 <= context * 2) {
+      if (changes[end].type !== 'equal') {
+        lastChange = end;
+      }
+      end++;
+    }
+    end = Math.min(changes.length, lastChange + context + 1);
+
+    const lines = changes.slice(start, end);
+    const leading = index - start;
+    const oldLines = lines.filter((change) => change.type !== 'added').length;
+    const newLines = lines.filter((change) => change.type !== 'removed').length;
+    hunks.push({
+      id: hunks.length,
+      start,
+      end,
+      oldStart: rangeStart(oldLine - leading, oldLines),
+      oldLines,
+      newStart: rangeStart(newLine - leading, newLines),
+      newLines,
+      section: headingTitle(changes[index].line) ?? section,
+    });
+
+    lines.slice(leading).forEach((change) => {
+      if (change.type !== 'removed') {
+        section = headingTitle(change.line) ?? section;
+      }
+    });
+    oldLine += oldLines - leading;
+    newLine += newLines - leading;
+    index = end;
+  }
+
+  return hunks;
+}
+
+/**
+ * Text with only some hunks applied
+ *
+ * Accepted hunks take the changed text, the others keep the original.
+ *
+ * @param {Array} changes - Result of diffLines
+ * @param {Array} hunks - Result of diffHunks for the same changes
+ * @param {Set<number>} acceptedIds - Ids of the hunks to apply
+ * @returns {string} Merged text
+ */
+export function applyHunks(changes, hunks, acceptedIds) {
+  const accepted = new Array(changes.length).fill(false);
+  hunks.forEach((hunk) => {
+    accepted.fill(acceptedIds.has(hunk.id), hunk.start, hunk.end);
+  });
+
+  return changes
+    .filter(
+      (change, index) => change.type === 'equal' || (change.type === 'added') === accepted[index]
+    )
+    .map((change) => change.line)
+    .join('\n');
+}
+
+/**
+ * Format a diff in unified format, with `context` unchanged lines around each change
+ *
+ * @param {string} before - Original text
+ * @param {string} after - Changed text
+ * @param {Object} [options]
+ * @param {number} [options.context] - Unchanged lines to keep around changes
+ * @returns {string} Unified diff, empty when the texts have the same lines
+ */
+export function formatUnifiedDiff(before, after, { context = 3 } = {}) {
+  const changes = diffLines(before, after);
+  const prefixes = { equal: ' ', added: '+', removed: '-' };
+
+  return diffHunks(changes, { context })
+    .flatMap((hunk) => [
+      `@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@`,
+      ...changes
+        .slice(hunk.start, hunk.end)
+        .map((change) => `${prefixes[change.type]}${change.line}`),
+    ])
+    .join('\n');
+}
@@ -0,0 +1,38 @@
+/**
+ * Stand-in for src/main/pdfWorker.js in the PdfWorkerPool tests
+ *
+ * Speaks the same protocol; the file path picks the behaviour:
+ *   hang  - reports that it started, then never finishes
+ *   slow  - finishes after 100ms
+ *   crash - throws outside the message handler, ending the worker
+ *   fail  - reports a parse error
+ *   other - finishes at once with the path as text
+ */
+
+const { parentPort } = require('worker_threads');
+
+parentPort.on('message', ({ jobId, filePath }) => {
+  parentPort.postMessage({ jobId, type: 'progress', page: 0, pages: 1 });
+
+  const done = () =>
+    parentPort.postMessage({
+      jobId,
+      type: 'done',
+      document: { text: filePath, pages: 1, info: {} },
+    });
+
+  if (filePath === 'hang') {
+    return;
+  }
+  if (filePath === 'slow') {
+    setTimeout(done, 100);
+  } else if (filePath === 'crash') {
+    setTimeout(() => {
+      throw new Error('worker crashed');
+    }, 10);
+  } else if (filePath === 'fail') {
+    parentPort.postMessage({ jobId, type: 'error', message: 'Invalid PDF structure' });
+  } else {
+    done();
+  }
+});
@@ -29,7 +29,7 @@ Domain: [DOMAIN]
       template: mockTemplate,
     });
 
-    global.window.electronAPI.processPDF = vi.fn().mockResolvedValue(mockPDFData);
+    global.window.electronAPI.processDocument = vi.fn().mockResolvedValue(mockPDFData);
 
     global.window.electronAPI.consultAgent = vi.fn().mockResolvedValue({
       success: true,
@@ -224,7 +224,7 @@ Domain: [DOMAIN]
 
   describe('Error handling in workflow', () => {
     it('should handle PDF processing errors gracefully', async () => {
-      global.window.electronAPI.processPDF = vi.fn().mockResolvedValue({
+      global.window.electronAPI.processDocument = vi.fn().mockResolvedValue({
         success: false,
         error: 'Invalid PDF format',
       });
@@ -239,7 +239,10 @@ Domain: [DOMAIN]
       });
 
       expect(result.current.documents).toHaveLength(0);
-      expect(result.current.error).toBe('Invalid PDF format');
+      expect(result.current.uploads[0]).toMatchObject({
+        status: 'failed',
+        error: 'Invalid PDF format',
+      });
 
       // Workflow should still be usable
       act(() => {
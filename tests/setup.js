@@ -12,11 +12,34 @@ global.electronAPI = {
   saveAgent: vi.fn(),
   loadAgents: vi.fn(),
   getExistingAgents: vi.fn(),
+  loadExistingAgent: vi.fn(),
+  deleteAgent: vi.fn(),
+  duplicateAgent: vi.fn(),
+  openAgentInEditor: vi.fn(),
+  migrateAgentFiles: vi.fn(),
+  exportAgent: vi.fn(),
+  processDocument: vi.fn(),
   processPDF: vi.fn(),
+  getPathForFile: vi.fn(),
+  expandDroppedPaths: vi.fn(),
+  cancelDocument: vi.fn(),
+  onDocumentProgress: vi.fn(() => () => {}),
+  scanProjectFolder: vi.fn(),
   loadSettings: vi.fn(),
   saveSettings: vi.fn(),
+  selectProjectRoot: vi.fn(),
+  setProjectRoot: vi.fn(),
+  getProjectInfo: vi.fn(),
   consultAgent: vi.fn(),
   loadTemplate: vi.fn(),
+  listTemplates: vi.fn(),
+  saveTemplate: vi.fn(),
+  deleteTemplate: vi.fn(),
+  loadCategorySchema: vi.fn(),
+  llmComplete: vi.fn(),
+  onLlmToken: vi.fn(() => () => {}),
+  saveLlmApiKey: vi.fn(),
+  getLlmStatus: vi.fn(),
   getAppVersion: vi.fn(),
 };
 
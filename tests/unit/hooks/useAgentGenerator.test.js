@@ -1,6 +1,63 @@
 import { describe, it, expect, beforeEach, vi } from 'vitest';
 import { renderHook, act, waitFor } from '@testing-library/react';
 import { useAgentGenerator } from '@renderer/hooks/useAgentGenerator';
+import { DEFAULT_FIELD_COUNT } from '@renderer/services/formDataParser';
+
+/**
+ * Make processDocument pending until the test calls `finish` with its result
+ */
+function deferProcessDocument() {
+  const pending = {};
+  const promise = new Promise((resolve) => {
+    pending.finish = resolve;
+  });
+  global.window.electronAPI.processDocument = vi.fn().mockReturnValue(promise);
+  return pending;
+}
+
+/**
+ * Make every processDocument call pending until the test finishes it; the
+ * returned list gets { path, requestId, finish } per call
+ */
+function deferEachProcessDocument() {
+  const calls = [];
+  global.window.electronAPI.processDocument = vi.fn(
+    (path, requestId) => new Promise((finish) => calls.push({ path, requestId, finish }))
+  );
+  return calls;
+}
+
+/**
+ * Make processDocument take a moment and count how many calls run at the same time
+ */
+function trackConcurrentProcessing() {
+  const stats = { active: 0, max: 0 };
+  global.window.electronAPI.processDocument = vi.fn(async () => {
+    stats.active += 1;
+    stats.max = Math.max(stats.max, stats.active);
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    stats.active -= 1;
+    return { success: true, text: 'Text', pages: 1 };
+  });
+  return stats;
+}
+
+// Let pending promise callbacks, such as the next queued upload starting, run
+const flushPromises = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+const uploadStatuses = (result) => result.current.uploads.map((upload) => upload.status);
+
+const DONE_RESULT = { success: true, text: 'Text', pages: 1 };
+
+/**
+ * `count` files named doc0.pdf, doc1.pdf, …
+ */
+function pdfFiles(count) {
+  return Array.from({ length: count }, (_, i) => ({
+    name: `doc${i}.pdf`,
+    path: `/path/doc${i}.pdf`,
+  }));
+}
 
 describe('useAgentGenerator', () => {
   beforeEach(() => {
@@ -8,7 +65,7 @@ describe('useAgentGenerator', () => {
     vi.clearAllMocks();
 
     // Setup default mock implementations
-    global.window.electronAPI.processPDF = vi.fn().mockResolvedValue({
+    global.window.electronAPI.processDocument = vi.fn().mockResolvedValue({
       success: true,
       text: 'Sample PDF text',
       pages: 5,
@@ -18,6 +75,9 @@ describe('useAgentGenerator', () => {
       success: true,
       path: '/path/to/agent.md',
     });
+
+    // No project schema response unless a test provides one
+    global.window.electronAPI.loadCategorySchema = vi.fn();
   });
 
   describe('initialization', () => {
@@ -33,9 +93,9 @@ describe('useAgentGenerator', () => {
     it('should initialize templateData with empty arrays', () => {
       const { result } = renderHook(() => useAgentGenerator());
 
-      expect(result.current.templateData.coreFunctions).toHaveLength(12);
-      expect(result.current.templateData.domainExpertise).toHaveLength(12);
-      expect(result.current.templateData.inputTypes).toHaveLength(12);
+      expect(result.current.templateData.coreFunctions).toHaveLength(DEFAULT_FIELD_COUNT);
+      expect(result.current.templateData.domainExpertise).toHaveLength(DEFAULT_FIELD_COUNT);
+      expect(result.current.templateData.inputTypes).toHaveLength(DEFAULT_FIELD_COUNT);
       expect(result.current.templateData.coreFunctions.every(f => f === '')).toBe(true);
     });
   });
@@ -77,6 +137,105 @@ describe('useAgentGenerator', () => {
     });
   });
 
+  describe('category schema', () => {
+    it('should use the built-in categories when the project has no schema', async () => {
+      global.window.electronAPI.loadCategorySchema = vi
+        .fn()
+        .mockResolvedValue({ success: true, schema: null });
+      const { result } = renderHook(() => useAgentGenerator());
+
+      await waitFor(() => {
+        expect(global.window.electronAPI.loadCategorySchema).toHaveBeenCalled();
+      });
+
+      expect(result.current.categories).toHaveLength(8);
+      expect(result.current.categorySchema).toEqual({ fileName: null, errors: [] });
+    });
+
+    it('should load project categories and add them to the form', async () => {
+      global.window.electronAPI.loadCategorySchema = vi.fn().mockResolvedValue({
+        success: true,
+        schema: {
+          fileName: 'template-categories.json',
+          content: JSON.stringify({
+            extendDefaults: true,
+            categories: [{ id: 'testCoverage', label: 'Test Coverage' }],
+          }),
+        },
+      });
+      const { result } = renderHook(() => useAgentGenerator());
+
+      await waitFor(() => {
+        expect(result.current.categories).toHaveLength(9);
+      });
+
+      expect(result.current.templateData.testCoverage).toHaveLength(DEFAULT_FIELD_COUNT);
+      expect(result.current.categorySchema.fileName).toBe('template-categories.json');
+    });
+
+    it('should report schema errors', async () => {
+      global.window.electronAPI.loadCategorySchema = vi.fn().mockResolvedValue({
+        success: true,
+        schema: { fileName: 'template-categories.json', content: '{ broken' },
+      });
+      const { result } = renderHook(() => useAgentGenerator());
+
+      await waitFor(() => {
+        expect(result.current.categorySchema.errors).toHaveLength(1);
+      });
+
+      expect(result.current.categories).toHaveLength(8);
+    });
+  });
+
+  describe('field lists', () => {
+    it('should add fields beyond the initial count', () => {
+      const { result } = renderHook(() => useAgentGenerator());
+
+      act(() => {
+        for (let i = 0; i < 20; i++) {
+          result.current.addTemplateField('coreFunctions');
+        }
+      });
+      act(() => {
+        result.current.updateTemplateField('coreFunctions', DEFAULT_FIELD_COUNT + 19, 'Last');
+      });
+
+      expect(result.current.templateData.coreFunctions).toHaveLength(DEFAULT_FIELD_COUNT + 20);
+      expect(result.current.templateData.coreFunctions.at(-1)).toBe('Last');
+    });
+
+    it('should remove a field', () => {
+      const { result } = renderHook(() => useAgentGenerator());
+
+      act(() => {
+        result.current.updateTemplateField('styleGuide', 0, 'First');
+        result.current.updateTemplateField('styleGuide', 1, 'Second');
+      });
+      act(() => {
+        result.current.removeTemplateField('styleGuide', 0);
+      });
+
+      expect(result.current.templateData.styleGuide[0]).toBe('Second');
+      expect(result.current.templateData.styleGuide).toHaveLength(DEFAULT_FIELD_COUNT - 1);
+    });
+
+    it('should move a field to a new position', () => {
+      const { result } = renderHook(() => useAgentGenerator());
+
+      act(() => {
+        result.current.updateTemplateField('inputTypes', 0, 'A');
+        result.current.updateTemplateField('inputTypes', 1, 'B');
+        result.current.updateTemplateField('inputTypes', 2, 'C');
+      });
+      act(() => {
+        result.current.moveTemplateField('inputTypes', 2, 0);
+      });
+
+      expect(result.current.templateData.inputTypes.slice(0, 3)).toEqual(['C', 'A', 'B']);
+    });
+  });
+
   describe('addDocument', () => {
     it('should add a document successfully', async () => {
       const { result } = renderHook(() => useAgentGenerator());
@@ -96,33 +255,34 @@ describe('useAgentGenerator', () => {
       expect(result.current.documents[0].pages).toBe(5);
     });
 
-    it('should set loading state during processing', async () => {
+    it('should move each upload from queued through parsing to done or failed', async () => {
+      const calls = deferEachProcessDocument();
       const { result } = renderHook(() => useAgentGenerator());
 
-      let loadingDuringCall = false;
+      let adding;
+      act(() => {
+        adding = result.current.addDocuments(pdfFiles(4));
+      });
 
-      global.window.electronAPI.processPDF = vi.fn().mockImplementation(async () => {
-        // Wait for loading state to become true
-        await waitFor(() => {
-          if (result.current.loading) {
-            loadingDuringCall = true;
-          }
-        }, { timeout: 1000 });
+      expect(uploadStatuses(result)).toEqual(['parsing', 'parsing', 'parsing', 'queued']);
 
-        return {
-          success: true,
-          text: 'Sample text',
-          pages: 5,
-        };
+      await act(async () => {
+        calls[0].finish(DONE_RESULT);
+        await flushPromises();
       });
 
-      const file = { name: 'test.pdf', path: '/path/to/test.pdf' };
+      expect(uploadStatuses(result)).toEqual(['done', 'parsing', 'parsing', 'parsing']);
 
       await act(async () => {
-        await result.current.addDocument(file);
+        calls[1].finish(DONE_RESULT);
+        calls[2].finish(DONE_RESULT);
+        calls[3].finish({ success: false, error: 'Invalid PDF structure' });
+        await adding;
       });
 
-      expect(loadingDuringCall).toBe(true);
+      expect(uploadStatuses(result)).toEqual(['done', 'done', 'done', 'failed']);
+      expect(result.current.uploads[3].error).toBe('Invalid PDF structure');
+      // Upload progress is kept per file, not in the shared loading flag
       expect(result.current.loading).toBe(false);
     });
 
@@ -151,10 +311,31 @@ describe('useAgentGenerator', () => {
       expect(result.current.error).toBe('Maximum 12 documents allowed');
     });
 
+    it('should process other document types and record their format', async () => {
+      const { result } = renderHook(() => useAgentGenerator());
+
+      global.window.electronAPI.processDocument = vi.fn().mockResolvedValue({
+        success: true,
+        text: '# Spec',
+        pages: 1,
+        info: { format: 'markdown' },
+      });
+
+      await act(async () => {
+        await result.current.addDocument({ name: 'spec.md', path: '/path/to/spec.md' });
+      });
+
+      expect(global.window.electronAPI.processDocument).toHaveBeenCalledWith(
+        '/path/to/spec.md',
+        expect.any(String)
+      );
+      expect(result.current.documents[0]).toMatchObject({ name: 'spec.md', format: 'markdown' });
+    });
+
     it('should handle PDF processing errors', async () => {
       const { result } = renderHook(() => useAgentGenerator());
 
-      global.window.electronAPI.processPDF = vi.fn().mockResolvedValue({
+      global.window.electronAPI.processDocument = vi.fn().mockResolvedValue({
         success: false,
         error: 'Failed to parse PDF',
       });
@@ -166,13 +347,17 @@ describe('useAgentGenerator', () => {
       });
 
       expect(result.current.documents).toHaveLength(0);
-      expect(result.current.error).toBe('Failed to parse PDF');
+      expect(result.current.uploads[0]).toMatchObject({
+        status: 'failed',
+        error: 'Failed to parse PDF',
+      });
+      expect(result.current.error).toBeNull();
     });
 
     it('should handle exceptions', async () => {
       const { result } = renderHook(() => useAgentGenerator());
 
-      global.window.electronAPI.processPDF = vi.fn().mockRejectedValue(
+      global.window.electronAPI.processDocument = vi.fn().mockRejectedValue(
         new Error('Network error')
       );
 
@@ -183,7 +368,324 @@ describe('useAgentGenerator', () => {
       });
 
       expect(result.current.documents).toHaveLength(0);
-      expect(result.current.error).toBe('Network error');
+      expect(result.current.uploads[0]).toMatchObject({ status: 'failed', error: 'Network error' });
+    });
+  });
+
+  describe('document uploads', () => {
+    it('should track page progress on the upload being parsed', async () => {
+      const { finish } = deferProcessDocument();
+      global.window.electronAPI.onDocumentProgress = vi.fn().mockReturnValue(vi.fn());
+      const { result } = renderHook(() => useAgentGenerator());
+
+      let adding;
+      act(() => {
+        adding = result.current.addDocument({ name: 'big.pdf', path: '/path/big.pdf' });
+      });
+      const [, requestId] = global.window.electronAPI.processDocument.mock.calls[0];
+      const [sendProgress] = global.window.electronAPI.onDocumentProgress.mock.calls[0];
+
+      act(() => {
+        sendProgress({ requestId: 'other', page: 9, pages: 9 });
+        sendProgress({ requestId, page: 3, pages: 40 });
+      });
+
+      expect(result.current.uploads[0]).toMatchObject({
+        id: requestId,
+        status: 'parsing',
+        page: 3,
+        pages: 40,
+      });
+
+      await act(async () => {
+        finish({ success: true, text: 'Text', pages: 40 });
+        await adding;
+      });
+
+      expect(result.current.uploads[0].status).toBe('done');
+      expect(result.current.documents).toHaveLength(1);
+    });
+
+    it('should process a limited number of files at once and queue the rest', async () => {
+      const { finish } = deferProcessDocument();
+      const { result } = renderHook(() => useAgentGenerator());
+
+      let adding;
+      act(() => {
+        adding = result.current.addDocuments(pdfFiles(5));
+      });
+
+      expect(global.window.electronAPI.processDocument).toHaveBeenCalledTimes(3);
+      expect(result.current.uploads.map((upload) => upload.status)).toEqual([
+        'parsing',
+        'parsing',
+        'parsing',
+        'queued',
+        'queued',
+      ]);
+
+      await act(async () => {
+        finish({ success: true, text: 'Text', pages: 1 });
+        await adding;
+      });
+
+      expect(global.window.electronAPI.processDocument).toHaveBeenCalledTimes(5);
+      expect(result.current.documents.map((doc) => doc.name)).toEqual([
+        'doc0.pdf',
+        'doc1.pdf',
+        'doc2.pdf',
+        'doc3.pdf',
+        'doc4.pdf',
+      ]);
+    });
+
+    it('should never process more than three files at once', async () => {
+      const stats = trackConcurrentProcessing();
+      const { result } = renderHook(() => useAgentGenerator());
+
+      await act(async () => {
+        await result.current.addDocuments(pdfFiles(8));
+      });
+
+      expect(global.window.electronAPI.processDocument).toHaveBeenCalledTimes(8);
+      expect(stats.max).toBe(3);
+      expect(result.current.documents).toHaveLength(8);
+    });
+
+    it('should start queued files as soon as a slot frees up', async () => {
+      const calls = deferEachProcessDocument();
+      const { result } = renderHook(() => useAgentGenerator());
+
+      act(() => {
+        result.current.addDocuments(pdfFiles(3));
+      });
+      act(() => {
+        result.current.addDocuments(pdfFiles(2));
+      });
+
+      expect(calls).toHaveLength(3);
+
+      await act(async () => {
+        calls[1].finish(DONE_RESULT);
+        await flushPromises();
+      });
+
+      expect(calls).toHaveLength(4);
+      expect(uploadStatuses(result)).toEqual(['parsing', 'done', 'parsing', 'parsing', 'queued']);
+    });
+
+    it('should report failures per file and keep the other documents', async () => {
+      global.window.electronAPI.processDocument = vi
+        .fn()
+        .mockResolvedValueOnce({ success: true, text: 'Text', pages: 1 })
+        .mockResolvedValueOnce({ success: false, error: 'Invalid PDF structure' });
+      const { result } = renderHook(() => useAgentGenerator());
+
+      await act(async () => {
+        await result.current.addDocuments(pdfFiles(2));
+      });
+
+      expect(result.current.uploads.map((upload) => upload.status)).toEqual(['done', 'failed']);
+      expect(result.current.uploads[1].error).toBe('Invalid PDF structure');
+      expect(result.current.documents).toHaveLength(1);
+      expect(result.current.error).toBeNull();
+    });
+
+    it('should retry a failed upload', async () => {
+      global.window.electronAPI.processDocument = vi
+        .fn()
+        .mockResolvedValueOnce({ success: false, error: 'File not found' })
+        .mockResolvedValueOnce({ success: true, text: 'Text', pages: 2 });
+      const { result } = renderHook(() => useAgentGenerator());
+
+      await act(async () => {
+        await result.current.addDocument({ name: 'spec.pdf', path: '/path/spec.pdf' });
+      });
+      await act(async () => {
+        await result.current.retryUpload(result.current.uploads[0].id);
+      });
+
+      expect(result.current.uploads).toHaveLength(1);
+      expect(result.current.uploads[0]).toMatchObject({ status: 'done', error: null });
+      expect(result.current.documents[0].pages).toBe(2);
+    });
+
+    it('should record the new reason when a retry fails again', async () => {
+      global.window.electronAPI.processDocument = vi
+        .fn()
+        .mockResolvedValueOnce({ success: false, error: 'File not found' })
+        .mockResolvedValueOnce({ success: false, error: 'File too large' });
+      const { result } = renderHook(() => useAgentGenerator());
+
+      await act(async () => {
+        await result.current.addDocument({ name: 'spec.pdf', path: '/path/spec.pdf' });
+      });
+      await act(async () => {
+        await result.current.retryUpload(result.current.uploads[0].id);
+      });
+
+      expect(result.current.uploads[0]).toMatchObject({
+        status: 'failed',
+        error: 'File too large',
+      });
+      expect(result.current.documents).toEqual([]);
+    });
+
+    it('should only retry failed uploads', async () => {
+      const { result } = renderHook(() => useAgentGenerator());
+
+      await act(async () => {
+        await result.current.addDocument({ name: 'spec.pdf', path: '/path/spec.pdf' });
+      });
+      await act(async () => {
+        await result.current.retryUpload(result.current.uploads[0].id);
+        await result.current.retryUpload('unknown');
+      });
+
+      expect(global.window.electronAPI.processDocument).toHaveBeenCalledTimes(1);
+      expect(uploadStatuses(result)).toEqual(['done']);
+    });
+
+    it('should queue a retry while three files are processing', async () => {
+      global.window.electronAPI.processDocument = vi
+        .fn()
+        .mockResolvedValueOnce({ success: false, error: 'File not found' });
+      const { result } = renderHook(() => useAgentGenerator());
+
+      await act(async () => {
+        await result.current.addDocument({ name: 'spec.pdf', path: '/path/spec.pdf' });
+      });
+      const calls = deferEachProcessDocument();
+      act(() => {
+        result.current.addDocuments(pdfFiles(3));
+      });
+      act(() => {
+        result.current.retryUpload(result.current.uploads[0].id);
+      });
+
+      expect(uploadStatuses(result)).toEqual(['queued', 'parsing', 'parsing', 'parsing']);
+      expect(result.current.uploads[0].error).toBeNull();
+
+      await act(async () => {
+        calls[0].finish(DONE_RESULT);
+        await flushPromises();
+      });
+
+      expect(calls[3].path).toBe('/path/spec.pdf');
+      expect(uploadStatuses(result)).toEqual(['parsing', 'done', 'parsing', 'parsing']);
+    });
+
+    it('should remove a finished upload and its document', async () => {
+      const { result } = renderHook(() => useAgentGenerator());
+
+      await act(async () => {
+        await result.current.addDocuments(pdfFiles(2));
+      });
+      act(() => {
+        result.current.removeUpload(result.current.uploads[0].id);
+      });
+
+      expect(result.current.documents.map((doc) => doc.name)).toEqual(['doc1.pdf']);
+      expect(global.window.electronAPI.cancelDocument).not.toHaveBeenCalled();
+    });
+
+    it('should remove a failed upload and free its slot', async () => {
+      global.window.electronAPI.processDocument = vi
+        .fn()
+        .mockResolvedValueOnce({ success: false, error: 'File not found' });
+      const { result } = renderHook(() => useAgentGenerator());
+
+      await act(async () => {
+        await result.current.addDocument({ name: 'spec.pdf', path: '/path/spec.pdf' });
+      });
+      act(() => {
+        result.current.removeUpload(result.current.uploads[0].id);
+      });
+
+      expect(result.current.uploads).toEqual([]);
+      expect(global.window.electronAPI.cancelDocument).not.toHaveBeenCalled();
+    });
+
+    it('should remove a queued upload without processing it', async () => {
+      const calls = deferEachProcessDocument();
+      const { result } = renderHook(() => useAgentGenerator());
+
+      let adding;
+      act(() => {
+        adding = result.current.addDocuments(pdfFiles(4));
+      });
+      act(() => {
+        result.current.removeUpload(result.current.uploads[3].id);
+      });
+
+      await act(async () => {
+        calls[0].finish(DONE_RESULT);
+        calls[1].finish(DONE_RESULT);
+        calls[2].finish(DONE_RESULT);
+        await adding;
+      });
+
+      expect(calls).toHaveLength(3);
+      expect(global.window.electronAPI.cancelDocument).not.toHaveBeenCalled();
+      expect(uploadStatuses(result)).toEqual(['done', 'done', 'done']);
+    });
+
+    it('should cancel an upload that is being parsed when it is removed', async () => {
+      const { finish } = deferProcessDocument();
+      global.window.electronAPI.cancelDocument = vi.fn().mockResolvedValue({
+        success: true,
+        canceled: true,
+      });
+      const { result } = renderHook(() => useAgentGenerator());
+
+      let adding;
+      act(() => {
+        adding = result.current.addDocument({ name: 'big.pdf', path: '/path/big.pdf' });
+      });
+      const [, requestId] = global.window.electronAPI.processDocument.mock.calls[0];
+
+      await act(async () => {
+        result.current.removeUpload(requestId);
+        finish({ success: false, canceled: true, error: 'Document processing canceled' });
+        await adding;
+      });
+
+      expect(global.window.electronAPI.cancelDocument).toHaveBeenCalledWith(requestId);
+      expect(result.current.uploads).toEqual([]);
+      expect(result.current.error).toBeNull();
+    });
+
+    it('should drop queued uploads without processing them when canceled', async () => {
+      const { finish } = deferProcessDocument();
+      const { result } = renderHook(() => useAgentGenerator());
+
+      let adding;
+      act(() => {
+        adding = result.current.addDocuments(pdfFiles(5));
+      });
+      act(() => {
+        result.current.cancelUploads();
+      });
+
+      await act(async () => {
+        finish({ success: false, canceled: true, error: 'Document processing canceled' });
+        await adding;
+      });
+
+      expect(global.window.electronAPI.processDocument).toHaveBeenCalledTimes(3);
+      expect(global.window.electronAPI.cancelDocument).toHaveBeenCalledTimes(3);
+      expect(result.current.uploads).toEqual([]);
+    });
+
+    it('should only add files up to the document limit', async () => {
+      const { result } = renderHook(() => useAgentGenerator());
+
+      await act(async () => {
+        await result.current.addDocuments(pdfFiles(14));
+      });
+
+      expect(result.current.documents).toHaveLength(12);
+      expect(result.current.error).toBe('Maximum 12 documents allowed');
     });
   });
 
@@ -217,6 +719,65 @@ describe('useAgentGenerator', () => {
     });
   });
 
+  describe('project folder', () => {
+    const project = {
+      name: 'shop-api',
+      languages: [{ language: 'TypeScript', files: 80 }],
+      frameworks: [],
+      testing: { frameworks: [], command: null, directories: [], testFiles: 0 },
+      claudeMd: null,
+    };
+
+    it('should keep the scanned project as context', async () => {
+      global.window.electronAPI.scanProjectFolder = vi
+        .fn()
+        .mockResolvedValue({ success: true, canceled: false, project });
+      const { result } = renderHook(() => useAgentGenerator());
+
+      await act(async () => {
+        await result.current.addProjectFolder();
+      });
+
+      expect(result.current.projectContext).toEqual(project);
+
+      act(() => {
+        result.current.removeProjectContext();
+      });
+
+      expect(result.current.projectContext).toBeNull();
+    });
+
+    it('should keep the previous project when the dialog is canceled', async () => {
+      global.window.electronAPI.scanProjectFolder = vi
+        .fn()
+        .mockResolvedValueOnce({ success: true, canceled: false, project })
+        .mockResolvedValueOnce({ success: true, canceled: true });
+      const { result } = renderHook(() => useAgentGenerator());
+
+      await act(async () => {
+        await result.current.addProjectFolder();
+        await result.current.addProjectFolder();
+      });
+
+      expect(result.current.projectContext).toEqual(project);
+    });
+
+    it('should report scan errors', async () => {
+      global.window.electronAPI.scanProjectFolder = vi
+        .fn()
+        .mockResolvedValue({ success: false, error: 'Permission denied' });
+      const { result } = renderHook(() => useAgentGenerator());
+
+      await act(async () => {
+        await result.current.addProjectFolder();
+      });
+
+      expect(result.current.projectContext).toBeNull();
+      expect(result.current.error).toBe('Permission denied');
+      expect(result.current.loading).toBe(false);
+    });
+  });
+
   describe('generateAgent', () => {
     it('should generate agent with correct data', async () => {
       const { result } = renderHook(() => useAgentGenerator());
@@ -319,6 +880,71 @@ describe('useAgentGenerator', () => {
       });
     });
 
+    it('should send form data when provided', async () => {
+      const { result } = renderHook(() => useAgentGenerator());
+      const metadata = { name: 'test-agent', type: 'backend-developer' };
+
+      await act(async () => {
+        await result.current.saveAgent('Agent content', metadata, {
+          templateData: result.current.templateData,
+        });
+      });
+
+      expect(global.window.electronAPI.saveAgent).toHaveBeenCalledWith({
+        name: 'test-agent',
+        content: 'Agent content',
+        metadata,
+        formData: { templateData: result.current.templateData },
+      });
+    });
+
+    it('should send the save target when provided', async () => {
+      const { result } = renderHook(() => useAgentGenerator());
+      const metadata = { name: 'test-agent', type: 'backend-developer' };
+
+      await act(async () => {
+        await result.current.saveAgent('Agent content', metadata, undefined, 'project');
+      });
+
+      expect(global.window.electronAPI.saveAgent).toHaveBeenCalledWith({
+        name: 'test-agent',
+        content: 'Agent content',
+        metadata,
+        target: 'project',
+      });
+    });
+
+    it('should send the conflict strategy when provided', async () => {
+      const { result } = renderHook(() => useAgentGenerator());
+      const metadata = { name: 'test-agent', type: 'backend-developer' };
+
+      await act(async () => {
+        await result.current.saveAgent('Agent content', metadata, undefined, 'generated', 'rename');
+      });
+
+      expect(global.window.electronAPI.saveAgent).toHaveBeenCalledWith({
+        name: 'test-agent',
+        content: 'Agent content',
+        metadata,
+        target: 'generated',
+        onConflict: 'rename',
+      });
+    });
+
+    it('should return conflicts without setting an error', async () => {
+      const conflict = { fileName: 'test-agent.md', differs: true, nextVersion: '1.0.1' };
+      global.window.electronAPI.saveAgent = vi.fn().mockResolvedValue({ success: true, conflict });
+      const { result } = renderHook(() => useAgentGenerator());
+
+      let saveResult;
+      await act(async () => {
+        saveResult = await result.current.saveAgent('Content', { name: 'test-agent' });
+      });
+
+      expect(saveResult.conflict).toEqual(conflict);
+      expect(result.current.error).toBeNull();
+    });
+
     it('should handle save errors', async () => {
       const { result } = renderHook(() => useAgentGenerator());
 
@@ -385,4 +1011,84 @@ describe('useAgentGenerator', () => {
       expect(result.current.error).toBeNull();
     });
   });
+
+  describe('loadAgent', () => {
+    const savedAgent = {
+      fileName: 'api-validator.md',
+      generatedAt: '2026-01-02T03:04:05.000Z',
+      metadata: {
+        name: 'api-validator',
+        type: 'validation-specialist',
+        description: 'Validates API responses',
+        tools: ['Read'],
+        model: 'sonnet',
+      },
+      body: '## Overview\nChecks responses.\n\n### Primary Functions\n- Validate responses',
+      formData: null,
+    };
+
+    it('should restore metadata and content of a saved agent', () => {
+      const { result } = renderHook(() => useAgentGenerator());
+
+      act(() => {
+        result.current.loadAgent(savedAgent);
+      });
+
+      expect(result.current.agentMetadata).toEqual(savedAgent.metadata);
+      expect(result.current.generatedContent).toBe(savedAgent.body);
+      expect(result.current.generatedAgent.fileName).toBe('api-validator.md');
+    });
+
+    it('should restore the template form from the agent', () => {
+      const { result } = renderHook(() => useAgentGenerator());
+
+      act(() => {
+        result.current.loadAgent(savedAgent);
+      });
+
+      expect(result.current.templateData.coreFunctions[0]).toBe('Validate responses');
+      expect(result.current.templateData.coreFunctions).toHaveLength(DEFAULT_FIELD_COUNT);
+      expect(result.current.generatedAgent.formDataSource).toBe('markdown');
+    });
+
+    it('should be cleared by resetForm', () => {
+      const { result } = renderHook(() => useAgentGenerator());
+
+      act(() => {
+        result.current.loadAgent(savedAgent);
+      });
+      act(() => {
+        result.current.resetForm();
+      });
+
+      expect(result.current.agentMetadata.name).toBe('');
+      expect(result.current.generatedContent).toBe('');
+      expect(result.current.templateData.coreFunctions[0]).toBe('');
+    });
+  });
+
+  describe('importAgent', () => {
+    it('should replace the form with the imported agent', () => {
+      const { result } = renderHook(() => useAgentGenerator());
+      const templateData = {
+        ...result.current.templateData,
+        coreFunctions: ['Design APIs', ...Array(11).fill('')],
+      };
+
+      act(() => {
+        result.current.setGeneratedContent('Old preview');
+      });
+      act(() => {
+        result.current.importAgent({
+          metadata: { name: 'backend-developer', type: 'backend-developer' },
+          templateData,
+        });
+      });
+
+      expect(result.current.templateData.coreFunctions[0]).toBe('Design APIs');
+      expect(result.current.agentMetadata.name).toBe('backend-developer');
+      expect(result.current.agentMetadata.tools).toEqual([]);
+      expect(result.current.generatedContent).toBe('');
+    });
+  });
 });
@@ -0,0 +1,72 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { renderHook, act } from '@testing-library/react';
+import { useState } from 'react';
+import { useEditHistory, MERGE_WINDOW } from '@renderer/hooks/useEditHistory';
+
+function useEditableText(initial) {
+  const [value, setValue] = useState(initial);
+  return { value, ...useEditHistory(value, setValue) };
+}
+
+describe('useEditHistory', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  const editLater = (result, text) => {
+    vi.advanceTimersByTime(MERGE_WINDOW);
+    act(() => result.current.edit(text));
+  };
+
+  it('should undo and redo edits', () => {
+    const { result } = renderHook(() => useEditableText('a'));
+
+    editLater(result, 'ab');
+    editLater(result, 'abc');
+    act(() => result.current.undo());
+
+    expect(result.current.value).toBe('ab');
+    expect(result.current.canRedo).toBe(true);
+
+    act(() => result.current.redo());
+
+    expect(result.current.value).toBe('abc');
+    expect(result.current.canRedo).toBe(false);
+  });
+
+  it('should undo quick successive edits as one step', () => {
+    const { result } = renderHook(() => useEditableText('a'));
+
+    act(() => result.current.edit('ab'));
+    act(() => result.current.edit('abc'));
+    act(() => result.current.undo());
+
+    expect(result.current.value).toBe('a');
+    expect(result.current.canUndo).toBe(false);
+  });
+
+  it('should keep unmerged edits as their own step', () => {
+    const { result } = renderHook(() => useEditableText('a'));
+
+    act(() => result.current.edit('ab'));
+    act(() => result.current.edit('a', { merge: false }));
+    act(() => result.current.undo());
+
+    expect(result.current.value).toBe('ab');
+  });
+
+  it('should drop redo steps after a new edit', () => {
+    const { result } = renderHook(() => useEditableText('a'));
+
+    editLater(result, 'ab');
+    act(() => result.current.undo());
+    act(() => result.current.edit('ax'));
+
+    expect(result.current.canRedo).toBe(false);
+    expect(result.current.canUndo).toBe(true);
+  });
+});
@@ -0,0 +1,71 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { renderHook, act } from '@testing-library/react';
+import { useLivePreview, LIVE_PREVIEW_DELAY } from '@renderer/hooks/useLivePreview';
+import { DEFAULT_CATEGORIES } from '@renderer/services/categorySchema';
+import { createEmptyTemplateData } from '@renderer/services/formDataParser';
+
+function generatorState(coreFunctions) {
+  return {
+    templateData: { ...createEmptyTemplateData(), coreFunctions },
+    documents: [],
+    agentMetadata: { name: 'code-reviewer', type: 'reviewer', description: '' },
+    categories: DEFAULT_CATEGORIES,
+  };
+}
+
+describe('useLivePreview', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should build the preview after the debounce delay', () => {
+    const { result } = renderHook(() => useLivePreview(generatorState(['Review code'])));
+
+    expect(result.current.markdown).toBeNull();
+
+    act(() => {
+      vi.advanceTimersByTime(LIVE_PREVIEW_DELAY);
+    });
+
+    expect(result.current.markdown).toContain('Review code');
+    expect(result.current.sections.some((section) => section.changed)).toBe(false);
+  });
+
+  it('should rebuild once edits pause and flag the changed sections', () => {
+    const { result, rerender } = renderHook(({ state }) => useLivePreview(state), {
+      initialProps: { state: generatorState(['Review code']) },
+    });
+
+    act(() => {
+      vi.advanceTimersByTime(LIVE_PREVIEW_DELAY);
+    });
+    const firstBuild = result.current.markdown;
+
+    rerender({ state: generatorState(['Review code', 'Check tests']) });
+    act(() => {
+      vi.advanceTimersByTime(LIVE_PREVIEW_DELAY / 2);
+    });
+    rerender({ state: generatorState(['Review code', 'Check tests', 'Suggest fixes']) });
+    act(() => {
+      vi.advanceTimersByTime(LIVE_PREVIEW_DELAY / 2);
+    });
+
+    // The second edit restarted the timer
+    expect(result.current.markdown).toBe(firstBuild);
+
+    act(() => {
+      vi.advanceTimersByTime(LIVE_PREVIEW_DELAY / 2);
+    });
+
+    expect(result.current.markdown).toContain('Suggest fixes');
+    const changed = result.current.sections
+      .filter((section) => section.changed)
+      .map((section) => section.title);
+    expect(changed).toContain('Primary Functions');
+    expect(changed).not.toContain('Technical Requirements');
+  });
+});
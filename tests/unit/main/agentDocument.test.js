@@ -0,0 +1,209 @@
+// @vitest-environment node
+import { describe, it, expect } from 'vitest';
+import {
+  serializeAgentDocument,
+  parseAgentDocument,
+  stripNestedDocument,
+  splitAgentFile,
+  unwrapNestedDocument,
+} from '@main/agentDocument';
+
+const frontmatter = '---\nname: api-validator\ndescription: Validates API responses\n---\n';
+
+const header = [
+  '# Subagent: api-validator',
+  '',
+  '**Generated**: 2026-01-02T03:04:05.000Z',
+  '**Version**: 1.2.0',
+  '**Type**: validation-specialist',
+  '',
+  '---',
+  '',
+  '',
+].join('\n');
+
+const footer = '\n\n---\n\n*Generated by Claude Subagent Generator v1.0.0*\n';
+
+// Header and footer the architect added to the body before they moved to the saved file
+const nestedHeader = [
+  '# Subagent: api-validator',
+  '',
+  '**Generated**: 2026-01-01T00:00:00.000Z',
+  '**Version**: 1.0.0',
+  '**Type**: validation-specialist',
+  '**Complexity**: simple',
+  '',
+  '---',
+  '',
+  '',
+].join('\n');
+
+const nestedFooter = [
+  '',
+  '---',
+  '',
+  '*Generated by Claude Subagent Generator v1.0.0*',
+  '*Head Architect: Complexity simple, 1 consultations*',
+].join('\n');
+
+const body = '## Overview\nChecks responses.\n\n---\n\n## Scope\n- APIs';
+
+const doubleWrapped = `${frontmatter}${header}${nestedHeader}${body}\n${nestedFooter}${footer}`;
+
+const toCrlf = (text) => text.replace(/\n/g, '\r\n');
+
+describe('agentDocument', () => {
+  describe('serializeAgentDocument', () => {
+    it('should write the header, body and footer', () => {
+      const document = serializeAgentDocument(
+        {
+          name: 'api-validator',
+          generated: '2026-01-02T03:04:05.000Z',
+          version: '1.2.0',
+          type: 'validation-specialist',
+        },
+        `\n${body}\n\n`
+      );
+
+      expect(document).toBe(`${header}${body}${footer}`);
+    });
+
+    it('should leave out the Generated line when there is no timestamp', () => {
+      const document = serializeAgentDocument({ name: 'api-validator', version: '1.0.0' }, body);
+
+      expect(document).not.toContain('**Generated**');
+      expect(document).toContain('**Version**: 1.0.0\n**Type**: custom\n');
+    });
+  });
+
+  describe('parseAgentDocument', () => {
+    it('should read the header and return the body without header and footer', () => {
+      const document = parseAgentDocument(`${header}${body}${footer}`);
+
+      expect(document).toEqual({
+        header: {
+          name: 'api-validator',
+          generated: '2026-01-02T03:04:05.000Z',
+          version: '1.2.0',
+          type: 'validation-specialist',
+        },
+        body,
+        nested: 0,
+      });
+    });
+
+    it('should accept a header without a Generated line', () => {
+      const document = parseAgentDocument(
+        `${header.replace('**Generated**: 2026-01-02T03:04:05.000Z\n', '')}${body}${footer}`
+      );
+
+      expect(document.header.generated).toBeNull();
+      expect(document.header.version).toBe('1.2.0');
+    });
+
+    it('should remove the second header and footer from double-wrapped files', () => {
+      const document = parseAgentDocument(
+        `${header}${nestedHeader}${body}\n${nestedFooter}${footer}`
+      );
+
+      expect(document.header.version).toBe('1.2.0');
+      expect(document.body.trim()).toBe(body);
+      expect(document.nested).toBe(1);
+    });
+
+    it('should return hand-written files whole', () => {
+      expect(parseAgentDocument('# Notes\n\nJust some notes.\n')).toEqual({
+        header: null,
+        body: '# Notes\n\nJust some notes.\n',
+        nested: 0,
+      });
+    });
+
+    it('should read documents with CRLF line endings', () => {
+      const document = parseAgentDocument(toCrlf(`${header}${nestedHeader}${body}${footer}`));
+
+      expect(document.header.type).toBe('validation-specialist');
+      expect(document.body.trim()).toBe(body);
+      expect(document.nested).toBe(1);
+    });
+  });
+
+  describe('stripNestedDocument', () => {
+    const fallback = [
+      '# Subagent: api-validator',
+      '',
+      '**Generated**: 2026-01-01T00:00:00.000Z',
+      '**Version**: 1.0.0',
+      '**Type**: validation-specialist',
+      '',
+      body,
+      '',
+      '---',
+      '',
+      '*Generated by Claude Subagent Generator v1.0.0*',
+      '',
+    ].join('\n');
+
+    it('should remove the header and footer of the fallback preview', () => {
+      const stripped = stripNestedDocument(fallback);
+
+      expect(stripped.body.trim()).toBe(body);
+      expect(stripped.nested).toBe(1);
+    });
+
+    it('should remove a header and footer written with CRLF line endings', () => {
+      expect(stripNestedDocument(toCrlf(fallback)).body.trim()).toBe(body);
+    });
+
+    it('should keep a body that only starts with a title', () => {
+      const titled = '# Subagent: api-validator\n\n## Overview\nChecks responses.';
+
+      expect(stripNestedDocument(titled)).toEqual({ body: titled, nested: 0 });
+    });
+  });
+
+  describe('splitAgentFile', () => {
+    it('should skip the frontmatter and split the document', () => {
+      const { header: parsed, body: specification } = splitAgentFile(doubleWrapped);
+
+      expect(parsed.version).toBe('1.2.0');
+      expect(specification.trim()).toBe(body);
+    });
+
+    it('should split a file with CRLF line endings', () => {
+      const { header: parsed, body: specification } = splitAgentFile(toCrlf(doubleWrapped));
+
+      expect(parsed).toEqual({
+        name: 'api-validator',
+        generated: '2026-01-02T03:04:05.000Z',
+        version: '1.2.0',
+        type: 'validation-specialist',
+      });
+      expect(specification.trim()).toBe(body);
+    });
+
+    it('should return the text after the frontmatter of hand-written files', () => {
+      expect(splitAgentFile(`${frontmatter}Just some notes.\n`)).toEqual({
+        header: null,
+        body: 'Just some notes.\n',
+      });
+    });
+  });
+
+  describe('unwrapNestedDocument', () => {
+    it('should keep the frontmatter and outer header and drop the inner copy', () => {
+      expect(unwrapNestedDocument(doubleWrapped)).toBe(`${frontmatter}${header}${body}${footer}`);
+    });
+
+    it('should keep CRLF line endings', () => {
+      expect(unwrapNestedDocument(toCrlf(doubleWrapped))).toBe(
+        toCrlf(`${frontmatter}${header}${body}${footer}`)
+      );
+    });
+
+    it('should return null for files without a nested document', () => {
+      expect(unwrapNestedDocument(`${frontmatter}${header}${body}${footer}`)).toBeNull();
+      expect(unwrapNestedDocument(toCrlf(`${frontmatter}${header}${body}${footer}`))).toBeNull();
+    });
+  });
+});
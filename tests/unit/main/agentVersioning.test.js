@@ -0,0 +1,109 @@
+// @vitest-environment node
+import { describe, it, expect } from 'vitest';
+import {
+  INITIAL_VERSION,
+  readVersion,
+  bumpVersion,
+  detectChangeLevel,
+} from '@main/agentVersioning';
+
+/**
+ * Agent file in the layout formatAgentFile writes
+ */
+function agentFile({
+  description = 'Validates API requests',
+  tools = 'Read, Grep',
+  model = 'sonnet',
+  type = 'backend-developer',
+  version = '1.0.0',
+  generated = '2024-05-01T10:00:00.000Z',
+  body = '## Purpose\n\nValidate every request.',
+} = {}) {
+  return [
+    '---',
+    'name: api-validator',
+    `description: ${description}`,
+    `tools: ${tools}`,
+    `model: ${model}`,
+    '---',
+    '# Subagent: api-validator',
+    '',
+    ...(generated ? [`**Generated**: ${generated}`] : []),
+    `**Version**: ${version}`,
+    `**Type**: ${type}`,
+    '',
+    '---',
+    '',
+    body,
+    '',
+  ].join('\n');
+}
+
+describe('agentVersioning', () => {
+  describe('readVersion', () => {
+    it('should read the version line', () => {
+      expect(readVersion(agentFile({ version: '2.3.4' }))).toBe('2.3.4');
+    });
+
+    it('should return null for files without a version', () => {
+      expect(readVersion('# Agent\n\nNo header')).toBeNull();
+    });
+  });
+
+  describe('bumpVersion', () => {
+    it('should reset the lower parts when bumping', () => {
+      expect(bumpVersion('1.2.3', 'major')).toBe('2.0.0');
+      expect(bumpVersion('1.2.3', 'minor')).toBe('1.3.0');
+      expect(bumpVersion('1.2.3', 'patch')).toBe('1.2.4');
+    });
+
+    it('should start from the initial version when there is none', () => {
+      expect(INITIAL_VERSION).toBe('1.0.0');
+      expect(bumpVersion(null, 'minor')).toBe('1.1.0');
+    });
+  });
+
+  describe('detectChangeLevel', () => {
+    it('should treat a tools change as major', () => {
+      expect(detectChangeLevel(agentFile(), agentFile({ tools: 'Read, Grep, Bash' }))).toBe(
+        'major'
+      );
+    });
+
+    it('should rank a tools change above other changes', () => {
+      const next = agentFile({ tools: 'Read', description: 'Other', body: 'Other body' });
+
+      expect(detectChangeLevel(agentFile(), next)).toBe('major');
+    });
+
+    it('should treat description, model and type changes as minor', () => {
+      const previous = agentFile();
+
+      expect(detectChangeLevel(previous, agentFile({ description: 'Checks payloads' }))).toBe(
+        'minor'
+      );
+      expect(detectChangeLevel(previous, agentFile({ model: 'opus' }))).toBe('minor');
+      expect(detectChangeLevel(previous, agentFile({ type: 'api-developer' }))).toBe('minor');
+    });
+
+    it('should treat a change to the specification text as a patch', () => {
+      expect(detectChangeLevel(agentFile(), agentFile({ body: '## Purpose\n\nValidate.' }))).toBe(
+        'patch'
+      );
+    });
+
+    it('should ignore the Version and Generated lines', () => {
+      const next = agentFile({ version: '1.4.0', generated: '2025-01-01T00:00:00.000Z' });
+
+      expect(detectChangeLevel(agentFile(), next)).toBeNull();
+    });
+
+    it('should ignore a Generated line that was left out in reproducible mode', () => {
+      expect(detectChangeLevel(agentFile(), agentFile({ generated: null }))).toBeNull();
+    });
+
+    it('should ignore line ending differences', () => {
+      expect(detectChangeLevel(agentFile().replace(/\n/g, '\r\n'), agentFile())).toBeNull();
+    });
+  });
+});
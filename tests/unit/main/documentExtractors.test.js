@@ -0,0 +1,214 @@
+// @vitest-environment node
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { extractDocument, isSupportedDocument, isPdf } from '@main/documentExtractors';
+
+const fixture = (name) => path.resolve(__dirname, '../../fixtures/documents', name);
+
+const CENTRAL_DIRECTORY_ENTRY = Buffer.from([0x50, 0x4b, 0x01, 0x02]);
+
+/**
+ * Overwrite a 32-bit field of every central directory entry
+ */
+function writeDirectoryField(buffer, field, value) {
+  for (let offset = buffer.indexOf(CENTRAL_DIRECTORY_ENTRY); offset >= 0;) {
+    buffer.writeUInt32LE(value, offset + field);
+    offset = buffer.indexOf(CENTRAL_DIRECTORY_ENTRY, offset + 4);
+  }
+}
+
+describe('documentExtractors', () => {
+  let tempDir;
+
+  beforeAll(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'extractors-'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  const tempFile = (name, contents) => {
+    const filePath = path.join(tempDir, name);
+    fs.writeFileSync(filePath, contents);
+    return filePath;
+  };
+
+  describe('DOCX', () => {
+    it('should extract paragraphs, breaks and document properties', async () => {
+      const result = await extractDocument(fixture('spec.docx'));
+
+      expect(result.text).toBe(
+        [
+          'Payment Service',
+          'Validate card numbers & expiry dates',
+          'Name Owner',
+          'First line',
+          'Second line',
+        ].join('\n')
+      );
+      expect(result.pages).toBe(2);
+      expect(result.info).toEqual({ format: 'docx', Title: 'Payment Spec', Author: 'Dana Lee' });
+    });
+
+    it('should read stored (uncompressed) entries', async () => {
+      const result = await extractDocument(fixture('stored.docx'));
+
+      expect(result.text).toBe('Stored entries are read as is');
+      expect(result.pages).toBe(1);
+      expect(result.info).toEqual({ format: 'docx' });
+    });
+
+    it('should reject an archive without word/document.xml', async () => {
+      await expect(extractDocument(fixture('no-document.docx'))).rejects.toThrow(
+        'Invalid DOCX file: no word/document.xml'
+      );
+    });
+
+    it('should reject a truncated archive', async () => {
+      await expect(extractDocument(fixture('corrupt.docx'))).rejects.toThrow(
+        'Invalid DOCX file: not a ZIP archive'
+      );
+    });
+
+    it('should reject a damaged central directory', async () => {
+      const buffer = fs.readFileSync(fixture('stored.docx'));
+      const end = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+      buffer.writeUInt32LE(buffer.readUInt32LE(end + 16) + 3, end + 16);
+
+      await expect(extractDocument(tempFile('damaged.docx', buffer))).rejects.toThrow(
+        'Invalid DOCX file: damaged ZIP directory'
+      );
+    });
+
+    it('should reject an entry whose data runs past the end of the file', async () => {
+      await expect(extractDocument(fixture('truncated-entry.docx'))).rejects.toThrow(
+        'Invalid DOCX file: truncated ZIP entry'
+      );
+    });
+
+    it('should reject an entry whose local header lies past the end of the file', async () => {
+      const buffer = fs.readFileSync(fixture('stored.docx'));
+      // Local header offset (field at 42) a few bytes before the end
+      writeDirectoryField(buffer, 42, buffer.length - 10);
+
+      await expect(extractDocument(tempFile('past-end.docx', buffer))).rejects.toThrow(
+        'Invalid DOCX file: damaged ZIP entry'
+      );
+    });
+
+    it('should reject a local header whose name runs past the end of the file', async () => {
+      const buffer = fs.readFileSync(fixture('stored.docx'));
+      const local = buffer.indexOf(Buffer.from('word/document.xml')) - 30;
+      buffer.writeUInt16LE(0xffff, local + 26);
+
+      await expect(extractDocument(tempFile('long-name.docx', buffer))).rejects.toThrow(
+        'Invalid DOCX file: truncated ZIP entry'
+      );
+    });
+
+    it('should reject ZIP64 archives as unsupported', async () => {
+      await expect(extractDocument(fixture('zip64.docx'))).rejects.toThrow(
+        'Invalid DOCX file: ZIP64 archives are not supported'
+      );
+    });
+
+    it('should reject unsupported compression methods', async () => {
+      const buffer = fs.readFileSync(fixture('stored.docx'));
+      const directory = buffer.indexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02]));
+      // Mark every entry as bzip2-compressed (method 12)
+      for (let offset = directory; offset >= 0;) {
+        buffer.writeUInt16LE(12, offset + 10);
+        offset = buffer.indexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02]), offset + 4);
+      }
+
+      await expect(extractDocument(tempFile('bzip2.docx', buffer))).rejects.toThrow(
+        'Invalid DOCX file: unsupported ZIP compression'
+      );
+    });
+  });
+
+  describe('HTML', () => {
+    it('should keep headings and list items and drop head, scripts and comments', async () => {
+      const result = await extractDocument(fixture('spec.html'));
+
+      expect(result.text).toBe(
+        [
+          '# Refund Policy',
+          '',
+          'Refunds are issued within 14 days.',
+          '',
+          '## Rules',
+          '',
+          '- Only the original payment method',
+          '',
+          '- Partial refunds need approval',
+        ].join('\n')
+      );
+      expect(result.info).toEqual({ format: 'html', Title: 'Payments & Refunds' });
+    });
+  });
+
+  describe('text formats', () => {
+    it('should read Markdown as is', async () => {
+      const result = await extractDocument(fixture('notes.md'));
+
+      expect(result.text).toBe(
+        '# Deployment Notes\n\n- Deploy with `npm run deploy`\n- Roll back with `npm run rollback`\n'
+      );
+      expect(result).toMatchObject({ pages: 1, info: { format: 'markdown' } });
+    });
+
+    it('should read plain text', async () => {
+      const result = await extractDocument(fixture('notes.txt'));
+
+      expect(result.text).toContain('The service must respond within 200ms.');
+      expect(result.info).toEqual({ format: 'text' });
+    });
+
+    it('should strip a byte order mark and normalize line endings', async () => {
+      const filePath = tempFile('windows.txt', '\uFEFFFirst\r\nSecond\rThird');
+
+      expect((await extractDocument(filePath)).text).toBe('First\nSecond\nThird');
+    });
+
+    it('should count one page per 3000 characters', async () => {
+      const filePath = tempFile('long.md', 'a'.repeat(6001));
+
+      expect((await extractDocument(filePath)).pages).toBe(3);
+    });
+
+    it('should reject binary content in a text file', async () => {
+      const filePath = tempFile('binary.txt', Buffer.from([0x68, 0x00, 0x69]));
+
+      await expect(extractDocument(filePath)).rejects.toThrow('the file is binary, not text');
+    });
+  });
+
+  describe('source files', () => {
+    it('should read source code and report its language', async () => {
+      const result = await extractDocument(fixture('handler.py'));
+
+      expect(result.text).toBe('def handle(event):\n    return {"status": 200}\n');
+      expect(result.info).toEqual({ format: 'source', language: 'Python' });
+    });
+  });
+
+  describe('file types', () => {
+    it('should reject unsupported extensions', async () => {
+      await expect(extractDocument(tempFile('image.png', 'png'))).rejects.toThrow(
+        'Unsupported document type: .png'
+      );
+    });
+
+    it('should recognize supported documents case-insensitively', () => {
+      expect(isSupportedDocument('/docs/Spec.DOCX')).toBe(true);
+      expect(isSupportedDocument('/docs/app.ts')).toBe(true);
+      expect(isSupportedDocument('/docs/image.png')).toBe(false);
+      expect(isPdf('/docs/Manual.PDF')).toBe(true);
+      expect(isPdf('/docs/notes.md')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,227 @@
+// @vitest-environment node
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+
+/**
+ * In-memory stand-in for electron-store; FileManager is tested outside Electron
+ */
+class MemoryStore {
+  constructor() {
+    this.data = {};
+  }
+
+  get(key, fallback) {
+    return Object.hasOwn(this.data, key) ? this.data[key] : fallback;
+  }
+
+  set(key, value) {
+    this.data[key] = value;
+  }
+
+  delete(key) {
+    delete this.data[key];
+  }
+}
+
+// Loaded with require so these stand-ins are in place before fileManager requires them
+require.cache[require.resolve('electron')] = { exports: {}, loaded: true };
+require.cache[require.resolve('electron-store')] = { exports: MemoryStore, loaded: true };
+const FileManager = require('../../../src/main/fileManager');
+
+const agent = (overrides = {}) => ({
+  name: 'API Validator',
+  content: '## Purpose\n\nValidate every request.',
+  metadata: {
+    type: 'backend-developer',
+    description: 'Validates API requests',
+    tools: ['Read', 'Grep'],
+    model: 'sonnet',
+  },
+  ...overrides,
+});
+
+const withMetadata = (changes) => agent({ metadata: { ...agent().metadata, ...changes } });
+
+/**
+ * writeFile that records the order of written paths
+ */
+function recordWrites(writeFile, written) {
+  return (filePath, ...args) => {
+    written.push(filePath);
+    return writeFile(filePath, ...args);
+  };
+}
+
+describe('FileManager', () => {
+  let appRoot;
+  let fileManager;
+  let agentPath;
+  let historyDir;
+
+  beforeEach(async () => {
+    appRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'file-manager-'));
+    fileManager = new FileManager({ getAppPath: () => appRoot });
+    await fileManager.ensureDirectories();
+    agentPath = path.join(fileManager.generatedAgentsDir, 'api-validator.md');
+    historyDir = path.join(fileManager.generatedAgentsDir, '.history');
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    fs.rmSync(appRoot, { recursive: true, force: true });
+  });
+
+  describe('saveAgent', () => {
+    it('should write a new agent at the initial version', async () => {
+      const result = await fileManager.saveAgent(agent());
+
+      expect(result).toMatchObject({
+        filePath: agentPath,
+        fileName: 'api-validator.md',
+        target: 'generated',
+        version: '1.0.0',
+        archivedPath: null,
+      });
+      const content = fs.readFileSync(agentPath, 'utf-8');
+      expect(content).toMatch(/^---\nname: api-validator\n/);
+      expect(content).toContain('**Version**: 1.0.0');
+    });
+
+    it('should return the conflict without writing when no strategy is given', async () => {
+      await fileManager.saveAgent(agent());
+      const before = fs.readFileSync(agentPath, 'utf-8');
+
+      const result = await fileManager.saveAgent(agent({ content: 'Changed body' }));
+
+      expect(result).toEqual({
+        conflict: {
+          fileName: 'api-validator.md',
+          filePath: agentPath,
+          target: 'generated',
+          differs: true,
+          changeLevel: 'patch',
+          existingVersion: '1.0.0',
+          nextVersion: '1.0.1',
+        },
+      });
+      expect(fs.readFileSync(agentPath, 'utf-8')).toBe(before);
+      expect(fs.existsSync(historyDir)).toBe(false);
+    });
+
+    it('should report an unchanged agent as a conflict that does not differ', async () => {
+      await fileManager.saveAgent(agent());
+
+      const { conflict } = await fileManager.saveAgent(agent());
+
+      expect(conflict).toMatchObject({ differs: false, changeLevel: null, nextVersion: '1.0.0' });
+    });
+
+    it('should bump the major version when tools change', async () => {
+      await fileManager.saveAgent(agent());
+
+      const result = await fileManager.saveAgent({
+        ...withMetadata({ tools: ['Read', 'Grep', 'Bash'] }),
+        onConflict: 'overwrite',
+      });
+
+      expect(result.version).toBe('2.0.0');
+      expect(fs.readFileSync(agentPath, 'utf-8')).toContain('**Version**: 2.0.0');
+    });
+
+    it('should bump the minor version when the description changes', async () => {
+      await fileManager.saveAgent(agent());
+
+      const result = await fileManager.saveAgent({
+        ...withMetadata({ description: 'Checks request payloads' }),
+        onConflict: 'overwrite',
+      });
+
+      expect(result.version).toBe('1.1.0');
+    });
+
+    it('should bump the patch version when only the body changes', async () => {
+      await fileManager.saveAgent(agent());
+
+      const result = await fileManager.saveAgent(
+        agent({ content: 'New body', onConflict: 'overwrite' })
+      );
+
+      expect(result.version).toBe('1.0.1');
+      expect(fs.readFileSync(agentPath, 'utf-8')).toContain('New body');
+    });
+
+    it('should archive the previous version when overwriting', async () => {
+      await fileManager.saveAgent(agent());
+      const previous = fs.readFileSync(agentPath, 'utf-8');
+
+      const result = await fileManager.saveAgent(
+        agent({ content: 'New body', onConflict: 'overwrite' })
+      );
+
+      expect(path.dirname(result.archivedPath)).toBe(historyDir);
+      expect(path.basename(result.archivedPath)).toMatch(/^api-validator-v1\.0\.0-.+\.md$/);
+      expect(fs.readFileSync(result.archivedPath, 'utf-8')).toBe(previous);
+    });
+
+    it('should write the archive before overwriting the agent', async () => {
+      await fileManager.saveAgent(agent());
+      const written = [];
+      const writeFile = fs.promises.writeFile;
+      vi.spyOn(fs.promises, 'writeFile').mockImplementation(recordWrites(writeFile, written));
+
+      const result = await fileManager.saveAgent(
+        agent({ content: 'New body', onConflict: 'overwrite' })
+      );
+
+      expect(written).toEqual([result.archivedPath, agentPath]);
+    });
+
+    it('should leave the agent untouched when the archive cannot be written', async () => {
+      await fileManager.saveAgent(agent());
+      const before = fs.readFileSync(agentPath, 'utf-8');
+      vi.spyOn(fs.promises, 'mkdir').mockRejectedValue(new Error('EACCES: permission denied'));
+
+      await expect(
+        fileManager.saveAgent(agent({ content: 'New body', onConflict: 'overwrite' }))
+      ).rejects.toThrow('EACCES');
+      expect(fs.readFileSync(agentPath, 'utf-8')).toBe(before);
+    });
+
+    it('should not archive or bump an unchanged agent', async () => {
+      await fileManager.saveAgent(agent());
+
+      const result = await fileManager.saveAgent(agent({ onConflict: 'overwrite' }));
+
+      expect(result).toMatchObject({ version: '1.0.0', archivedPath: null });
+      expect(fs.existsSync(historyDir)).toBe(false);
+    });
+
+    it('should save under the next free name when renaming', async () => {
+      await fileManager.saveAgent(agent());
+      const before = fs.readFileSync(agentPath, 'utf-8');
+
+      const second = await fileManager.saveAgent(agent({ onConflict: 'rename' }));
+      const third = await fileManager.saveAgent(agent({ onConflict: 'rename' }));
+
+      expect(second).toMatchObject({ fileName: 'api-validator-2.md', version: '1.0.0' });
+      expect(third.fileName).toBe('api-validator-3.md');
+      expect(fs.readFileSync(second.filePath, 'utf-8')).toMatch(/^---\nname: api-validator-2\n/);
+      expect(fs.readFileSync(agentPath, 'utf-8')).toBe(before);
+    });
+
+    it('should keep the content hash in the sidecar', async () => {
+      const contentHash = 'a'.repeat(64);
+      const formData = { templateData: { coreFunction: ['Validate'] }, contentHash };
+
+      await fileManager.saveAgent(agent({ formData }));
+      const [saved] = await fileManager.loadGeneratedAgents();
+
+      expect(saved.formData).toMatchObject({ name: 'api-validator', ...formData });
+    });
+  });
+});
@@ -0,0 +1,189 @@
+import { describe, it, expect } from 'vitest';
+import {
+  AGENT_NAME_PATTERN,
+  escapeYamlValue,
+  serializeFrontmatter,
+  parseFrontmatter,
+} from '@main/frontmatter';
+import {
+  AGENT_NAME_PATTERN as FORM_AGENT_NAME_PATTERN,
+  isValidAgentName,
+} from '@renderer/components/AgentMetadataForm';
+
+/**
+ * Value as read back from a serialized `description` field
+ */
+function roundTrip(value) {
+  return parseFrontmatter(serializeFrontmatter({ description: value })).attributes.description;
+}
+
+describe('frontmatter', () => {
+  describe('escapeYamlValue', () => {
+    it('should leave plain text unquoted', () => {
+      expect(escapeYamlValue('Validates API requests')).toBe('Validates API requests');
+      expect(escapeYamlValue('Read, Grep, Glob')).toBe('Read, Grep, Glob');
+      expect(escapeYamlValue('api-validator')).toBe('api-validator');
+      expect(escapeYamlValue('1.0.0')).toBe('1.0.0');
+      expect(escapeYamlValue('mcp__github__search')).toBe('mcp__github__search');
+    });
+
+    it('should quote booleans and nulls', () => {
+      for (const value of ['true', 'False', 'yes', 'NO', 'on', 'off', 'y', 'n', 'null', '~']) {
+        expect(escapeYamlValue(value)).toBe(`"${value}"`);
+      }
+    });
+
+    it('should quote integers in every base', () => {
+      for (const value of ['42', '-7', '+3', '1_000', '0x1F', '0o17', '017', '0b101', '1:30']) {
+        expect(escapeYamlValue(value)).toBe(`"${value}"`);
+      }
+    });
+
+    it('should quote floats, infinity and not-a-number', () => {
+      const values = ['1.5', '.5', '1.', '-2.5e3', '1e10', '1:30.5', '.inf', '-.Inf', '.NaN'];
+
+      for (const value of values) {
+        expect(escapeYamlValue(value)).toBe(`"${value}"`);
+      }
+    });
+
+    it('should quote dates and timestamps', () => {
+      const values = [
+        '2024-01-01',
+        '2024-1-1',
+        '2024-01-01T10:00:00Z',
+        '2024-01-01t10:00:00.5+02:00',
+        '2024-01-01 10:00:00 -5',
+      ];
+
+      for (const value of values) {
+        expect(escapeYamlValue(value)).toBe(`"${value}"`);
+      }
+    });
+
+    it('should quote leading indicators, `: ` and ` #`', () => {
+      expect(escapeYamlValue('- item')).toBe('"- item"');
+      expect(escapeYamlValue('*alias')).toBe('"*alias"');
+      expect(escapeYamlValue("'quoted'")).toBe('"\'quoted\'"');
+      expect(escapeYamlValue('Use when: reviewing')).toBe('"Use when: reviewing"');
+      expect(escapeYamlValue('ends with:')).toBe('"ends with:"');
+      expect(escapeYamlValue('Fast #1 agent')).toBe('"Fast #1 agent"');
+      expect(escapeYamlValue('a:b#c')).toBe('a:b#c');
+    });
+
+    it('should escape quotes, backslashes and control characters', () => {
+      expect(escapeYamlValue('say "hi"')).toBe('"say \\"hi\\""');
+      expect(escapeYamlValue('C:\\temp')).toBe('"C:\\\\temp"');
+      expect(escapeYamlValue('one\ntwo')).toBe('"one\\ntwo"');
+      expect(escapeYamlValue('tab\there')).toBe('"tab\\there"');
+      expect(escapeYamlValue('bell\u0007')).toBe('"bell\\x07"');
+    });
+
+    it('should quote empty and padded values', () => {
+      expect(escapeYamlValue('')).toBe('""');
+      expect(escapeYamlValue(null)).toBe('""');
+      expect(escapeYamlValue(' padded ')).toBe('" padded "');
+    });
+  });
+
+  describe('serializeFrontmatter', () => {
+    it('should write fields in order and skip empty values', () => {
+      const block = serializeFrontmatter({
+        name: 'api-validator',
+        description: 'Validates: requests',
+        tools: ['Read', 'Grep'],
+        model: undefined,
+        color: '',
+        extra: [],
+      });
+
+      expect(block).toBe(
+        '---\nname: api-validator\ndescription: "Validates: requests"\ntools: Read, Grep\n---\n'
+      );
+    });
+  });
+
+  describe('parseFrontmatter', () => {
+    it('should split the attributes from the body', () => {
+      const { attributes, body } = parseFrontmatter(
+        '---\r\nname: api-validator\r\nmodel: sonnet\r\n---\r\n# Agent\r\n'
+      );
+
+      expect(attributes).toEqual({ name: 'api-validator', model: 'sonnet' });
+      expect(body).toBe('# Agent\n');
+    });
+
+    it('should read single-quoted values', () => {
+      expect(parseFrontmatter("---\ndescription: 'it''s: fine'\n---\n").attributes).toEqual({
+        description: "it's: fine",
+      });
+    });
+
+    it('should return text without frontmatter as the body', () => {
+      expect(parseFrontmatter('# Agent\n\nNo header')).toEqual({
+        attributes: {},
+        body: '# Agent\n\nNo header',
+      });
+    });
+  });
+
+  describe('round trip', () => {
+    const values = [
+      'Validates API requests',
+      'say "hi" and \'bye\'',
+      'C:\\temp\\new',
+      'first line\nsecond line\r\nthird\ttabbed',
+      '- starts with a dash',
+      '# looks like a comment',
+      '> folded',
+      '@mention',
+      'Use when: reviewing',
+      'Fast #1 agent',
+      'ends with:',
+      'true',
+      '0x1F',
+      '0o17',
+      '2024-01-01',
+      '1:30',
+      '.nan',
+      ' padded ',
+      'null\u0000byte',
+    ];
+
+    it.each(values)('should read back %j unchanged', (value) => {
+      expect(roundTrip(value)).toBe(value);
+    });
+
+    it('should read back every field of an agent', () => {
+      const fields = {
+        name: 'api-validator',
+        description: 'Checks "payloads": fast #1',
+        tools: 'Read, Grep',
+        model: 'sonnet',
+      };
+
+      expect(parseFrontmatter(`${serializeFrontmatter(fields)}# Agent\n`)).toEqual({
+        attributes: fields,
+        body: '# Agent\n',
+      });
+    });
+  });
+
+  describe('AGENT_NAME_PATTERN', () => {
+    it('should match the pattern the metadata form validates names with', () => {
+      expect(FORM_AGENT_NAME_PATTERN.source).toBe(AGENT_NAME_PATTERN.source);
+      expect(FORM_AGENT_NAME_PATTERN.flags).toBe(AGENT_NAME_PATTERN.flags);
+    });
+
+    it('should accept lowercase names with single hyphens', () => {
+      for (const name of ['api-validator', 'agent2', 'a-b-c']) {
+        expect(AGENT_NAME_PATTERN.test(name)).toBe(true);
+        expect(isValidAgentName(name)).toBe(true);
+      }
+      for (const name of ['API-validator', 'api--validator', '-api', 'api-', 'api validator', '']) {
+        expect(AGENT_NAME_PATTERN.test(name)).toBe(false);
+        expect(isValidAgentName(name)).toBe(false);
+      }
+    });
+  });
+});
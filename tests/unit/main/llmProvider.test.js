@@ -0,0 +1,330 @@
+// @vitest-environment node
+import { describe, it, expect, beforeAll, afterAll, afterEach } from 'vitest';
+import { spawn } from 'child_process';
+import http from 'http';
+import path from 'path';
+import { LlmClient, readSseStream } from '@main/llmProvider';
+
+const mockServerPath = path.resolve(__dirname, '../../../scripts/mock-llm-server.js');
+
+const encoder = new TextEncoder();
+
+/**
+ * Response body that yields the given strings as separate chunks
+ */
+async function* chunked(...parts) {
+  for (const part of parts) {
+    yield encoder.encode(part);
+  }
+}
+
+/**
+ * Collect every event of a stream as [data, eventName] pairs
+ */
+async function collectEvents(body) {
+  const events = [];
+  await readSseStream(body, (data, eventName) => events.push([data, eventName]));
+  return events;
+}
+
+const sse = (data, event) =>
+  `${event ? `event: ${event}\n` : ''}data: ${typeof data === 'string' ? data : JSON.stringify(data)}\n\n`;
+
+const anthropicDelta = (text) =>
+  sse(
+    { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text } },
+    'content_block_delta'
+  );
+
+const openAiDelta = (content) => sse({ choices: [{ index: 0, delta: { content } }] });
+
+/**
+ * Start a local HTTP server running the handler, resolving with its base URL
+ */
+function startServer(handler) {
+  const server = http.createServer(handler);
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({ server, baseUrl: `http://127.0.0.1:${server.address().port}` });
+    });
+  });
+}
+
+/**
+ * Handler that streams the given SSE strings and ends the response,
+ * recording each request when a list is given
+ */
+function streamHandler(parts, requests = []) {
+  return (req, res) => {
+    requests.push(req);
+    res.writeHead(200, { 'content-type': 'text/event-stream' });
+    parts.forEach((part) => res.write(part));
+    res.end();
+  };
+}
+
+/**
+ * Deferred extractToken call, for asserting that it throws
+ */
+function extracting(client, data, eventName) {
+  return () => client.extractToken(data, eventName);
+}
+
+/**
+ * Start scripts/mock-llm-server.js and wait until it listens
+ */
+function startMockLlmServer(port) {
+  const child = spawn(process.execPath, [mockServerPath], {
+    env: { ...process.env, MOCK_LLM_PORT: String(port) },
+    stdio: ['ignore', 'pipe', 'inherit'],
+  });
+
+  return new Promise((resolve, reject) => {
+    child.once('error', reject);
+    child.once('exit', (code) => reject(new Error(`Mock LLM server exited with code ${code}`)));
+    child.stdout.once('data', () => resolve(child));
+  });
+}
+
+describe('llmProvider', () => {
+  describe('readSseStream', () => {
+    it('should pass each data payload with its event name', async () => {
+      const events = await collectEvents(chunked('event: ping\ndata: {"a":1}\n\ndata: second\n\n'));
+
+      expect(events).toEqual([
+        ['{"a":1}', 'ping'],
+        ['second', 'message'],
+      ]);
+    });
+
+    it('should join events split across chunk boundaries', async () => {
+      const events = await collectEvents(
+        chunked(
+          'event: content_block_delta\nda',
+          'ta: {"text":',
+          '"Hel',
+          'lo"}\n',
+          '\ndata: next\n\n'
+        )
+      );
+
+      expect(events).toEqual([
+        ['{"text":"Hello"}', 'content_block_delta'],
+        ['next', 'message'],
+      ]);
+    });
+
+    it('should join a multi-byte character split across chunks', async () => {
+      const bytes = encoder.encode('data: café\n\n');
+      async function* split() {
+        yield bytes.slice(0, 10);
+        yield bytes.slice(10);
+      }
+
+      expect(await collectEvents(split())).toEqual([['café', 'message']]);
+    });
+
+    it('should handle CRLF line endings, multi-line data and comments', async () => {
+      const events = await collectEvents(
+        chunked(': keep-alive\r\n\r\ndata: one\r\ndata: two\r', '\n\r\n')
+      );
+
+      expect(events).toEqual([['one\ntwo', 'message']]);
+    });
+
+    it('should flush a final event without a trailing blank line', async () => {
+      expect(await collectEvents(chunked('data: [DONE]'))).toEqual([['[DONE]', 'message']]);
+    });
+  });
+
+  describe('extractToken', () => {
+    const anthropic = new LlmClient({ provider: 'anthropic', apiKey: 'sk-test' });
+    const openai = new LlmClient({ provider: 'openai' });
+
+    it('should read Anthropic text deltas and ignore other events', () => {
+      const delta = { type: 'content_block_delta', delta: { type: 'text_delta', text: 'Hi' } };
+      const inputJson = { type: 'content_block_delta', delta: { type: 'input_json_delta' } };
+
+      expect(anthropic.extractToken(JSON.stringify(delta), 'content_block_delta')).toBe('Hi');
+      expect(anthropic.extractToken(JSON.stringify(inputJson), 'content_block_delta')).toBe('');
+      expect(anthropic.extractToken('{"type":"message_stop"}', 'message_stop')).toBe('');
+      expect(anthropic.extractToken('{"type":"ping"}', 'ping')).toBe('');
+    });
+
+    it('should read OpenAI choice deltas', () => {
+      expect(openai.extractToken('{"choices":[{"delta":{"content":"Hi"}}]}', 'message')).toBe('Hi');
+      expect(openai.extractToken('{"choices":[{"delta":{"role":"assistant"}}]}', 'message')).toBe(
+        ''
+      );
+      expect(openai.extractToken('{"choices":[]}', 'message')).toBe('');
+    });
+
+    it('should ignore [DONE] and payloads that are not JSON', () => {
+      expect(openai.extractToken('[DONE]', 'message')).toBe('');
+      expect(openai.extractToken('not json', 'message')).toBe('');
+    });
+
+    it('should throw on error events', () => {
+      const overloaded =
+        '{"type":"error","error":{"type":"overloaded_error","message":"Overloaded"}}';
+
+      expect(extracting(anthropic, overloaded, 'error')).toThrow('LLM stream error: Overloaded');
+      expect(extracting(openai, '{"error":{"message":"Bad model"}}', 'message')).toThrow(
+        'LLM stream error: Bad model'
+      );
+      expect(extracting(openai, '{}', 'error')).toThrow('LLM stream error: unknown error');
+    });
+  });
+
+  describe('complete', () => {
+    let server;
+
+    afterEach(() => {
+      server?.closeAllConnections();
+      server?.close();
+      server = null;
+    });
+
+    /**
+     * Client for a local server running the handler
+     */
+    async function clientFor(handler, config = {}) {
+      const started = await startServer(handler);
+      server = started.server;
+      return new LlmClient({ provider: 'openai', baseUrl: started.baseUrl, ...config });
+    }
+
+    it('should stream Anthropic tokens and send the API key headers', async () => {
+      const requests = [];
+      const events = [
+        sse({ type: 'message_start' }, 'message_start'),
+        anthropicDelta('Hello'),
+        anthropicDelta(' world'),
+        sse({ type: 'message_stop' }, 'message_stop'),
+      ];
+      const client = await clientFor(streamHandler(events, requests), {
+        provider: 'anthropic',
+        apiKey: 'sk-test',
+      });
+      const tokens = [];
+
+      const text = await client.complete({
+        system: 'system',
+        prompt: 'prompt',
+        onToken: (token) => tokens.push(token),
+      });
+
+      expect(text).toBe('Hello world');
+      expect(tokens).toEqual(['Hello', ' world']);
+      expect(requests[0].url).toBe('/v1/messages');
+      expect(requests[0].headers).toMatchObject({
+        'x-api-key': 'sk-test',
+        'anthropic-version': '2023-06-01',
+      });
+    });
+
+    it('should stream OpenAI tokens until [DONE]', async () => {
+      const client = await clientFor(
+        streamHandler([openAiDelta('Hel'), openAiDelta('lo'), sse('[DONE]')])
+      );
+
+      await expect(client.complete({ system: 's', prompt: 'p' })).resolves.toBe('Hello');
+    });
+
+    it('should reject on an error event in the stream', async () => {
+      const client = await clientFor(
+        streamHandler([openAiDelta('Partial'), sse({ error: { message: 'Rate limited' } })])
+      );
+
+      await expect(client.complete({ system: 's', prompt: 'p' })).rejects.toThrow(
+        'LLM stream error: Rate limited'
+      );
+    });
+
+    it('should reject a non-200 response without exposing its body', async () => {
+      const client = await clientFor(
+        (req, res) => {
+          res.writeHead(401, { 'content-type': 'application/json' });
+          res.end(JSON.stringify({ error: { message: `bad key ${req.headers.authorization}` } }));
+        },
+        { apiKey: 'sk-secret' }
+      );
+
+      const error = await client.complete({ system: 's', prompt: 'p' }).catch((e) => e);
+
+      expect(error.message).toBe('LLM request failed with status 401');
+      expect(error.message).not.toContain('sk-secret');
+    });
+
+    it('should time out when the server never responds', async () => {
+      const client = await clientFor(() => {}, { timeout: 100 });
+
+      await expect(client.complete({ system: 's', prompt: 'p' })).rejects.toThrow(
+        'LLM request timed out'
+      );
+    });
+
+    it('should abort a stream that stalls and keep the tokens already delivered', async () => {
+      const client = await clientFor(
+        (req, res) => {
+          res.writeHead(200, { 'content-type': 'text/event-stream' });
+          res.write(openAiDelta('Partial'));
+        },
+        { timeout: 200 }
+      );
+      const tokens = [];
+
+      await expect(
+        client.complete({ system: 's', prompt: 'p', onToken: (token) => tokens.push(token) })
+      ).rejects.toThrow('LLM request timed out');
+      expect(tokens).toEqual(['Partial']);
+    });
+
+    it('should reject when the connection drops mid-stream', async () => {
+      const client = await clientFor((req, res) => {
+        res.writeHead(200, { 'content-type': 'text/event-stream' });
+        res.write(openAiDelta('Partial'), () => res.destroy());
+      });
+
+      await expect(client.complete({ system: 's', prompt: 'p' })).rejects.toThrow();
+    });
+  });
+
+  describe('mock LLM server', () => {
+    let child;
+    let baseUrl;
+
+    beforeAll(async () => {
+      const port = 20000 + Math.floor(Math.random() * 20000);
+      child = await startMockLlmServer(port);
+      baseUrl = `http://127.0.0.1:${port}`;
+    });
+
+    afterAll(() => {
+      child?.kill();
+    });
+
+    const prompt = 'Refine this:\n<draft>\n# API Validator\n\nChecks requests.\n</draft>';
+    const expected = '# API Validator\n\nChecks requests.\n\n*Refined by mock LLM server*\n';
+
+    it('should stream a refinement over the Anthropic API', async () => {
+      const client = new LlmClient({ provider: 'anthropic', apiKey: 'sk-test', baseUrl });
+      const tokens = [];
+
+      const text = await client.complete({
+        system: 's',
+        prompt,
+        onToken: (token) => tokens.push(token),
+      });
+
+      expect(text).toBe(expected);
+      expect(tokens.length).toBeGreaterThan(1);
+    });
+
+    it('should stream a refinement over the OpenAI-compatible API', async () => {
+      const client = new LlmClient({ provider: 'openai', baseUrl: `${baseUrl}/v1` });
+
+      await expect(client.complete({ system: 's', prompt })).resolves.toBe(expected);
+    });
+  });
+});
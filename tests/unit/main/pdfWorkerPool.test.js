@@ -0,0 +1,207 @@
+// @vitest-environment node
+import { describe, it, expect, afterEach } from 'vitest';
+import path from 'path';
+import PdfWorkerPool from '@main/pdfWorkerPool';
+
+const fakeWorkerPath = path.resolve(__dirname, '../../fixtures/workers/fakePdfWorker.js');
+const fixtures = path.resolve(__dirname, '../../fixtures/documents');
+const samplePdf = path.join(fixtures, 'sample.pdf');
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Wait until the workers of the given jobs report that they began, failing after a second
+ */
+async function waitForStart(started, jobIds) {
+  for (let elapsed = 0; !jobIds.every((jobId) => started.has(jobId)); elapsed += 10) {
+    if (elapsed > 1000) {
+      throw new Error(`Jobs ${jobIds.join(', ')} did not start`);
+    }
+    await wait(10);
+  }
+}
+
+/**
+ * Start a job and record when the worker reports that it began
+ */
+function startJob(pool, filePath, jobId, started) {
+  const promise = pool.parse(filePath, { jobId, onProgress: () => started.add(jobId) });
+  // Rejections are checked by the tests that expect them
+  promise.catch(() => {});
+  return promise;
+}
+
+function workerExit(worker) {
+  return new Promise((resolve) => worker.once('exit', resolve));
+}
+
+describe('PdfWorkerPool', () => {
+  let pool;
+
+  afterEach(() => {
+    pool.destroy();
+  });
+
+  describe('queue', () => {
+    it('should run at most two jobs at once', async () => {
+      pool = new PdfWorkerPool({ workerPath: fakeWorkerPath });
+      const started = new Set();
+
+      startJob(pool, 'hang', 'a', started);
+      startJob(pool, 'hang', 'b', started);
+      const third = startJob(pool, 'quick.pdf', 'c', started);
+
+      await waitForStart(started, ['a', 'b']);
+      await wait(50);
+      // The two workers may report in either order; the third job must not have started
+      expect([...started].sort()).toEqual(['a', 'b']);
+      expect(pool.workerCount()).toBe(2);
+
+      pool.cancel('a');
+      await expect(third).resolves.toMatchObject({ text: 'quick.pdf' });
+      expect(pool.workerCount()).toBeLessThanOrEqual(2);
+    });
+
+    it('should reuse idle workers for later jobs', async () => {
+      pool = new PdfWorkerPool({ workerPath: fakeWorkerPath });
+
+      await pool.parse('first.pdf');
+      await pool.parse('second.pdf');
+
+      expect(pool.workerCount()).toBe(1);
+    });
+
+    it('should reject a job id that is already in use', async () => {
+      pool = new PdfWorkerPool({ workerPath: fakeWorkerPath });
+      startJob(pool, 'hang', 'a', new Set());
+
+      await expect(pool.parse('other.pdf', { jobId: 'a' })).rejects.toThrow('already processing');
+    });
+  });
+
+  describe('cancel', () => {
+    it('should drop a queued job without starting it', async () => {
+      pool = new PdfWorkerPool({ size: 1, workerPath: fakeWorkerPath });
+      const started = new Set();
+
+      startJob(pool, 'hang', 'running', started);
+      const queued = startJob(pool, 'quick.pdf', 'queued', started);
+
+      expect(pool.cancel('queued')).toBe(true);
+      await expect(queued).rejects.toMatchObject({ code: PdfWorkerPool.PDF_JOB_CANCELED });
+      await waitForStart(started, ['running']);
+      expect(started.has('queued')).toBe(false);
+      expect(pool.queue).toHaveLength(0);
+    });
+
+    it('should terminate the worker of a running job', async () => {
+      pool = new PdfWorkerPool({ workerPath: fakeWorkerPath });
+      const started = new Set();
+
+      const running = startJob(pool, 'hang', 'running', started);
+      await waitForStart(started, ['running']);
+      const [worker] = pool.busy.keys();
+      const exited = workerExit(worker);
+
+      expect(pool.cancel('running')).toBe(true);
+      await expect(running).rejects.toMatchObject({ code: PdfWorkerPool.PDF_JOB_CANCELED });
+      await exited;
+      expect(pool.workerCount()).toBe(0);
+    });
+
+    it('should return false for an unknown job', () => {
+      pool = new PdfWorkerPool({ workerPath: fakeWorkerPath });
+
+      expect(pool.cancel('missing')).toBe(false);
+    });
+  });
+
+  describe('timeout', () => {
+    it('should stop a job that runs too long and replace its worker', async () => {
+      pool = new PdfWorkerPool({ timeout: 200, workerPath: fakeWorkerPath });
+      const started = new Set();
+
+      const slow = startJob(pool, 'hang', 'slow', started);
+      await waitForStart(started, ['slow']);
+      const [worker] = pool.busy.keys();
+      const exited = workerExit(worker);
+
+      await expect(slow).rejects.toMatchObject({
+        code: PdfWorkerPool.PDF_JOB_TIMEOUT,
+        message: expect.stringContaining('timed out'),
+      });
+      await exited;
+
+      await expect(pool.parse('next.pdf')).resolves.toMatchObject({ text: 'next.pdf' });
+      const [replacement] = pool.idle;
+      expect(replacement).not.toBe(worker);
+    });
+  });
+
+  describe('worker errors', () => {
+    it('should reject only the job whose worker crashed', async () => {
+      pool = new PdfWorkerPool({ workerPath: fakeWorkerPath });
+
+      const crashed = pool.parse('crash');
+      const other = pool.parse('slow');
+
+      await expect(crashed).rejects.toThrow('worker crashed');
+      await expect(other).resolves.toMatchObject({ text: 'slow' });
+      await expect(pool.parse('after.pdf')).resolves.toMatchObject({ text: 'after.pdf' });
+    });
+
+    it('should reject with the message of a parse error and keep the worker', async () => {
+      pool = new PdfWorkerPool({ workerPath: fakeWorkerPath });
+
+      await expect(pool.parse('fail')).rejects.toThrow('Invalid PDF structure');
+      expect(pool.idle).toHaveLength(1);
+    });
+  });
+
+  describe('pdf worker', () => {
+    it('should parse a PDF and report every page', async () => {
+      pool = new PdfWorkerPool();
+      const progress = [];
+
+      const document = await pool.parse(samplePdf, {
+        onProgress: (update) => progress.push(update),
+      });
+
+      expect(document.pages).toBe(3);
+      expect(document.text).toContain('Page two lists the requirements');
+      expect(document.info.format).toBe('pdf');
+      expect(progress).toEqual([
+        { page: 1, pages: 3 },
+        { page: 2, pages: 3 },
+        { page: 3, pages: 3 },
+      ]);
+    });
+
+    it('should extract other formats without progress updates', async () => {
+      pool = new PdfWorkerPool();
+      const progress = [];
+
+      const document = await pool.parse(path.join(fixtures, 'spec.docx'), {
+        onProgress: (update) => progress.push(update),
+      });
+
+      expect(document.text).toContain('Validate card numbers & expiry dates');
+      expect(document.info).toEqual({ format: 'docx', Title: 'Payment Spec', Author: 'Dana Lee' });
+      expect(progress).toEqual([]);
+    });
+
+    it('should reject a damaged DOCX with the extractor error', async () => {
+      pool = new PdfWorkerPool();
+
+      await expect(pool.parse(path.join(fixtures, 'truncated-entry.docx'))).rejects.toThrow(
+        'Invalid DOCX file: truncated ZIP entry'
+      );
+    });
+
+    it('should reject when the file cannot be read', async () => {
+      pool = new PdfWorkerPool();
+
+      await expect(pool.parse(path.join(__dirname, 'missing.pdf'))).rejects.toThrow('ENOENT');
+    });
+  });
+});
@@ -0,0 +1,278 @@
+// @vitest-environment node
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { scanProject, parseGitignore, isIgnored } from '@main/projectScanner';
+
+/**
+ * Whether a root .gitignore with the given lines ignores the path
+ */
+function ignoredByRoot(lines, relativePath, isDirectory = false) {
+  return isIgnored(parseGitignore(lines.join('\n'), ''), relativePath, isDirectory);
+}
+
+/**
+ * Create files under the root; contents default to an empty string
+ */
+function writeFiles(root, files) {
+  for (const [name, contents] of Object.entries(files)) {
+    const filePath = path.join(root, name);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, contents);
+  }
+}
+
+/**
+ * readdir that fails with EACCES for one directory, like a folder without read permission
+ */
+function readdirFailingFor(blockedDir, readdir) {
+  return (dir, options) => {
+    if (dir === blockedDir) {
+      const error = new Error(`EACCES: permission denied, scandir '${dir}'`);
+      error.code = 'EACCES';
+      return Promise.reject(error);
+    }
+    return readdir(dir, options);
+  };
+}
+
+/**
+ * readFile that fails with EACCES for one file, like a file without read permission
+ */
+function readFileFailingFor(blockedFile, readFile) {
+  return (filePath, options) => {
+    if (filePath === blockedFile) {
+      const error = new Error(`EACCES: permission denied, open '${filePath}'`);
+      error.code = 'EACCES';
+      return Promise.reject(error);
+    }
+    return readFile(filePath, options);
+  };
+}
+
+describe('projectScanner', () => {
+  describe('gitignore rules', () => {
+    it('should match unanchored patterns at any depth', () => {
+      expect(ignoredByRoot(['*.log'], 'debug.log')).toBe(true);
+      expect(ignoredByRoot(['*.log'], 'server/logs/debug.log')).toBe(true);
+      expect(ignoredByRoot(['*.log'], 'debug.log.txt')).toBe(false);
+    });
+
+    it('should anchor patterns with a leading or inner slash to the .gitignore folder', () => {
+      expect(ignoredByRoot(['/build'], 'build', true)).toBe(true);
+      expect(ignoredByRoot(['/build'], 'src/build', true)).toBe(false);
+      expect(ignoredByRoot(['docs/*.md'], 'docs/guide.md')).toBe(true);
+      expect(ignoredByRoot(['docs/*.md'], 'src/docs/guide.md')).toBe(false);
+      expect(ignoredByRoot(['docs/*.md'], 'docs/api/guide.md')).toBe(false);
+    });
+
+    it('should apply directory-only rules to directories', () => {
+      expect(ignoredByRoot(['out/'], 'out', true)).toBe(true);
+      expect(ignoredByRoot(['out/'], 'packages/app/out', true)).toBe(true);
+      expect(ignoredByRoot(['out/'], 'out', false)).toBe(false);
+    });
+
+    it('should let a later negation re-include a path', () => {
+      const lines = ['*.log', '!keep.log'];
+
+      expect(ignoredByRoot(lines, 'error.log')).toBe(true);
+      expect(ignoredByRoot(lines, 'logs/keep.log')).toBe(false);
+      expect(ignoredByRoot(['!keep.log', '*.log'], 'keep.log')).toBe(true);
+    });
+
+    it('should match ** across folders', () => {
+      expect(ignoredByRoot(['**/temp'], 'temp', true)).toBe(true);
+      expect(ignoredByRoot(['**/temp'], 'a/b/temp', true)).toBe(true);
+      expect(ignoredByRoot(['a/**/b'], 'a/b', true)).toBe(true);
+      expect(ignoredByRoot(['a/**/b'], 'a/x/y/b', true)).toBe(true);
+      expect(ignoredByRoot(['a/**/b'], 'c/a/x/b', true)).toBe(false);
+      expect(ignoredByRoot(['logs/**'], 'logs/2024/app.txt')).toBe(true);
+    });
+
+    it('should keep * and ? within one folder and support character classes', () => {
+      expect(ignoredByRoot(['src/*.js'], 'src/lib/index.js')).toBe(false);
+      expect(ignoredByRoot(['file?.txt'], 'file1.txt')).toBe(true);
+      expect(ignoredByRoot(['file?.txt'], 'file12.txt')).toBe(false);
+      expect(ignoredByRoot(['*.py[co]'], 'cache.pyc')).toBe(true);
+      expect(ignoredByRoot(['*.py[!co]'], 'cache.pyc')).toBe(false);
+    });
+
+    it('should skip comments and blank lines and honor escapes', () => {
+      const lines = ['# build output', '', 'dist   ', '\\#notes.md'];
+
+      expect(parseGitignore(lines.join('\n'), '')).toHaveLength(2);
+      expect(ignoredByRoot(lines, 'dist', true)).toBe(true);
+      expect(ignoredByRoot(lines, '#notes.md')).toBe(true);
+      expect(ignoredByRoot(lines, '# build output')).toBe(false);
+    });
+
+    it('should scope rules of a nested .gitignore to its folder', () => {
+      const rules = [
+        ...parseGitignore('*.tmp', ''),
+        ...parseGitignore('/generated\n!a.tmp', 'src'),
+      ];
+
+      expect(isIgnored(rules, 'src/generated', true)).toBe(true);
+      expect(isIgnored(rules, 'generated', true)).toBe(false);
+      expect(isIgnored(rules, 'src/a.tmp', false)).toBe(false);
+      expect(isIgnored(rules, 'a.tmp', false)).toBe(true);
+    });
+  });
+
+  describe('scanProject', () => {
+    let root;
+
+    beforeEach(() => {
+      root = fs.mkdtempSync(path.join(os.tmpdir(), 'project-'));
+    });
+
+    afterEach(() => {
+      vi.restoreAllMocks();
+      fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    it('should summarize languages, frameworks, tests and CLAUDE.md', async () => {
+      writeFiles(root, {
+        'package.json': JSON.stringify({
+          scripts: { test: 'vitest run' },
+          dependencies: { react: '^18.0.0', express: '^4.0.0' },
+          devDependencies: { vitest: '^1.0.0' },
+        }),
+        'CLAUDE.md': '# Conventions\n\n- Use named exports\n',
+        'src/app.jsx': '',
+        'src/server.js': '',
+        'src/styles.css': '',
+        'tests/app.test.js': '',
+        'config.json': '',
+      });
+
+      const project = await scanProject(root);
+
+      expect(project).toMatchObject({
+        name: path.basename(root),
+        fileCount: 7,
+        truncated: false,
+        skippedDirectories: [],
+        manifests: ['package.json'],
+        claudeMd: { file: 'CLAUDE.md', text: '# Conventions\n\n- Use named exports\n' },
+      });
+      expect(project.languages).toEqual([
+        { language: 'JavaScript', files: 3 },
+        { language: 'CSS', files: 1 },
+      ]);
+      expect(project.frameworks).toEqual([
+        { name: 'React', category: 'frontend', file: 'package.json' },
+        { name: 'Express', category: 'backend', file: 'package.json' },
+      ]);
+      expect(project.testing).toEqual({
+        frameworks: [{ name: 'Vitest', category: 'testing', file: 'package.json' }],
+        command: 'npm test',
+        directories: ['tests'],
+        testFiles: 1,
+      });
+    });
+
+    it('should skip ignored files, .git and node_modules', async () => {
+      writeFiles(root, {
+        '.gitignore': 'dist/\n*.log\n',
+        'index.js': '',
+        'debug.log': '',
+        'dist/bundle.js': '',
+        'node_modules/react/index.js': '',
+        '.git/HEAD': '',
+        'packages/api/.gitignore': '/generated\n',
+        'packages/api/generated/client.ts': '',
+        'packages/api/server.ts': '',
+      });
+
+      const project = await scanProject(root);
+
+      // .gitignore, index.js, packages/api/.gitignore and server.ts
+      expect(project.fileCount).toBe(4);
+      expect(project.languages).toEqual([
+        { language: 'JavaScript', files: 1 },
+        { language: 'TypeScript', files: 1 },
+      ]);
+    });
+
+    it('should skip an unreadable folder and report it', async () => {
+      writeFiles(root, {
+        'src/index.js': '',
+        'private/secrets.js': '',
+        'zeta/last.py': '',
+      });
+      const readdir = fs.promises.readdir;
+      vi.spyOn(fs.promises, 'readdir').mockImplementation(
+        readdirFailingFor(path.join(root, 'private'), readdir)
+      );
+
+      const project = await scanProject(root);
+
+      expect(project.skippedDirectories).toEqual(['private']);
+      expect(project.fileCount).toBe(2);
+      expect(project.languages).toEqual([
+        { language: 'JavaScript', files: 1 },
+        { language: 'Python', files: 1 },
+      ]);
+    });
+
+    it('should treat an unreadable CLAUDE.md or .gitignore like a missing one', async () => {
+      writeFiles(root, {
+        '.gitignore': '*.log\n',
+        'CLAUDE.md': '# Root notes\n',
+        '.claude/CLAUDE.md': '# Claude notes\n',
+        'debug.log': '',
+      });
+      const readFile = fs.promises.readFile;
+      const blocked = [path.join(root, 'CLAUDE.md'), path.join(root, '.gitignore')];
+      vi.spyOn(fs.promises, 'readFile').mockImplementation(
+        readFileFailingFor(blocked[0], readFileFailingFor(blocked[1], readFile))
+      );
+
+      const project = await scanProject(root);
+
+      expect(project.claudeMd).toEqual({ file: '.claude/CLAUDE.md', text: '# Claude notes\n' });
+      // Without its rules debug.log is counted too
+      expect(project.fileCount).toBe(4);
+    });
+
+    it('should not fail when .claude is a file', async () => {
+      writeFiles(root, { '.claude': 'not a folder', 'index.js': '' });
+
+      const project = await scanProject(root);
+
+      expect(project.claudeMd).toBeNull();
+      expect(project.fileCount).toBe(2);
+    });
+
+    it('should fail when the project folder itself cannot be read', async () => {
+      const readdir = fs.promises.readdir;
+      vi.spyOn(fs.promises, 'readdir').mockImplementation(readdirFailingFor(root, readdir));
+
+      await expect(scanProject(root)).rejects.toThrow('EACCES');
+    });
+
+    it('should stop after 20000 files and mark the scan as truncated', async () => {
+      for (let i = 0; i <= 20000; i++) {
+        fs.writeFileSync(path.join(root, `file${i}.js`), '');
+      }
+
+      const project = await scanProject(root);
+
+      expect(project.fileCount).toBe(20000);
+      expect(project.truncated).toBe(true);
+    });
+
+    it('should not mark a scan of exactly 20000 files as truncated', async () => {
+      for (let i = 0; i < 20000; i++) {
+        fs.writeFileSync(path.join(root, `file${i}.js`), '');
+      }
+
+      const project = await scanProject(root);
+
+      expect(project.fileCount).toBe(20000);
+      expect(project.truncated).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,187 @@
+import { describe, it, expect } from 'vitest';
+import {
+  createDocument,
+  createSection,
+  createParagraph,
+  createList,
+  createItem,
+  createMarkdown,
+  toClaudeCodeMarkdown,
+  toPlainMarkdown,
+  toJson,
+  collectSources,
+  parseAgentBody,
+} from '@renderer/services/agentAst';
+
+const formSource = { kind: 'form', category: 'coreFunctions', index: 0 };
+const documentSource = { kind: 'document', documents: ['spec.pdf'] };
+const consultationSource = {
+  kind: 'consultation',
+  agentType: 'code-reviewer',
+  file: '.claude/agents/code-reviewer.md',
+};
+
+function buildAst() {
+  return createDocument(
+    { name: 'api-validator', type: 'validation-specialist', complexity: 'simple', generated: null },
+    [
+      createSection('Overview', 2, [
+        createList([createItem('Validate requests', formSource)], {
+          ordered: true,
+          lead: 'This is a specialized validation-specialist subagent designed for:',
+        }),
+      ]),
+      createSection('Core Specifications', 2),
+      createSection('Key Terms', 3, [
+        createList([createItem('OpenAPI (2 mentions)', documentSource)]),
+        createParagraph('*Source: .claude/agents/code-reviewer.md*', consultationSource),
+      ]),
+      createSection('Example', 3, [createMarkdown('```json\n{}\n```')]),
+    ]
+  );
+}
+
+const headingsOf = (ast) => ast.sections.map((section) => [section.title, section.level]);
+
+const body = [
+  '## Overview',
+  '',
+  'This is a specialized validation-specialist subagent designed for:',
+  '1. Validate requests',
+  '',
+  '## Core Specifications',
+  '',
+  '### Key Terms',
+  '',
+  '- OpenAPI (2 mentions)',
+  '',
+  '*Source: .claude/agents/code-reviewer.md*',
+  '',
+  '### Example',
+  '',
+  '```json',
+  '{}',
+  '```',
+].join('\n');
+
+describe('agentAst', () => {
+  describe('toClaudeCodeMarkdown', () => {
+    it('should separate headings and blocks with blank lines', () => {
+      expect(toClaudeCodeMarkdown(buildAst())).toBe(body);
+    });
+
+    it('should number ordered lists from their start', () => {
+      const ast = createDocument({}, [
+        createSection(null, 0, [
+          createList([createItem('Third'), createItem('Fourth')], { ordered: true, start: 3 }),
+        ]),
+      ]);
+
+      expect(toClaudeCodeMarkdown(ast)).toBe('3. Third\n4. Fourth');
+    });
+  });
+
+  describe('parseAgentBody', () => {
+    it('should read back what toClaudeCodeMarkdown writes', () => {
+      const parsed = parseAgentBody(body);
+
+      expect(toClaudeCodeMarkdown(parsed)).toBe(body);
+      expect(headingsOf(parsed)).toEqual([
+        ['Overview', 2],
+        ['Core Specifications', 2],
+        ['Key Terms', 3],
+        ['Example', 3],
+      ]);
+      expect(parsed.sections[0].blocks[0]).toMatchObject({
+        type: 'list',
+        ordered: true,
+        lead: 'This is a specialized validation-specialist subagent designed for:',
+      });
+      expect(parsed.sections[3].blocks[0].type).toBe('markdown');
+    });
+
+    it('should keep the source of unchanged text and mark the rest as edited', () => {
+      const previous = buildAst();
+      const edited = body.replace(
+        '- OpenAPI (2 mentions)',
+        '- OpenAPI (2 mentions)\n- JSON Schema'
+      );
+
+      const parsed = parseAgentBody(edited, { previous });
+      const items = parsed.sections[2].blocks[0].items;
+
+      expect(items[0].source).toEqual(documentSource);
+      expect(items[1].source).toEqual({ kind: 'edit' });
+      expect(parsed.sections[0].blocks[0].items[0].source).toEqual(formSource);
+      expect(parsed.metadata).toEqual(previous.metadata);
+    });
+
+    it('should keep text before the first heading in an untitled section', () => {
+      const parsed = parseAgentBody('You review code.\n\n## Scope\n- C#');
+
+      expect(parsed.sections[0]).toMatchObject({ title: null, level: 0 });
+      expect(parsed.sections[0].blocks[0]).toMatchObject({
+        type: 'paragraph',
+        text: 'You review code.',
+      });
+      expect(parsed.sections[1].blocks[0].items[0].text).toBe('C#');
+    });
+
+    it('should not split sections at headings inside code fences', () => {
+      const parsed = parseAgentBody('## Example\n\n```md\n# Not a heading\n\nStill code\n```');
+
+      expect(parsed.sections).toHaveLength(1);
+      expect(parsed.sections[0].blocks).toHaveLength(1);
+      expect(parsed.sections[0].blocks[0].text).toBe('```md\n# Not a heading\n\nStill code\n```');
+    });
+
+    it('should keep nested lists as raw Markdown', () => {
+      const parsed = parseAgentBody('- Parent\n  - Child');
+
+      expect(parsed.sections[0].blocks[0]).toMatchObject({
+        type: 'markdown',
+        text: '- Parent\n  - Child',
+      });
+    });
+  });
+
+  describe('collectSources', () => {
+    it('should list documents and consulted agents once', () => {
+      const ast = buildAst();
+      ast.sections[2].blocks[0].items.push(createItem('Schema (1 mention)', documentSource));
+
+      expect(collectSources(ast)).toEqual({
+        documents: ['spec.pdf'],
+        consultations: ['.claude/agents/code-reviewer.md'],
+        templates: [],
+        projectFiles: [],
+      });
+    });
+  });
+
+  describe('toPlainMarkdown', () => {
+    it('should add a title, the metadata and the sources around the body', () => {
+      const markdown = toPlainMarkdown(buildAst(), {
+        description: 'Validates API requests',
+        tools: ['Read', 'Grep'],
+        model: 'sonnet',
+      });
+
+      expect(markdown).toMatch(/^# api-validator\n\nValidates API requests\n\n/);
+      expect(markdown).toContain('- **Type**: validation-specialist\n- **Complexity**: simple');
+      expect(markdown).toContain('- **Tools**: Read, Grep\n- **Model**: sonnet');
+      expect(markdown).toContain(body);
+      expect(markdown).toMatch(
+        /## Sources\n\n- Document: spec\.pdf\n- Consulted agent: \.claude\/agents\/code-reviewer\.md\n$/
+      );
+    });
+  });
+
+  describe('toJson', () => {
+    it('should round-trip the AST', () => {
+      const ast = buildAst();
+
+      expect(JSON.parse(toJson(ast))).toEqual(ast);
+    });
+  });
+});
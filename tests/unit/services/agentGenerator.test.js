@@ -1,5 +1,5 @@
-import { describe, it, expect, beforeEach, vi } from 'vitest';
-import HeadArchitectAgent from '@renderer/services/agentGenerator';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import HeadArchitectAgent, { GENERATION_MODES } from '@renderer/services/agentGenerator';
 
 describe('HeadArchitectAgent', () => {
   let agent;
@@ -233,13 +233,31 @@ describe('HeadArchitectAgent', () => {
       );
 
       // Check for key sections
-      expect(spec).toContain('# Subagent: TestAgent');
       expect(spec).toContain('## Overview');
       expect(spec).toContain('## Core Specifications');
       expect(spec).toContain('## Technical Requirements');
       expect(spec).toContain('## Quality Criteria');
     });
 
+    it('should leave the header and footer to the saved file', () => {
+      const analysis = agent.analyzeInputData(mockTemplateData, mockDocuments);
+
+      const spec = agent.createSpecification(
+        'TestAgent',
+        'backend-developer',
+        mockTemplateData,
+        mockDocuments,
+        analysis,
+        [],
+        ''
+      );
+
+      expect(spec.startsWith('## Overview')).toBe(true);
+      expect(spec).not.toContain('# Subagent:');
+      expect(spec).not.toContain('**Version**');
+      expect(spec).not.toContain('Generated by Claude Subagent Generator');
+    });
+
     it('should include all non-empty template fields', () => {
       const analysis = agent.analyzeInputData(mockTemplateData, mockDocuments);
       const spec = agent.createSpecification(
@@ -298,6 +316,48 @@ describe('HeadArchitectAgent', () => {
     });
   });
 
+  describe('custom categories', () => {
+    it('should add schema categories under Additional Specifications', () => {
+      const custom = new HeadArchitectAgent({
+        categories: [
+          { id: 'coreFunctions', label: 'Core Functions', required: true },
+          { id: 'testCoverage', label: 'Test Coverage', required: false },
+        ],
+      });
+      const templateData = { ...mockTemplateData, testCoverage: ['Cover error paths', ''] };
+      const analysis = custom.analyzeInputData(templateData, []);
+
+      const spec = custom.createSpecification(
+        'TestAgent',
+        'backend-developer',
+        templateData,
+        [],
+        analysis,
+        [],
+        ''
+      );
+
+      expect(spec).toContain(
+        '## Additional Specifications\n\n### Test Coverage\n\n- Cover error paths'
+      );
+    });
+
+    it('should leave the section out when custom categories are empty', () => {
+      const analysis = agent.analyzeInputData(mockTemplateData, []);
+      const spec = agent.createSpecification(
+        'TestAgent',
+        'backend-developer',
+        mockTemplateData,
+        [],
+        analysis,
+        [],
+        ''
+      );
+
+      expect(spec).not.toContain('## Additional Specifications');
+    });
+  });
+
   describe('consultExistingAgents', () => {
     it('should always consult code-reviewer', async () => {
       const analysis = { suggestedConsultants: [] };
@@ -342,4 +402,664 @@ describe('HeadArchitectAgent', () => {
       expect(consultations).toBeInstanceOf(Array);
     });
   });
+
+  describe('template mode', () => {
+    const template = [
+      '# Prompt Template',
+      '## Template',
+      'This subagent will be: **[SUBAGENT_TYPE]**',
+      '**Primary Function**: [CORE_FUNCTION] *(e.g., "validate inputs")*',
+      '---',
+      '## Usage Instructions',
+    ].join('\n');
+
+    beforeEach(() => {
+      agent = new HeadArchitectAgent({ mode: GENERATION_MODES.TEMPLATE });
+    });
+
+    it('should fill the loaded template with form data', () => {
+      const analysis = agent.analyzeInputData(mockTemplateData, mockDocuments);
+
+      const spec = agent.createSpecification(
+        'TestAgent',
+        'backend-developer',
+        mockTemplateData,
+        mockDocuments,
+        analysis,
+        [],
+        template
+      );
+
+      expect(spec).not.toContain('# Subagent:');
+      expect(spec).toContain('This subagent will be: **backend-developer**');
+      expect(spec).toContain('**Primary Function**: Function 1; Function 2');
+      expect(spec).not.toContain('e.g.');
+      expect(spec).not.toContain('## Usage Instructions');
+    });
+
+    it('should merge the architect analysis after the template', () => {
+      const analysis = agent.analyzeInputData(mockTemplateData, mockDocuments);
+      const consultations = [{ agentType: 'code-reviewer', available: true }];
+
+      const spec = agent.createSpecification(
+        'TestAgent',
+        'backend-developer',
+        mockTemplateData,
+        mockDocuments,
+        analysis,
+        consultations,
+        template
+      );
+
+      expect(spec).toContain('## Architect Analysis');
+      expect(spec).toContain(`**Complexity**: ${analysis.complexity}`);
+      expect(spec).toContain('## Contextual Documentation');
+      expect(spec).toContain('## Expert Consultations');
+      expect(spec.indexOf('Primary Function')).toBeLessThan(spec.indexOf('## Architect Analysis'));
+    });
+
+    it('should fall back to the architect layout when the template is empty', () => {
+      const analysis = agent.analyzeInputData(mockTemplateData, mockDocuments);
+
+      const spec = agent.createSpecification(
+        'TestAgent',
+        'backend-developer',
+        mockTemplateData,
+        mockDocuments,
+        analysis,
+        [],
+        ''
+      );
+
+      expect(spec).toContain('## Core Specifications');
+      expect(spec).not.toContain('## Architect Analysis');
+    });
+
+    it('should report the mode used in metadata', async () => {
+      global.window.electronAPI.loadTemplate = vi.fn().mockResolvedValue({
+        success: true,
+        template,
+      });
+
+      const result = await agent.generateSubagent(
+        mockTemplateData,
+        mockDocuments,
+        'TestAgent',
+        'backend-developer'
+      );
+
+      expect(result.metadata.mode).toBe(GENERATION_MODES.TEMPLATE);
+      expect(result.specification).toContain('**Primary Function**: Function 1; Function 2');
+    });
+
+    it('should fail with the position of a template syntax error', async () => {
+      global.window.electronAPI.loadTemplate = vi.fn().mockResolvedValue({
+        success: true,
+        template: 'Intro\n{{#each coreFunctions}}\n- {{this}}\n{{/if}}',
+      });
+
+      const result = await agent.generateSubagent(
+        mockTemplateData,
+        mockDocuments,
+        'TestAgent',
+        'backend-developer'
+      );
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe(
+        'Expected {{/each}} to close {{#each}} from line 2, found {{/if}} at line 4, column 1'
+      );
+    });
+
+    it('should pass documents to the template', () => {
+      const analysis = agent.analyzeInputData(mockTemplateData, mockDocuments);
+
+      const spec = agent.createSpecification(
+        'TestAgent',
+        'backend-developer',
+        mockTemplateData,
+        mockDocuments,
+        analysis,
+        [],
+        '{{#each documents}}Doc: {{name}} ({{pages}} pages){{/each}}'
+      );
+
+      expect(spec).toContain('Doc: test.pdf (5 pages)');
+    });
+
+    it('should load the selected template and report its placeholder warnings', async () => {
+      global.window.electronAPI.loadTemplate = vi.fn().mockResolvedValue({
+        success: true,
+        template: 'Core: [CORE_FUNCTION]\nTests: [TEST_COVERAGE]',
+        info: {
+          id: 'project/reviewer',
+          placeholders: ['[CORE_FUNCTION]', '[TEST_COVERAGE]', '[DOMAIN]'],
+        },
+      });
+      agent = new HeadArchitectAgent({
+        mode: GENERATION_MODES.TEMPLATE,
+        templateId: 'project/reviewer',
+      });
+
+      const result = await agent.generateSubagent(
+        mockTemplateData,
+        mockDocuments,
+        'TestAgent',
+        'backend-developer'
+      );
+
+      expect(global.window.electronAPI.loadTemplate).toHaveBeenCalledWith('project/reviewer');
+      expect(result.metadata.templateId).toBe('project/reviewer');
+      expect(result.metadata.templateWarnings).toEqual([
+        'Placeholder [TEST_COVERAGE] is unfilled and will read "Not specified"',
+        'Placeholder [DOMAIN] is declared but not used in the template',
+      ]);
+    });
+  });
+
+  describe('agent AST', () => {
+    const findItem = (document, text) =>
+      document.sections
+        .flatMap((section) => section.blocks)
+        .flatMap((block) => block.items || [])
+        .find((item) => item.text === text);
+
+    it('should return the document the specification was serialized from', async () => {
+      const result = await agent.generateSubagent(
+        mockTemplateData,
+        mockDocuments,
+        'TestAgent',
+        'backend-developer'
+      );
+
+      expect(result.document.type).toBe('agent');
+      expect(result.document.metadata).toMatchObject({
+        name: 'TestAgent',
+        type: 'backend-developer',
+        complexity: result.metadata.complexity,
+      });
+      expect(result.document.sections.map((section) => section.title)).toContain('Overview');
+    });
+
+    it('should record the form field or document behind each item', async () => {
+      mockTemplateData.validationRules = ['', 'Rule 2'];
+
+      const { document } = await agent.generateSubagent(
+        mockTemplateData,
+        mockDocuments,
+        'TestAgent',
+        'backend-developer'
+      );
+
+      expect(findItem(document, 'Rule 2').source).toEqual({
+        kind: 'form',
+        category: 'validationRules',
+        index: 1,
+      });
+      const summary = `**test.pdf** (5 pages, ${mockDocuments[0].text.length} characters)`;
+      expect(findItem(document, summary).source).toEqual({
+        kind: 'document',
+        documents: ['test.pdf'],
+      });
+    });
+
+    it('should keep the source of items the model left unchanged', async () => {
+      global.window.electronAPI.onLlmToken = vi.fn(() => vi.fn());
+      global.window.electronAPI.llmComplete = vi.fn().mockResolvedValue({
+        success: true,
+        text: '## Functions\n\n- Function 1\n- Handle retries',
+      });
+      agent = new HeadArchitectAgent({ llm: { enabled: true } });
+
+      const { document } = await agent.generateSubagent(
+        mockTemplateData,
+        [],
+        'TestAgent',
+        'backend-developer'
+      );
+
+      expect(findItem(document, 'Function 1').source.kind).toBe('form');
+      expect(findItem(document, 'Handle retries').source).toEqual({ kind: 'model' });
+    });
+  });
+
+  describe('LLM refinement', () => {
+    let tokenListener;
+
+    beforeEach(() => {
+      tokenListener = null;
+      global.window.electronAPI.onLlmToken = vi.fn((callback) => {
+        tokenListener = callback;
+        return vi.fn();
+      });
+    });
+
+    it('should not call the model when disabled', async () => {
+      global.window.electronAPI.llmComplete = vi.fn();
+
+      const result = await agent.generateSubagent(
+        mockTemplateData,
+        mockDocuments,
+        'TestAgent',
+        'backend-developer'
+      );
+
+      expect(global.window.electronAPI.llmComplete).not.toHaveBeenCalled();
+      expect(result.metadata.refinedByLlm).toBe(false);
+    });
+
+    it('should send the draft to the model and use its response', async () => {
+      global.window.electronAPI.llmComplete = vi.fn().mockResolvedValue({
+        success: true,
+        text: 'Refined body\n',
+      });
+      agent = new HeadArchitectAgent({ llm: { enabled: true } });
+
+      const result = await agent.generateSubagent(
+        mockTemplateData,
+        mockDocuments,
+        'TestAgent',
+        'backend-developer'
+      );
+
+      const request = global.window.electronAPI.llmComplete.mock.calls[0][0];
+      expect(request.prompt).toContain('<draft>');
+      expect(request.prompt).toContain('Function 1');
+      expect(request.system).toBeDefined();
+      expect(result.specification).toBe('Refined body');
+      expect(result.metadata.refinedByLlm).toBe(true);
+    });
+
+    it('should forward streamed tokens for its own request only', async () => {
+      const onToken = vi.fn();
+      global.window.electronAPI.llmComplete = vi.fn().mockImplementation(async (request) => {
+        tokenListener({ requestId: request.requestId, token: 'Hello ' });
+        tokenListener({ requestId: 'other-request', token: 'ignored' });
+        tokenListener({ requestId: request.requestId, token: 'world' });
+        return { success: true, text: 'Hello world' };
+      });
+      agent = new HeadArchitectAgent({ llm: { enabled: true, onToken } });
+
+      await agent.refineWithLlm('draft', 'TestAgent', 'backend-developer');
+
+      expect(onToken.mock.calls).toEqual([['Hello '], ['world']]);
+    });
+
+    it('should unsubscribe from tokens when the request finishes', async () => {
+      const unsubscribe = vi.fn();
+      global.window.electronAPI.onLlmToken = vi.fn(() => unsubscribe);
+      global.window.electronAPI.llmComplete = vi.fn().mockResolvedValue({
+        success: false,
+        error: 'LLM request failed with status 401',
+      });
+      agent = new HeadArchitectAgent({ llm: { enabled: true } });
+
+      await expect(agent.refineWithLlm('draft', 'TestAgent', 'backend-developer')).rejects.toThrow(
+        'status 401'
+      );
+      expect(unsubscribe).toHaveBeenCalled();
+    });
+
+    it('should fall back to the architect draft when the model fails', async () => {
+      global.window.electronAPI.llmComplete = vi.fn().mockResolvedValue({
+        success: false,
+        error: 'LLM backend is disabled in settings',
+      });
+      agent = new HeadArchitectAgent({ llm: { enabled: true } });
+
+      const result = await agent.generateSubagent(
+        mockTemplateData,
+        mockDocuments,
+        'TestAgent',
+        'backend-developer'
+      );
+
+      expect(result.success).toBe(true);
+      expect(result.specification).toContain('## Core Specifications');
+      expect(result.metadata.refinedByLlm).toBe(false);
+      expect(result.metadata.llmError).toBe('LLM backend is disabled in settings');
+    });
+  });
+
+  describe('consulted agent guidance', () => {
+    const reviewerContent = [
+      '---',
+      'name: code-reviewer',
+      'description: Reviews code',
+      'tools: Read, Grep, Glob',
+      '---',
+      '# Code Reviewer',
+      '## Overview',
+      '- Not guidance, just an overview item',
+      '## Best Practices',
+      '- **Validate** all API inputs',
+      '- Keep functions small',
+      '## Review Checklist',
+      '- [ ] Tests cover error paths',
+    ].join('\n');
+
+    it('should extract guidance sections and tool restrictions', () => {
+      const guidance = agent.extractGuidance({
+        agentType: 'code-reviewer',
+        available: true,
+        content: reviewerContent,
+      });
+
+      expect(guidance.map((g) => g.title)).toEqual([
+        'Best Practices',
+        'Review Checklist',
+        'Tool Restrictions',
+      ]);
+      expect(guidance[0].items).toEqual(['Validate all API inputs', 'Keep functions small']);
+      expect(guidance[1].items).toEqual(['Tests cover error paths']);
+      expect(guidance[2].items[0]).toContain('Read, Grep, Glob');
+      expect(guidance[0].source).toBe('.claude/agents/code-reviewer.md');
+    });
+
+    it('should return no guidance for unavailable agents', () => {
+      expect(agent.extractGuidance({ agentType: 'x', available: false, content: null })).toEqual(
+        []
+      );
+    });
+
+    it('should prefer sections matching the template keywords', () => {
+      const content = [
+        '## Security Rules',
+        '- Rotate secrets',
+        '## Style Guidelines',
+        '- Use prettier',
+        '## Database Standards',
+        '- Index foreign keys',
+        '## Review Checklist',
+        '- Check database migrations',
+      ].join('\n');
+
+      const guidance = agent.extractGuidance(
+        { agentType: 'backend-developer', available: true, content },
+        ['database']
+      );
+
+      expect(guidance.map((g) => g.title)).toEqual([
+        'Security Rules',
+        'Database Standards',
+        'Review Checklist',
+      ]);
+    });
+
+    it('should merge guidance into the specification with attribution', async () => {
+      global.window.electronAPI.consultAgent = vi.fn().mockImplementation(async (agentType) => ({
+        success: true,
+        response: {
+          agentType,
+          available: agentType === 'code-reviewer',
+          content: agentType === 'code-reviewer' ? reviewerContent : null,
+        },
+      }));
+
+      const result = await agent.generateSubagent(
+        mockTemplateData,
+        mockDocuments,
+        'TestAgent',
+        'backend-developer'
+      );
+
+      expect(result.specification).toContain('## Expert Guidance');
+      expect(result.specification).toContain('### Best Practices (from code-reviewer)');
+      expect(result.specification).toContain('- Validate all API inputs');
+      expect(result.specification).toContain('*Source: .claude/agents/code-reviewer.md*');
+    });
+
+    it('should not repeat identical items from different agents', () => {
+      const analysis = agent.analyzeInputData(mockTemplateData, []);
+      const section = { title: 'Best Practices', items: ['Write tests'], source: 'x' };
+
+      const spec = agent.createSpecification(
+        'TestAgent',
+        'backend-developer',
+        mockTemplateData,
+        [],
+        analysis,
+        [
+          { agentType: 'code-reviewer', available: true, guidanceSections: [section] },
+          { agentType: 'test-automator', available: true, guidanceSections: [section] },
+        ],
+        ''
+      );
+
+      expect(spec.match(/- Write tests/g)).toHaveLength(1);
+      expect(spec).not.toContain('(from test-automator)');
+    });
+  });
+
+  describe('document insights', () => {
+    const documents = [
+      {
+        name: 'spec.pdf',
+        pages: 3,
+        text: 'The API must return JSON responses. Clients should retry failed requests. The database stores sessions.',
+      },
+      {
+        name: 'security.pdf',
+        pages: 2,
+        text: 'Every API call must use token authentication. The API must return JSON responses.',
+      },
+    ];
+
+    it('should analyze documents during input analysis', () => {
+      const analysis = agent.analyzeInputData(mockTemplateData, documents);
+
+      expect(analysis.documentInsights.requirements.map((r) => r.text)).toContain(
+        'The API must return JSON responses.'
+      );
+      expect(analysis.documentInsights.keyTerms.find((t) => t.term === 'API').count).toBe(3);
+      expect(analysis.documentInsights.suggestedAgentTypes).toContain('API Integration Specialist');
+    });
+
+    it('should not analyze when no documents are uploaded', () => {
+      const analysis = agent.analyzeInputData(mockTemplateData, []);
+
+      expect(analysis.documentInsights).toBeNull();
+    });
+
+    it('should render requirements and key terms with source citations', () => {
+      const analysis = agent.analyzeInputData(mockTemplateData, documents);
+      const spec = agent.createSpecification(
+        'TestAgent',
+        'backend-developer',
+        mockTemplateData,
+        documents,
+        analysis,
+        [],
+        ''
+      );
+
+      expect(spec).toContain('### Key Insights from Documents');
+      expect(spec).toContain(
+        '- **[High]** The API must return JSON responses. *(spec.pdf, security.pdf)*'
+      );
+      expect(spec).toContain('- **[Medium]** Clients should retry failed requests. *(spec.pdf)*');
+      expect(spec).toContain('- API (3 mentions) *(spec.pdf, security.pdf)*');
+      expect(spec).toContain('**Suggested Agent Types**:');
+      expect(spec).not.toContain('provide additional context and requirements');
+    });
+
+    it('should say so when documents contain no insights', () => {
+      const plain = [{ name: 'notes.pdf', pages: 1, text: 'Meeting notes from Tuesday.' }];
+      const analysis = agent.analyzeInputData(mockTemplateData, plain);
+      const spec = agent.createSpecification(
+        'TestAgent',
+        'backend-developer',
+        mockTemplateData,
+        plain,
+        analysis,
+        [],
+        ''
+      );
+
+      expect(spec).toContain('No explicit requirements or technical terms were found');
+    });
+  });
+
+  describe('project context', () => {
+    const project = {
+      name: 'shop-api',
+      root: '/work/shop-api',
+      fileCount: 120,
+      truncated: false,
+      languages: [
+        { language: 'TypeScript', files: 80 },
+        { language: 'SQL', files: 1 },
+      ],
+      frameworks: [
+        { name: 'Express', category: 'backend', file: 'package.json' },
+        { name: 'Prisma', category: 'database', file: 'package.json' },
+      ],
+      manifests: ['package.json'],
+      testing: {
+        frameworks: [{ name: 'Vitest', category: 'testing', file: 'package.json' }],
+        command: 'npm test',
+        directories: ['tests'],
+        testFiles: 14,
+      },
+      claudeMd: {
+        file: 'CLAUDE.md',
+        text: '# Shop API\n\n## Conventions\n\n- Use async/await\n- Validate input with zod\n',
+      },
+    };
+
+    it('should suggest consultants for the project frameworks', () => {
+      const analysis = agent.analyzeInputData(mockTemplateData, [], project);
+
+      expect(analysis.project).toBe(project);
+      expect(analysis.suggestedConsultants).toEqual([
+        'backend-developer',
+        'database-optimizer',
+        'test-automator',
+      ]);
+      expect(analysis.keywords).toEqual(expect.arrayContaining(['typescript', 'express']));
+    });
+
+    it('should not repeat consultants already suggested by the template data', () => {
+      const consultants = agent.suggestConsultants({ coreFunctions: ['Serve REST endpoints'] }, project);
+
+      expect(consultants).toEqual(['backend-developer', 'database-optimizer', 'test-automator']);
+    });
+
+    it('should render the project summary and CLAUDE.md lists', () => {
+      const analysis = agent.analyzeInputData(mockTemplateData, [], project);
+      const spec = agent.createSpecification(
+        'TestAgent',
+        'backend-developer',
+        mockTemplateData,
+        [],
+        analysis,
+        [],
+        ''
+      );
+
+      expect(spec).toContain('## Project Context');
+      expect(spec).toContain('- **Languages**: TypeScript (80 files), SQL (1 file)');
+      expect(spec).toContain('- **Frameworks** (package.json): Express, Prisma');
+      expect(spec).toContain('- **Tests**: Vitest; run with `npm test`; in tests; 14 test file(s)');
+      expect(spec).toContain('### Conventions (from CLAUDE.md)\n\n- Use async/await');
+    });
+
+    it('should record project files as sources in the agent AST', async () => {
+      agent = new HeadArchitectAgent({ projectContext: project });
+
+      const result = await agent.generateSubagent(
+        mockTemplateData,
+        [],
+        'TestAgent',
+        'backend-developer'
+      );
+      const items = result.document.sections
+        .filter((section) => section.title.endsWith('(from CLAUDE.md)'))
+        .flatMap((section) => section.blocks[0].items);
+
+      expect(items.map((item) => item.source)).toEqual([
+        { kind: 'project', file: 'CLAUDE.md' },
+        { kind: 'project', file: 'CLAUDE.md' },
+      ]);
+    });
+
+    it('should leave the project out when none was added', () => {
+      const analysis = agent.analyzeInputData(mockTemplateData, []);
+
+      expect(analysis.project).toBeNull();
+      expect(
+        agent.createSpecification('TestAgent', 'x', mockTemplateData, [], analysis, [], '')
+      ).not.toContain('Project Context');
+    });
+  });
+
+  describe('reproducible output', () => {
+    const documents = [
+      { name: 'spec.pdf', pages: 3, text: 'The API must return JSON responses.' },
+      { name: 'security.pdf', pages: 2, text: 'Every API call must use token authentication.' },
+    ];
+
+    const generateAt = (architect, isoTime, docs = documents) => {
+      vi.setSystemTime(new Date(isoTime));
+      return architect.generateSubagent(mockTemplateData, docs, 'TestAgent', 'backend-developer');
+    };
+
+    beforeEach(() => {
+      vi.useFakeTimers({ toFake: ['Date'] });
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    it('should produce identical output and hash for identical inputs', async () => {
+      agent = new HeadArchitectAgent({ reproducible: { enabled: true } });
+
+      const first = await generateAt(agent, '2026-01-01T00:00:00Z');
+      const second = await generateAt(agent, '2026-06-01T12:00:00Z');
+
+      expect(second.specification).toBe(first.specification);
+      expect(first.metadata.timestamp).toBeNull();
+      expect(first.metadata.reproducible).toBe(true);
+      expect(first.metadata.contentHash).toMatch(/^[0-9a-f]{64}$/);
+      expect(second.metadata.contentHash).toBe(first.metadata.contentHash);
+    });
+
+    it('should use the source date instead of the current time', async () => {
+      agent = new HeadArchitectAgent({
+        reproducible: { enabled: true, sourceDate: '2025-03-01' },
+      });
+
+      const result = await generateAt(agent, '2026-01-01T00:00:00Z');
+
+      expect(result.metadata.timestamp).toBe('2025-03-01T00:00:00.000Z');
+    });
+
+    it('should not depend on the order documents were uploaded in', async () => {
+      agent = new HeadArchitectAgent({ reproducible: { enabled: true } });
+
+      const first = await generateAt(agent, '2026-01-01T00:00:00Z');
+      const second = await generateAt(agent, '2026-01-01T00:00:00Z', [...documents].reverse());
+
+      expect(second.specification).toBe(first.specification);
+    });
+
+    it('should keep the architect draft instead of asking the model', async () => {
+      global.window.electronAPI.llmComplete = vi.fn();
+      agent = new HeadArchitectAgent({ llm: { enabled: true }, reproducible: { enabled: true } });
+
+      const result = await generateAt(agent, '2026-01-01T00:00:00Z');
+
+      expect(global.window.electronAPI.llmComplete).not.toHaveBeenCalled();
+      expect(result.metadata.refinedByLlm).toBe(false);
+    });
+
+    it('should keep the current time and record the hash by default', async () => {
+      const result = await generateAt(agent, '2026-01-01T00:00:00Z');
+
+      expect(result.metadata.timestamp).toBe('2026-01-01T00:00:00.000Z');
+      expect(result.metadata.reproducible).toBe(false);
+      expect(result.metadata.contentHash).toMatch(/^[0-9a-f]{64}$/);
+    });
+  });
 });
@@ -0,0 +1,151 @@
+import { describe, it, expect } from 'vitest';
+import {
+  parseSavedAgent,
+  filterAgents,
+  sortAgents,
+  SORT_OPTIONS,
+} from '@renderer/services/agentHistory';
+import { splitAgentFile } from '@main/agentDocument';
+
+const savedFile = `---
+name: api-validator
+description: "Validates API responses: schemas and status codes"
+tools: Read, Grep, Glob
+model: sonnet
+---
+# Subagent: api-validator
+
+**Generated**: 2026-01-02T03:04:05.000Z
+**Version**: 1.0.0
+**Type**: validation-specialist
+
+---
+
+# Subagent: api-validator
+
+## Overview
+Checks responses.
+
+---
+
+*Generated by Claude Subagent Generator v1.0.0*
+`;
+
+/**
+ * Entry as returned by loadAgents, with the document split by the main process
+ */
+function makeAgent(overrides = {}) {
+  const agent = {
+    name: 'api-validator',
+    fileName: 'api-validator.md',
+    content: savedFile,
+    created: new Date('2026-01-01T00:00:00Z'),
+    modified: new Date('2026-01-05T00:00:00Z'),
+    ...overrides,
+  };
+  return { ...agent, document: splitAgentFile(agent.content) };
+}
+
+describe('agentHistory', () => {
+  describe('parseSavedAgent', () => {
+    it('should read metadata from frontmatter and the file header', () => {
+      const agent = parseSavedAgent(makeAgent());
+
+      expect(agent.metadata).toEqual({
+        name: 'api-validator',
+        type: 'validation-specialist',
+        description: 'Validates API responses: schemas and status codes',
+        tools: ['Read', 'Grep', 'Glob'],
+        model: 'sonnet',
+      });
+      expect(agent.version).toBe('1.0.0');
+      expect(agent.generatedAt).toBe('2026-01-02T03:04:05.000Z');
+    });
+
+    it('should strip the file envelope from the body', () => {
+      const agent = parseSavedAgent(makeAgent());
+
+      expect(agent.body).toBe('# Subagent: api-validator\n\n## Overview\nChecks responses.');
+    });
+
+    it('should parse files saved without a Generated line', () => {
+      const agent = parseSavedAgent(
+        makeAgent({ content: savedFile.replace('**Generated**: 2026-01-02T03:04:05.000Z\n', '') })
+      );
+
+      expect(agent.version).toBe('1.0.0');
+      expect(agent.generatedAt).toBeNull();
+      expect(agent.metadata.type).toBe('validation-specialist');
+      expect(agent.body).toBe('# Subagent: api-validator\n\n## Overview\nChecks responses.');
+    });
+
+    it('should strip the second header of files saved by earlier versions', () => {
+      const doubleWrapped = savedFile.replace(
+        '# Subagent: api-validator\n\n## Overview',
+        '# Subagent: api-validator\n\n**Version**: 1.0.0\n**Type**: validation-specialist\n**Complexity**: simple\n\n---\n\n## Overview'
+      );
+
+      const agent = parseSavedAgent(makeAgent({ content: doubleWrapped }));
+
+      expect(agent.body).toBe('## Overview\nChecks responses.');
+    });
+
+    it('should keep the whole body of hand-written files', () => {
+      const agent = parseSavedAgent(
+        makeAgent({ name: 'notes', content: '---\nname: notes\n---\nJust some notes.\n' })
+      );
+
+      expect(agent.metadata.name).toBe('notes');
+      expect(agent.metadata.type).toBe('');
+      expect(agent.metadata.tools).toEqual([]);
+      expect(agent.version).toBeNull();
+      expect(agent.body).toBe('Just some notes.');
+    });
+  });
+
+  describe('filterAgents', () => {
+    const agents = [
+      parseSavedAgent(makeAgent()),
+      parseSavedAgent(makeAgent({ name: 'notes', fileName: 'notes.md', content: 'Docs writer' })),
+    ];
+
+    it('should match name, type, description and content case-insensitively', () => {
+      expect(filterAgents(agents, 'VALIDATION')).toHaveLength(1);
+      expect(filterAgents(agents, 'status codes')).toHaveLength(1);
+      expect(filterAgents(agents, 'docs')[0].fileName).toBe('notes.md');
+    });
+
+    it('should return all agents for an empty query', () => {
+      expect(filterAgents(agents, '  ')).toBe(agents);
+    });
+  });
+
+  describe('sortAgents', () => {
+    const older = parseSavedAgent(
+      makeAgent({
+        name: 'zeta',
+        fileName: 'zeta.md',
+        content: '---\nname: zeta\n---\n',
+        created: new Date('2026-02-01T00:00:00Z'),
+        modified: new Date('2026-01-01T00:00:00Z'),
+      })
+    );
+    const newer = parseSavedAgent(makeAgent());
+
+    it('should sort by modification date, newest first', () => {
+      expect(sortAgents([older, newer], SORT_OPTIONS.MODIFIED)[0]).toBe(newer);
+    });
+
+    it('should sort by creation date, newest first', () => {
+      expect(sortAgents([newer, older], SORT_OPTIONS.CREATED)[0]).toBe(older);
+    });
+
+    it('should sort by name without mutating the input', () => {
+      const input = [older, newer];
+      const sorted = sortAgents(input, SORT_OPTIONS.NAME);
+
+      expect(sorted.map((a) => a.metadata.name)).toEqual(['api-validator', 'zeta']);
+      expect(input[0]).toBe(older);
+    });
+  });
+});
@@ -0,0 +1,140 @@
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_CATEGORIES,
+  parseCategorySchema,
+  parseSchemaYaml,
+  describeCategoryItem,
+} from '@renderer/services/categorySchema';
+
+describe('categorySchema', () => {
+  const testCoverage = {
+    id: 'testCoverage',
+    label: 'Test Coverage',
+    description: 'Tests the subagent must write',
+    color: '#00796b',
+    placeholder: '[TEST_COVERAGE]',
+    required: true,
+  };
+
+  describe('DEFAULT_CATEGORIES', () => {
+    it('should define the eight built-in categories with core functions required', () => {
+      expect(DEFAULT_CATEGORIES).toHaveLength(8);
+      expect(DEFAULT_CATEGORIES.filter((c) => c.required).map((c) => c.id)).toEqual([
+        'coreFunctions',
+      ]);
+    });
+  });
+
+  describe('parseCategorySchema', () => {
+    it('should replace the defaults with the listed categories', () => {
+      const { categories, errors } = parseCategorySchema(
+        JSON.stringify({ categories: [testCoverage] }),
+        'template-categories.json'
+      );
+
+      expect(errors).toEqual([]);
+      expect(categories).toEqual([testCoverage]);
+    });
+
+    it('should accept a bare list of categories', () => {
+      const { categories } = parseCategorySchema(JSON.stringify([testCoverage]), 'a.json');
+
+      expect(categories.map((c) => c.id)).toEqual(['testCoverage']);
+    });
+
+    it('should append new categories and override built-in ones with extendDefaults', () => {
+      const schema = {
+        extendDefaults: true,
+        categories: [testCoverage, { id: 'styleGuide', label: 'Conventions' }],
+      };
+      const { categories } = parseCategorySchema(JSON.stringify(schema), 'a.json');
+
+      expect(categories).toHaveLength(9);
+      expect(categories.at(-1).id).toBe('testCoverage');
+      expect(categories.find((c) => c.id === 'styleGuide').label).toBe('Conventions');
+    });
+
+    it('should fill in optional fields', () => {
+      const { categories } = parseCategorySchema(
+        JSON.stringify([{ id: 'toolPermissions', label: 'Tool Permissions' }]),
+        'a.json'
+      );
+
+      expect(categories[0]).toEqual({
+        id: 'toolPermissions',
+        label: 'Tool Permissions',
+        description: '',
+        color: expect.stringMatching(/^#/),
+        placeholder: null,
+        required: false,
+      });
+    });
+
+    it('should skip invalid and duplicate categories and report them', () => {
+      const { categories, errors } = parseCategorySchema(
+        JSON.stringify([
+          testCoverage,
+          { id: 'has spaces', label: 'Bad' },
+          { id: 'noLabel' },
+          { id: 'badToken', label: 'Bad token', placeholder: 'TOKEN' },
+          testCoverage,
+        ]),
+        'a.json'
+      );
+
+      expect(categories.map((c) => c.id)).toEqual(['testCoverage']);
+      expect(errors).toHaveLength(4);
+      expect(errors[3]).toContain('duplicate id');
+    });
+
+    it('should fall back to the defaults when the file cannot be parsed', () => {
+      const { categories, errors } = parseCategorySchema('{ not json', 'template-categories.json');
+
+      expect(categories).toBe(DEFAULT_CATEGORIES);
+      expect(errors[0]).toMatch(/^template-categories\.json: /);
+    });
+
+    it('should fall back to the defaults without a categories list', () => {
+      const { categories, errors } = parseCategorySchema('{"extendDefaults": true}', 'a.json');
+
+      expect(categories).toBe(DEFAULT_CATEGORIES);
+      expect(errors).toEqual(['a.json: expected a categories list']);
+    });
+
+    it('should read YAML files', () => {
+      const yaml = [
+        '# Team categories',
+        'extendDefaults: true',
+        'categories:',
+        '  - id: testCoverage',
+        '    label: "Test Coverage"',
+        "    description: 'Tests the subagent must write'",
+        '    placeholder: "[TEST_COVERAGE]"',
+        '    required: true',
+        '  - id: toolPermissions',
+        '    label: Tool Permissions # shown in the form',
+      ].join('\n');
+
+      const { categories, errors } = parseCategorySchema(yaml, 'template-categories.yaml');
+
+      expect(errors).toEqual([]);
+      expect(categories).toHaveLength(10);
+      expect(categories[8]).toMatchObject({ id: 'testCoverage', required: true });
+      expect(categories[9]).toMatchObject({ id: 'toolPermissions', label: 'Tool Permissions' });
+    });
+  });
+
+  describe('parseSchemaYaml', () => {
+    it('should reject YAML outside the supported layout', () => {
+      expect(() => parseSchemaYaml('categories:\n  - [a, b]')).toThrow(/line 2/);
+    });
+  });
+
+  describe('describeCategoryItem', () => {
+    it('should give a singular lower-case label', () => {
+      expect(describeCategoryItem({ label: 'Core Functions' })).toBe('core function');
+      expect(describeCategoryItem({ label: 'Test Coverage' })).toBe('test coverage');
+      expect(describeCategoryItem({ label: 'Access' })).toBe('access');
+    });
+  });
+});
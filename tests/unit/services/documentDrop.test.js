@@ -0,0 +1,72 @@
+import { describe, it, expect } from 'vitest';
+import { classifyDrag, describeSkippedDrop, isDocumentFile } from '@renderer/services/documentDrop';
+
+const file = (type) => ({ kind: 'file', type });
+
+describe('documentDrop', () => {
+  describe('classifyDrag', () => {
+    it('should accept PDFs', () => {
+      expect(classifyDrag([file('application/pdf')])).toBe('valid');
+    });
+
+    it('should accept folders and files of unknown type', () => {
+      expect(classifyDrag([file('')])).toBe('valid');
+    });
+
+    it('should accept a mix as long as one item may be a document', () => {
+      expect(classifyDrag([file('image/png'), file('application/pdf')])).toBe('valid');
+    });
+
+    it('should accept text formats and Word documents', () => {
+      expect(classifyDrag([file('text/markdown')])).toBe('valid');
+      expect(classifyDrag([file('text/html')])).toBe('valid');
+      expect(
+        classifyDrag([
+          file('application/vnd.openxmlformats-officedocument.wordprocessingml.document'),
+        ])
+      ).toBe('valid');
+    });
+
+    it('should reject drags with only other file types', () => {
+      expect(classifyDrag([file('image/png'), file('application/zip')])).toBe('invalid');
+    });
+
+    it('should ignore drags without files', () => {
+      expect(classifyDrag([{ kind: 'string', type: 'text/plain' }])).toBeNull();
+      expect(classifyDrag(null)).toBeNull();
+    });
+  });
+
+  describe('isDocumentFile', () => {
+    it('should accept supported extensions in any case', () => {
+      expect(isDocumentFile('spec.PDF')).toBe(true);
+      expect(isDocumentFile('design.docx')).toBe(true);
+      expect(isDocumentFile('export.html')).toBe(true);
+      expect(isDocumentFile('server.go')).toBe(true);
+    });
+
+    it('should reject other files and names without an extension', () => {
+      expect(isDocumentFile('photo.png')).toBe(false);
+      expect(isDocumentFile('Makefile')).toBe(false);
+      expect(isDocumentFile('.md')).toBe(false);
+    });
+  });
+
+  describe('describeSkippedDrop', () => {
+    it('should return null when every file was added', () => {
+      expect(describeSkippedDrop([], 0, 12)).toBeNull();
+    });
+
+    it('should name the first skipped files', () => {
+      expect(describeSkippedDrop(['a.png', 'b.exe', 'c.doc', 'd.xls', 'e.zip'], 0, 12)).toBe(
+        'Unsupported file type; skipped a.png, b.exe, c.doc and 2 more.'
+      );
+    });
+
+    it('should report documents over the limit', () => {
+      expect(describeSkippedDrop(['a.png'], 1, 12)).toBe(
+        'Unsupported file type; skipped a.png. Maximum 12 documents allowed; 1 document was not added.'
+      );
+    });
+  });
+});
@@ -0,0 +1,86 @@
+import { describe, it, expect } from 'vitest';
+import {
+  UPLOAD_STATUS,
+  createUpload,
+  updateUpload,
+  resultChanges,
+  uploadedDocuments,
+  isPending,
+} from '@renderer/services/documentUploads';
+
+const file = { name: 'spec.pdf', path: '/docs/spec.pdf' };
+
+describe('documentUploads', () => {
+  describe('createUpload', () => {
+    it('should queue the file with a unique id', () => {
+      const first = createUpload(file);
+      const second = createUpload(file);
+
+      expect(first).toMatchObject({ name: 'spec.pdf', status: UPLOAD_STATUS.QUEUED, error: null });
+      expect(first.id).not.toBe(second.id);
+    });
+  });
+
+  describe('updateUpload', () => {
+    it('should change only the matching upload', () => {
+      const uploads = [createUpload(file), createUpload(file)];
+      const updated = updateUpload(uploads, uploads[1].id, { status: UPLOAD_STATUS.PARSING });
+
+      expect(updated[0]).toBe(uploads[0]);
+      expect(updated[1].status).toBe(UPLOAD_STATUS.PARSING);
+    });
+
+    it('should return the same list for a removed upload', () => {
+      const uploads = [createUpload(file)];
+
+      expect(updateUpload(uploads, 'removed', { status: UPLOAD_STATUS.DONE })).toBe(uploads);
+    });
+  });
+
+  describe('resultChanges', () => {
+    it('should attach the document of a successful result', () => {
+      const changes = resultChanges(createUpload(file), {
+        success: true,
+        text: 'Text',
+        pages: 3,
+        info: { format: 'pdf' },
+      });
+
+      expect(changes).toEqual({
+        status: UPLOAD_STATUS.DONE,
+        error: null,
+        document: {
+          name: 'spec.pdf',
+          path: '/docs/spec.pdf',
+          text: 'Text',
+          pages: 3,
+          format: 'pdf',
+        },
+      });
+    });
+
+    it('should record the reason of a failure', () => {
+      expect(
+        resultChanges(createUpload(file), { success: false, error: 'File too large' })
+      ).toEqual({ status: UPLOAD_STATUS.FAILED, error: 'File too large' });
+    });
+
+    it('should ignore canceled results', () => {
+      expect(resultChanges(createUpload(file), { success: false, canceled: true })).toBeNull();
+    });
+  });
+
+  describe('uploadedDocuments', () => {
+    it('should list the documents of finished uploads in order', () => {
+      const done = (name) => ({
+        ...createUpload({ name, path: `/docs/${name}` }),
+        status: UPLOAD_STATUS.DONE,
+        document: { name },
+      });
+      const uploads = [done('a.md'), createUpload(file), done('b.md')];
+
+      expect(uploadedDocuments(uploads)).toEqual([{ name: 'a.md' }, { name: 'b.md' }]);
+      expect(uploads.map(isPending)).toEqual([false, true, false]);
+    });
+  });
+});
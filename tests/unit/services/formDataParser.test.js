@@ -0,0 +1,250 @@
+import { describe, it, expect } from 'vitest';
+import {
+  createEmptyTemplateData,
+  normalizeTemplateData,
+  parseTemplateData,
+  reconstructFormData,
+  importAgentFile,
+  matchCategory,
+  TEMPLATE_CATEGORIES,
+  DEFAULT_FIELD_COUNT,
+} from '@renderer/services/formDataParser';
+import HeadArchitectAgent from '@renderer/services/agentGenerator';
+
+describe('formDataParser', () => {
+  describe('createEmptyTemplateData', () => {
+    it('should create every category with empty fields', () => {
+      const templateData = createEmptyTemplateData();
+
+      expect(Object.keys(templateData)).toEqual(TEMPLATE_CATEGORIES);
+      expect(templateData.coreFunctions).toEqual(Array(DEFAULT_FIELD_COUNT).fill(''));
+    });
+  });
+
+  describe('normalizeTemplateData', () => {
+    it('should add schema categories and keep values of other categories', () => {
+      const normalized = normalizeTemplateData({ legacy: ['Kept'] }, [
+        { id: 'testCoverage', label: 'Test Coverage' },
+      ]);
+
+      expect(Object.keys(normalized)).toEqual(['testCoverage', 'legacy']);
+      expect(normalized.testCoverage).toEqual(Array(DEFAULT_FIELD_COUNT).fill(''));
+    });
+
+    it('should pad short categories and add missing ones', () => {
+      const templateData = normalizeTemplateData({ coreFunctions: ['Parse input'] });
+
+      expect(templateData.coreFunctions[0]).toBe('Parse input');
+      expect(templateData.coreFunctions).toHaveLength(DEFAULT_FIELD_COUNT);
+      expect(templateData.styleGuide).toHaveLength(DEFAULT_FIELD_COUNT);
+    });
+
+    it('should keep categories with more fields than the default', () => {
+      const fields = Array(15).fill('x');
+
+      expect(normalizeTemplateData({ inputTypes: fields }).inputTypes).toHaveLength(15);
+    });
+  });
+
+  describe('parseTemplateData', () => {
+    it('should recover every category from a Head Architect specification', () => {
+      const templateData = normalizeTemplateData({
+        coreFunctions: ['Validate API responses', 'Report schema drift'],
+        domainExpertise: ['OpenAPI 3.1'],
+        inputTypes: ['HTTP response bodies'],
+        validationRules: ['Status codes must be documented'],
+        outputFormat: ['JSON report'],
+        performanceConstraints: ['Under 100ms per response'],
+        styleGuide: ['Prefer pure functions'],
+        integrationTargets: ['CI pipeline'],
+      });
+      const agent = new HeadArchitectAgent();
+      const analysis = agent.analyzeInputData(templateData, []);
+      const specification = agent.createSpecification(
+        'api-validator',
+        'validation-specialist',
+        templateData,
+        [],
+        analysis,
+        [],
+        ''
+      );
+
+      expect(parseTemplateData(specification)).toEqual(templateData);
+    });
+
+    it('should recover custom categories by their label', () => {
+      const categories = [
+        { id: 'coreFunctions', label: 'Core Functions' },
+        { id: 'testCoverage', label: 'Test Coverage' },
+      ];
+      const templateData = normalizeTemplateData(
+        { coreFunctions: ['Review code'], testCoverage: ['Cover error paths'] },
+        categories
+      );
+      const agent = new HeadArchitectAgent({ categories });
+      const specification = agent.createSpecification(
+        'reviewer',
+        'code-reviewer',
+        templateData,
+        [],
+        agent.analyzeInputData(templateData, []),
+        [],
+        ''
+      );
+
+      expect(parseTemplateData(specification, categories)).toEqual(templateData);
+    });
+
+    it('should ignore sections that do not map to a category', () => {
+      const templateData = parseTemplateData('## Quality Criteria\n- Production-ready code\n');
+
+      expect(templateData).toEqual(createEmptyTemplateData());
+    });
+  });
+
+  describe('reconstructFormData', () => {
+    const savedAgent = {
+      metadata: {
+        name: 'api-validator',
+        type: '',
+        description: 'Validates responses',
+        tools: ['Read'],
+        model: '',
+      },
+      body: '### Primary Functions\n- From markdown\n',
+      formData: null,
+    };
+
+    it('should prefer the saved form data', () => {
+      const result = reconstructFormData({
+        ...savedAgent,
+        formData: {
+          formatVersion: 1,
+          name: 'api-validator',
+          type: 'validation-specialist',
+          templateData: { coreFunctions: ['From sidecar'] },
+        },
+      });
+
+      expect(result.source).toBe('sidecar');
+      expect(result.metadata.type).toBe('validation-specialist');
+      expect(result.metadata.description).toBe('Validates responses');
+      expect(result.templateData.coreFunctions[0]).toBe('From sidecar');
+    });
+
+    it('should parse the Markdown when no form data was saved', () => {
+      const result = reconstructFormData(savedAgent);
+
+      expect(result.source).toBe('markdown');
+      expect(result.metadata).toEqual(savedAgent.metadata);
+      expect(result.templateData.coreFunctions[0]).toBe('From markdown');
+    });
+  });
+
+  describe('matchCategory', () => {
+    it.each([
+      ['Primary Functions', 'coreFunctions'],
+      ['Core Responsibilities', 'coreFunctions'],
+      ['Focus Areas', 'domainExpertise'],
+      ['Validation Rules', 'validationRules'],
+      ['1. Output Format', 'outputFormat'],
+      ['Performance Guidelines', 'performanceConstraints'],
+      ['Integration Guidelines', 'integrationTargets'],
+      ['**Best Practices**', 'styleGuide'],
+      ['Expected Inputs', 'inputTypes'],
+    ])('should map "%s" to %s', (heading, category) => {
+      expect(matchCategory(heading)).toBe(category);
+    });
+
+    it('should return null for unrelated headings', () => {
+      expect(matchCategory('Example Session')).toBeNull();
+    });
+  });
+
+  describe('importAgentFile', () => {
+    const agentFile = `---
+name: backend-developer
+description: Senior backend engineer for APIs
+tools: Read, Write, Bash
+model: sonnet
+---
+
+You are a senior backend developer.
+
+- Intro bullet that belongs to no section
+
+## Core Responsibilities
+- Design **RESTful** APIs
+- Implement [services](https://example.com)
+
+### Database Work
+- Write migrations
+
+## Validation Rules
+1. Reject unauthenticated requests
+2. Validate request bodies
+
+## Example Session
+- User asks for an endpoint
+`;
+
+    it('should read metadata from the frontmatter', () => {
+      const { metadata } = importAgentFile(agentFile);
+
+      expect(metadata).toEqual({
+        name: 'backend-developer',
+        type: 'backend-developer',
+        description: 'Senior backend engineer for APIs',
+        tools: ['Read', 'Write', 'Bash'],
+        model: 'sonnet',
+      });
+    });
+
+    it('should map bullet lists into categories, including sub-sections', () => {
+      const { templateData } = importAgentFile(agentFile);
+
+      expect(templateData.coreFunctions.slice(0, 3)).toEqual([
+        'Design RESTful APIs',
+        'Implement services',
+        'Write migrations',
+      ]);
+      expect(templateData.validationRules.slice(0, 2)).toEqual([
+        'Reject unauthenticated requests',
+        'Validate request bodies',
+      ]);
+      expect(templateData.coreFunctions).toHaveLength(DEFAULT_FIELD_COUNT);
+    });
+
+    it('should report unmapped sections', () => {
+      const { unmappedSections, mappedSections } = importAgentFile(agentFile);
+
+      expect(unmappedSections).toEqual([{ title: 'Example Session', itemCount: 1 }]);
+      expect(mappedSections.map((s) => s.title)).toEqual([
+        'Core Responsibilities',
+        'Database Work',
+        'Validation Rules',
+      ]);
+    });
+
+    it('should keep every item when no maxFields is given', () => {
+      const items = Array.from({ length: 20 }, (_, i) => `- Rule ${i + 1}`).join('\n');
+      const result = importAgentFile(`## Validation Rules\n${items}\n`);
+
+      expect(result.templateData.validationRules).toHaveLength(20);
+      expect(result.droppedItems).toBe(0);
+    });
+
+    it('should drop items beyond maxFields and count them', () => {
+      const items = Array.from({ length: 5 }, (_, i) => `- Rule ${i + 1}`).join('\n');
+      const result = importAgentFile(`## Validation Rules\n${items}\n`, { maxFields: 3 });
+
+      expect(result.templateData.validationRules.slice(0, 3)).toEqual([
+        'Rule 1',
+        'Rule 2',
+        'Rule 3',
+      ]);
+      expect(result.droppedItems).toBe(2);
+    });
+  });
+});
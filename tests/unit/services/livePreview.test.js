@@ -0,0 +1,101 @@
+import { describe, it, expect } from 'vitest';
+import {
+  buildLivePreview,
+  splitSections,
+  markChangedSections,
+} from '@renderer/services/livePreview';
+import { DEFAULT_CATEGORIES } from '@renderer/services/categorySchema';
+import { createEmptyTemplateData } from '@renderer/services/formDataParser';
+
+const keysOf = (sections) => sections.map((section) => section.key);
+const changedTitles = (sections) =>
+  sections.filter((section) => section.changed).map((section) => section.title);
+
+describe('livePreview', () => {
+  describe('buildLivePreview', () => {
+    it('should build the architect specification from the form state', () => {
+      const templateData = {
+        ...createEmptyTemplateData(),
+        coreFunctions: ['Review pull requests'],
+      };
+
+      const markdown = buildLivePreview(
+        templateData,
+        [],
+        { name: 'code-reviewer', type: 'reviewer' },
+        { categories: DEFAULT_CATEGORIES }
+      );
+
+      expect(markdown).toContain('specialized reviewer subagent');
+      expect(markdown).toContain('Review pull requests');
+      expect(markdown).not.toContain('Project Context');
+    });
+
+    it('should include the project folder summary', () => {
+      const project = {
+        name: 'shop-api',
+        languages: [{ language: 'TypeScript', files: 80 }],
+        frameworks: [],
+        testing: { frameworks: [], command: null, directories: [], testFiles: 0 },
+        claudeMd: null,
+      };
+
+      const markdown = buildLivePreview(
+        createEmptyTemplateData(),
+        [],
+        { name: 'api-helper', type: 'backend-developer' },
+        { categories: DEFAULT_CATEGORIES, projectContext: project }
+      );
+
+      expect(markdown).toContain('## Project Context');
+      expect(markdown).toContain('- **Languages**: TypeScript (80 files)');
+    });
+
+    it('should use a placeholder type until it is filled', () => {
+      const markdown = buildLivePreview(
+        createEmptyTemplateData(),
+        [],
+        { name: ' ', type: '' },
+        { categories: DEFAULT_CATEGORIES }
+      );
+
+      expect(markdown).toContain('specialized custom subagent');
+    });
+  });
+
+  describe('splitSections', () => {
+    it('should split at headings and keep text before the first one', () => {
+      const sections = splitSections('intro\n# Title\nbody\n## Part\n- item');
+
+      expect(keysOf(sections)).toEqual(['#1', 'Title#1', 'Part#1']);
+      expect(sections[1].text).toBe('# Title\nbody');
+      expect(sections[2].title).toBe('Part');
+    });
+
+    it('should give repeated headings distinct keys', () => {
+      const sections = splitSections('## Notes\na\n## Notes\nb');
+
+      expect(keysOf(sections)).toEqual(['Notes#1', 'Notes#2']);
+    });
+  });
+
+  describe('markChangedSections', () => {
+    const previous = '# Agent\n**Generated**: 2026-01-01\n## Functions\n- a\n## Scope\n- x';
+
+    it('should mark nothing on the first preview', () => {
+      expect(changedTitles(markChangedSections(null, previous))).toEqual([]);
+    });
+
+    it('should mark only the sections whose text changed', () => {
+      const next = '# Agent\n**Generated**: 2026-01-02\n## Functions\n- a\n- b\n## Scope\n- x';
+
+      expect(changedTitles(markChangedSections(previous, next))).toEqual(['Functions']);
+    });
+
+    it('should mark new sections as changed', () => {
+      const sections = markChangedSections(previous, `${previous}\n## Tools\n- grep`);
+
+      expect(changedTitles(sections)).toEqual(['Tools']);
+    });
+  });
+});
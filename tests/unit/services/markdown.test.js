@@ -0,0 +1,69 @@
+import { describe, it, expect } from 'vitest';
+import { parseMarkdown, parseInline } from '@renderer/services/markdown';
+
+const text = (value) => ({ type: 'text', text: value });
+const typeOf = (node) => node.type;
+
+describe('markdown', () => {
+  describe('parseInline', () => {
+    it('should parse code, strong, emphasis and links', () => {
+      expect(parseInline('Use `grep` **now**, *then* [docs](https://example.com)')).toEqual([
+        text('Use '),
+        { type: 'code', text: 'grep' },
+        text(' '),
+        { type: 'strong', children: [text('now')] },
+        text(', '),
+        { type: 'em', children: [text('then')] },
+        text(' '),
+        { type: 'link', href: 'https://example.com', children: [text('docs')] },
+      ]);
+    });
+
+    it('should not parse markup inside code spans', () => {
+      expect(parseInline('`**not bold**`')).toEqual([{ type: 'code', text: '**not bold**' }]);
+    });
+
+    it('should drop links with unsafe targets', () => {
+      expect(parseInline('[click](javascript:void)')).toEqual([text('click')]);
+    });
+
+    it('should keep HTML and escaped characters as text', () => {
+      expect(parseInline('<img src=x onerror=alert(1)> \\*literal\\*')).toEqual([
+        text('<img src=x onerror=alert(1)> *literal*'),
+      ]);
+    });
+  });
+
+  describe('parseMarkdown', () => {
+    it('should parse headings, paragraphs and rules', () => {
+      const blocks = parseMarkdown('# Agent\n**Type**: reviewer\n**Version**: 1.0.0\n\n---');
+
+      expect(blocks.map(typeOf)).toEqual(['heading', 'paragraph', 'rule']);
+      expect(blocks[0].level).toBe(1);
+      expect(blocks[1].children.map(typeOf)).toEqual(['strong', 'text', 'break', 'strong', 'text']);
+    });
+
+    it('should nest lists by indentation', () => {
+      const [list] = parseMarkdown('1. First\n   - Detail\n2. Second');
+
+      expect(list.ordered).toBe(true);
+      expect(list.items).toHaveLength(2);
+      expect(list.items[0].lists[0]).toMatchObject({ ordered: false, items: [{}] });
+      expect(list.items[1].children).toEqual([text('Second')]);
+    });
+
+    it('should keep code blocks verbatim', () => {
+      const [code] = parseMarkdown('```yaml\nname: x\n# not a heading\n```');
+
+      expect(code).toEqual({ type: 'code', language: 'yaml', text: 'name: x\n# not a heading' });
+    });
+
+    it('should parse tables and block quotes', () => {
+      const [table, quote] = parseMarkdown('| A | B |\n|---|---|\n| 1 | `2` |\n\n> Note\n> more');
+
+      expect(table.header).toEqual([[text('A')], [text('B')]]);
+      expect(table.rows).toEqual([[[text('1')], [{ type: 'code', text: '2' }]]]);
+      expect(quote.children[0].type).toBe('paragraph');
+    });
+  });
+});
@@ -0,0 +1,94 @@
+import { describe, it, expect } from 'vitest';
+import {
+  parseFrontmatter,
+  parseSections,
+  stripInlineMarkdown,
+} from '@renderer/services/markdownParser';
+
+describe('markdownParser', () => {
+  describe('parseFrontmatter', () => {
+    it('should parse key/value pairs and return the body', () => {
+      const { attributes, body } = parseFrontmatter(
+        '---\nname: code-reviewer\ndescription: Reviews code\ntools: Read, Grep\n---\n# Title\n'
+      );
+
+      expect(attributes).toEqual({
+        name: 'code-reviewer',
+        description: 'Reviews code',
+        tools: 'Read, Grep',
+      });
+      expect(body).toBe('# Title\n');
+    });
+
+    it('should unescape double-quoted values', () => {
+      const { attributes } = parseFrontmatter(
+        '---\ndescription: "Validates: \\"payloads\\"\\nline two"\n---\n'
+      );
+
+      expect(attributes.description).toBe('Validates: "payloads"\nline two');
+    });
+
+    it('should parse block lists', () => {
+      const { attributes } = parseFrontmatter(
+        '---\ntools:\n  - Read\n  - Bash\nmodel: opus\n---\n'
+      );
+
+      expect(attributes.tools).toEqual(['Read', 'Bash']);
+      expect(attributes.model).toBe('opus');
+    });
+
+    it('should return the whole text when there is no frontmatter', () => {
+      const { attributes, body } = parseFrontmatter('# Just markdown');
+
+      expect(attributes).toEqual({});
+      expect(body).toBe('# Just markdown');
+    });
+  });
+
+  describe('parseSections', () => {
+    it('should split sections at headings and collect list items', () => {
+      const sections = parseSections(
+        [
+          'Intro paragraph',
+          '## Best Practices',
+          '- Keep functions small',
+          '* Write tests',
+          '### Checklist',
+          '1. Run the linter',
+          '2) Update docs',
+        ].join('\n')
+      );
+
+      expect(sections.map((s) => s.title)).toEqual(['', 'Best Practices', 'Checklist']);
+      expect(sections[1].level).toBe(2);
+      expect(sections[1].items).toEqual(['Keep functions small', 'Write tests']);
+      expect(sections[2].items).toEqual(['Run the linter', 'Update docs']);
+    });
+
+    it('should join wrapped list item lines', () => {
+      const sections = parseSections(
+        '## Rules\n- First rule that\n  wraps onto a second line\n- Second'
+      );
+
+      expect(sections[0].items).toEqual(['First rule that wraps onto a second line', 'Second']);
+    });
+
+    it('should ignore headings and bullets inside code blocks', () => {
+      const sections = parseSections(
+        '## Example\n```\n# not a heading\n- not an item\n```\n- item'
+      );
+
+      expect(sections).toHaveLength(1);
+      expect(sections[0].items).toEqual(['item']);
+    });
+  });
+
+  describe('stripInlineMarkdown', () => {
+    it('should remove emphasis, links and task checkboxes', () => {
+      expect(stripInlineMarkdown('**Always** use [docs](http://x) and _tests_')).toBe(
+        'Always use docs and tests'
+      );
+      expect(stripInlineMarkdown('[x] Done item')).toBe('Done item');
+    });
+  });
+});
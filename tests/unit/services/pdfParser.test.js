@@ -165,6 +165,42 @@ describe('PDFAnalyzer', () => {
     });
   });
 
+  describe('requirement extraction', () => {
+    it('should keep whole requirement sentences with their source', () => {
+      const analysis = analyzer.analyzeDocument({
+        name: 'spec.pdf',
+        text: 'Overview of the system.\nThe service must reject\nunsigned tokens. It shall log every request.',
+      });
+
+      expect(analysis.requirements).toEqual([
+        { text: 'The service must reject unsigned tokens.', priority: 'high', source: 'spec.pdf' },
+        { text: 'It shall log every request.', priority: 'high', source: 'spec.pdf' },
+      ]);
+    });
+
+    it('should merge repeated requirements and key terms across documents', () => {
+      const analysis = analyzer.analyzeDocuments([
+        { name: 'a.pdf', pages: 1, text: 'Every API call must be logged.' },
+        {
+          name: 'b.pdf',
+          pages: 1,
+          text: 'Every API call must be logged. Responses should be cached.',
+        },
+      ]);
+
+      expect(analysis.technicalRequirements[0]).toMatchObject({
+        text: 'Every API call must be logged.',
+        sources: ['a.pdf', 'b.pdf'],
+      });
+      expect(analysis.technicalRequirements[1].priority).toBe('medium');
+      expect(analysis.keyTerms.find((t) => t.term === 'API')).toEqual({
+        term: 'API',
+        count: 2,
+        sources: ['a.pdf', 'b.pdf'],
+      });
+    });
+  });
+
   describe('deduplicateAndRank', () => {
     it('should deduplicate string items', () => {
       const items = ['API', 'database', 'API', 'security', 'API'];
@@ -0,0 +1,217 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  renderTemplate,
+  parseTemplate,
+  isTruthy,
+  FILTERS,
+  TemplateSyntaxError,
+} from '@renderer/services/templateEngine';
+
+function syntaxError(source, options) {
+  try {
+    renderTemplate(source, {}, options);
+  } catch (error) {
+    return error;
+  }
+  return null;
+}
+
+describe('templateEngine', () => {
+  describe('values', () => {
+    it('should render variables and nested paths', () => {
+      const result = renderTemplate('{{ type }} / {{agent.name}}', {
+        type: 'reviewer',
+        agent: { name: 'code-reviewer' },
+      });
+
+      expect(result).toBe('reviewer / code-reviewer');
+    });
+
+    it('should join lists with semicolons', () => {
+      expect(renderTemplate('{{ items }}', { items: ['a', '', 'b'] })).toBe('a; b');
+    });
+
+    it('should render missing values as empty and report them', () => {
+      const onMissing = vi.fn();
+
+      const result = renderTemplate('A\n  {{ missing }}!', {}, { onMissing });
+
+      expect(result).toBe('A\n  !');
+      expect(onMissing).toHaveBeenCalledWith('missing', { line: 2, column: 3 });
+    });
+
+    it('should not expose prototype properties or functions', () => {
+      const result = renderTemplate('[{{ toString }}][{{ fn }}][{{ text.length }}]', {
+        fn: () => 'called',
+        text: 'abc',
+      });
+
+      expect(result).toBe('[][][]');
+    });
+
+    it('should leave text without tags untouched', () => {
+      expect(renderTemplate('Plain [CORE_FUNCTION] text', {})).toBe('Plain [CORE_FUNCTION] text');
+    });
+  });
+
+  describe('filters', () => {
+    const data = { items: ['First', 'Second'], empty: [], name: ' Agent ' };
+
+    it('should format lists as bullets or numbered lines', () => {
+      expect(renderTemplate('{{ items | bullets }}', data)).toBe('- First\n- Second');
+      expect(renderTemplate('{{ items | numbered }}', data)).toBe('1. First\n2. Second');
+    });
+
+    it('should join with a custom separator', () => {
+      expect(renderTemplate('{{ items | join " and " }}', data)).toBe('First and Second');
+      expect(renderTemplate('{{ items | join }}', data)).toBe('First, Second');
+    });
+
+    it('should chain filters', () => {
+      expect(renderTemplate('{{ name | trim | upper }}', data)).toBe('AGENT');
+      expect(renderTemplate('{{ empty | bullets | default "None" }}', data)).toBe('None');
+      expect(renderTemplate('{{ items | count }}', data)).toBe('2');
+    });
+
+    it('should accept custom filters', () => {
+      const result = renderTemplate(
+        '{{ name | wrap "*" }}',
+        { name: 'x' },
+        { filters: { wrap: (value, mark) => `${mark}${value}${mark}` } }
+      );
+
+      expect(result).toBe('*x*');
+    });
+
+    it('should expose the built-in filters', () => {
+      expect(Object.keys(FILTERS)).toEqual(
+        expect.arrayContaining(['bullets', 'numbered', 'join', 'default'])
+      );
+    });
+  });
+
+  describe('blocks', () => {
+    it('should loop over lists with position variables', () => {
+      const result = renderTemplate(
+        '{{#each items}}{{@number}}:{{this}}{{#unless @last}}, {{/unless}}{{/each}}',
+        { items: ['a', 'b', 'c'] }
+      );
+
+      expect(result).toBe('1:a, 2:b, 3:c');
+    });
+
+    it('should read item fields and outer values inside a loop', () => {
+      const result = renderTemplate('{{#each docs}}{{name}} ({{type}}) {{/each}}', {
+        type: 'pdf',
+        docs: [{ name: 'spec' }, { name: 'guide' }],
+      });
+
+      expect(result).toBe('spec (pdf) guide (pdf) ');
+    });
+
+    it('should render else branches for empty lists and false conditions', () => {
+      const template = '{{#each items}}x{{else}}none{{/each}}|{{#if items}}yes{{else}}no{{/if}}';
+
+      expect(renderTemplate(template, { items: [] })).toBe('none|no');
+      expect(renderTemplate(template, { items: ['', '  '] })).toBe('none|yes');
+    });
+
+    it('should not leave blank lines for block tags on their own line', () => {
+      const template = [
+        '## Functions',
+        '{{#each items}}',
+        '- {{this}}',
+        '{{/each}}',
+        '{{#if extra}}',
+        'Extra',
+        '{{/if}}',
+        'End',
+      ].join('\n');
+
+      expect(renderTemplate(template, { items: ['a', 'b'] })).toBe('## Functions\n- a\n- b\nEnd');
+    });
+
+    it('should treat empty lists and blank strings as false', () => {
+      expect(isTruthy([])).toBe(false);
+      expect(isTruthy('  ')).toBe(false);
+      expect(isTruthy(0)).toBe(false);
+      expect(isTruthy(['a'])).toBe(true);
+    });
+  });
+
+  describe('partials and comments', () => {
+    it('should render partials with the current data', () => {
+      const result = renderTemplate(
+        'Intro\n{{> list}}\nEnd',
+        { items: ['a', 'b'] },
+        { partials: { list: '{{ items | bullets }}\n' } }
+      );
+
+      expect(result).toBe('Intro\n- a\n- b\nEnd');
+    });
+
+    it('should transform only the literal text of the template', () => {
+      const result = renderTemplate(
+        'x = {{ value }}; {{> inner}}; x',
+        { value: 'x' },
+        { partials: { inner: 'x' }, transformText: (text) => text.replaceAll('x', 'y') }
+      );
+
+      expect(result).toBe('y = x; x; y');
+    });
+
+    it('should drop comments', () => {
+      expect(renderTemplate('a{{! note }}b\n{{! own line }}\nc', {})).toBe('ab\nc');
+    });
+
+    it('should stop recursive partials', () => {
+      const error = syntaxError('{{> loop}}', { partials: { loop: '{{> loop}}' } });
+
+      expect(error.reason).toBe('Partials nested more than 10 deep');
+      expect(error.partial).toBe('loop');
+    });
+  });
+
+  describe('syntax errors', () => {
+    it.each([
+      ['Intro\n  {{ name', 'Unclosed tag "{{"', 2, 3],
+      [
+        '{{#each items}}\n{{/if}}',
+        'Expected {{/each}} to close {{#each}} from line 1, found {{/if}}',
+        2,
+        1,
+      ],
+      ['a\n{{#if x}}b', 'Unclosed {{#if}}', 2, 1],
+      ['{{/each}}', 'Unexpected {{/each}} without an open block', 1, 1],
+      ['{{else}}', '{{else}} outside a block', 1, 1],
+      ['{{#if a}}{{else}}{{else}}{{/if}}', 'Second {{else}} in {{#if}}', 1, 18],
+      ['{{#with a}}{{/with}}', 'Unknown block "{{#with}}"; use #each, #if or #unless', 1, 1],
+      ['{{#each}}{{/each}}', '{{#each}} needs a value, e.g. {{#each coreFunctions}}', 1, 1],
+      ['{{ }}', 'Empty tag "{{}}"', 1, 1],
+      ['x {{ items | shout }}', 'Unknown filter "shout"', 1, 14],
+      ['{{ items | }}', 'Expected a filter name after "|"', 1, 11],
+      ['{{ a b }}', 'Expected "|" before a filter', 1, 6],
+      ['{{ a + b }}', 'Unexpected "+"', 1, 6],
+      ['{{ a.__proto__ }}', '"__proto__" cannot be used in a template', 1, 4],
+      ['{{> missing}}', 'Unknown partial "missing"', 1, 1],
+    ])('should report %j', (source, reason, line, column) => {
+      const error = syntaxError(source);
+
+      expect(error).toBeInstanceOf(TemplateSyntaxError);
+      expect(error.reason).toBe(reason);
+      expect([error.line, error.column]).toEqual([line, column]);
+      expect(error.message).toBe(`${reason} at line ${line}, column ${column}`);
+    });
+
+    it('should name the partial an error comes from', () => {
+      const error = syntaxError('{{> broken}}', { partials: { broken: 'ok\n{{#if x}}' } });
+
+      expect(error.message).toBe('Unclosed {{#if}} at line 2, column 1 of partial "broken"');
+    });
+
+    it('should parse without rendering', () => {
+      expect(parseTemplate('a {{ b | bullets }}')).toHaveLength(2);
+      expect(() => parseTemplate('{{#if a}}')).toThrow(TemplateSyntaxError);
+    });
+  });
+});
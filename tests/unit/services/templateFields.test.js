@@ -0,0 +1,65 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getFilledFields,
+  countFilledFields,
+  addField,
+  removeField,
+  moveField,
+} from '@renderer/services/templateFields';
+
+describe('templateFields', () => {
+  describe('getFilledFields', () => {
+    it('should drop empty, whitespace-only and non-string values', () => {
+      expect(getFilledFields(['a', '', '  ', null, 3, 'b'])).toEqual(['a', 'b']);
+    });
+
+    it('should treat a missing category as empty', () => {
+      expect(getFilledFields(undefined)).toEqual([]);
+    });
+  });
+
+  describe('countFilledFields', () => {
+    it('should count filled fields across lists of any length', () => {
+      const templateData = {
+        coreFunctions: Array.from({ length: 30 }, (_, i) => `Function ${i}`),
+        styleGuide: ['', 'Use ESLint'],
+        inputTypes: [],
+      };
+
+      expect(countFilledFields(templateData)).toBe(31);
+    });
+  });
+
+  describe('addField', () => {
+    it('should append an empty field by default', () => {
+      expect(addField(['a'])).toEqual(['a', '']);
+    });
+
+    it('should insert a value at an index', () => {
+      expect(addField(['a', 'c'], 'b', 1)).toEqual(['a', 'b', 'c']);
+    });
+  });
+
+  describe('removeField', () => {
+    it('should remove the field at an index', () => {
+      expect(removeField(['a', 'b', 'c'], 1)).toEqual(['a', 'c']);
+    });
+  });
+
+  describe('moveField', () => {
+    it('should move a field down', () => {
+      expect(moveField(['a', 'b', 'c', 'd'], 0, 2)).toEqual(['b', 'c', 'a', 'd']);
+    });
+
+    it('should move a field up', () => {
+      expect(moveField(['a', 'b', 'c', 'd'], 3, 1)).toEqual(['a', 'd', 'b', 'c']);
+    });
+
+    it('should return the same list for out-of-range indexes', () => {
+      const fields = ['a', 'b'];
+
+      expect(moveField(fields, 0, 5)).toBe(fields);
+      expect(moveField(fields, -1, 0)).toBe(fields);
+    });
+  });
+});
@@ -1,5 +1,6 @@
 import { describe, it, expect, beforeEach } from 'vitest';
 import TemplateProcessor from '@renderer/services/templateProcessor';
+import { TemplateSyntaxError } from '@renderer/services/templateEngine';
 
 describe('TemplateProcessor', () => {
   let processor;
@@ -307,4 +308,228 @@ describe('TemplateProcessor', () => {
       expect(complexity).toBe('high');
     });
   });
+
+  describe('getTemplateBody', () => {
+    it('should extract the section under "## Template" up to the next rule', () => {
+      const documented = new TemplateProcessor(
+        [
+          '# Prompt Template',
+          'Intro text',
+          '## Template',
+          'You are a [SUBAGENT_TYPE].',
+          '---',
+          '## Usage Instructions',
+        ].join('\n')
+      );
+
+      expect(documented.getTemplateBody()).toBe('You are a [SUBAGENT_TYPE].');
+    });
+
+    it('should strip inline example hints', () => {
+      const documented = new TemplateProcessor(
+        '**Primary Function**: [CORE_FUNCTION] *(e.g., "validate inputs", "call APIs")*'
+      );
+
+      expect(documented.getTemplateBody()).toBe('**Primary Function**: [CORE_FUNCTION]');
+    });
+
+    it('should use the whole template when there is no Template heading', () => {
+      expect(processor.getTemplateBody()).toBe(mockTemplate.trim());
+    });
+  });
+
+  describe('fillTemplateBody', () => {
+    it('should fill placeholders in the extracted body only', () => {
+      const documented = new TemplateProcessor(
+        ['## Overview', 'Docs', '## Template', 'Core: [CORE_FUNCTION]', '---', 'Footer'].join('\n')
+      );
+
+      const result = documented.fillTemplateBody(mockTemplateData, mockMetadata);
+
+      expect(result).toBe('Core: Function 1; Function 2');
+    });
+  });
+
+  describe('template syntax', () => {
+    it('should render {{ }} expressions with category fields and metadata', () => {
+      const template = new TemplateProcessor(
+        [
+          '# {{ type | upper }}',
+          '{{#each coreFunctions}}',
+          '{{@number}}. {{this}}',
+          '{{/each}}',
+          'Inputs: {{ inputTypes | join " or " }}',
+        ].join('\n')
+      );
+
+      const result = template.fillTemplate(mockTemplateData, mockMetadata);
+
+      expect(result).toBe('# BACKEND-DEVELOPER\n1. Function 1\n2. Function 2\nInputs: Input 1');
+    });
+
+    it('should provide the categories and documents partials', () => {
+      const template = new TemplateProcessor('{{> categories}}{{> documents}}', [
+        { id: 'coreFunctions', label: 'Core Functions', placeholder: '[CORE_FUNCTION]' },
+        { id: 'styleGuide', label: 'Style Guide', placeholder: '[STYLE_GUIDE]' },
+      ]);
+
+      const result = template.fillTemplate(
+        { coreFunctions: ['Review', ''], styleGuide: [''] },
+        mockMetadata,
+        [{ name: 'spec.pdf', pages: 3 }]
+      );
+
+      expect(result).toBe(
+        '### Core Functions\n- Review\n\n## Reference Documents\n- spec.pdf (3 pages)\n'
+      );
+    });
+
+    it('should fill [PLACEHOLDER] tokens alongside the new syntax', () => {
+      const template = new TemplateProcessor('[CORE_FUNCTION] | {{ coreFunctions | count }}');
+
+      expect(template.fillTemplate(mockTemplateData, mockMetadata)).toBe(
+        'Function 1; Function 2 | 2'
+      );
+    });
+
+    it('should not parse template syntax in field values', () => {
+      const template = new TemplateProcessor('{{ coreFunctions }}');
+
+      expect(template.fillTemplate({ coreFunctions: ['{{#if x}}'] }, mockMetadata)).toBe(
+        '{{#if x}}'
+      );
+    });
+
+    it('should leave [PLACEHOLDER] tokens inside inserted values unchanged', () => {
+      const template = new TemplateProcessor(
+        'Core: [CORE_FUNCTION]\n{{#each styleGuide}}- {{this}}\n{{/each}}{{> documents}}'
+      );
+
+      const result = template.fillTemplate(
+        { coreFunctions: ['Review code'], styleGuide: ['Write [CORE_FUNCTION] in [PREFIX]_name'] },
+        mockMetadata,
+        [{ name: 'Notes on [DOMAIN].pdf', pages: 1 }]
+      );
+
+      expect(result).toBe(
+        'Core: Review code\n- Write [CORE_FUNCTION] in [PREFIX]_name\n' +
+          '## Reference Documents\n- Notes on [DOMAIN].pdf (1 pages)\n'
+      );
+    });
+
+    it('should not fill [PLACEHOLDER] tokens in partials', () => {
+      const template = new TemplateProcessor('[PREFIX]: {{> note}}');
+      template.partials.note = 'see [PREFIX]';
+
+      expect(template.fillTemplate(mockTemplateData, mockMetadata)).toBe('backend: see [PREFIX]');
+    });
+
+    it('should warn about unknown variables', () => {
+      const template = new TemplateProcessor('Core: {{ coreFunction }}');
+
+      template.fillTemplate(mockTemplateData, mockMetadata);
+
+      expect(template.warnings).toEqual(['Unknown variable "coreFunction" at line 1, column 7']);
+    });
+
+    it('should throw a TemplateSyntaxError for malformed templates', () => {
+      const template = new TemplateProcessor('{{#each coreFunctions}}\n- {{this}}');
+
+      expect(() => template.fillTemplate(mockTemplateData, mockMetadata)).toThrow(
+        new TemplateSyntaxError('Unclosed {{#each}}', { line: 1, column: 1 })
+      );
+    });
+  });
+
+  describe('placeholder warnings', () => {
+    it('should warn about unknown and unfilled placeholders', () => {
+      const template = new TemplateProcessor('[CORE_FUNCTION] [DOMAIN] [UNKNOWN_TOKEN]');
+
+      const result = template.fillTemplate(
+        { coreFunctions: ['Review'], domainExpertise: [''] },
+        mockMetadata
+      );
+
+      expect(result).toBe('Review Not specified [UNKNOWN_TOKEN]');
+      expect(template.warnings).toEqual([
+        'Placeholder [DOMAIN] is unfilled and will read "Not specified"',
+        'Unknown placeholder [UNKNOWN_TOKEN]: no category fills it',
+      ]);
+    });
+
+    it('should check declared placeholders against the template text', () => {
+      const template = new TemplateProcessor('[CORE_FUNCTION] [NOTE]', undefined, [
+        '[CORE_FUNCTION]',
+        '[PREFIX]',
+      ]);
+
+      template.fillTemplate(mockTemplateData, mockMetadata);
+
+      expect(template.warnings).toEqual([
+        'Placeholder [PREFIX] is declared but not used in the template',
+        'Unknown placeholder [NOTE]: no category fills it',
+      ]);
+    });
+
+    it('should have no warnings when every placeholder is filled', () => {
+      processor.fillTemplate({ ...mockTemplateData, testCoverage: ['Unit tests'] }, mockMetadata);
+
+      expect(processor.warnings).toEqual([]);
+    });
+
+    it('should report warnings for the template body only', () => {
+      const documented = new TemplateProcessor(
+        ['## Overview', 'Replace [PLACEHOLDER]', '## Template', 'Core: [CORE_FUNCTION]'].join('\n')
+      );
+
+      documented.fillTemplateBody({ coreFunctions: [] }, mockMetadata);
+
+      expect(documented.warnings).toEqual([
+        'Placeholder [CORE_FUNCTION] is unfilled and will read "Not specified"',
+      ]);
+    });
+  });
+
+  describe('custom categories', () => {
+    const categories = [
+      { id: 'coreFunctions', label: 'Core Functions', placeholder: '[CORE_FUNCTION]', required: true },
+      { id: 'testCoverage', label: 'Test Coverage', placeholder: '[TEST_COVERAGE]', required: true },
+      { id: 'toolPermissions', label: 'Tool Permissions', placeholder: '[TOOLS]', required: false },
+    ];
+
+    it('should fill each category placeholder', () => {
+      const custom = new TemplateProcessor('[CORE_FUNCTION] / [TEST_COVERAGE] / [TOOLS]', categories);
+
+      const result = custom.fillTemplate(
+        { coreFunctions: ['Review'], testCoverage: ['Unit tests'], toolPermissions: ['Read'] },
+        mockMetadata
+      );
+
+      expect(result).toBe('Review / Unit tests / Read');
+    });
+
+    it('should require every required category', () => {
+      const custom = new TemplateProcessor('', categories);
+
+      const validation = custom.validateTemplateData({ coreFunctions: ['Review'] });
+
+      expect(validation.isValid).toBe(false);
+      expect(validation.errors).toEqual(['At least one test coverage must be specified']);
+      expect(validation.warnings).toEqual(['Category toolPermissions is empty']);
+      expect(validation.completeness).toBe(33);
+    });
+
+    it('should count only schema categories in statistics', () => {
+      const custom = new TemplateProcessor('', categories);
+
+      const stats = custom.generateStatistics({
+        coreFunctions: ['Review'],
+        testCoverage: ['Unit tests', 'E2E tests'],
+        removedCategory: ['Ignored'],
+      });
+
+      expect(stats.totalFields).toBe(3);
+      expect(stats.totalCategories).toBe(3);
+    });
+  });
 });
@@ -0,0 +1,120 @@
+import { describe, it, expect } from 'vitest';
+import {
+  diffLines,
+  diffHunks,
+  applyHunks,
+  summarizeDiff,
+  formatUnifiedDiff,
+} from '@renderer/services/textDiff';
+
+const lines = (count, prefix = 'line') =>
+  Array.from({ length: count }, (_, i) => `${prefix} ${i + 1}`).join('\n');
+
+describe('textDiff', () => {
+  describe('diffLines', () => {
+    it('should mark identical texts as equal', () => {
+      const changes = diffLines('a\nb', 'a\nb');
+
+      expect(changes).toEqual([
+        { type: 'equal', line: 'a' },
+        { type: 'equal', line: 'b' },
+      ]);
+    });
+
+    it('should find added, removed and replaced lines', () => {
+      const changes = diffLines('a\nb\nc\nd', 'a\nc\nx\nd\ne');
+
+      expect(changes).toEqual([
+        { type: 'equal', line: 'a' },
+        { type: 'removed', line: 'b' },
+        { type: 'equal', line: 'c' },
+        { type: 'added', line: 'x' },
+        { type: 'equal', line: 'd' },
+        { type: 'added', line: 'e' },
+      ]);
+    });
+
+    it('should treat empty text as having no lines', () => {
+      expect(diffLines('', 'a')).toEqual([{ type: 'added', line: 'a' }]);
+      expect(diffLines('a', '')).toEqual([{ type: 'removed', line: 'a' }]);
+    });
+
+    it('should ignore Windows line endings', () => {
+      expect(summarizeDiff(diffLines('a\r\nb', 'a\nb'))).toEqual({ added: 0, removed: 0 });
+    });
+  });
+
+  describe('summarizeDiff', () => {
+    it('should count added and removed lines', () => {
+      expect(summarizeDiff(diffLines('a\nb\nc', 'a\nx\ny\nc'))).toEqual({ added: 2, removed: 1 });
+    });
+  });
+
+  describe('diffHunks', () => {
+    const before = '# Agent\n\n## Functions\n- a\n- b\n\n## Scope\n- x\n- y';
+    const after = '# Agent\n\n## Functions\n- a\n- B\n\n## Scope\n- x\n- y\n- z';
+
+    it('should label hunks with their section', () => {
+      const hunks = diffHunks(diffLines(before, after), { context: 0 });
+
+      expect(hunks[0].section).toBe('Functions');
+      expect(hunks[1].section).toBe('Scope');
+      expect(hunks[0]).toMatchObject({ oldStart: 5, oldLines: 1, newStart: 5, newLines: 1 });
+    });
+
+    it('should apply only accepted hunks', () => {
+      const changes = diffLines(before, after);
+      const hunks = diffHunks(changes, { context: 0 });
+
+      expect(applyHunks(changes, hunks, new Set([1]))).toBe(`${before}\n- z`);
+      expect(applyHunks(changes, hunks, new Set([0]))).toBe(before.replace('- b', '- B'));
+      expect(applyHunks(changes, hunks, new Set([0, 1]))).toBe(after);
+      expect(applyHunks(changes, hunks, new Set())).toBe(before);
+    });
+  });
+
+  describe('formatUnifiedDiff', () => {
+    it('should be empty when nothing changed', () => {
+      expect(formatUnifiedDiff('a\nb', 'a\nb')).toBe('');
+    });
+
+    it('should show changes with surrounding context', () => {
+      const before = lines(10);
+      const after = before.replace('line 5', 'line five');
+
+      expect(formatUnifiedDiff(before, after, { context: 2 })).toBe(
+        [
+          '@@ -3,5 +3,5 @@',
+          ' line 3',
+          ' line 4',
+          '-line 5',
+          '+line five',
+          ' line 6',
+          ' line 7',
+        ].join('\n')
+      );
+    });
+
+    it('should split distant changes into separate hunks', () => {
+      const before = lines(20);
+      const after = before.replace('line 2\n', '').replace('line 18', 'line 18\nnew');
+
+      expect(formatUnifiedDiff(before, after, { context: 1 })).toBe(
+        [
+          '@@ -1,3 +1,2 @@',
+          ' line 1',
+          '-line 2',
+          ' line 3',
+          '@@ -18,2 +17,3 @@',
+          ' line 18',
+          '+new',
+          ' line 19',
+        ].join('\n')
+      );
+    });
+
+    it('should start empty ranges at the line before', () => {
+      expect(formatUnifiedDiff('', 'a')).toBe('@@ -0,0 +1,1 @@\n+a');
+    });
+  });
+});
@@ -103,7 +103,10 @@ export function mockElectronAPISuccess() {
       success: true,
       agents: ['code-reviewer', 'backend-developer'],
     }),
+    processDocument: vi.fn().mockResolvedValue(createMockPDFResult()),
     processPDF: vi.fn().mockResolvedValue(createMockPDFResult()),
+    cancelDocument: vi.fn().mockResolvedValue({ success: true, canceled: true }),
+    onDocumentProgress: vi.fn(() => () => {}),
     loadSettings: vi.fn().mockResolvedValue({
       success: true,
       settings: { theme: 'dark' },
@@ -144,10 +147,19 @@ export function mockElectronAPIFailure(errorMessage = 'Operation failed') {
       success: false,
       error: errorMessage,
     }),
+    processDocument: vi.fn().mockResolvedValue({
+      success: false,
+      error: errorMessage,
+    }),
     processPDF: vi.fn().mockResolvedValue({
       success: false,
       error: errorMessage,
     }),
+    cancelDocument: vi.fn().mockResolvedValue({
+      success: false,
+      error: errorMessage,
+    }),
+    onDocumentProgress: vi.fn(() => () => {}),
     loadSettings: vi.fn().mockResolvedValue({
       success: false,
       error: errorMessage,